@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 
-const PARTICLE_COUNT = 25; // Reduced from 50 to 25
+const MAX_PARTICLE_COUNT = 25; // Per emitter. Buffers are sized for this, so lower counts need no rebuild
+const MAX_EMITTERS = 64; // Emitters alive at once; more than this just go without embers
 const PARTICLE_LIFETIME = 1.0; // Seconds
 const PARTICLE_SPEED_Y = 1.5; // How fast particles rise
 const PARTICLE_SPREAD = 1.5; // Increased from 0.8 to 1.5 for wider spread
@@ -13,112 +14,170 @@ const textureLoader = new THREE.TextureLoader();
 // Use the same asset URL as lavaManager.js
 const particleTexture = textureLoader.load('assets/Lava.jpg');
 
+// Every particle of every emitter is one point in a single draw call. The GPU animates them
+// from the time and each particle's lifetime offset; the CPU only moves the emitters, which
+// live in a uniform array indexed by the particle's emitter attribute.
+const VERTEX_SHADER = `
+uniform float uTime;
+uniform float uScale;
+uniform float uParticleCount;
+uniform vec4 uEmitters[${MAX_EMITTERS}]; // xyz position, w 1 while in use
+attribute float emitter;
+attribute float particle; // Index within its emitter
+attribute vec3 seed; // Random 0..1 numbers per particle
+
+float hash(float n) {
+    return fract(sin(n) * 43758.5453123);
+}
+
+void main() {
+    vec4 source = uEmitters[int(emitter)];
+    if (source.w < 0.5 || particle >= uParticleCount) {
+        gl_Position = vec4(2.0, 2.0, 2.0, 1.0); // Outside the clip volume
+        gl_PointSize = 0.0;
+        return;
+    }
+    // Each trip up the particle starts from a new random spot
+    float cycleTime = uTime / ${PARTICLE_LIFETIME.toFixed(2)} + seed.z;
+    float cycle = floor(cycleTime);
+    float age = (cycleTime - cycle) * ${PARTICLE_LIFETIME.toFixed(2)};
+    vec3 offset = vec3(
+        (hash(seed.x * 97.0 + cycle) - 0.5) * ${PARTICLE_SPREAD.toFixed(2)},
+        hash(seed.y * 89.0 + cycle) * ${PARTICLE_BASE_HEIGHT.toFixed(2)} + age * ${PARTICLE_SPEED_Y.toFixed(2)},
+        (hash(seed.x * 61.0 + seed.y * 13.0 + cycle) - 0.5) * ${PARTICLE_SPREAD.toFixed(2)}
+    );
+    vec4 mvPosition = modelViewMatrix * vec4(source.xyz + offset, 1.0);
+    gl_Position = projectionMatrix * mvPosition;
+    gl_PointSize = ${PARTICLE_SIZE.toFixed(2)} * (uScale / -mvPosition.z); // Same size attenuation as PointsMaterial
+}
+`;
+
+const FRAGMENT_SHADER = `
+uniform sampler2D uMap;
+
+void main() {
+    vec4 color = texture2D(uMap, vec2(gl_PointCoord.x, 1.0 - gl_PointCoord.y));
+    if (color.a < 0.1) discard;
+    gl_FragColor = color;
+    #include <colorspace_fragment>
+}
+`;
+
+// Rising embers over hazards. getSystem() hands out an emitter with a position to move;
+// all emitters are drawn by one THREE.Points, so the draw calls don't grow with the hazards.
 export class ParticleManager {
     constructor(scene) {
         this.scene = scene;
-        this.particleSystems = []; // Active systems
-        this.pool = []; // Inactive systems for reuse
+        this.particleSystems = []; // Active emitters
+        this.warnedFull = false; // Running out is only reported once per run
+        this.freeSlots = [];
+        for (let slot = MAX_EMITTERS - 1; slot >= 0; slot--) {
+            this.freeSlots.push(slot);
+        }
+        this.particleCount = MAX_PARTICLE_COUNT; // Lowered by the graphics quality setting
+        this.time = 0;
+        this.points = this._createPoints();
+        this.scene.add(this.points);
     }
 
-    _createParticleSystem() {
-        const geometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(PARTICLE_COUNT * 3);
-        const lifetimes = new Float32Array(PARTICLE_COUNT);
-        
-        for (let i = 0; i < PARTICLE_COUNT; i++) {
-            positions[i * 3 + 0] = (Math.random() - 0.5) * PARTICLE_SPREAD; // x
-            positions[i * 3 + 1] = Math.random() * PARTICLE_BASE_HEIGHT; // y (start higher above floor)
-            positions[i * 3 + 2] = (Math.random() - 0.5) * PARTICLE_SPREAD; // z
-            lifetimes[i] = Math.random() * PARTICLE_LIFETIME; // Initialize with random lifetime offset
+    // Particles drawn per emitter, up to MAX_PARTICLE_COUNT
+    setParticleCount(count) {
+        this.particleCount = Math.max(0, Math.min(MAX_PARTICLE_COUNT, Math.round(count)));
+        this.points.material.uniforms.uParticleCount.value = this.particleCount;
+    }
+
+    _createPoints() {
+        const total = MAX_EMITTERS * MAX_PARTICLE_COUNT;
+        const positions = new Float32Array(total * 3); // Unused by the shader, but three.js needs one
+        const emitters = new Float32Array(total);
+        const particles = new Float32Array(total);
+        const seeds = new Float32Array(total * 3);
+        for (let i = 0; i < total; i++) {
+            emitters[i] = Math.floor(i / MAX_PARTICLE_COUNT);
+            particles[i] = i % MAX_PARTICLE_COUNT;
+            seeds[i * 3 + 0] = Math.random();
+            seeds[i * 3 + 1] = Math.random();
+            seeds[i * 3 + 2] = Math.random(); // Lifetime offset, as a fraction of the lifetime
         }
-        
+        const geometry = new THREE.BufferGeometry();
         geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        geometry.setAttribute('lifetime', new THREE.BufferAttribute(lifetimes, 1));
-        
-        const material = new THREE.PointsMaterial({
-            map: particleTexture,
-            size: PARTICLE_SIZE,
+        geometry.setAttribute('emitter', new THREE.BufferAttribute(emitters, 1));
+        geometry.setAttribute('particle', new THREE.BufferAttribute(particles, 1));
+        geometry.setAttribute('seed', new THREE.BufferAttribute(seeds, 3));
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                uTime: { value: 0 },
+                uScale: { value: 1 },
+                uParticleCount: { value: this.particleCount },
+                uEmitters: { value: Array.from({ length: MAX_EMITTERS }, () => new THREE.Vector4()) },
+                uMap: { value: particleTexture }
+            },
+            vertexShader: VERTEX_SHADER,
+            fragmentShader: FRAGMENT_SHADER,
             blending: THREE.AdditiveBlending,
             transparent: true,
             depthWrite: false, // This prevents particles from writing to depth buffer
-            depthTest: true,   // But still test against existing depth
-            sizeAttenuation: true,
-            alphaTest: 0.1     // Discard very transparent pixels
+            depthTest: true    // But still test against existing depth
         });
-        
+
         const points = new THREE.Points(geometry, material);
-        points.userData.systemLifetime = PARTICLE_LIFETIME; // Store for reference, though particles manage themselves
+        points.frustumCulled = false; // The positions attribute says nothing about where particles are
         points.renderOrder = 1000; // Render after most other objects
+        // Point sizes are in pixels, so they scale with the drawing buffer (as PointsMaterial's do)
+        const bufferSize = new THREE.Vector2();
+        points.onBeforeRender = renderer => {
+            renderer.getDrawingBufferSize(bufferSize);
+            material.uniforms.uScale.value = bufferSize.y / 2;
+        };
         return points;
     }
 
+    // Returns an emitter whose position can be moved, or null if every slot is taken
     getSystem(position) {
-        let system;
-        if (this.pool.length > 0) {
-            system = this.pool.pop();
-            system.visible = true;
-            // Reset particle positions and lifetimes (important for pooling)
-            const positions = system.geometry.attributes.position.array;
-            const lifetimes = system.geometry.attributes.lifetime.array;
-            for (let i = 0; i < PARTICLE_COUNT; i++) {
-                positions[i * 3 + 0] = (Math.random() - 0.5) * PARTICLE_SPREAD;
-                positions[i * 3 + 1] = Math.random() * PARTICLE_BASE_HEIGHT; // Start higher
-                positions[i * 3 + 2] = (Math.random() - 0.5) * PARTICLE_SPREAD;
-                lifetimes[i] = Math.random() * PARTICLE_LIFETIME;
+        if (this.freeSlots.length === 0) {
+            if (!this.warnedFull) {
+                console.warn(`All ${MAX_EMITTERS} ember emitters are in use; hazards past that get none this run.`);
+                this.warnedFull = true;
             }
-            system.geometry.attributes.position.needsUpdate = true;
-            system.geometry.attributes.lifetime.needsUpdate = true;
-        } else {
-            system = this._createParticleSystem();
+            return null;
         }
-        
-        // Position the particle system higher above the lava
-        const adjustedPosition = position.clone();
-        adjustedPosition.y += PARTICLE_BASE_HEIGHT; // Lift the entire system higher
-        system.position.copy(adjustedPosition);
-        
-        this.scene.add(system);
+        const system = {
+            slot: this.freeSlots.pop(),
+            position: position.clone()
+        };
+        system.position.y += PARTICLE_BASE_HEIGHT; // Lift the entire system higher
         this.particleSystems.push(system);
+        this._writeEmitter(system, 1);
         return system;
     }
 
     returnSystem(system) {
-        system.visible = false;
-        this.scene.remove(system);
         const index = this.particleSystems.indexOf(system);
-        if (index > -1) {
-            this.particleSystems.splice(index, 1);
-        }
-        this.pool.push(system);
+        if (index === -1) return;
+        this.particleSystems.splice(index, 1);
+        this._writeEmitter(system, 0);
+        this.freeSlots.push(system.slot);
+    }
+
+    _writeEmitter(system, active) {
+        const { x, y, z } = system.position;
+        this.points.material.uniforms.uEmitters.value[system.slot].set(x, y, z, active);
     }
 
+    // Only the clock and the emitter positions change per frame
     update(deltaTime) {
+        this.time = (this.time + deltaTime) % (PARTICLE_LIFETIME * 1000); // Wrapped to keep float precision in the shader
+        this.points.material.uniforms.uTime.value = this.time;
         for (const system of this.particleSystems) {
-            const positions = system.geometry.attributes.position.array;
-            const lifetimes = system.geometry.attributes.lifetime.array;
-            
-            for (let i = 0; i < PARTICLE_COUNT; i++) {
-                lifetimes[i] += deltaTime;
-                positions[i * 3 + 1] += PARTICLE_SPEED_Y * deltaTime; // Move up
-                
-                // Reset particle if lifetime exceeded
-                if (lifetimes[i] >= PARTICLE_LIFETIME) {
-                    lifetimes[i] = 0;
-                    positions[i * 3 + 0] = (Math.random() - 0.5) * PARTICLE_SPREAD; // Reset x
-                    positions[i * 3 + 1] = Math.random() * PARTICLE_BASE_HEIGHT; // Reset y higher above base
-                    positions[i * 3 + 2] = (Math.random() - 0.5) * PARTICLE_SPREAD; // Reset z
-                }
-            }
-            
-            system.geometry.attributes.position.needsUpdate = true;
-            system.geometry.attributes.lifetime.needsUpdate = true; // Though not used for rendering, helps pooling
+            this._writeEmitter(system, 1);
         }
     }
 
     reset() {
-        // Move all active systems back to the pool
         while (this.particleSystems.length > 0) {
             this.returnSystem(this.particleSystems[0]);
         }
+        this.warnedFull = false;
     }
-}
\ No newline at end of file
+}
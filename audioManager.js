@@ -0,0 +1,386 @@
+import { LANE_WIDTH, INITIAL_GAME_SPEED, GAME_AREA_LENGTH } from './constants.js';
+
+// All of the game's sound, synthesised with the Web Audio API (there are no sound files):
+// music whose tempo and layers follow the run's speed, effects for the core's events and a
+// sizzle for each nearby hazard that pans with it and swells as it nears a player's lane.
+//
+// Browsers only allow audio after a user gesture, so the AudioContext is created by unlock(),
+// which main.js calls on the first click or key press. Until then everything is a no-op.
+// attach(game) hooks a Game up; the manager then follows its core's events by itself.
+
+const STORAGE_KEY = 'floorIsLava.audioSettings';
+export const VOLUME_CHANNELS = ['master', 'music', 'sfx'];
+
+const SCHEDULER_INTERVAL = 25; // ms between scheduler runs
+const SCHEDULE_AHEAD = 0.1; // Seconds of music queued ahead, so timer jitter can't be heard
+const STEPS_PER_BAR = 16;
+const MUSIC_MIN_BPM = 96;
+const MUSIC_MAX_BPM = 160;
+const MUSIC_TOP_SPEED = 25; // Speed at which the music reaches its top tempo
+// Layers join as the run speeds up
+const HATS_SPEED = 10;
+const LEAD_SPEED = 15;
+const HIGH_LEAD_SPEED = 20;
+
+// A minor: bass on the 16ths of a bar (null = rest) and an arpeggio for the lead
+const BASS_PATTERN = [33, null, 33, null, 36, null, 33, null, 31, null, 31, null, 28, null, 31, null];
+const LEAD_PATTERN = [69, 72, 76, 72, 69, 72, 76, 79, 67, 71, 74, 71, 64, 67, 71, 74];
+
+const MAX_SIZZLE_VOICES = 10; // Only the nearest hazards sizzle; more would just be noise
+const SIZZLE_VOLUME = 0.35;
+const SIZZLE_PAN_WIDTH = LANE_WIDTH * 2; // Offset from the listener that pans fully to one side
+const SIZZLE_SMOOTHING = 0.05; // Time constant for gain and pan changes, in seconds
+const SILENT_KINDS = ['gap']; // Holes in the floor don't sizzle
+const MUTE_FADE_TIME = 0.05;
+
+export function createDefaultAudioSettings() {
+    return { master: 0.8, music: 0.6, sfx: 0.8 };
+}
+
+export function loadAudioSettings() {
+    const settings = createDefaultAudioSettings();
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (stored && typeof stored === 'object') {
+            for (const channel of VOLUME_CHANNELS) {
+                if (typeof stored[channel] === 'number' && stored[channel] >= 0 && stored[channel] <= 1) {
+                    settings[channel] = stored[channel];
+                }
+            }
+        }
+    } catch (error) {
+        console.warn("Ignoring unreadable audio settings:", error);
+    }
+    return settings;
+}
+
+export function saveAudioSettings(settings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.warn("Could not save audio settings:", error);
+    }
+}
+
+function midiToFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+export class AudioManager {
+    constructor(settings = loadAudioSettings()) {
+        this.settings = settings;
+        this.context = null;
+        this.game = null;
+        this.unsubscribers = [];
+        this.muteReasons = new Set(); // 'paused', 'hidden'
+        this.musicPlaying = false;
+        this.step = 0;
+        this.nextStepTime = 0;
+        this.sizzleVoices = [];
+        this.schedulerId = null;
+
+        document.addEventListener('visibilitychange', () => this.setMuted('hidden', document.hidden));
+    }
+
+    // Creates (or wakes) the AudioContext; call from a user gesture
+    unlock() {
+        if (!this.context) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) {
+                console.warn("Web Audio is not supported; the game will be silent.");
+                return;
+            }
+            this.context = new AudioContextClass();
+            this._createGraph();
+            this.schedulerId = setInterval(() => this._schedule(), SCHEDULER_INTERVAL);
+        }
+        this._applyMute();
+    }
+
+    _createGraph() {
+        const context = this.context;
+        this.muteGain = context.createGain(); // Fades to silence while paused or hidden
+        this.muteGain.connect(context.destination);
+        this.masterGain = context.createGain();
+        this.masterGain.connect(this.muteGain);
+        this.musicGain = context.createGain();
+        this.musicGain.connect(this.masterGain);
+        this.sfxGain = context.createGain();
+        this.sfxGain.connect(this.masterGain);
+        this._applyVolumes();
+
+        // One second of white noise, shared by hats, whooshes and sizzles
+        this.noiseBuffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+        const samples = this.noiseBuffer.getChannelData(0);
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] = Math.random() * 2 - 1;
+        }
+
+        // Sizzle voices run all the time and are handed to the nearest hazards
+        for (let i = 0; i < MAX_SIZZLE_VOICES; i++) {
+            const source = context.createBufferSource();
+            source.buffer = this.noiseBuffer;
+            source.loop = true;
+            const filter = context.createBiquadFilter();
+            filter.type = 'bandpass';
+            filter.frequency.value = 2500 + i * 150; // Slightly different hiss per voice
+            filter.Q.value = 0.8;
+            const gain = context.createGain();
+            gain.gain.value = 0;
+            const panner = context.createStereoPanner();
+            source.connect(filter).connect(gain).connect(panner).connect(this.sfxGain);
+            source.start(0, Math.random());
+            this.sizzleVoices.push({ gain, panner });
+        }
+    }
+
+    // --- Volume ---
+
+    getVolume(channel) {
+        return this.settings[channel];
+    }
+
+    setVolume(channel, value) {
+        if (!VOLUME_CHANNELS.includes(channel)) {
+            throw new Error(`Unknown volume channel: ${channel}`);
+        }
+        this.settings[channel] = Math.min(1, Math.max(0, value));
+        saveAudioSettings(this.settings);
+        this._applyVolumes();
+    }
+
+    _applyVolumes() {
+        if (!this.context) return;
+        this.masterGain.gain.value = this.settings.master;
+        this.musicGain.gain.value = this.settings.music;
+        this.sfxGain.gain.value = this.settings.sfx;
+    }
+
+    // Silences everything while any reason is set (e.g. paused and hidden at once)
+    setMuted(reason, muted) {
+        if (muted) {
+            this.muteReasons.add(reason);
+        } else {
+            this.muteReasons.delete(reason);
+        }
+        this._applyMute();
+    }
+
+    _applyMute() {
+        if (!this.context) return;
+        const muted = this.muteReasons.size > 0;
+        this.muteGain.gain.setTargetAtTime(muted ? 0 : 1, this.context.currentTime, MUTE_FADE_TIME);
+        if (!muted && this.context.state === 'suspended') {
+            this.context.resume();
+        }
+    }
+
+    // --- Game events ---
+
+    attach(game) {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.game = game;
+        const core = game.core;
+        this.unsubscribers = [
+            core.on('start', () => {
+                this.setMuted('paused', false);
+                this._startMusic();
+            }),
+            core.on('pause', () => this.setMuted('paused', true)),
+            core.on('resume', () => this.setMuted('paused', false)),
+            core.on('jump', ({ superJump }) => this.play(superJump ? 'superJump' : 'jump')),
+            core.on('land', () => this.play('land')),
+            core.on('laneChange', () => this.play('lane')),
+            core.on('bonus', ({ source }) => {
+                if (source === 'coin' || source === 'gem') this.play(source);
+            }),
+            core.on('powerUp', () => this.play('powerUp')),
+            core.on('shieldBreak', () => this.play('shieldBreak')),
+            core.on('playerOut', () => this.play('death')),
+            core.on('levelComplete', () => this.play('levelComplete')),
+            core.on('gameOver', () => {
+                this._stopMusic();
+                this.setMuted('paused', false);
+            })
+        ];
+    }
+
+    // --- Music ---
+
+    _startMusic() {
+        if (!this.context) return;
+        this.musicPlaying = true;
+        this.step = 0;
+        this.nextStepTime = this.context.currentTime + 0.05;
+    }
+
+    _stopMusic() {
+        this.musicPlaying = false;
+    }
+
+    // Runs on a timer rather than the render loop, so music keeps time at any frame rate
+    _schedule() {
+        if (!this.context || this.context.state !== 'running') return;
+        const core = this.game && this.game.core;
+        const running = !!core && core.isRunning() && !core.isPaused();
+        if (this.musicPlaying && running) {
+            const speed = core.currentSpeed;
+            const intensity = Math.min(1, Math.max(0, (speed - INITIAL_GAME_SPEED) / (MUSIC_TOP_SPEED - INITIAL_GAME_SPEED)));
+            const stepLength = 60 / (MUSIC_MIN_BPM + (MUSIC_MAX_BPM - MUSIC_MIN_BPM) * intensity) / 4;
+            // Catch up without a burst of notes if the timer was held up (e.g. after a pause)
+            if (this.nextStepTime < this.context.currentTime) {
+                this.nextStepTime = this.context.currentTime + 0.02;
+            }
+            while (this.nextStepTime < this.context.currentTime + SCHEDULE_AHEAD) {
+                this._playStep(this.step % STEPS_PER_BAR, this.nextStepTime, speed);
+                this.nextStepTime += stepLength;
+                this.step++;
+            }
+        }
+        this._updateSizzles(running);
+    }
+
+    _playStep(step, time, speed) {
+        if (step % 4 === 0) {
+            this._tone({ type: 'sine', from: 150, to: 45, duration: 0.25, volume: 0.8, time, output: this.musicGain });
+        }
+        if (speed >= HATS_SPEED && step % 2 === 1) {
+            this._noise({ filter: 'highpass', from: 7000, duration: 0.05, volume: 0.15, time, output: this.musicGain });
+        }
+        if (BASS_PATTERN[step] !== null) {
+            const frequency = midiToFrequency(BASS_PATTERN[step]);
+            this._tone({ type: 'sawtooth', from: frequency, duration: 0.2, volume: 0.25, lowpass: 600, time, output: this.musicGain });
+        }
+        if (speed >= LEAD_SPEED && (speed >= HIGH_LEAD_SPEED || step % 2 === 0)) {
+            // Eighth notes at first, every sixteenth an octave up once the run gets really fast
+            const note = LEAD_PATTERN[step] + (speed >= HIGH_LEAD_SPEED ? 12 : 0);
+            this._tone({ type: 'square', from: midiToFrequency(note), duration: 0.12, volume: 0.06, time, output: this.musicGain });
+        }
+    }
+
+    // --- Lava sizzle ---
+
+    // Hands the voices to the hazards nearest a player, louder the closer they are to a lane
+    // someone is in, and panned by where they are relative to the camera
+    _updateSizzles(running) {
+        const now = this.context.currentTime;
+        const targets = [];
+        if (running) {
+            const listenerX = this.game.camera.position.x;
+            const players = this.game.core.players.filter((player, index) => this.game.core.isPlayerAlive(index));
+            for (const lava of this.game.lavaManager.lavaHazards) {
+                if (SILENT_KINDS.includes(lava.userData.hazard.kind)) continue;
+                let loudness = 0;
+                for (const player of players) {
+                    const distanceAhead = Math.abs(lava.position.z - player.position.z);
+                    const laneOffset = Math.abs(lava.position.x - player.position.x) / LANE_WIDTH;
+                    const approach = Math.max(0, 1 - distanceAhead / GAME_AREA_LENGTH);
+                    loudness = Math.max(loudness, approach * approach / (1 + laneOffset * laneOffset));
+                }
+                if (loudness > 0.01) {
+                    targets.push({ loudness, pan: Math.min(1, Math.max(-1, (lava.position.x - listenerX) / SIZZLE_PAN_WIDTH)) });
+                }
+            }
+            targets.sort((a, b) => b.loudness - a.loudness);
+        }
+        this.sizzleVoices.forEach((voice, index) => {
+            const target = targets[index];
+            voice.gain.gain.setTargetAtTime(target ? target.loudness * SIZZLE_VOLUME : 0, now, SIZZLE_SMOOTHING);
+            if (target) voice.panner.pan.setTargetAtTime(target.pan, now, SIZZLE_SMOOTHING);
+        });
+    }
+
+    // --- Sound effects ---
+
+    play(name) {
+        if (!this.context || this.muteReasons.size > 0) return;
+        const time = this.context.currentTime;
+        switch (name) {
+            case 'jump':
+                this._tone({ type: 'square', from: 260, to: 620, duration: 0.16, volume: 0.2, time });
+                break;
+            case 'superJump':
+                this._tone({ type: 'square', from: 220, to: 660, duration: 0.2, volume: 0.2, time });
+                this._tone({ type: 'square', from: 440, to: 1320, duration: 0.25, volume: 0.12, time: time + 0.08 });
+                break;
+            case 'land':
+                this._tone({ type: 'sine', from: 140, to: 50, duration: 0.14, volume: 0.5, time });
+                this._noise({ filter: 'lowpass', from: 400, duration: 0.08, volume: 0.3, time });
+                break;
+            case 'lane':
+                this._noise({ filter: 'bandpass', from: 800, to: 2400, duration: 0.1, volume: 0.3, time });
+                break;
+            case 'coin':
+                this._tone({ type: 'sine', from: 988, duration: 0.08, volume: 0.25, time });
+                this._tone({ type: 'sine', from: 1319, duration: 0.18, volume: 0.25, time: time + 0.07 });
+                break;
+            case 'gem':
+                [1047, 1319, 1568].forEach((frequency, index) => {
+                    this._tone({ type: 'triangle', from: frequency, duration: 0.2, volume: 0.25, time: time + index * 0.05 });
+                });
+                break;
+            case 'powerUp':
+                [523, 659, 784, 1047].forEach((frequency, index) => {
+                    this._tone({ type: 'square', from: frequency, duration: 0.12, volume: 0.12, time: time + index * 0.06 });
+                });
+                break;
+            case 'shieldBreak':
+                this._tone({ type: 'triangle', from: 880, to: 220, duration: 0.3, volume: 0.3, time });
+                this._noise({ filter: 'highpass', from: 3000, duration: 0.25, volume: 0.3, time });
+                break;
+            case 'death':
+                this._tone({ type: 'sawtooth', from: 440, to: 55, duration: 0.9, volume: 0.3, lowpass: 2000, time });
+                this._noise({ filter: 'lowpass', from: 1200, to: 200, duration: 0.6, volume: 0.4, time });
+                break;
+            case 'levelComplete':
+                [523, 659, 784, 1047, 784, 1047].forEach((frequency, index) => {
+                    this._tone({ type: 'triangle', from: frequency, duration: 0.25, volume: 0.25, time: time + index * 0.11 });
+                });
+                break;
+            default:
+                throw new Error(`Unknown sound effect: ${name}`);
+        }
+    }
+
+    // An oscillator note with a fast attack and exponential decay, optionally gliding in pitch
+    _tone({ type, from, to = from, duration, volume, time, lowpass = null, output = this.sfxGain }) {
+        const context = this.context;
+        const oscillator = context.createOscillator();
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(from, time);
+        if (to !== from) oscillator.frequency.exponentialRampToValueAtTime(to, time + duration);
+        const gain = this._envelope(volume, time, duration);
+        let node = oscillator;
+        if (lowpass) {
+            const filter = context.createBiquadFilter();
+            filter.type = 'lowpass';
+            filter.frequency.value = lowpass;
+            node = node.connect(filter);
+        }
+        node.connect(gain).connect(output);
+        oscillator.start(time);
+        oscillator.stop(time + duration + 0.05);
+    }
+
+    // A burst of filtered noise, optionally sweeping the filter
+    _noise({ filter: filterType, from, to = from, duration, volume, time, output = this.sfxGain }) {
+        const context = this.context;
+        const source = context.createBufferSource();
+        source.buffer = this.noiseBuffer;
+        const filter = context.createBiquadFilter();
+        filter.type = filterType;
+        filter.frequency.setValueAtTime(from, time);
+        if (to !== from) filter.frequency.exponentialRampToValueAtTime(to, time + duration);
+        source.connect(filter).connect(this._envelope(volume, time, duration)).connect(output);
+        source.start(time, Math.random() * 0.5);
+        source.stop(time + duration + 0.05);
+    }
+
+    _envelope(volume, time, duration) {
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(0.0001, time);
+        gain.gain.exponentialRampToValueAtTime(volume, time + 0.005);
+        gain.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+        return gain;
+    }
+}
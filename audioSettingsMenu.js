@@ -0,0 +1,72 @@
+import { VOLUME_CHANNELS } from './audioManager.js';
+
+const CHANNEL_LABELS = {
+    master: 'Master',
+    music: 'Music',
+    sfx: 'Sound effects'
+};
+
+// Overlay with a volume slider per channel. Changes are applied (and saved) by the
+// AudioManager straight away.
+export class AudioSettingsMenu {
+    constructor(parentElement, audioManager) {
+        this.audioManager = audioManager;
+
+        this.container = document.createElement('div');
+        this.container.className = 'input-settings hidden';
+        parentElement.appendChild(this.container);
+
+        const title = document.createElement('h2');
+        title.textContent = 'Sound';
+        title.className = 'input-settings-title';
+        this.container.appendChild(title);
+
+        this.sliders = {};
+        for (const channel of VOLUME_CHANNELS) {
+            const label = document.createElement('label');
+            label.className = 'audio-settings-volume';
+            label.textContent = CHANNEL_LABELS[channel];
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = '0';
+            slider.max = '100';
+            slider.addEventListener('input', () => {
+                this.audioManager.setVolume(channel, Number(slider.value) / 100);
+                if (channel !== 'music') this.audioManager.play('coin'); // Something to judge the level by
+            });
+            label.appendChild(slider);
+            this.container.appendChild(label);
+            this.sliders[channel] = slider;
+        }
+
+        const hint = document.createElement('p');
+        hint.className = 'input-settings-hint';
+        hint.textContent = 'The music speeds up with the run. Sound is muted while the game is paused or in the background.';
+        this.container.appendChild(hint);
+
+        const buttonRow = document.createElement('div');
+        buttonRow.className = 'calibration-buttons';
+        this.container.appendChild(buttonRow);
+
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'Done';
+        closeButton.className = 'game-button calibration-button';
+        closeButton.addEventListener('click', () => this.close());
+        buttonRow.appendChild(closeButton);
+    }
+
+    open() {
+        for (const channel of VOLUME_CHANNELS) {
+            this.sliders[channel].value = String(Math.round(this.audioManager.getVolume(channel) * 100));
+        }
+        this.container.classList.remove('hidden');
+    }
+
+    close() {
+        this.container.classList.add('hidden');
+    }
+
+    isOpen() {
+        return !this.container.classList.contains('hidden');
+    }
+}
@@ -0,0 +1,264 @@
+import { PoseProfile, measureTilt } from './poseProfile.js';
+
+const HOLD_TIME = 1500; // ms the player has to hold still for a position to be recorded
+const STILL_X_RANGE = 0.04; // Max hip X wobble (normalized) that still counts as standing still
+const STILL_Y_RANGE = 0.025; // Max shoulder Y wobble that still counts as standing still
+const MIN_LANE_STEP = 0.08; // A lane position must be at least this far from center
+const JUMP_START_RISE = 0.025; // Shoulder rise that means the test jump has started
+const JUMP_TIMEOUT = 8000; // ms to wait for the test jump before asking again
+const DEFAULT_JUMP_RISE = 0.12; // Used for the meter scale before a jump is measured
+
+// Landmark indices (MediaPipe Pose)
+const LEFT_SHOULDER = 11;
+const RIGHT_SHOULDER = 12;
+const LEFT_HIP = 23;
+const RIGHT_HIP = 24;
+
+const STEPS = {
+    stand: 'Stand in the middle, face the camera and hold still',
+    left: 'Step to your LEFT and hold still',
+    right: 'Now step to your RIGHT and hold still',
+    jump: 'Come back to the middle and do a test JUMP!',
+    done: 'All set!'
+};
+
+// Screen shown between Start and the first frame. Records standing height, the three lane
+// positions and a test jump, with live feedback, and turns them into a PoseProfile.
+export class CalibrationScreen {
+    constructor(parentElement) {
+        this.container = document.createElement('div');
+        this.container.className = 'calibration-screen hidden';
+        parentElement.appendChild(this.container);
+
+        const title = document.createElement('h2');
+        title.textContent = 'Calibration';
+        title.className = 'calibration-title';
+        this.container.appendChild(title);
+
+        const nameLabel = document.createElement('label');
+        nameLabel.className = 'calibration-name';
+        nameLabel.textContent = 'Player name ';
+        this.nameInput = document.createElement('input');
+        this.nameInput.type = 'text';
+        this.nameInput.maxLength = 20;
+        nameLabel.appendChild(this.nameInput);
+        this.container.appendChild(nameLabel);
+
+        this.instructionText = document.createElement('p');
+        this.instructionText.className = 'calibration-instruction';
+        this.container.appendChild(this.instructionText);
+
+        // Live position: three lane zones with a marker for the player's hips
+        this.laneTrack = document.createElement('div');
+        this.laneTrack.className = 'calibration-lanes';
+        this.laneZones = ['Left', 'Center', 'Right'].map(label => {
+            const zone = document.createElement('div');
+            zone.className = 'calibration-lane';
+            zone.textContent = label;
+            this.laneTrack.appendChild(zone);
+            return zone;
+        });
+        this.positionMarker = document.createElement('div');
+        this.positionMarker.className = 'calibration-marker';
+        this.laneTrack.appendChild(this.positionMarker);
+        this.container.appendChild(this.laneTrack);
+
+        // Live jump height
+        this.jumpMeter = document.createElement('div');
+        this.jumpMeter.className = 'calibration-jump-meter';
+        this.jumpFill = document.createElement('div');
+        this.jumpFill.className = 'calibration-jump-fill';
+        this.jumpMeter.appendChild(this.jumpFill);
+        this.container.appendChild(this.jumpMeter);
+
+        // How long the current position has been held
+        this.holdBar = document.createElement('div');
+        this.holdBar.className = 'calibration-hold';
+        this.holdFill = document.createElement('div');
+        this.holdFill.className = 'calibration-hold-fill';
+        this.holdBar.appendChild(this.holdFill);
+        this.container.appendChild(this.holdBar);
+
+        const buttonRow = document.createElement('div');
+        buttonRow.className = 'calibration-buttons';
+        this.container.appendChild(buttonRow);
+
+        this.useSavedButton = document.createElement('button');
+        this.useSavedButton.textContent = 'Use Saved Calibration';
+        this.useSavedButton.className = 'game-button calibration-button';
+        buttonRow.appendChild(this.useSavedButton);
+
+        this.restartButton = document.createElement('button');
+        this.restartButton.textContent = 'Recalibrate';
+        this.restartButton.className = 'game-button calibration-button';
+        buttonRow.appendChild(this.restartButton);
+
+        this.skipButton = document.createElement('button');
+        this.skipButton.textContent = 'Skip';
+        this.skipButton.className = 'game-button calibration-button';
+        buttonRow.appendChild(this.skipButton);
+
+        this.useSavedButton.addEventListener('click', () => this._finish(this.savedProfile));
+        this.restartButton.addEventListener('click', () => this._beginStep('stand'));
+        this.skipButton.addEventListener('click', () => this._finish(this.savedProfile || new PoseProfile({ name: this._getName() })));
+
+        this.active = false;
+        this.resolve = null;
+        this.savedProfile = null;
+    }
+
+    isActive() {
+        return this.active;
+    }
+
+    // Resolves with the profile to play with once calibration is finished or skipped
+    run(savedProfile, defaultName = 'Player 1') {
+        this.savedProfile = savedProfile;
+        this.nameInput.value = savedProfile ? savedProfile.name : defaultName;
+        this.useSavedButton.classList.toggle('hidden', !savedProfile);
+        this.container.classList.remove('hidden');
+        this.active = true;
+        this.measurements = {};
+        this._beginStep(savedProfile ? null : 'stand');
+        if (savedProfile) {
+            this.instructionText.textContent = `Welcome back, ${savedProfile.name}! Use your saved calibration or recalibrate.`;
+        }
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    handlePose(normX, normShoulderY, landmarks) {
+        if (!this.active) return;
+        const now = performance.now();
+        const mirroredX = 1.0 - normX;
+
+        // Live feedback is shown on every step
+        this.positionMarker.style.left = `${Math.max(0, Math.min(1, mirroredX)) * 100}%`;
+        const restY = this.measurements.restingShoulderY;
+        const rise = restY !== undefined ? restY - normShoulderY : 0;
+        this.jumpFill.style.height = `${Math.max(0, Math.min(1, rise / DEFAULT_JUMP_RISE)) * 100}%`;
+
+        if (!this.step || this.step === 'done') return;
+
+        if (this.step === 'jump') {
+            this._trackJump(now, rise);
+            return;
+        }
+
+        // Keep only the unbroken run of still samples in the requested place
+        const sample = { time: now, x: mirroredX, shoulderY: normShoulderY, landmarks };
+        if (!this._isInRequestedPlace(mirroredX) || !this._isStillWith(sample)) {
+            this.samples = [];
+        }
+        this.samples.push(sample);
+
+        const holdProgress = Math.min(1, (now - this.samples[0].time) / HOLD_TIME);
+        this.holdFill.style.width = `${holdProgress * 100}%`;
+        if (holdProgress >= 1 && this.samples.length >= 5) {
+            this._recordPosition();
+        }
+    }
+
+    _getName() {
+        return this.nameInput.value.trim() || 'Player 1';
+    }
+
+    _beginStep(step) {
+        this.step = step;
+        this.samples = [];
+        this.jumpState = null;
+        this.holdFill.style.width = '0%';
+        this.laneZones.forEach(zone => zone.classList.remove('target'));
+        if (!step) return;
+
+        this.instructionText.textContent = STEPS[step];
+        const targetZone = { stand: 1, left: 0, right: 2, jump: 1 }[step];
+        if (targetZone !== undefined) {
+            this.laneZones[targetZone].classList.add('target');
+        }
+        if (step === 'stand') {
+            this.measurements = {};
+        }
+    }
+
+    _isStillWith(sample) {
+        const xs = this.samples.map(previous => previous.x).concat(sample.x);
+        const ys = this.samples.map(previous => previous.shoulderY).concat(sample.shoulderY);
+        return Math.max(...xs) - Math.min(...xs) < STILL_X_RANGE && Math.max(...ys) - Math.min(...ys) < STILL_Y_RANGE;
+    }
+
+    _isInRequestedPlace(mirroredX) {
+        const center = this.measurements.centerX;
+        if (this.step === 'left') return mirroredX < center - MIN_LANE_STEP;
+        if (this.step === 'right') return mirroredX > center + MIN_LANE_STEP;
+        return true;
+    }
+
+    _recordPosition() {
+        const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+        const x = average(this.samples.map(sample => sample.x));
+
+        if (this.step === 'stand') {
+            const withBody = this.samples.filter(sample => sample.landmarks && sample.landmarks[LEFT_HIP]);
+            this.measurements.centerX = x;
+            this.measurements.restingShoulderY = average(this.samples.map(sample => sample.shoulderY));
+            this.measurements.tilt = withBody.length > 0
+                ? average(withBody.map(sample => measureTilt(sample.landmarks[LEFT_SHOULDER], sample.landmarks[RIGHT_SHOULDER])))
+                : 0;
+            // Shoulder-to-hip distance stands in for the player's height in frame
+            this.measurements.torsoLength = withBody.length > 0
+                ? average(withBody.map(sample => {
+                    const hipY = (sample.landmarks[LEFT_HIP].y + sample.landmarks[RIGHT_HIP].y) / 2;
+                    const shoulderY = (sample.landmarks[LEFT_SHOULDER].y + sample.landmarks[RIGHT_SHOULDER].y) / 2;
+                    return hipY - shoulderY;
+                }))
+                : null;
+            this._beginStep('left');
+        } else if (this.step === 'left') {
+            this.measurements.leftX = x;
+            this._beginStep('right');
+        } else if (this.step === 'right') {
+            this.measurements.rightX = x;
+            this._beginStep('jump');
+        }
+    }
+
+    _trackJump(now, rise) {
+        if (!this.jumpState) {
+            this.jumpState = { startedAt: now, peak: 0, inAir: false };
+        }
+        const state = this.jumpState;
+        if (rise > JUMP_START_RISE) {
+            state.inAir = true;
+            state.peak = Math.max(state.peak, rise);
+        } else if (state.inAir) {
+            // Back on the ground: the jump is complete
+            const { centerX, leftX, rightX } = this.measurements;
+            const profile = PoseProfile.fromMeasurements(this._getName(), {
+                restingShoulderY: this.measurements.restingShoulderY,
+                torsoLength: this.measurements.torsoLength,
+                tilt: this.measurements.tilt,
+                laneCenters: [leftX, centerX, rightX],
+                jumpRise: state.peak
+            });
+            this._beginStep('done');
+            this._finish(profile);
+            return;
+        }
+        if (now - state.startedAt > JUMP_TIMEOUT) {
+            this.instructionText.textContent = "Didn't see a jump - try jumping a little higher!";
+            this.jumpState = null;
+        }
+    }
+
+    _finish(profile) {
+        if (!this.active) return;
+        this.active = false;
+        this.step = null;
+        this.container.classList.add('hidden');
+        const resolve = this.resolve;
+        this.resolve = null;
+        resolve(profile);
+    }
+}
@@ -0,0 +1,80 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import * as SkeletonUtils from 'three/examples/jsm/utils/SkeletonUtils.js';
+import { PLAYER_HEIGHT } from './constants.js';
+
+// Characters the player can pick on the start screen. 'sprite' characters are a flat
+// textured plane; 'gltf' characters are rigged models whose clips are looked up by name
+// (a clip set to null just isn't played, e.g. Stan has no landing clip so the jump
+// blends straight back into the run).
+export const CHARACTERS = {
+    stan: {
+        name: 'Stan',
+        type: 'gltf',
+        url: 'assets/Stan.gltf',
+        facing: Math.PI, // The model faces the camera; turn it to run down the track
+        clips: { idle: 'Idle', run: 'Run', jump: 'Jump', land: null, death: 'Death' }
+    },
+    ash: {
+        name: 'Ash',
+        type: 'sprite',
+        texture: 'assets/character-ash.png'
+    }
+};
+
+export const CHARACTER_IDS = Object.keys(CHARACTERS);
+export const DEFAULT_CHARACTER = 'stan';
+export const FALLBACK_CHARACTER = 'ash'; // Used when a model fails to load
+
+const STORAGE_KEY = 'floorIsLava.character';
+
+export function loadCharacterChoice() {
+    try {
+        const id = localStorage.getItem(STORAGE_KEY);
+        return CHARACTERS[id] ? id : DEFAULT_CHARACTER;
+    } catch (error) {
+        console.warn("Could not read the saved character:", error);
+        return DEFAULT_CHARACTER;
+    }
+}
+
+export function saveCharacterChoice(id) {
+    try {
+        localStorage.setItem(STORAGE_KEY, id);
+    } catch (error) {
+        console.warn("Could not save the character choice:", error);
+    }
+}
+
+// Each model is downloaded once and shared by every player using it
+const modelCache = new Map(); // url -> Promise<{ scene, animations, scale }>
+const gltfLoader = new GLTFLoader();
+
+function loadModel(url) {
+    if (!modelCache.has(url)) {
+        const promise = gltfLoader.loadAsync(url).then(gltf => {
+            // Scale the model to the same height as the sprite so hitboxes still look right
+            const size = new THREE.Box3().setFromObject(gltf.scene).getSize(new THREE.Vector3());
+            return { scene: gltf.scene, animations: gltf.animations, scale: size.y > 0 ? PLAYER_HEIGHT / size.y : 1 };
+        });
+        // Allow a retry if loading failed
+        promise.catch(() => modelCache.delete(url));
+        modelCache.set(url, promise);
+    }
+    return modelCache.get(url);
+}
+
+// Resolves with { model, animations } for a new copy of a glTF character. The copy has its
+// own skeleton and materials so two players can animate and be tinted separately.
+export async function createCharacterModel(character) {
+    const { scene, animations, scale } = await loadModel(character.url);
+    const model = SkeletonUtils.clone(scene);
+    model.traverse(child => {
+        if (child.material) {
+            child.material = child.material.clone();
+        }
+    });
+    model.scale.setScalar(scale);
+    model.rotation.y = character.facing || 0;
+    return { model, animations };
+}
@@ -0,0 +1,106 @@
+import * as THREE from 'three';
+
+const COIN_HEIGHT = 1.2; // Floating at waist height
+const COIN_SPIN_SPEED = 3; // Radians per second
+const COIN_GEOMETRY = new THREE.CylinderGeometry(0.45, 0.45, 0.1, 20);
+COIN_GEOMETRY.rotateX(Math.PI / 2); // Face the camera
+const COIN_MATERIAL = new THREE.MeshStandardMaterial({
+    color: 0xffd700,
+    emissive: 0xaa7700,
+    emissiveIntensity: 0.6,
+    metalness: 0.8,
+    roughness: 0.3
+});
+const GEM_GEOMETRY = new THREE.OctahedronGeometry(0.55);
+const GEM_MATERIAL = new THREE.MeshStandardMaterial({
+    color: 0x40e0ff,
+    emissive: 0x0088aa,
+    emissiveIntensity: 0.8,
+    metalness: 0.3,
+    roughness: 0.1
+});
+
+// Power-ups: a glowing shape per kind, bigger than coins so they stand out
+const POWER_UP_MATERIAL_SETTINGS = { emissiveIntensity: 0.9, metalness: 0.2, roughness: 0.3 };
+const SHIELD_GEOMETRY = new THREE.IcosahedronGeometry(0.6);
+const SHIELD_MATERIAL = new THREE.MeshStandardMaterial({ color: 0x66ffcc, emissive: 0x00aa77, ...POWER_UP_MATERIAL_SETTINGS });
+const SLOW_MO_GEOMETRY = new THREE.TorusGeometry(0.5, 0.14, 10, 24); // A clock face ring
+const SLOW_MO_MATERIAL = new THREE.MeshStandardMaterial({ color: 0xb388ff, emissive: 0x6633cc, ...POWER_UP_MATERIAL_SETTINGS });
+const MAGNET_GEOMETRY = new THREE.TorusGeometry(0.45, 0.16, 10, 20, Math.PI); // Horseshoe
+MAGNET_GEOMETRY.rotateZ(Math.PI);
+const MAGNET_MATERIAL = new THREE.MeshStandardMaterial({ color: 0xff5252, emissive: 0xaa1111, ...POWER_UP_MATERIAL_SETTINGS });
+
+const PICKUP_MESHES = {
+    coin: [COIN_GEOMETRY, COIN_MATERIAL],
+    gem: [GEM_GEOMETRY, GEM_MATERIAL],
+    shield: [SHIELD_GEOMETRY, SHIELD_MATERIAL],
+    slowMo: [SLOW_MO_GEOMETRY, SLOW_MO_MATERIAL],
+    magnet: [MAGNET_GEOMETRY, MAGNET_MATERIAL]
+};
+
+// Draws the coins, gems and power-ups owned by the core's CollectibleFields, with pooled meshes per kind
+export class CollectibleManager {
+    constructor(scene, core) {
+        this.scene = scene;
+        this.meshes = []; // Active meshes, each linked to its item via userData.item
+        this.meshesByItem = new Map();
+        this.pools = {}; // kind -> meshes for reuse
+        for (const kind of Object.keys(PICKUP_MESHES)) {
+            this.pools[kind] = [];
+        }
+        this.spin = 0;
+        core.on('collectibleSpawn', item => this._spawn(item));
+        core.on('collectibleDespawn', item => this._despawn(item));
+    }
+
+    reset() {
+        this.meshes.forEach(mesh => this._release(mesh));
+        this.meshes = [];
+        this.meshesByItem.clear();
+    }
+
+    _createMesh(kind) {
+        const pool = this.pools[kind];
+        if (pool.length > 0) {
+            const mesh = pool.pop();
+            mesh.visible = true;
+            return mesh;
+        }
+        const [geometry, material] = PICKUP_MESHES[kind];
+        return new THREE.Mesh(geometry, material);
+    }
+
+    _spawn(item) {
+        const mesh = this._createMesh(item.kind);
+        mesh.userData.item = item;
+        mesh.position.set(item.x, COIN_HEIGHT, item.z);
+        this.scene.add(mesh);
+        this.meshes.push(mesh);
+        this.meshesByItem.set(item, mesh);
+    }
+
+    _despawn(item) {
+        const mesh = this.meshesByItem.get(item);
+        if (!mesh) return;
+        this._release(mesh);
+        this.meshes.splice(this.meshes.indexOf(mesh), 1);
+        this.meshesByItem.delete(item);
+    }
+
+    _release(mesh) {
+        mesh.visible = false;
+        this.scene.remove(mesh);
+        this.pools[mesh.userData.item.kind].push(mesh);
+    }
+
+    // Places meshes between the last two simulation steps and spins them (frozen while paused)
+    render(alpha, frameTime) {
+        this.spin += frameTime * COIN_SPIN_SPEED;
+        for (const mesh of this.meshes) {
+            const item = mesh.userData.item;
+            mesh.position.x = item.previousX + (item.x - item.previousX) * alpha; // Magnets pull items sideways
+            mesh.position.z = item.previousZ + (item.z - item.previousZ) * alpha;
+            mesh.rotation.y = this.spin;
+        }
+    }
+}
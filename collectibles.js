@@ -0,0 +1,125 @@
+import { LANES, LANE_WIDTH, PLATFORM_DEPTH, GAME_AREA_LENGTH } from './constants.js';
+import { createRandom } from './lavaPatterns.js';
+import { POWER_UP_KINDS } from './powerUps.js';
+
+export const COLLECTIBLE_SPAWN_INTERVAL = 1.6; // Seconds between two coin lines (or gems)
+export const COIN_SPACING = 2.5; // Distance between coins in a line
+export const GEM_CHANCE = 0.12; // Share of spawns that are a single gem instead of a coin line
+export const POWER_UP_CHANCE = 0.06; // Share of spawns that are a power-up (shield, slow motion or magnet)
+export const MAGNET_RANGE = 30; // Distance ahead of the player from which a magnet pulls coins and gems
+const COIN_LINE_MIN = 3;
+const COIN_LINE_MAX = 6;
+const PICKUP_HALF_WIDTH = LANE_WIDTH / 2 * 0.9;
+const PICKUP_HALF_DEPTH = 0.75;
+const HAZARD_CLEARANCE = PLATFORM_DEPTH; // Keep pickups at least this far from hazards in their lane
+const SEED_SALT = 0x9e3779b9; // Pickups get their own random stream so they don't change the course
+const MAGNET_KINDS = ['coin', 'gem']; // Pickups a magnet pulls in (power-ups stay in their lane)
+
+// Coins, gems and power-ups on one player's track. Like hazards they are plain objects
+// ({ id, kind, lane, x, z, previousX, previousZ }) moved towards the player, spawned in lanes
+// that are free of hazards so every pickup can be reached. Options: onSpawn / onDespawn
+// callbacks and trackOffsetX, as for LavaField.
+export class CollectibleField {
+    constructor(seed, options = {}) {
+        this.onSpawn = options.onSpawn || (() => {});
+        this.onDespawn = options.onDespawn || (() => {});
+        this.trackOffsetX = options.trackOffsetX || 0;
+        this.items = [];
+        this.reset(seed);
+    }
+
+    reset(seed) {
+        for (const item of this.items) {
+            this.onDespawn(item);
+        }
+        this.items = [];
+        this.nextItemId = 1;
+        this.random = createRandom((seed ^ SEED_SALT) >>> 0);
+        this.spawnTimer = 0;
+    }
+
+    // lavaField: the hazards on the same track, so pickups aren't placed inside them.
+    // magnetX: the player's x while they have a magnet (null otherwise)
+    update(deltaTime, playerZ, currentSpeed, lavaField, magnetX = null) {
+        this.spawnTimer += deltaTime;
+        if (this.spawnTimer >= COLLECTIBLE_SPAWN_INTERVAL) {
+            this.spawnTimer -= COLLECTIBLE_SPAWN_INTERVAL;
+            this._spawnGroup(playerZ - GAME_AREA_LENGTH * 0.9, lavaField);
+        }
+
+        for (let i = this.items.length - 1; i >= 0; i--) {
+            const item = this.items[i];
+            item.previousX = item.x;
+            item.previousZ = item.z;
+            item.z += currentSpeed * deltaTime;
+            if (magnetX !== null && MAGNET_KINDS.includes(item.kind)) {
+                this._attract(item, magnetX, playerZ - item.z, currentSpeed * deltaTime);
+            }
+            if (item.z > playerZ + PLATFORM_DEPTH * 2) {
+                this.items.splice(i, 1);
+                this.onDespawn(item);
+            }
+        }
+    }
+
+    // Slides coins and gems sideways so they line up with the player by the time they arrive
+    _attract(item, targetX, distance, step) {
+        if (distance > MAGNET_RANGE || distance <= 0) return;
+        item.x += (targetX - item.x) * Math.min(1, step / distance);
+    }
+
+    _spawnGroup(spawnZ, lavaField) {
+        const roll = this.random();
+        let kind = 'coin';
+        if (roll < POWER_UP_CHANCE) {
+            kind = POWER_UP_KINDS[Math.floor(this.random() * POWER_UP_KINDS.length)];
+        } else if (roll < POWER_UP_CHANCE + GEM_CHANCE) {
+            kind = 'gem';
+        }
+        const count = kind !== 'coin' ? 1 : COIN_LINE_MIN + Math.floor(this.random() * (COIN_LINE_MAX - COIN_LINE_MIN + 1));
+        // Lines run towards the player from the spawn point, where hazards have already been placed
+        const nearestZ = spawnZ + (count - 1) * COIN_SPACING;
+        const startLane = Math.floor(this.random() * LANES.length);
+        for (let i = 0; i < LANES.length; i++) {
+            const lane = (startLane + i) % LANES.length;
+            if (this._isLaneClear(lane, spawnZ, nearestZ, lavaField)) {
+                for (let j = 0; j < count; j++) {
+                    this._addItem(kind, lane, spawnZ + j * COIN_SPACING);
+                }
+                return;
+            }
+        }
+        // Every lane has a hazard in the way: skip this spawn
+    }
+
+    _isLaneClear(lane, fromZ, toZ, lavaField) {
+        const x = LANES[lane] + this.trackOffsetX;
+        // Sliding lava is checked against the lane it ends up in
+        return !lavaField.lavaHazards.some(hazard => Math.abs((hazard.toX ?? hazard.x) - x) < LANE_WIDTH
+            && hazard.z >= fromZ - HAZARD_CLEARANCE && hazard.z <= toZ + HAZARD_CLEARANCE);
+    }
+
+    _addItem(kind, lane, z) {
+        const x = LANES[lane] + this.trackOffsetX;
+        const item = { id: this.nextItemId++, kind, lane, x, z, previousX: x, previousZ: z };
+        this.items.push(item);
+        this.onSpawn(item);
+    }
+
+    // Removes and returns the pickups the player touched this step (swept like hazards)
+    collect(player) {
+        const collected = [];
+        for (let i = this.items.length - 1; i >= 0; i--) {
+            const item = this.items[i];
+            if (Math.abs(player.position.x - item.x) >= PICKUP_HALF_WIDTH) continue;
+            const startZ = Math.min(item.previousZ, item.z) - PICKUP_HALF_DEPTH;
+            const endZ = Math.max(item.previousZ, item.z) + PICKUP_HALF_DEPTH;
+            if (player.position.z >= startZ && player.position.z <= endZ) {
+                this.items.splice(i, 1);
+                this.onDespawn(item);
+                collected.push(item);
+            }
+        }
+        return collected.reverse(); // Oldest first
+    }
+}
@@ -4,11 +4,97 @@ export var LANES = [
     0,
     LANE_WIDTH
 ]; // X coordinates for left, center, right lanes
+export var TRACK_SPACING = LANE_WIDTH * 3 + 1.5; // Distance between track centers when each player has their own track
+export var MAX_PLAYERS = 2;
 export var PLATFORM_DEPTH = 2.0;
 export var PLATFORM_HEIGHT = 0.2;
 export var PLAYER_START_Z = 2; // Player starts slightly in front of the camera
+export var PLAYER_HEIGHT = 3.5; // Height of the player sprite plane
+export var PLAYER_WIDTH = 2.5; // Width of the player sprite plane
 export var PLAYER_LANE_CHANGE_COOLDOWN = 1.0; // Seconds before another lane change is allowed
+export var PLAYER_JUMP_DURATION = 1.2; // Seconds from take-off to landing
+export var PLAYER_JUMP_HEIGHT = 2.8; // Height of the jump apex above the ground
+export var JUMP_CLEARANCE_HEIGHT = 0.3; // Player Y must be above this relative to ground to clear lava
+export var PLAYER_DUCK_DURATION = 0.8; // Seconds the player stays ducked
+export var PLAYER_DUCK_SCALE = 0.5; // Share of the player's height left while ducking
+export var SUPER_JUMP_HEIGHT_MULTIPLIER = 1.5; // Super jumps go this much higher...
+export var SUPER_JUMP_DURATION_MULTIPLIER = 1.3; // ...and stay airborne this much longer
+export var SUPER_JUMP_RECHARGE = 10.0; // Seconds before another super jump is available
+export var OVERHEAD_HAZARD_HEIGHT = 2.8; // Height of overhead fire bars above the ground; only a ducking player fits under
+export var FIREBALL_HEIGHT = 2.5; // Height of floating fireballs above the ground; a standing player passes under, a jumping one doesn't
+export var GEYSER_PERIOD = 2.4; // Seconds between the starts of two geyser eruptions
+export var GEYSER_ERUPTION_TIME = 1.0; // Seconds each eruption lasts
+export var SLIDE_TRAVEL_DISTANCE = 45; // Distance sliding lava covers while crossing lanes (it settles well before the player)
+export var NEAR_MISS_HEIGHT = 1.2; // Clearing floor lava by less than this (above the clearance height) is a near miss
+export var NEAR_MISS_TIME = 0.35; // Leaving a lane less than this many seconds before lava arrives in it is a near miss
 export var INITIAL_GAME_SPEED = 7.0; // Starting speed
 export var MAX_GAME_SPEED = 50.0; // Maximum speed cap
 export var GAME_SPEED_INCREASE_RATE = 0.35; // Speed increases by this amount per second
-export var GAME_AREA_LENGTH = 75; // How far ahead obstacles are generated
\ No newline at end of file
+export var GAME_AREA_LENGTH = 75; // How far ahead obstacles are generated
+export var FIXED_TIMESTEP = 1 / 60; // Seconds simulated per tick, independent of the display refresh rate
+export var MAX_FRAME_TIME = 0.25; // Longest frame the simulation will catch up on (e.g. after a hitch)
+
+// --- Live tuning (the dev overlay) ---
+// Modules that import a constant see a new value straight away (imports are live bindings),
+// as long as they read it when they use it. Ones read once at startup (lane positions, mesh
+// sizes, view heights) aren't tunable. Replays assume the defaults, so the core doesn't record
+// a run once a constant differs from its default, and won't play replays back until they match.
+// Each has a minimum above zero, since a zero duration, height or recharge time divides by zero.
+const TUNABLE = {
+    PLAYER_LANE_CHANGE_COOLDOWN: { min: 0.1, set: value => { PLAYER_LANE_CHANGE_COOLDOWN = value; } },
+    PLAYER_JUMP_DURATION: { min: 0.3, set: value => { PLAYER_JUMP_DURATION = value; } },
+    PLAYER_JUMP_HEIGHT: { min: 1.0, set: value => { PLAYER_JUMP_HEIGHT = value; } },
+    JUMP_CLEARANCE_HEIGHT: { min: 0.05, set: value => { JUMP_CLEARANCE_HEIGHT = value; } },
+    PLAYER_DUCK_DURATION: { min: 0.1, set: value => { PLAYER_DUCK_DURATION = value; } },
+    PLAYER_DUCK_SCALE: { min: 0.1, set: value => { PLAYER_DUCK_SCALE = value; } },
+    SUPER_JUMP_HEIGHT_MULTIPLIER: { min: 0.5, set: value => { SUPER_JUMP_HEIGHT_MULTIPLIER = value; } },
+    SUPER_JUMP_DURATION_MULTIPLIER: { min: 0.5, set: value => { SUPER_JUMP_DURATION_MULTIPLIER = value; } },
+    SUPER_JUMP_RECHARGE: { min: 1.0, set: value => { SUPER_JUMP_RECHARGE = value; } },
+    GEYSER_PERIOD: { min: 0.5, set: value => { GEYSER_PERIOD = value; } },
+    GEYSER_ERUPTION_TIME: { min: 0.1, set: value => { GEYSER_ERUPTION_TIME = value; } },
+    SLIDE_TRAVEL_DISTANCE: { min: 1, set: value => { SLIDE_TRAVEL_DISTANCE = value; } },
+    NEAR_MISS_HEIGHT: { min: 0.05, set: value => { NEAR_MISS_HEIGHT = value; } },
+    NEAR_MISS_TIME: { min: 0.05, set: value => { NEAR_MISS_TIME = value; } },
+    INITIAL_GAME_SPEED: { min: 1, set: value => { INITIAL_GAME_SPEED = value; } },
+    MAX_GAME_SPEED: { min: 1, set: value => { MAX_GAME_SPEED = value; } },
+    GAME_SPEED_INCREASE_RATE: { min: 0.01, set: value => { GAME_SPEED_INCREASE_RATE = value; } }
+};
+export const TUNABLE_CONSTANTS = Object.keys(TUNABLE);
+// Values before any tuning; currentValues follows setConstant()
+const DEFAULT_VALUES = {
+    PLAYER_LANE_CHANGE_COOLDOWN, PLAYER_JUMP_DURATION, PLAYER_JUMP_HEIGHT, JUMP_CLEARANCE_HEIGHT,
+    PLAYER_DUCK_DURATION, PLAYER_DUCK_SCALE, SUPER_JUMP_HEIGHT_MULTIPLIER, SUPER_JUMP_DURATION_MULTIPLIER,
+    SUPER_JUMP_RECHARGE, GEYSER_PERIOD, GEYSER_ERUPTION_TIME, SLIDE_TRAVEL_DISTANCE, NEAR_MISS_HEIGHT,
+    NEAR_MISS_TIME, INITIAL_GAME_SPEED, MAX_GAME_SPEED, GAME_SPEED_INCREASE_RATE
+};
+const currentValues = { ...DEFAULT_VALUES };
+
+function getTunable(name) {
+    const tunable = TUNABLE[name];
+    if (!tunable) {
+        throw new Error(`${name} can't be tuned live.`);
+    }
+    return tunable;
+}
+
+export function getConstantMinimum(name) {
+    return getTunable(name).min;
+}
+
+export function setConstant(name, value) {
+    const tunable = getTunable(name);
+    if (!(value >= tunable.min)) {
+        throw new Error(`${name} can't go below ${tunable.min}, got ${value}.`);
+    }
+    tunable.set(value);
+    currentValues[name] = value;
+}
+
+export function getConstantDefault(name) {
+    getTunable(name);
+    return DEFAULT_VALUES[name];
+}
+
+export function hasTunedConstants() {
+    return TUNABLE_CONSTANTS.some(name => currentValues[name] !== DEFAULT_VALUES[name]);
+}
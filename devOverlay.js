@@ -0,0 +1,252 @@
+import * as constants from './constants.js';
+import { TUNABLE_CONSTANTS, setConstant, getConstantMinimum, getConstantDefault } from './constants.js';
+import { createPoseSourceFromFile } from './poseSources.js';
+
+const REFRESH_INTERVAL = 250; // ms
+const SLIDER_RANGE = 3; // Sliders go from the constant's minimum to this many times the default
+const SLIDER_STEPS = 100;
+
+// Bones drawn over the preview, as pairs of MediaPipe landmark indices
+const SKELETON = [
+    [11, 12], [11, 13], [13, 15], [12, 14], [14, 16], // Shoulders and arms
+    [11, 23], [12, 24], [23, 24], // Torso
+    [23, 25], [25, 27], [24, 26], [26, 28] // Legs
+];
+const SKELETON_COLORS = ['#7CFC00', '#00BFFF']; // Per player
+
+// Developer panel: frame and pose timings, the speed and spawn rate, pool usage, sliders for
+// the tunable constants, and (on request) the collision boxes in the scene and the detected
+// skeleton over the camera preview. Poses can be recorded to a file here, and a recording or a
+// video file played in place of the camera (handed to playPoseSource).
+export class DevOverlay {
+    constructor(parentElement, videoContainer, getGame, getPoseTracker, playPoseSource) {
+        this.getGame = getGame;
+        this.getPoseTracker = getPoseTracker;
+        this.playPoseSource = playPoseSource;
+        this.sliders = {}; // name -> { input, valueText }
+        this.refreshTimer = null;
+        this.lastPoseTimestamp = null;
+
+        this.container = document.createElement('div');
+        this.container.className = 'dev-overlay hidden';
+        parentElement.appendChild(this.container);
+
+        this.statsText = document.createElement('div');
+        this.statsText.className = 'dev-overlay-stats';
+        this.container.appendChild(this.statsText);
+
+        const hitboxRow = document.createElement('label');
+        hitboxRow.className = 'settings-row';
+        const hitboxText = document.createElement('span');
+        hitboxText.className = 'settings-label';
+        hitboxText.textContent = 'Show hitboxes';
+        this.hitboxInput = document.createElement('input');
+        this.hitboxInput.type = 'checkbox';
+        this.hitboxInput.addEventListener('change', () => this._applyHitboxes());
+        hitboxRow.appendChild(hitboxText);
+        hitboxRow.appendChild(this.hitboxInput);
+        this.container.appendChild(hitboxRow);
+
+        const warning = document.createElement('p');
+        warning.className = 'input-settings-hint settings-hint';
+        warning.textContent = 'Runs with tuned constants aren\'t recorded, and replays won\'t play until the constants are reset.';
+        this.container.appendChild(warning);
+
+        for (const name of TUNABLE_CONSTANTS) {
+            this._addSlider(name);
+        }
+
+        const buttonRow = document.createElement('div');
+        buttonRow.className = 'calibration-buttons';
+        this.container.appendChild(buttonRow);
+        const addButton = (text, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.className = 'game-button calibration-button';
+            button.addEventListener('click', onClick);
+            buttonRow.appendChild(button);
+            return button;
+        };
+        addButton('Reset Constants', () => this.resetConstants());
+        this.recordButton = addButton('Record Poses', () => this._toggleRecording());
+        addButton('Play Pose File', () => {
+            this.poseFileInput.value = '';
+            this.poseFileInput.click();
+        });
+
+        this.poseFileInput = document.createElement('input');
+        this.poseFileInput.type = 'file';
+        this.poseFileInput.accept = 'video/*,application/json,.json';
+        this.poseFileInput.className = 'hidden';
+        this.poseFileInput.addEventListener('change', () => this._playPoseFile());
+        this.container.appendChild(this.poseFileInput);
+
+        this.statusText = document.createElement('p');
+        this.statusText.className = 'input-settings-hint settings-hint';
+        this.container.appendChild(this.statusText);
+
+        // Drawn in the preview's unmirrored image space, then flipped like the preview
+        this.skeletonCanvas = document.createElement('canvas');
+        this.skeletonCanvas.className = 'pose-skeleton hidden';
+        this.skeletonCanvas.width = 320;
+        this.skeletonCanvas.height = 240;
+        videoContainer.appendChild(this.skeletonCanvas);
+    }
+
+    _addSlider(name) {
+        const row = document.createElement('label');
+        row.className = 'settings-row dev-overlay-row';
+        this.container.appendChild(row);
+
+        const labelText = document.createElement('span');
+        labelText.className = 'settings-label';
+        labelText.textContent = name;
+        row.appendChild(labelText);
+
+        const min = getConstantMinimum(name);
+        const max = (getConstantDefault(name) || 1) * SLIDER_RANGE;
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = String(min);
+        input.max = String(max);
+        input.step = String((max - min) / SLIDER_STEPS);
+        const valueText = document.createElement('span');
+        valueText.className = 'settings-value';
+        input.addEventListener('input', () => {
+            setConstant(name, Number(input.value));
+            valueText.textContent = formatNumber(constants[name]);
+        });
+        // Let the arrow keys go back to steering
+        input.addEventListener('change', () => input.blur());
+        row.appendChild(input);
+        row.appendChild(valueText);
+        this.sliders[name] = { input, valueText };
+    }
+
+    // Stopping downloads what was recorded, in the format LandmarkRecordingSource plays
+    _toggleRecording() {
+        const tracker = this.getPoseTracker();
+        if (!tracker) {
+            this.statusText.textContent = 'No pose tracker to record from.';
+            return;
+        }
+        if (!tracker.isRecording()) {
+            tracker.startRecording();
+            this.recordButton.textContent = 'Stop Recording';
+            this.statusText.textContent = 'Recording poses...';
+            return;
+        }
+        const recording = tracker.stopRecording();
+        this.recordButton.textContent = 'Record Poses';
+        this.statusText.textContent = `Recorded ${recording.frames.length} frames.`;
+        const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `lava-poses-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async _playPoseFile() {
+        const file = this.poseFileInput.files[0];
+        if (!file) return;
+        try {
+            await this.playPoseSource(await createPoseSourceFromFile(file));
+            this.statusText.textContent = `Playing ${file.name}.`;
+        } catch (error) {
+            console.error("Could not play pose file:", error);
+            this.statusText.textContent = `Error: ${error.message}`;
+        }
+    }
+
+    resetConstants() {
+        for (const name of TUNABLE_CONSTANTS) {
+            setConstant(name, getConstantDefault(name));
+        }
+        this._refreshSliders();
+    }
+
+    open() {
+        this.container.classList.remove('hidden');
+        this.skeletonCanvas.classList.remove('hidden');
+        this._refreshSliders();
+        this._refresh();
+        this._applyHitboxes();
+        this.refreshTimer = setInterval(() => this._refresh(), REFRESH_INTERVAL);
+    }
+
+    close() {
+        this.container.classList.add('hidden');
+        this.skeletonCanvas.classList.add('hidden');
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+        this._applyHitboxes();
+    }
+
+    isOpen() {
+        return !this.container.classList.contains('hidden');
+    }
+
+    // Called with every detected pose; poses from the same frame share a timestamp
+    drawPose(landmarks, playerIndex, timestamp) {
+        if (!this.isOpen()) return;
+        const context = this.skeletonCanvas.getContext('2d');
+        const { width, height } = this.skeletonCanvas;
+        if (timestamp !== this.lastPoseTimestamp) {
+            context.clearRect(0, 0, width, height);
+            this.lastPoseTimestamp = timestamp;
+        }
+        const color = SKELETON_COLORS[playerIndex % SKELETON_COLORS.length];
+        context.strokeStyle = color;
+        context.fillStyle = color;
+        context.lineWidth = 2;
+        context.beginPath();
+        for (const [from, to] of SKELETON) {
+            context.moveTo(landmarks[from].x * width, landmarks[from].y * height);
+            context.lineTo(landmarks[to].x * width, landmarks[to].y * height);
+        }
+        context.stroke();
+        for (const [from, to] of SKELETON) {
+            for (const point of [landmarks[from], landmarks[to]]) {
+                context.fillRect(point.x * width - 2, point.y * height - 2, 4, 4);
+            }
+        }
+    }
+
+    // The game is created lazily, so hitboxes are switched on whenever it's around to take them
+    _applyHitboxes() {
+        const game = this.getGame();
+        if (game) game.setShowHitboxes(this.isOpen() && this.hitboxInput.checked);
+    }
+
+    _refreshSliders() {
+        for (const name of TUNABLE_CONSTANTS) {
+            const { input, valueText } = this.sliders[name];
+            input.value = String(constants[name]);
+            valueText.textContent = formatNumber(constants[name]);
+        }
+    }
+
+    _refresh() {
+        const game = this.getGame();
+        const tracker = this.getPoseTracker();
+        const lines = [];
+        if (game) {
+            this._applyHitboxes();
+            const stats = game.getDebugStats();
+            lines.push(`FPS: ${Math.round(stats.fps)} (${stats.qualityLevel} quality)`);
+            lines.push(`Speed: ${formatNumber(stats.currentSpeed)}  Spawn interval: ${formatNumber(stats.spawnInterval)} s`);
+            lines.push(`Hazard objects: ${stats.activeObjects} active, ${stats.pooledObjects} pooled`);
+            lines.push(`Ember emitters: ${stats.activeEmitters} active, ${stats.freeEmitters} free`);
+        } else {
+            lines.push('No game yet');
+        }
+        lines.push(tracker ? `Pose inference: ${Math.round(tracker.getInferenceTime())} ms` : 'No camera');
+        this.statsText.textContent = lines.join('\n');
+    }
+}
+
+function formatNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
@@ -0,0 +1,36 @@
+import { PLAYER_LANE_CHANGE_COOLDOWN, INITIAL_GAME_SPEED, GAME_SPEED_INCREASE_RATE, MAX_GAME_SPEED } from './constants.js';
+
+// Difficulty presets: the parts of the rules players can choose between. They change the
+// simulation, so the core only takes a new preset when a run starts, and replays record it
+// by name. Levels keep their own speed profile; only the lane change cooldown applies to them.
+//   laneChangeCooldown   seconds before another lane change (the course generator plans around it)
+//   initialSpeed, speedIncreaseRate, maxSpeed   the endless course's speed ramp
+
+export const DIFFICULTIES = {
+    easy: { name: 'Easy', laneChangeCooldown: 0.7, initialSpeed: 6, speedIncreaseRate: 0.25, maxSpeed: 35 },
+    // Read through getters so constants tuned in the dev overlay apply from the next run
+    normal: {
+        name: 'Normal',
+        get laneChangeCooldown() { return PLAYER_LANE_CHANGE_COOLDOWN; },
+        get initialSpeed() { return INITIAL_GAME_SPEED; },
+        get speedIncreaseRate() { return GAME_SPEED_INCREASE_RATE; },
+        get maxSpeed() { return MAX_GAME_SPEED; }
+    },
+    hard: {
+        name: 'Hard',
+        laneChangeCooldown: 1.0,
+        initialSpeed: 9,
+        speedIncreaseRate: 0.5,
+        get maxSpeed() { return MAX_GAME_SPEED; } // Shares the tunable cap with normal
+    }
+};
+export const DIFFICULTY_NAMES = Object.keys(DIFFICULTIES);
+export const DEFAULT_DIFFICULTY = 'normal';
+
+export function getDifficulty(name) {
+    const difficulty = DIFFICULTIES[name];
+    if (!difficulty) {
+        throw new Error(`Unknown difficulty: ${name} (expected one of ${DIFFICULTY_NAMES.join(', ')}).`);
+    }
+    return difficulty;
+}
@@ -0,0 +1,31 @@
+// Minimal event emitter used by the game core so views can subscribe without the core
+// knowing anything about Three.js or the DOM.
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    // Returns a function that removes the listener again
+    on(eventName, listener) {
+        if (!this.listeners.has(eventName)) {
+            this.listeners.set(eventName, new Set());
+        }
+        this.listeners.get(eventName).add(listener);
+        return () => this.off(eventName, listener);
+    }
+
+    off(eventName, listener) {
+        const listeners = this.listeners.get(eventName);
+        if (listeners) {
+            listeners.delete(listener);
+        }
+    }
+
+    emit(eventName, payload) {
+        const listeners = this.listeners.get(eventName);
+        if (!listeners) return;
+        for (const listener of [...listeners]) {
+            listener(payload);
+        }
+    }
+}
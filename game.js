@@ -3,64 +3,138 @@ import { SceneSetup } from './sceneSetup.js';
 import { Player } from './player.js';
 // Removed PlatformManager import
 import { LavaManager } from './lavaManager.js'; // Import LavaManager
-import { LANES, LANE_WIDTH, INITIAL_GAME_SPEED, MAX_GAME_SPEED, GAME_SPEED_INCREASE_RATE } from './constants.js'; // Import speed constants
+import { CollectibleManager } from './collectibleManager.js';
+import { GameCore, assertReplayCompatible, getTrackOffsets } from './gameCore.js';
+import { createRandomSeed } from './lavaPatterns.js';
+import { LANES } from './constants.js';
+import { DEFAULT_CHARACTER } from './characters.js';
+import { QUALITY_TIERS, AUTO_QUALITY, PerformanceGovernor } from './graphicsQuality.js';
+import { HitboxHelper } from './hitboxHelper.js';
+import { setObstacleHighContrast } from './obstacleViews.js';
 
+const DEATH_ANIMATION_TIME = 2; // Seconds the scene keeps animating after the run ends
+const DEFAULT_CAMERA_FOLLOW_SPEED = 0.4; // Fraction of the gap to the player's lane closed per 60 Hz frame
+const FPS_WINDOW = 0.5; // Seconds of frames counted per FPS reading
+
+// Three.js front end for GameCore: owns the render loop and the clock, feeds real time
+// into the core and draws whatever state it is in.
 export class Game {
-    constructor(renderDiv, updateScoreCallback, showGameOverCallback) {
+    constructor(renderDiv, updateScoreCallback, showGameOverCallback, showBonusCallback = () => {}, showPowerUpCallback = () => {}) {
         this.renderDiv = renderDiv;
         this.updateScoreCallback = updateScoreCallback; // Store the score callback
         this.showGameOverCallback = showGameOverCallback; // Store the game over callback
+        this.showBonusCallback = showBonusCallback; // Pickups and near misses, for HUD pop-ups
+        this.showPowerUpCallback = showPowerUpCallback; // Power-ups starting and shields breaking, also for pop-ups
         this.sceneSetup = new SceneSetup(renderDiv);
+        this.qualityLevel = 'high'; // Tier in use (see graphicsQuality.js); SceneSetup starts on it
+        this.governor = null; // Picks the tier while the graphics quality is 'auto'
         this.scene = this.sceneSetup.scene;
         this.camera = this.sceneSetup.camera;
-        this.renderer = this.sceneSetup.renderer;
-        this.player = new Player();
-        this.scene.add(this.player.mesh);
+        this.core = new GameCore();
+        this.players = []; // One Player view per player in the core
+        this.characterId = DEFAULT_CHARACTER;
+        this.reducedMotion = false; // Passed on to the Player views
+        this._syncPlayerViews();
         // Removed PlatformManager instantiation
-        this.lavaManager = new LavaManager(this.scene); // Instantiate LavaManager
+        this.lavaManager = new LavaManager(this.scene, this.core); // Instantiate LavaManager
+        this.collectibleManager = new CollectibleManager(this.scene, this.core);
         this.clock = new THREE.Clock();
-        this.running = false;
-        this.gameOver = false;
-        this.score = 0; // Add score property
-        this.currentSpeed = INITIAL_GAME_SPEED; // Add current speed state
         this.animationId = null; // Track animation frame ID
+        this.cameraFollowSpeed = DEFAULT_CAMERA_FOLLOW_SPEED;
+        this.hitboxHelper = null; // Collision boxes, while the dev overlay asks for them
+        this.fps = 0;
+        this.fpsFrames = 0;
+        this.fpsTime = 0;
         this._update = this._update.bind(this);
+
+        this.core.on('start', () => {
+            this._syncPlayerViews();
+            this.sceneSetup.setTheme(this.core.level ? this.core.level.theme : undefined);
+        });
+        this.core.on('scores', scores => this.updateScoreCallback(Math.floor(this.core.score), scores.map(Math.floor)));
+        this.core.on('bonus', bonus => this.showBonusCallback(bonus));
+        this.core.on('powerUp', event => this.showPowerUpCallback(event));
+        this.core.on('shieldBreak', ({ player }) => this.showPowerUpCallback({ player, kind: 'shield', broken: true }));
+        this.core.on('gameOver', result => this._onGameOver(result));
+
         window.addEventListener('resize', this._onWindowResize.bind(this), false);
     }
 
-    start() {
-        console.log("Game starting...");
-        
+    // Replaced when the graphics quality changes antialiasing
+    get renderer() {
+        return this.sceneSetup.renderer;
+    }
+
+    get seed() {
+        return this.core.seed;
+    }
+
+    get score() {
+        return this.core.score;
+    }
+
+    get currentSpeed() {
+        return this.core.currentSpeed;
+    }
+
+    get playerCount() {
+        return this.core.getPlayerCount();
+    }
+
+    start(seed = createRandomSeed(), playerCount = 1) {
+        console.log("Game starting...", playerCount, "player(s)");
+        this._startLoop(() => this.core.start(seed, playerCount));
+    }
+
+    // Plays a parsed level (see levels.js) instead of the endless course
+    startLevel(level, playerCount = 1) {
+        console.log("Level starting:", level.name);
+        this._startLoop(() => this.core.startLevel(level, playerCount));
+    }
+
+    // Plays a recorded run back through the same simulation; live inputs are ignored
+    startReplay(replayPlayer) {
+        console.log("Replay starting...");
+        // Validate up front so a bad file is reported before the current run is torn down
+        assertReplayCompatible(replayPlayer);
+        this._startLoop(() => this.core.startReplay(replayPlayer));
+    }
+
+    isReplaying() {
+        return this.core.isReplaying();
+    }
+
+    getLastReplay() {
+        return this.core.getLastReplay();
+    }
+
+    _startLoop(beginRun) {
         // FORCE STOP any existing game loop first
         this._stopGameLoop();
-        
+
         // Wait a frame to ensure any pending updates complete
         requestAnimationFrame(() => {
-            // Reset all game state completely
+            // Reset all views, then let the core start the run (it emits the reset score)
             this._resetGameState();
-            
-            // Update display with reset score
-            this.updateScoreCallback(this.score);
-            
+            beginRun();
+            this.players.forEach(player => player.reset());
+
             // Start the game loop
-            this.running = true;
-            this.gameOver = false;
             this.clock.start(); // Restart the clock
             this._update();
-            
-            console.log("Game loop started with ID:", this.animationId);
+
+            console.log("Game loop started with ID:", this.animationId, "Seed:", this.core.seed);
         });
     }
 
     stop() {
         console.log("Game stopping...");
         this._stopGameLoop();
-        this.gameOver = true;
+        this.core.stop();
         // Preserve current speed and score for game over display
     }
 
     _stopGameLoop() {
-        this.running = false;
         if (this.animationId) {
             cancelAnimationFrame(this.animationId);
             this.animationId = null;
@@ -69,81 +143,254 @@ export class Game {
     }
 
     _resetGameState() {
-        // Reset all game variables to initial state
-        this.score = 0;
-        this.currentSpeed = INITIAL_GAME_SPEED;
-        this.running = false; // Will be set to true after reset
-        this.gameOver = false;
-        
         // Reset all game components
         this.lavaManager.reset();
-        this.player.reset();
+        this.collectibleManager.reset();
         this.sceneSetup.resetAppearance();
         this.sceneSetup.resetCamera();
-        
+
         // Reset the clock
         this.clock.stop();
         this.clock = new THREE.Clock(); // Create a fresh clock
-        
-        console.log("Game state reset - Score:", this.score, "Speed:", this.currentSpeed);
     }
 
     isRunning() {
-        return this.running && !this.gameOver;
+        return this.core.isRunning();
+    }
+
+    pause() {
+        if (this.core.pause()) {
+            console.log("Game paused at tick", this.core.tick);
+        }
+    }
+
+    resume() {
+        // Throw away the time spent paused so it isn't simulated in the next frame
+        this.clock.getDelta();
+        if (this.core.resume()) {
+            console.log("Game resumed");
+        }
+    }
+
+    isPaused() {
+        return this.core.isPaused();
+    }
+
+    isPlayerAlive(playerIndex) {
+        return this.core.isPlayerAlive(playerIndex);
+    }
+
+    // Character used by the player views from the next run on
+    setCharacter(characterId) {
+        this.characterId = characterId;
+    }
+
+    getPlayer(playerIndex = 0) {
+        return this.core.players[playerIndex];
+    }
+
+    getScoreDetails(playerIndex = 0) {
+        return this.core.getScoreDetails(playerIndex);
+    }
+
+    canUsePowerUp(playerIndex = 0) {
+        return this.core.canUsePowerUp(playerIndex);
+    }
+
+    getPowerUps(playerIndex = 0) {
+        return this.core.getPowerUps(playerIndex);
+    }
+
+    getLevel() {
+        return this.core.level;
+    }
+
+    getLevelProgress(playerIndex = 0) {
+        return this.core.getLevelProgress(playerIndex);
+    }
+
+    // --- Settings ---
+    // Applied straight away, except the difficulty, which the core takes when the next run starts
+
+    setDifficulty(name) {
+        this.core.setDifficulty(name);
+    }
+
+    getDifficulty() {
+        return this.core.difficulty;
+    }
+
+    setCameraFollowSpeed(speed) {
+        this.cameraFollowSpeed = speed;
+    }
+
+    // Keeps the camera still over the middle of the track and calms the player's animation
+    setReducedMotion(reducedMotion) {
+        this.reducedMotion = reducedMotion;
+        this.players.forEach(player => player.setReducedMotion(reducedMotion));
+    }
+
+    // Flat, bright hazards and white lane lines on a dark floor
+    setHighContrast(highContrast) {
+        this.sceneSetup.setHighContrast(highContrast);
+        setObstacleHighContrast(highContrast);
+    }
+
+    // A tier from QUALITY_TIERS, or 'auto' to let a PerformanceGovernor step between them
+    setGraphicsQuality(quality) {
+        if (quality === AUTO_QUALITY) {
+            if (!this.governor) {
+                this.governor = new PerformanceGovernor(level => this._applyQualityLevel(level), this.qualityLevel);
+            }
+            return;
+        }
+        if (!QUALITY_TIERS[quality]) {
+            throw new Error(`Unknown graphics quality: ${quality}`);
+        }
+        this.governor = null;
+        this._applyQualityLevel(quality);
+    }
+
+    getQualityLevel() {
+        return this.qualityLevel;
+    }
+
+    // Pose detection competes with rendering for the GPU, so the governor watches it too
+    recordPoseInferenceTime(ms) {
+        if (this.governor) this.governor.recordPoseInference(ms);
+    }
+
+    _applyQualityLevel(level) {
+        const tier = QUALITY_TIERS[level];
+        this.qualityLevel = level;
+        this.sceneSetup.setQuality(tier);
+        this.lavaManager.particleManager.setParticleCount(tier.particleCount);
+        this.players.forEach(player => player.setCastShadow(tier.shadows));
+    }
+
+    // --- Debugging ---
+
+    setShowHitboxes(show) {
+        if (show && !this.hitboxHelper) {
+            this.hitboxHelper = new HitboxHelper(this.scene);
+            this.hitboxHelper.update(this.core);
+        } else if (!show && this.hitboxHelper) {
+            this.hitboxHelper.dispose();
+            this.hitboxHelper = null;
+        }
+    }
+
+    // Numbers for the dev overlay
+    getDebugStats() {
+        const lavaField = this.core.lavaField;
+        const particleManager = this.lavaManager.particleManager;
+        let pooledObjects = 0;
+        this.lavaManager.pools.forEach(pool => {
+            pooledObjects += pool.length;
+        });
+        return {
+            fps: this.fps,
+            qualityLevel: this.qualityLevel,
+            currentSpeed: this.core.currentSpeed,
+            spawnInterval: lavaField.spawnInterval,
+            activeObjects: this.lavaManager.lavaHazards.length,
+            pooledObjects,
+            activeEmitters: particleManager.particleSystems.length,
+            freeEmitters: particleManager.freeSlots.length
+        };
+    }
+
+    // Matches the Player views and tracks to the number of players in the core's run
+    _syncPlayerViews() {
+        const physicsList = this.core.players;
+        if (this.players.length === physicsList.length
+            && this.players.every((view, index) => view.physics === physicsList[index] && view.characterId === this.characterId)) {
+            return;
+        }
+        this.players.forEach(view => {
+            view.dispose();
+            this.scene.remove(view.mesh);
+        });
+        this.players = physicsList.map((physics, index) => {
+            const view = new Player(physics, this.core, index, this.characterId);
+            view.setCastShadow(QUALITY_TIERS[this.qualityLevel].shadows);
+            view.setReducedMotion(this.reducedMotion);
+            this.scene.add(view.mesh);
+            return view;
+        });
+        this.player = this.players[0];
+        this.sceneSetup.setTracks(getTrackOffsets(physicsList.length));
+        this.sceneSetup.resetCamera();
+    }
+
+    // --- Inputs ---
+    // Forwarded to the core, which records them and applies them on the next tick
+
+    setTargetLane(laneIndex, playerIndex = 0, options) {
+        this.core.setTargetLane(laneIndex, playerIndex, options);
+    }
+
+    moveLane(direction, playerIndex = 0) {
+        this.core.moveLane(direction, playerIndex);
+    }
+
+    jump(playerIndex = 0) {
+        this.core.jump(playerIndex);
     }
 
-    getPlayer() {
-        return this.player;
+    superJump(playerIndex = 0) {
+        this.core.superJump(playerIndex);
+    }
+
+    duck(playerIndex = 0) {
+        this.core.duck(playerIndex);
+    }
+
+    usePowerUp(playerIndex = 0) {
+        this.core.usePowerUp(playerIndex);
     }
 
     _update() {
         // Store the animation ID immediately
         this.animationId = requestAnimationFrame(this._update);
-        
+
         // Exit immediately if not running
-        if (!this.running || this.gameOver) {
+        if (!this.core.isRunning()) {
             this._stopGameLoop();
             return;
         }
-        
-        const deltaTime = this.clock.getDelta();
-        
-        // Double-check running state after getting delta time
-        if (!this.running || this.gameOver) {
-            this._stopGameLoop();
-            return;
+
+        const frameTime = this.clock.getDelta();
+        this.fpsFrames++;
+        this.fpsTime += frameTime;
+        if (this.fpsTime >= FPS_WINDOW) {
+            this.fps = this.fpsFrames / this.fpsTime;
+            this.fpsFrames = 0;
+            this.fpsTime = 0;
+        }
+
+        // Run the simulation in fixed ticks, then draw part way between the last two
+        const alpha = this.core.advance(frameTime);
+        if (!this.core.isRunning()) {
+            return; // The run ended during this frame
         }
-        
-        // Increase speed over time
-        this.currentSpeed = Math.min(MAX_GAME_SPEED, this.currentSpeed + GAME_SPEED_INCREASE_RATE * deltaTime);
-        
-        // Update game objects
-        this.player.update(deltaTime);
-        this.lavaManager.update(deltaTime, this.player.mesh.position.z, this.currentSpeed);
-        
-        // Update Score
-        const SCORE_RATE = 10; // Points per second
-        this.score += deltaTime * SCORE_RATE;
-        this.updateScoreCallback(Math.floor(this.score));
-        
-        // Collision Checks / Game Over Conditions
-        const hitLava = this.lavaManager.checkCollision(this.player);
-        
-        if (hitLava) {
-            console.log("Game Over - Hit Lava! Final Score:", Math.floor(this.score), "Final Speed:", this.currentSpeed.toFixed(2));
-            this.gameOver = true;
-            this.running = false;
-            this._stopGameLoop(); // Immediately stop the loop
-            this.sceneSetup.setGameOverBackground();
-            this.showGameOverCallback(this.score);
-            return; // Exit immediately
+        this.players.forEach(player => {
+            player.render(alpha);
+            player.update(this.core.isPaused() ? 0 : frameTime);
+        });
+        this.lavaManager.render(alpha, this.core.isPaused() ? 0 : frameTime); // Embers freeze while paused
+        this.collectibleManager.render(alpha, this.core.isPaused() ? 0 : frameTime);
+        if (this.hitboxHelper) {
+            this.hitboxHelper.update(this.core);
         }
-        
-        // Adjust camera to follow player's lane smoothly
-        const targetCameraX = LANES[this.player.currentLane];
-        const cameraFollowSpeed = 0.4;
-        this.camera.position.x += (targetCameraX - this.camera.position.x) * cameraFollowSpeed;
-        
+
+        // Adjust camera to follow player's lane smoothly (stays centered on all tracks with several
+        // players, and with reduced motion, where all three lanes stay in view without swinging)
+        const followLane = this.players.length === 1 && !this.reducedMotion;
+        const targetCameraX = followLane ? LANES[this.core.player.currentLane] : 0;
+        const cameraBlend = this.reducedMotion ? 1 : 1 - Math.pow(1 - this.cameraFollowSpeed, frameTime * 60); // Same motion at any refresh rate
+        this.camera.position.x += (targetCameraX - this.camera.position.x) * cameraBlend;
+
         // Update Directional Light Position and Target
         const dirLight = this.sceneSetup.directionalLight;
         if (dirLight) {
@@ -151,12 +398,46 @@ export class Game {
             dirLight.target.position.copy(this.player.mesh.position);
             dirLight.target.updateMatrixWorld();
         }
-        
+
         // Render the scene
-        this.renderer.render(this.scene, this.camera);
+        this.sceneSetup.render();
+        if (this.governor && !this.core.isPaused()) {
+            this.governor.recordFrame(frameTime * 1000);
+        }
+    }
+
+    // Keeps drawing for a moment after the run ends so death animations can play out.
+    // Shares animationId with the game loop, so starting a new run cancels it.
+    _startDeathLoop() {
+        const endTime = performance.now() + DEATH_ANIMATION_TIME * 1000;
+        const clock = new THREE.Clock();
+        const drawFrame = () => {
+            if (performance.now() >= endTime) {
+                this.animationId = null;
+                return;
+            }
+            this.animationId = requestAnimationFrame(drawFrame);
+            const frameTime = clock.getDelta();
+            this.players.forEach(player => player.update(frameTime));
+            this.sceneSetup.render();
+        };
+        drawFrame();
+    }
+
+    _onGameOver({ score, scores, stats, breakdowns, winner, tick, level, levelComplete, replayResult }) {
+        this._stopGameLoop(); // Immediately stop the loop
+        this.sceneSetup.setGameOverBackground();
+        this._startDeathLoop();
+
+        if (replayResult) {
+            console.log(replayResult.matched ? "Replay matched the recording." : "Replay diverged from the recording:", replayResult);
+        } else {
+            console.log("Game Over - Hit Lava! Final Score:", Math.floor(score), "Final Speed:", this.core.currentSpeed.toFixed(2), "Tick:", tick);
+        }
+        this.showGameOverCallback(score, replayResult, { scores, stats, breakdowns, winner, level, levelComplete });
     }
 
     _onWindowResize() {
         this.sceneSetup.updateSize();
     }
-}
\ No newline at end of file
+}
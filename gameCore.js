@@ -0,0 +1,544 @@
+import { INITIAL_GAME_SPEED, FIXED_TIMESTEP, MAX_FRAME_TIME, TRACK_SPACING, MAX_PLAYERS, hasTunedConstants } from './constants.js';
+import { EventEmitter } from './eventEmitter.js';
+import { PlayerPhysics } from './playerPhysics.js';
+import { LavaField } from './lavaField.js';
+import { CollectibleField } from './collectibles.js';
+import { ScoreKeeper, SCORE_RATE } from './scoring.js';
+import { PowerUpState, POWER_UP_KINDS } from './powerUps.js';
+import { createRandom, createRandomSeed } from './lavaPatterns.js';
+import { ReplayRecorder } from './replay.js';
+import { getLevelSpeed } from './levels.js';
+import { getDifficulty, DEFAULT_DIFFICULTY } from './difficulty.js';
+
+export const TICK_RATE = Math.round(1 / FIXED_TIMESTEP);
+const POWER_UP_SEED_SALT = 0x85ebca6b; // Power-ups bought with a full combo are drawn from their own stream
+export { SCORE_RATE };
+
+export function assertReplayCompatible(replayPlayer) {
+    if (replayPlayer.tickRate !== TICK_RATE) {
+        throw new Error(`Replay was recorded at ${replayPlayer.tickRate} ticks per second, this game runs at ${TICK_RATE}.`);
+    }
+    if (hasTunedConstants()) {
+        throw new Error('Constants are tuned in the dev overlay; reset them to watch replays.');
+    }
+}
+
+// Track centers for the given number of players, left to right
+export function getTrackOffsets(playerCount) {
+    const offsets = [];
+    for (let i = 0; i < playerCount; i++) {
+        offsets.push((i - (playerCount - 1) / 2) * TRACK_SPACING);
+    }
+    return offsets;
+}
+
+// The game rules with no rendering, DOM or timers: speed ramp, spawning, lane movement,
+// jump arc, collision and scoring. Whoever owns the clock calls advance() with real
+// elapsed time (or a fake clock in Node); views subscribe to events.
+//
+// With more than one player each gets their own track with an identical copy of the course
+// (same seed) and their own score. A player who hits lava is out; the run ends when everyone is.
+// Scores come from ScoreKeepers: points for surviving plus coins, gems and near misses, which
+// build up a combo multiplier.
+//
+// Power-ups (see powerUps.js) are picked up on the track or bought by spending a full combo
+// meter (usePowerUp). A shield takes one hit instead of the player; slow motion runs that
+// player's track - hazards, pickups, spawning and the player's own movement - at a fraction
+// of real time, so the course stays as survivable as ever but there is longer to react;
+// a magnet pulls coins and gems into the player's lane. Their timers run in real time.
+//
+// A run can also play a level (see levels.js): its authored hazards replace the generated
+// course, its speed profile replaces the speed ramp and the run ends as soon as a player
+// reaches its goal.
+//
+// The difficulty preset (see difficulty.js) sets the speed ramp and lane change cooldown.
+// setDifficulty() picks the preset for the next run; a replay uses the one it was recorded with.
+//
+// Events: 'start', 'pause', 'resume', 'score' (best score), 'scores' (score per player), 'laneChange' ({ player, lane }),
+// 'jump' ({ player, superJump }), 'duck' ({ player }), 'land' ({ player }), 'hazardSpawn' (hazard),
+// 'hazardDespawn' (hazard), 'collectibleSpawn' (item), 'collectibleDespawn' (item),
+// 'bonus' ({ player, source, points, multiplier, combo, item?, hazard?, nearMiss? }),
+// 'combo' ({ player, combo, multiplier }), 'powerUp' ({ player, kind, refreshed, source: 'pickup' | 'combo' }),
+// 'powerUpEnd' ({ player, kind }), 'shieldBreak' ({ player, hazard }), 'playerOut' ({ player, score, tick, hazard }),
+// 'levelComplete' ({ player, level }),
+// 'gameOver' ({ score, scores, stats, breakdowns, winner, tick, hazard, level, levelComplete, replayResult })
+//
+// stats holds { distance, jumps, topSpeed } per player for leaderboards.
+export class GameCore extends EventEmitter {
+    constructor() {
+        super();
+        this.players = []; // PlayerPhysics per player
+        this.lavaFields = []; // LavaField per player, all on the same seed
+        this.collectibleFields = []; // Coins and gems per player, also on the same seed
+        this.scores = [];
+        this.stats = [];
+        this.alive = [];
+        this._setPlayerCount(1, createRandomSeed());
+        this.scoreKeepers = this.players.map(() => new ScoreKeeper());
+        this.powerUps = this.players.map(() => new PowerUpState());
+        this.seed = this.lavaField.patternGenerator.seed;
+        this.powerUpRandom = createRandom((this.seed ^ POWER_UP_SEED_SALT) >>> 0);
+        this.running = false;
+        this.gameOver = false;
+        this.paused = false; // A paused run is still running, it just doesn't advance
+        this.currentSpeed = INITIAL_GAME_SPEED;
+        this.tick = 0; // Fixed simulation steps since the run started
+        this.accumulator = 0; // Real time not yet simulated
+        this.inputQueue = []; // Inputs received since the last tick, applied at the start of the next one
+        this.recorder = null; // Records the current run so it can be replayed (dropped if constants get tuned)
+        this.replayPlayer = null; // Set while playing back a replay
+        this.lastReplay = null; // Recording of the most recently finished run
+        this.level = null; // Parsed level being played, or null for the endless course
+        this.levelCompletedBy = null; // Index of the player who reached the level's goal
+        this.selectedDifficulty = DEFAULT_DIFFICULTY; // Preset for the next run
+        this.difficulty = DEFAULT_DIFFICULTY; // Preset of the current run
+        this.rules = getDifficulty(this.difficulty);
+    }
+
+    // First player, kept for single-player callers
+    get player() {
+        return this.players[0];
+    }
+
+    get lavaField() {
+        return this.lavaFields[0];
+    }
+
+    // Best score of the run (the only score in single player)
+    get score() {
+        return Math.max(...this.scores);
+    }
+
+    getPlayerCount() {
+        return this.players.length;
+    }
+
+    // Takes effect when the next run starts; a run in progress keeps its rules
+    setDifficulty(name) {
+        getDifficulty(name); // Throws for an unknown preset
+        this.selectedDifficulty = name;
+    }
+
+    start(seed = createRandomSeed(), playerCount = 1) {
+        this.replayPlayer = null;
+        this._begin(seed, playerCount, null, this.selectedDifficulty);
+    }
+
+    // Plays a parsed level (see levels.js); its seed drives the pickups
+    startLevel(level, playerCount = 1) {
+        this.replayPlayer = null;
+        this._begin(level.seed, playerCount, level, this.selectedDifficulty);
+    }
+
+    // Plays a recorded run back through the same simulation; live inputs are ignored
+    startReplay(replayPlayer) {
+        assertReplayCompatible(replayPlayer);
+        this.replayPlayer = replayPlayer;
+        this.replayPlayer.inputIndex = 0;
+        this._begin(replayPlayer.seed, replayPlayer.playerCount, replayPlayer.level, replayPlayer.difficulty);
+    }
+
+    _setPlayerCount(playerCount, seed) {
+        if (this.players.length === playerCount) return;
+        for (const lavaField of this.lavaFields) {
+            lavaField.reset(seed); // Lets views drop the old tracks' hazards
+        }
+        for (const collectibleField of this.collectibleFields) {
+            collectibleField.reset(seed);
+        }
+        const offsets = getTrackOffsets(playerCount);
+        this.players = offsets.map(offset => new PlayerPhysics(offset));
+        this.lavaFields = offsets.map(offset => new LavaField(seed, {
+            trackOffsetX: offset,
+            onSpawn: hazard => this.emit('hazardSpawn', hazard),
+            onDespawn: hazard => this.emit('hazardDespawn', hazard)
+        }));
+        this.collectibleFields = offsets.map(offset => new CollectibleField(seed, {
+            trackOffsetX: offset,
+            onSpawn: item => this.emit('collectibleSpawn', item),
+            onDespawn: item => this.emit('collectibleDespawn', item)
+        }));
+    }
+
+    _begin(seed, playerCount, level, difficulty) {
+        if (!Number.isInteger(playerCount) || playerCount < 1 || playerCount > MAX_PLAYERS) {
+            throw new Error(`Player count must be between 1 and ${MAX_PLAYERS}, got ${playerCount}.`);
+        }
+        this.seed = seed >>> 0;
+        this.level = level;
+        this.levelCompletedBy = null;
+        this._setPlayerCount(playerCount, this.seed);
+        this.difficulty = difficulty;
+        this.rules = getDifficulty(difficulty);
+        this.players.forEach(player => {
+            player.laneChangeCooldown = this.rules.laneChangeCooldown;
+        });
+        this.lavaFields.forEach(lavaField => {
+            lavaField.patternGenerator.setLaneChangeCooldown(this.rules.laneChangeCooldown);
+            lavaField.patternGenerator.setPlayerTiming(); // Constants may have been tuned since the last run
+        });
+        this.scoreKeepers = this.players.map(() => new ScoreKeeper());
+        this.powerUps = this.players.map(() => new PowerUpState());
+        this.powerUpRandom = createRandom((this.seed ^ POWER_UP_SEED_SALT) >>> 0);
+        this.scores = this.players.map(() => 0);
+        this.currentSpeed = level ? getLevelSpeed(level, 0) : this.rules.initialSpeed;
+        this.stats = this.players.map(() => ({ distance: 0, jumps: 0, topSpeed: this.currentSpeed }));
+        this.alive = this.players.map(() => true);
+        this.tick = 0;
+        this.accumulator = 0;
+        this.inputQueue = [];
+        this.recorder = this.replayPlayer || hasTunedConstants() ? null : new ReplayRecorder(this.seed, TICK_RATE, playerCount, level, difficulty);
+        this.lavaFields.forEach(lavaField => lavaField.reset(this.seed, level));
+        this.collectibleFields.forEach(collectibleField => collectibleField.reset(this.seed));
+        this.players.forEach(player => player.reset());
+        this.running = true;
+        this.gameOver = false;
+        this.paused = false;
+        this.emit('start');
+        this.emit('score', this.score);
+        this.emit('scores', this.scores);
+    }
+
+    stop() {
+        this.running = false;
+        this.gameOver = true;
+        this.paused = false;
+    }
+
+    // Returns true if the run was paused (false if it wasn't running or already paused)
+    pause() {
+        if (!this.isRunning() || this.paused) return false;
+        this.paused = true;
+        this.emit('pause');
+        return true;
+    }
+
+    resume() {
+        if (!this.isRunning() || !this.paused) return false;
+        this.paused = false;
+        this.emit('resume');
+        return true;
+    }
+
+    isRunning() {
+        return this.running && !this.gameOver;
+    }
+
+    isPaused() {
+        return this.paused;
+    }
+
+    isReplaying() {
+        return this.replayPlayer !== null;
+    }
+
+    isPlayerAlive(playerIndex) {
+        return !!this.alive[playerIndex];
+    }
+
+    getLastReplay() {
+        return this.lastReplay;
+    }
+
+    // Score breakdown and combo state for the HUD
+    getScoreDetails(playerIndex) {
+        const keeper = this.scoreKeepers[playerIndex];
+        return {
+            breakdown: keeper.getBreakdown(),
+            combo: keeper.combo,
+            multiplier: keeper.multiplier,
+            comboProgress: keeper.getComboProgress()
+        };
+    }
+
+    // How far a player is towards the level's goal, e.g. { type: 'distance', current: 120, target: 400 }
+    getLevelProgress(playerIndex) {
+        if (!this.level) return null;
+        const { type, target } = this.level.goal;
+        const current = type === 'distance'
+            ? this.stats[playerIndex].distance
+            : this.scoreKeepers[playerIndex].breakdown.counts.coin + this.scoreKeepers[playerIndex].breakdown.counts.gem;
+        return { type, current: Math.min(current, target), target };
+    }
+
+    // Seconds left on each active power-up, e.g. { shield: 4.2, magnet: 7.9 }
+    getPowerUps(playerIndex) {
+        const state = this.powerUps[playerIndex];
+        const active = {};
+        for (const kind of POWER_UP_KINDS) {
+            if (state.isActive(kind)) active[kind] = state.getRemaining(kind);
+        }
+        return active;
+    }
+
+    // True if usePowerUp() would do something right now
+    canUsePowerUp(playerIndex) {
+        return this.isPlayerAlive(playerIndex) && this.scoreKeepers[playerIndex].isComboFull();
+    }
+
+    // --- Inputs ---
+    // Every control goes through these so it can be recorded and replayed on the same tick
+
+    // Pose controls pass fromPose, since they resend their lane with every frame
+    setTargetLane(laneIndex, playerIndex = 0, { fromPose = false } = {}) {
+        this._queueInput({ type: 'lane', lane: laneIndex, player: playerIndex, fromPose });
+    }
+
+    moveLane(direction, playerIndex = 0) {
+        this._queueInput({ type: 'move', direction, player: playerIndex });
+    }
+
+    jump(playerIndex = 0) {
+        this._queueInput({ type: 'jump', player: playerIndex });
+    }
+
+    superJump(playerIndex = 0) {
+        this._queueInput({ type: 'superJump', player: playerIndex });
+    }
+
+    duck(playerIndex = 0) {
+        this._queueInput({ type: 'duck', player: playerIndex });
+    }
+
+    // Spends a full combo meter on a random power-up (does nothing if the meter isn't full)
+    usePowerUp(playerIndex = 0) {
+        this._queueInput({ type: 'powerUp', player: playerIndex });
+    }
+
+    _queueInput(input) {
+        if (!this.isRunning() || this.paused || this.isReplaying()) return;
+        // Inputs for players that aren't in this run (or are already out) are dropped
+        if (!this.alive[input.player]) return;
+        this.inputQueue.push(input);
+    }
+
+    _applyInputs() {
+        if (this.replayPlayer) {
+            for (const [, playerIndex, type, value] of this.replayPlayer.takeInputs(this.tick)) {
+                this._applyInput(playerIndex, type, value);
+            }
+            return;
+        }
+        for (const input of this.inputQueue) {
+            if (!this.alive[input.player]) continue;
+            if (['jump', 'superJump', 'duck', 'powerUp'].includes(input.type)) {
+                this._applyInput(input.player, input.type);
+                if (this.recorder) this.recorder.recordInput(this.tick, input.player, input.type);
+                continue;
+            }
+            // Relative moves are resolved now so the recording only holds absolute lanes
+            const player = this.players[input.player];
+            const lane = input.type === 'move' ? player.targetLane + input.direction : input.lane;
+            const clampedLane = Math.max(0, Math.min(2, lane));
+            // Repeating the current target is a no-op, and so is a pose update during the
+            // cooldown, so pose updates (sent with every frame) don't flood the recording
+            if (clampedLane === player.targetLane || (input.fromPose && player.isOnCooldown)) continue;
+            this._applyInput(input.player, 'lane', clampedLane);
+            if (this.recorder) this.recorder.recordInput(this.tick, input.player, 'lane', clampedLane);
+        }
+        this.inputQueue = [];
+    }
+
+    _applyInput(playerIndex, type, value) {
+        const player = this.players[playerIndex];
+        if (!player) return;
+        if (type === 'jump') {
+            if (player.jump()) {
+                this.stats[playerIndex].jumps++;
+                this.emit('jump', { player: playerIndex, superJump: false });
+            }
+        } else if (type === 'superJump') {
+            if (player.superJump()) {
+                this.stats[playerIndex].jumps++;
+                this.emit('jump', { player: playerIndex, superJump: true });
+            }
+        } else if (type === 'duck') {
+            if (player.duck()) {
+                this.emit('duck', { player: playerIndex });
+            }
+        } else if (type === 'powerUp') {
+            const keeper = this.scoreKeepers[playerIndex];
+            if (keeper.isComboFull()) {
+                keeper.spendCombo();
+                this.emit('combo', { player: playerIndex, combo: 0, multiplier: 1 });
+                const kind = POWER_UP_KINDS[Math.floor(this.powerUpRandom() * POWER_UP_KINDS.length)];
+                this._activatePowerUp(playerIndex, kind, 'combo');
+            }
+        } else if (type === 'lane') {
+            if (player.setTargetLane(value)) {
+                this.emit('laneChange', { player: playerIndex, lane: value });
+            }
+        }
+    }
+
+    // --- Simulation ---
+
+    // Runs as many fixed ticks as the elapsed time allows. Returns the interpolation
+    // factor (0..1) for drawing between the last two ticks.
+    advance(frameTime) {
+        if (!this.isRunning()) return 0;
+        // Paused: hold the last drawn position and don't bank the time
+        if (this.paused) return this.accumulator / FIXED_TIMESTEP;
+
+        // A long frame (tab switch, hitch) is capped so the game doesn't try to
+        // catch up on seconds of play at once
+        this.accumulator += Math.min(frameTime, MAX_FRAME_TIME);
+        while (this.accumulator >= FIXED_TIMESTEP) {
+            if (this.replayPlayer && !this.replayPlayer.hasTick(this.tick)) {
+                // Recording ended without a death (e.g. the run was abandoned)
+                this._endRun(null);
+                return 0;
+            }
+            this.accumulator -= FIXED_TIMESTEP;
+            if (this.step()) return 0;
+        }
+        return this.accumulator / FIXED_TIMESTEP;
+    }
+
+    // Advances the simulation by one fixed tick. Returns true if the run ended.
+    step() {
+        const deltaTime = FIXED_TIMESTEP;
+        // A constant tuned mid-run changes the rules under the recording, so it's dropped
+        if (this.recorder && hasTunedConstants()) {
+            this.recorder = null;
+        }
+        this._applyInputs();
+        if (this.recorder) {
+            this.recorder.recordTick();
+        }
+
+        // Increase speed over time (levels follow their own profile, set by how far the leader has got)
+        if (this.level) {
+            this.currentSpeed = getLevelSpeed(this.level, Math.max(...this.stats.map(playerStats => playerStats.distance)));
+        } else {
+            this.currentSpeed = Math.min(this.rules.maxSpeed, this.currentSpeed + this.rules.speedIncreaseRate * deltaTime);
+        }
+
+        // Update game objects. Tracks of players who are out keep moving so they don't freeze on screen.
+        // Slow motion runs the whole track (and the player on it) on scaled time.
+        this.players.forEach((player, index) => {
+            const powerUps = this.powerUps[index];
+            const trackTime = deltaTime * powerUps.getTimeScale();
+            if (this.alive[index] && player.update(trackTime)) {
+                this.emit('land', { player: index });
+            }
+            const magnetX = this.alive[index] && powerUps.isActive('magnet') ? player.position.x : null;
+            this.lavaFields[index].update(trackTime, player.position.z, this.currentSpeed);
+            this.collectibleFields[index].update(trackTime, player.position.z, this.currentSpeed, this.lavaFields[index], magnetX);
+            this.stats[index].distance += this.alive[index] ? this.currentSpeed * trackTime : 0;
+        });
+
+        // Update Score, power-up timers, pickups and run stats
+        this.players.forEach((player, index) => {
+            if (!this.alive[index]) return;
+            if (this.scoreKeepers[index].update(deltaTime)) {
+                this.emit('combo', { player: index, combo: 0, multiplier: 1 }); // Combo timed out
+            }
+            for (const kind of this.powerUps[index].update(deltaTime)) {
+                this.emit('powerUpEnd', { player: index, kind });
+            }
+            this.scores[index] = this.scoreKeepers[index].total;
+            this.stats[index].topSpeed = Math.max(this.stats[index].topSpeed, this.currentSpeed); // Level profiles may slow down
+            for (const item of this.collectibleFields[index].collect(player)) {
+                if (POWER_UP_KINDS.includes(item.kind)) {
+                    this._activatePowerUp(index, item.kind, 'pickup');
+                } else {
+                    this._awardBonus(index, item.kind, { item });
+                }
+            }
+        });
+
+        // Collision Checks / Game Over Conditions
+        let lastHazard = null;
+        this.players.forEach((player, index) => {
+            if (!this.alive[index]) return;
+            const powerUps = this.powerUps[index];
+            const hitHazard = powerUps.isInvulnerable() ? null : this.lavaFields[index].checkCollision(player);
+            if (hitHazard) {
+                this.scoreKeepers[index].hit();
+                this.emit('combo', { player: index, combo: 0, multiplier: 1 });
+                if (powerUps.absorbHit()) {
+                    hitHazard.absorbed = true; // Can't hit again while the player is still inside it
+                    this.emit('shieldBreak', { player: index, hazard: hitHazard });
+                    this.emit('powerUpEnd', { player: index, kind: 'shield' });
+                    return;
+                }
+                this.alive[index] = false;
+                lastHazard = hitHazard;
+                this.emit('playerOut', { player: index, score: this.scores[index], tick: this.tick + 1, hazard: hitHazard });
+                return;
+            }
+            for (const { hazard, type } of this.lavaFields[index].findNearMisses(player)) {
+                this._awardBonus(index, 'nearMiss', { hazard, nearMiss: type });
+            }
+        });
+        this.emit('score', this.score);
+        this.emit('scores', this.scores);
+        this.tick++;
+
+        if (this.level) {
+            const finisher = this.players.findIndex((player, index) => this.alive[index] && this._hasReachedGoal(index));
+            if (finisher !== -1) {
+                this.levelCompletedBy = finisher;
+                this.emit('levelComplete', { player: finisher, level: this.level });
+                this._endRun(null);
+                return true;
+            }
+        }
+
+        if (!this.alive.some(alive => alive)) {
+            this._endRun(lastHazard);
+            return true;
+        }
+        return false;
+    }
+
+    // source: 'coin', 'gem' or 'nearMiss'; details are passed on with the 'bonus' event
+    _awardBonus(playerIndex, source, details) {
+        const { points, multiplier, combo } = this.scoreKeepers[playerIndex].award(source);
+        this.scores[playerIndex] = this.scoreKeepers[playerIndex].total;
+        this.emit('bonus', { player: playerIndex, source, points, multiplier, combo, ...details });
+        this.emit('combo', { player: playerIndex, combo, multiplier });
+    }
+
+    _hasReachedGoal(playerIndex) {
+        const { current, target } = this.getLevelProgress(playerIndex);
+        return current >= target;
+    }
+
+    // source: 'pickup' or 'combo'. Taking one that is already running refreshes its timer.
+    _activatePowerUp(playerIndex, kind, source) {
+        const refreshed = this.powerUps[playerIndex].activate(kind);
+        this.emit('powerUp', { player: playerIndex, kind, refreshed, source });
+    }
+
+    _endRun(hazard) {
+        this.running = false;
+        this.gameOver = true;
+
+        const score = this.score;
+        const scores = this.scores.slice();
+        const levelComplete = this.levelCompletedBy !== null;
+        // Highest score wins (or whoever finished the level); a tie (e.g. both out on the same tick) has no winner
+        let winner = scores.length > 1 && scores.filter(value => value === score).length === 1
+            ? scores.indexOf(score)
+            : null;
+        if (levelComplete && scores.length > 1) {
+            winner = this.levelCompletedBy;
+        }
+
+        let replayResult = null;
+        if (this.replayPlayer) {
+            replayResult = this.replayPlayer.verify(score, this.tick, scores);
+        } else if (this.recorder) {
+            this.recorder.finish(score, this.tick, scores);
+            this.lastReplay = this.recorder.toJSON();
+        } else {
+            this.lastReplay = null; // Played with tuned constants, so it wouldn't replay
+        }
+        const stats = this.stats.map(playerStats => ({ ...playerStats }));
+        const breakdowns = this.scoreKeepers.map(keeper => keeper.getBreakdown());
+        const level = this.level ? this.level.id : null;
+        this.emit('gameOver', { score, scores, stats, breakdowns, winner, tick: this.tick, hazard, level, levelComplete, replayResult });
+    }
+}
@@ -0,0 +1,173 @@
+import { EventEmitter } from './eventEmitter.js';
+
+// Landmark indices (MediaPipe Pose)
+const NOSE = 0;
+const LEFT_SHOULDER = 11;
+const RIGHT_SHOULDER = 12;
+const LEFT_WRIST = 15;
+const RIGHT_WRIST = 16;
+const LEFT_HIP = 23;
+const RIGHT_HIP = 24;
+
+const MIN_VISIBILITY = 0.5; // Landmarks less visible than this are ignored
+const BASELINE_TIME = 1.7; // Seconds for the standing baseline to follow the player, whatever the pose frame rate
+const VELOCITY_WINDOW = 150; // ms of history used to measure hip speed
+
+// Per-gesture tuning. `threshold` is the confidence (0..1) needed, `holdTime` how long (ms)
+// it must stay above that before firing and `cooldown` how long (ms) before it can fire again.
+export const GESTURE_SETTINGS = {
+    squat: { threshold: 0.7, holdTime: 120, cooldown: 900 },
+    armsUp: { threshold: 0.8, holdTime: 250, cooldown: 1500 },
+    lateralHop: { threshold: 0.8, holdTime: 0, cooldown: 800 },
+    clap: { threshold: 0.7, holdTime: 0, cooldown: 600 }
+};
+
+function isVisible(landmark) {
+    return landmark && (landmark.visibility === undefined || landmark.visibility >= MIN_VISIBILITY);
+}
+
+function midpoint(a, b) {
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+function clamp01(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+// Turns the full 33-point skeleton into named gesture events. Emits 'squat', 'armsUp',
+// 'lateralHop' and 'clap' with { confidence, direction?, timestamp }, plus a
+// catch-all 'gesture' event with { name, ... }. Directions are from the player's point
+// of view (-1 = their left, 1 = their right).
+export class GestureRecognizer extends EventEmitter {
+    constructor(settings = GESTURE_SETTINGS) {
+        super();
+        this.settings = settings;
+        this.reset();
+    }
+
+    reset() {
+        this.baseline = null; // Standing hip height and torso length
+        this.lastTimestamp = null;
+        this.hipHistory = [];
+        this.handsApartAt = -Infinity; // Last time the hands were wide apart (for claps)
+        this.state = {};
+        for (const name of Object.keys(this.settings)) {
+            this.state[name] = { aboveSince: null, lastFired: -Infinity, active: false };
+        }
+    }
+
+    // landmarks: tilt-corrected landmarks from PoseTracker; timestamp in ms
+    update(landmarks, timestamp) {
+        if (!landmarks) return;
+        const leftShoulder = landmarks[LEFT_SHOULDER];
+        const rightShoulder = landmarks[RIGHT_SHOULDER];
+        const leftHip = landmarks[LEFT_HIP];
+        const rightHip = landmarks[RIGHT_HIP];
+        if (![leftShoulder, rightShoulder, leftHip, rightHip].every(isVisible)) return;
+
+        const shoulders = midpoint(leftShoulder, rightShoulder);
+        const hips = midpoint(leftHip, rightHip);
+        const torsoLength = hips.y - shoulders.y;
+        const shoulderWidth = Math.abs(leftShoulder.x - rightShoulder.x);
+        if (torsoLength <= 0 || shoulderWidth <= 0) return;
+
+        const dt = this.lastTimestamp === null ? 0 : (timestamp - this.lastTimestamp) / 1000;
+        this.lastTimestamp = timestamp;
+        this._trackHips(hips, timestamp);
+        this._updateBaseline(hips, torsoLength, dt);
+
+        const body = { landmarks, hips, torsoLength, shoulderWidth };
+        this._evaluate('squat', timestamp, this._squatConfidence(body));
+        this._evaluate('armsUp', timestamp, this._armsUpConfidence(body));
+        this._evaluate('lateralHop', timestamp, ...this._lateralHopConfidence(body));
+        this._evaluate('clap', timestamp, this._clapConfidence(body, timestamp));
+    }
+
+    _trackHips(hips, timestamp) {
+        this.hipHistory.push({ x: hips.x, y: hips.y, timestamp });
+        while (this.hipHistory.length > 2 && timestamp - this.hipHistory[0].timestamp > VELOCITY_WINDOW) {
+            this.hipHistory.shift();
+        }
+    }
+
+    _updateBaseline(hips, torsoLength, dt) {
+        if (!this.baseline) {
+            this.baseline = { hipY: hips.y, torsoLength };
+            return;
+        }
+        // Only learn from upright frames so a held squat doesn't become the new normal
+        if (dt > 0 && hips.y < this.baseline.hipY + this.baseline.torsoLength * 0.15) {
+            const blend = 1 - Math.exp(-dt / BASELINE_TIME);
+            this.baseline.hipY += (hips.y - this.baseline.hipY) * blend;
+            this.baseline.torsoLength += (torsoLength - this.baseline.torsoLength) * blend;
+        }
+    }
+
+    // Hips drop by about a third of the torso in a squat
+    _squatConfidence({ hips }) {
+        const drop = hips.y - this.baseline.hipY;
+        return clamp01(drop / (this.baseline.torsoLength * 0.35));
+    }
+
+    // Both wrists clearly above the head
+    _armsUpConfidence({ landmarks, torsoLength }) {
+        const nose = landmarks[NOSE];
+        const leftWrist = landmarks[LEFT_WRIST];
+        const rightWrist = landmarks[RIGHT_WRIST];
+        if (![nose, leftWrist, rightWrist].every(isVisible)) return 0;
+        const lowestWrist = Math.max(leftWrist.y, rightWrist.y);
+        return clamp01((nose.y - lowestWrist) / (torsoLength * 0.3));
+    }
+
+    // Fast sideways movement of the hips
+    _lateralHopConfidence({ torsoLength }) {
+        if (this.hipHistory.length < 2) return [0, 0];
+        const first = this.hipHistory[0];
+        const last = this.hipHistory[this.hipHistory.length - 1];
+        const elapsed = (last.timestamp - first.timestamp) / 1000;
+        if (elapsed <= 0) return [0, 0];
+        const speed = (last.x - first.x) / elapsed; // Frame widths per second
+        // Camera image is mirrored relative to the player: image right is the player's left
+        const direction = speed > 0 ? -1 : 1;
+        // About two torso lengths per second is a deliberate hop rather than a step
+        return [clamp01(Math.abs(speed) / (torsoLength * 2.0)), direction];
+    }
+
+    // Wrists meeting in front of the chest shortly after being apart
+    _clapConfidence({ landmarks, shoulderWidth }, timestamp) {
+        const leftWrist = landmarks[LEFT_WRIST];
+        const rightWrist = landmarks[RIGHT_WRIST];
+        if (![leftWrist, rightWrist].every(isVisible)) return 0;
+        const distance = Math.hypot(leftWrist.x - rightWrist.x, leftWrist.y - rightWrist.y);
+        if (distance > shoulderWidth * 1.2) {
+            this.handsApartAt = timestamp;
+            return 0;
+        }
+        if (timestamp - this.handsApartAt > 600) return 0;
+        return clamp01(1 - distance / shoulderWidth);
+    }
+
+    // direction is only passed for gestures that have one (lateralHop)
+    _evaluate(name, timestamp, confidence, direction) {
+        const settings = this.settings[name];
+        const state = this.state[name];
+
+        if (confidence < settings.threshold) {
+            state.aboveSince = null;
+            state.active = false;
+            return;
+        }
+        if (state.aboveSince === null) {
+            state.aboveSince = timestamp;
+        }
+        // Fire once per gesture: held long enough, not still active from last time, not cooling down
+        if (!state.active && timestamp - state.aboveSince >= settings.holdTime && timestamp - state.lastFired >= settings.cooldown) {
+            state.active = true;
+            state.lastFired = timestamp;
+            const event = { confidence, timestamp };
+            if (direction !== undefined) event.direction = direction;
+            this.emit(name, event);
+            this.emit('gesture', { name, ...event });
+        }
+    }
+}
@@ -0,0 +1,101 @@
+// Graphics quality tiers, and a governor that moves between them to keep the game smooth.
+// Rendering shares the GPU with pose detection, so the governor watches both the frame time
+// and the pose inference time: a slow tracker makes the game feel laggy just as dropped frames do.
+//   maxPixelRatio   cap on the device pixel ratio (render resolution)
+//   antialias       multisampling; changing it means a new WebGL context
+//   particleCount   embers per hazard
+//   shadows         players cast shadows on the floor
+//   postEffects     bloom on the lava
+
+export const QUALITY_TIERS = {
+    low: { maxPixelRatio: 1, antialias: false, particleCount: 8, shadows: false, postEffects: false },
+    medium: { maxPixelRatio: 1.5, antialias: true, particleCount: 15, shadows: false, postEffects: false },
+    high: { maxPixelRatio: 2, antialias: true, particleCount: 25, shadows: true, postEffects: true }
+};
+export const QUALITY_LEVELS = Object.keys(QUALITY_TIERS); // Lowest first
+export const AUTO_QUALITY = 'auto';
+export const GRAPHICS_QUALITIES = [AUTO_QUALITY, ...QUALITY_LEVELS]; // Choices in the settings
+
+const SAMPLE_WINDOW = 2; // Seconds of frames averaged per decision
+const MAX_FRAME_TIME = 250; // ms; longer frames are hitches (tab switches, rebuilds), not load
+const SLOW_FRAME_TIME = 1000 / 50; // ms; step down when frames average longer
+const FAST_FRAME_TIME = 1000 / 58; // ms; step up only when frames keep up with 60 Hz
+const SLOW_POSE_TIME = 45; // ms; step down when pose inference averages longer
+const FAST_POSE_TIME = 25; // ms
+const STEP_UP_DELAY = 10; // Seconds of smooth play before trying a higher tier
+const STEP_UP_DELAY_AFTER_DROP = 30; // Longer after stepping down, so the tiers don't see-saw
+const SETTLE_FRAMES = 3; // Frames ignored after a change while the new tier warms up
+
+// Feed it frame and pose inference times; it calls onChange(level) when a different tier
+// would suit the machine better.
+export class PerformanceGovernor {
+    constructor(onChange, level = QUALITY_LEVELS[QUALITY_LEVELS.length - 1]) {
+        this.onChange = onChange;
+        this.reset(level);
+    }
+
+    reset(level) {
+        this.level = level;
+        this.smoothTime = 0; // Seconds of smooth windows in a row
+        this.stepUpDelay = STEP_UP_DELAY;
+        this.settleFrames = SETTLE_FRAMES;
+        this._clearWindow();
+    }
+
+    _clearWindow() {
+        this.windowTime = 0; // ms
+        this.frameCount = 0;
+        this.poseTime = 0; // ms
+        this.poseCount = 0;
+    }
+
+    recordFrame(ms) {
+        if (this.settleFrames > 0) {
+            this.settleFrames--;
+            return;
+        }
+        if (ms > MAX_FRAME_TIME) return;
+        this.windowTime += ms;
+        this.frameCount++;
+        if (this.windowTime >= SAMPLE_WINDOW * 1000) {
+            this._evaluate();
+        }
+    }
+
+    recordPoseInference(ms) {
+        if (!(ms > 0)) return; // Nothing measured yet
+        this.poseTime += ms;
+        this.poseCount++;
+    }
+
+    _evaluate() {
+        const frameTime = this.windowTime / this.frameCount;
+        const poseTime = this.poseCount > 0 ? this.poseTime / this.poseCount : 0;
+        const index = QUALITY_LEVELS.indexOf(this.level);
+        this._clearWindow();
+
+        if (frameTime > SLOW_FRAME_TIME || poseTime > SLOW_POSE_TIME) {
+            this.smoothTime = 0;
+            if (index > 0) {
+                this.stepUpDelay = STEP_UP_DELAY_AFTER_DROP;
+                this._change(QUALITY_LEVELS[index - 1], frameTime, poseTime);
+            }
+        } else if (frameTime < FAST_FRAME_TIME && poseTime < FAST_POSE_TIME) {
+            this.smoothTime += SAMPLE_WINDOW;
+            if (this.smoothTime >= this.stepUpDelay && index < QUALITY_LEVELS.length - 1) {
+                this.smoothTime = 0;
+                this.stepUpDelay = STEP_UP_DELAY;
+                this._change(QUALITY_LEVELS[index + 1], frameTime, poseTime);
+            }
+        } else {
+            this.smoothTime = 0;
+        }
+    }
+
+    _change(level, frameTime, poseTime) {
+        console.log(`Graphics quality ${this.level} -> ${level} (frame ${frameTime.toFixed(1)} ms, pose ${poseTime.toFixed(1)} ms)`);
+        this.level = level;
+        this.settleFrames = SETTLE_FRAMES;
+        this.onChange(level);
+    }
+}
@@ -0,0 +1,74 @@
+import * as THREE from 'three';
+import { PLAYER_HEIGHT, PLAYER_DUCK_SCALE } from './constants.js';
+import { getObstacleType, isAirborne } from './obstacles.js';
+import { PLAYER_GROUND_Y } from './playerPhysics.js';
+
+const HAZARD_COLOR = 0xff2222; // Its collides() says the player would be hit right now
+const SAFE_HAZARD_COLOR = 0x22ff22; // In the way, but jumping, ducking, ... clears it
+const PLAYER_COLOR = 0xffff00;
+const AIRBORNE_PLAYER_COLOR = 0x00ffff; // Clear of floor hazards
+const PLAYER_BOX_SIZE = 0.2; // The player is a point in X and Z; drawn this thick to be visible
+
+// Wireframe boxes for what LavaField.checkCollision tests: each hazard's footprint swept over
+// the last tick, as tall as the player, and the player's position. Drawn from the simulation's
+// state rather than the interpolated meshes, so they show exactly what the core sees.
+export class HitboxHelper {
+    constructor(scene) {
+        this.scene = scene;
+        this.group = new THREE.Group();
+        this.scene.add(this.group);
+        this.geometry = new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1));
+        this.materials = new Map(); // color -> LineBasicMaterial
+        this.boxes = []; // Pooled LineSegments, the first boxCount in use
+        this.boxCount = 0;
+    }
+
+    update(core) {
+        this.boxCount = 0;
+        core.lavaFields.forEach((lavaField, index) => {
+            const player = core.players[index];
+            for (const hazard of lavaField.lavaHazards) {
+                if (hazard.absorbed) continue;
+                const type = getObstacleType(hazard.kind);
+                const startZ = Math.min(hazard.previousZ, hazard.z) - type.depth / 2;
+                const endZ = Math.max(hazard.previousZ, hazard.z) + type.depth / 2;
+                const color = type.collides(hazard, player) ? HAZARD_COLOR : SAFE_HAZARD_COLOR;
+                this._addBox(color, hazard.x, PLAYER_HEIGHT / 2, (startZ + endZ) / 2, type.halfWidth * 2, PLAYER_HEIGHT, endZ - startZ);
+            }
+            const height = PLAYER_HEIGHT * (player.isDucking ? PLAYER_DUCK_SCALE : 1);
+            const feetY = player.position.y - PLAYER_GROUND_Y;
+            this._addBox(isAirborne(player) ? AIRBORNE_PLAYER_COLOR : PLAYER_COLOR,
+                player.position.x, feetY + height / 2, player.position.z, PLAYER_BOX_SIZE, height, PLAYER_BOX_SIZE);
+        });
+        this.boxes.forEach((box, index) => {
+            box.visible = index < this.boxCount;
+        });
+    }
+
+    _addBox(color, x, y, z, width, height, depth) {
+        let box = this.boxes[this.boxCount];
+        if (!box) {
+            box = new THREE.LineSegments(this.geometry);
+            box.renderOrder = 2000; // Over the embers
+            this.group.add(box);
+            this.boxes.push(box);
+        }
+        box.material = this._material(color);
+        box.position.set(x, y, z);
+        box.scale.set(width, height, depth);
+        this.boxCount++;
+    }
+
+    _material(color) {
+        if (!this.materials.has(color)) {
+            this.materials.set(color, new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true }));
+        }
+        return this.materials.get(color);
+    }
+
+    dispose() {
+        this.scene.remove(this.group);
+        this.geometry.dispose();
+        this.materials.forEach(material => material.dispose());
+    }
+}
@@ -0,0 +1,325 @@
+import { EventEmitter } from './eventEmitter.js';
+
+// Turns keyboard, gamepad and touch input into device-independent game actions so the
+// game never needs to know which device is in use. Emits 'action' with
+// { action, player, device } where action is one of ACTIONS. Pose input stays with the
+// pose tracker (it sets lanes directly) but its on/off switch lives here with the others.
+// With one-switch input on, every key, tap, click or gamepad button (bar the pause ones) is the
+// same single switch instead, emitted as 'switch' with { device }.
+
+export const ACTIONS = ['left', 'right', 'jump', 'duck', 'superJump', 'powerUp', 'pause'];
+export const DEVICES = ['pose', 'keyboard', 'gamepad', 'touch'];
+
+const STORAGE_KEY = 'floorIsLava.inputSettings';
+
+// Standard gamepad layout (https://w3c.github.io/gamepad/#remapping)
+const GAMEPAD_PAUSE_BUTTON = 9; // Start / Options; still pauses in one-switch mode
+const GAMEPAD_BUTTONS = {
+    0: 'jump', // A / Cross
+    3: 'superJump', // Y / Triangle
+    1: 'duck', // B / Circle
+    2: 'powerUp', // X / Square
+    12: 'jump', // D-pad up
+    13: 'duck', // D-pad down
+    14: 'left', // D-pad left
+    15: 'right', // D-pad right
+    [GAMEPAD_PAUSE_BUTTON]: 'pause' // Start / Options
+};
+const STICK_PRESS = 0.6; // Stick deflection that counts as a press
+const STICK_RELEASE = 0.3; // Stick has to come back inside this before it can press again
+
+const SWIPE_DISTANCE = 40; // px a touch has to travel to count as a swipe
+const TAP_MAX_DURATION = 300; // ms; longer touches that don't move are ignored
+
+// Two key sets: in single player both control the player, in 2 player mode one each
+export const DEFAULT_KEY_BINDINGS = [
+    { left: 'a', right: 'd', jump: 'w', duck: 's', superJump: 'e', powerUp: 'q', pause: 'p' },
+    { left: 'ArrowLeft', right: 'ArrowRight', jump: 'ArrowUp', duck: 'ArrowDown', superJump: 'Shift', powerUp: 'Control', pause: 'Escape' }
+];
+
+export const DEFAULT_POSE_LOSS_TIMEOUT = 2; // Seconds with nobody in view before the game pauses
+export const MAX_POSE_LOSS_TIMEOUT = 30;
+
+export function createDefaultInputSettings() {
+    return {
+        devices: { pose: true, keyboard: true, gamepad: true, touch: true },
+        keyBindings: DEFAULT_KEY_BINDINGS.map(bindings => ({ ...bindings })),
+        poseLossTimeout: DEFAULT_POSE_LOSS_TIMEOUT // 0 turns the automatic pause off
+    };
+}
+
+// Letters are matched case-insensitively so Shift or Caps Lock don't break bindings
+export function normalizeKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+// Form controls keep their own keys and clicks
+function isFormControl(element) {
+    return !!element && ['INPUT', 'TEXTAREA', 'SELECT', 'BUTTON'].includes(element.tagName);
+}
+
+export function loadInputSettings() {
+    const settings = createDefaultInputSettings();
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (stored && typeof stored === 'object') {
+            for (const device of DEVICES) {
+                if (stored.devices && typeof stored.devices[device] === 'boolean') {
+                    settings.devices[device] = stored.devices[device];
+                }
+            }
+            if (typeof stored.poseLossTimeout === 'number' && stored.poseLossTimeout >= 0 && stored.poseLossTimeout <= MAX_POSE_LOSS_TIMEOUT) {
+                settings.poseLossTimeout = stored.poseLossTimeout;
+            }
+            if (Array.isArray(stored.keyBindings)) {
+                stored.keyBindings.slice(0, settings.keyBindings.length).forEach((bindings, keySet) => {
+                    for (const action of ACTIONS) {
+                        if (bindings && typeof bindings[action] === 'string') {
+                            settings.keyBindings[keySet][action] = bindings[action];
+                        }
+                    }
+                });
+            }
+        }
+    } catch (error) {
+        console.warn("Ignoring unreadable input settings:", error);
+    }
+    return settings;
+}
+
+export function saveInputSettings(settings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.warn("Could not save input settings:", error);
+    }
+}
+
+export class InputManager extends EventEmitter {
+    constructor(target = window, settings = loadInputSettings()) {
+        super();
+        this.target = target;
+        this.settings = settings;
+        this.playerCount = 1;
+        this.gamepadStates = new Map(); // gamepad index -> { buttons, stickX, stickY }
+        this.touchStarts = new Map(); // touch identifier -> { x, y, time }
+        this.pollId = null;
+        this.oneSwitch = false;
+
+        this._onKeyDown = this._onKeyDown.bind(this);
+        this._onPointerDown = this._onPointerDown.bind(this);
+        this._onTouchStart = this._onTouchStart.bind(this);
+        this._onTouchEnd = this._onTouchEnd.bind(this);
+        this._pollGamepads = this._pollGamepads.bind(this);
+    }
+
+    start() {
+        window.addEventListener('keydown', this._onKeyDown);
+        this.target.addEventListener('touchstart', this._onTouchStart, { passive: true });
+        this.target.addEventListener('touchend', this._onTouchEnd, { passive: true });
+        this.target.addEventListener('pointerdown', this._onPointerDown);
+        if (this.pollId === null) {
+            this.pollId = requestAnimationFrame(this._pollGamepads);
+        }
+    }
+
+    stop() {
+        window.removeEventListener('keydown', this._onKeyDown);
+        this.target.removeEventListener('touchstart', this._onTouchStart);
+        this.target.removeEventListener('touchend', this._onTouchEnd);
+        this.target.removeEventListener('pointerdown', this._onPointerDown);
+        if (this.pollId !== null) {
+            cancelAnimationFrame(this.pollId);
+            this.pollId = null;
+        }
+    }
+
+    // Decides how devices are shared out between players
+    setPlayerCount(playerCount) {
+        this.playerCount = playerCount;
+    }
+
+    setOneSwitch(enabled) {
+        this.oneSwitch = enabled;
+    }
+
+    isEnabled(device) {
+        return !!this.settings.devices[device];
+    }
+
+    setEnabled(device, enabled) {
+        this.settings.devices[device] = enabled;
+        saveInputSettings(this.settings);
+    }
+
+    getPoseLossTimeout() {
+        return this.settings.poseLossTimeout;
+    }
+
+    setPoseLossTimeout(seconds) {
+        this.settings.poseLossTimeout = Math.max(0, Math.min(MAX_POSE_LOSS_TIMEOUT, seconds));
+        saveInputSettings(this.settings);
+    }
+
+    getKeyBinding(keySet, action) {
+        return this.settings.keyBindings[keySet][action];
+    }
+
+    setKeyBinding(keySet, action, key) {
+        // A key can only do one thing: take it away from whatever had it before
+        this.settings.keyBindings.forEach(bindings => {
+            for (const other of ACTIONS) {
+                if (normalizeKey(bindings[other]) === normalizeKey(key)) {
+                    bindings[other] = '';
+                }
+            }
+        });
+        this.settings.keyBindings[keySet][action] = key;
+        saveInputSettings(this.settings);
+    }
+
+    resetKeyBindings() {
+        this.settings.keyBindings = DEFAULT_KEY_BINDINGS.map(bindings => ({ ...bindings }));
+        saveInputSettings(this.settings);
+    }
+
+    _emitAction(action, player, device) {
+        // Extra devices beyond the number of players control the last player
+        this.emit('action', { action, player: Math.min(player, this.playerCount - 1), device });
+    }
+
+    _emitSwitch(device) {
+        this.emit('switch', { device });
+    }
+
+    // --- Keyboard ---
+
+    _onKeyDown(event) {
+        if (!this.isEnabled('keyboard') || event.repeat) return;
+        // Don't steal keys from text fields (e.g. the player name)
+        if (event.target && (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA')) return;
+
+        const key = normalizeKey(event.key);
+        if (this.oneSwitch && !this._isPauseKey(key)) {
+            if (isFormControl(event.target)) return; // Space and Enter press the focused button instead
+            event.preventDefault();
+            this._emitSwitch('keyboard');
+            return;
+        }
+        this.settings.keyBindings.forEach((bindings, keySet) => {
+            for (const action of ACTIONS) {
+                if (bindings[action] && normalizeKey(bindings[action]) === key) {
+                    this._emitAction(action, this.playerCount > 1 ? keySet : 0, 'keyboard');
+                    event.preventDefault(); // Keep the arrow keys from scrolling the page
+                }
+            }
+        });
+    }
+
+    _isPauseKey(key) {
+        return this.settings.keyBindings.some(bindings => bindings.pause && normalizeKey(bindings.pause) === key);
+    }
+
+    // --- Gamepad ---
+    // The Gamepad API has no events for buttons, so pads are polled once per frame
+
+    _pollGamepads() {
+        this.pollId = requestAnimationFrame(this._pollGamepads);
+        if (!this.isEnabled('gamepad') || !navigator.getGamepads) return;
+
+        let padNumber = 0;
+        for (const gamepad of navigator.getGamepads()) {
+            if (!gamepad || !gamepad.connected) continue;
+            const player = padNumber++; // First connected pad is Player 1
+            const previous = this.gamepadStates.get(gamepad.index) || { buttons: [], stickX: 0, stickY: 0 };
+            const buttons = gamepad.buttons.map(button => button.pressed);
+
+            if (this.oneSwitch) {
+                buttons.forEach((pressed, index) => {
+                    if (pressed && !previous.buttons[index]) {
+                        if (index === GAMEPAD_PAUSE_BUTTON) {
+                            this._emitAction('pause', player, 'gamepad');
+                        } else {
+                            this._emitSwitch('gamepad');
+                        }
+                    }
+                });
+                this.gamepadStates.set(gamepad.index, { buttons, stickX: 0, stickY: 0 });
+                continue;
+            }
+
+            // Buttons fire once when pressed down
+            for (const [index, action] of Object.entries(GAMEPAD_BUTTONS)) {
+                if (buttons[index] && !previous.buttons[index]) {
+                    this._emitAction(action, player, 'gamepad');
+                }
+            }
+
+            // Left stick acts like the D-pad, with a dead zone so it doesn't repeat
+            const stickX = this._readStick(gamepad.axes[0] || 0, previous.stickX, 'left', 'right', player);
+            const stickY = this._readStick(gamepad.axes[1] || 0, previous.stickY, 'jump', 'duck', player);
+            this.gamepadStates.set(gamepad.index, { buttons, stickX, stickY });
+        }
+    }
+
+    // Returns the stick's new latched direction (-1, 0 or 1) and fires on a new press
+    _readStick(value, latched, negativeAction, positiveAction, player) {
+        if (latched !== 0) {
+            return Math.abs(value) < STICK_RELEASE ? 0 : latched;
+        }
+        if (value <= -STICK_PRESS) {
+            this._emitAction(negativeAction, player, 'gamepad');
+            return -1;
+        }
+        if (value >= STICK_PRESS) {
+            this._emitAction(positiveAction, player, 'gamepad');
+            return 1;
+        }
+        return 0;
+    }
+
+    // --- Touch ---
+    // Swipe left/right to change lane, up to jump, down to duck; tap to jump.
+    // In 2 player mode each player uses their own half of the screen.
+
+    _onTouchStart(event) {
+        if (!this.isEnabled('touch')) return;
+        for (const touch of event.changedTouches) {
+            this.touchStarts.set(touch.identifier, { x: touch.clientX, y: touch.clientY, time: performance.now() });
+        }
+    }
+
+    _onTouchEnd(event) {
+        if (this.oneSwitch) return; // Taps are switch presses (see _onPointerDown)
+        for (const touch of event.changedTouches) {
+            const start = this.touchStarts.get(touch.identifier);
+            this.touchStarts.delete(touch.identifier);
+            if (!start || !this.isEnabled('touch')) continue;
+
+            const dx = touch.clientX - start.x;
+            const dy = touch.clientY - start.y;
+            const player = this.playerCount > 1 && start.x > window.innerWidth / 2 ? 1 : 0;
+            let action = null;
+            if (Math.max(Math.abs(dx), Math.abs(dy)) >= SWIPE_DISTANCE) {
+                if (Math.abs(dx) > Math.abs(dy)) {
+                    action = dx < 0 ? 'left' : 'right';
+                } else {
+                    action = dy < 0 ? 'jump' : 'duck';
+                }
+            } else if (performance.now() - start.time <= TAP_MAX_DURATION) {
+                action = 'jump';
+            }
+            if (action) {
+                this._emitAction(action, player, 'touch');
+            }
+        }
+    }
+
+    // --- One switch: clicks and taps ---
+
+    _onPointerDown(event) {
+        if (!this.oneSwitch || !this.isEnabled('touch') || event.button !== 0) return;
+        if (isFormControl(event.target)) return;
+        this._emitSwitch('touch');
+    }
+}
@@ -0,0 +1,179 @@
+import { ACTIONS, DEVICES, MAX_POSE_LOSS_TIMEOUT } from './inputManager.js';
+
+const DEVICE_LABELS = {
+    pose: 'Camera (body pose)',
+    keyboard: 'Keyboard',
+    gamepad: 'Gamepad',
+    touch: 'Touch (swipe / tap)'
+};
+
+const ACTION_LABELS = {
+    left: 'Left',
+    right: 'Right',
+    jump: 'Jump',
+    duck: 'Duck',
+    superJump: 'Super Jump',
+    powerUp: 'Power-up',
+    pause: 'Pause'
+};
+
+// Shows nicer names for keys that don't print as themselves
+function describeKey(key) {
+    if (!key) return '(none)';
+    if (key === ' ') return 'Space';
+    if (key.startsWith('Arrow')) return `${key.slice(5)} Arrow`;
+    return key.length === 1 ? key.toUpperCase() : key;
+}
+
+// Overlay for switching input devices on and off and rebinding keys. Changes are
+// applied (and saved) by the InputManager straight away.
+export class InputSettingsMenu {
+    constructor(parentElement, inputManager) {
+        this.inputManager = inputManager;
+        this.pendingBinding = null; // { keySet, action, button } while waiting for a key press
+        this._onCaptureKey = this._onCaptureKey.bind(this);
+
+        this.container = document.createElement('div');
+        this.container.className = 'input-settings hidden';
+        parentElement.appendChild(this.container);
+
+        const title = document.createElement('h2');
+        title.textContent = 'Controls';
+        title.className = 'input-settings-title';
+        this.container.appendChild(title);
+
+        // Devices can be combined freely, e.g. camera for lanes plus a gamepad for jumping
+        const deviceList = document.createElement('div');
+        deviceList.className = 'input-settings-devices';
+        this.container.appendChild(deviceList);
+        this.deviceCheckboxes = {};
+        for (const device of DEVICES) {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.addEventListener('change', () => this.inputManager.setEnabled(device, checkbox.checked));
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${DEVICE_LABELS[device]}`));
+            deviceList.appendChild(label);
+            this.deviceCheckboxes[device] = checkbox;
+        }
+
+        // How long nobody can be in view before the game pauses itself
+        const timeoutLabel = document.createElement('label');
+        timeoutLabel.className = 'input-settings-timeout';
+        timeoutLabel.textContent = 'Pause when nobody is in view for (seconds, 0 = never) ';
+        this.poseLossInput = document.createElement('input');
+        this.poseLossInput.type = 'number';
+        this.poseLossInput.min = '0';
+        this.poseLossInput.max = String(MAX_POSE_LOSS_TIMEOUT);
+        this.poseLossInput.step = '0.5';
+        this.poseLossInput.addEventListener('change', () => {
+            const seconds = Number(this.poseLossInput.value);
+            if (Number.isFinite(seconds)) {
+                this.inputManager.setPoseLossTimeout(seconds);
+            }
+            this.poseLossInput.value = String(this.inputManager.getPoseLossTimeout());
+        });
+        timeoutLabel.appendChild(this.poseLossInput);
+        this.container.appendChild(timeoutLabel);
+
+        // Key bindings: one column per key set (WASD / arrows by default)
+        const table = document.createElement('table');
+        table.className = 'input-settings-bindings';
+        const header = table.insertRow();
+        ['Action', 'Keys 1 (P1)', 'Keys 2 (P2)'].forEach(text => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+        this.bindingButtons = [];
+        for (const action of ACTIONS) {
+            const row = table.insertRow();
+            row.insertCell().textContent = ACTION_LABELS[action];
+            for (let keySet = 0; keySet < 2; keySet++) {
+                const button = document.createElement('button');
+                button.className = 'input-settings-key';
+                button.addEventListener('click', () => this._beginBinding(keySet, action, button));
+                row.insertCell().appendChild(button);
+                this.bindingButtons.push({ keySet, action, button });
+            }
+        }
+        this.container.appendChild(table);
+
+        const hint = document.createElement('p');
+        hint.className = 'input-settings-hint';
+        hint.textContent = 'Click a key to change it, then press the new key (Escape cancels). Gamepads: D-pad or stick to move, A to jump, B to duck, Y for a super jump, X for a power-up, Start to pause. Touch: swipe to move, tap to jump.';
+        this.container.appendChild(hint);
+
+        const buttonRow = document.createElement('div');
+        buttonRow.className = 'calibration-buttons';
+        this.container.appendChild(buttonRow);
+
+        const resetButton = document.createElement('button');
+        resetButton.textContent = 'Reset Keys';
+        resetButton.className = 'game-button calibration-button';
+        resetButton.addEventListener('click', () => {
+            this.inputManager.resetKeyBindings();
+            this._refresh();
+        });
+        buttonRow.appendChild(resetButton);
+
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'Done';
+        closeButton.className = 'game-button calibration-button';
+        closeButton.addEventListener('click', () => this.close());
+        buttonRow.appendChild(closeButton);
+    }
+
+    open() {
+        this._refresh();
+        this.container.classList.remove('hidden');
+    }
+
+    close() {
+        this._cancelBinding();
+        this.container.classList.add('hidden');
+    }
+
+    isOpen() {
+        return !this.container.classList.contains('hidden');
+    }
+
+    _refresh() {
+        for (const device of DEVICES) {
+            this.deviceCheckboxes[device].checked = this.inputManager.isEnabled(device);
+        }
+        this.poseLossInput.value = String(this.inputManager.getPoseLossTimeout());
+        for (const { keySet, action, button } of this.bindingButtons) {
+            button.textContent = describeKey(this.inputManager.getKeyBinding(keySet, action));
+            button.classList.remove('waiting');
+        }
+    }
+
+    _beginBinding(keySet, action, button) {
+        this._cancelBinding();
+        this.pendingBinding = { keySet, action, button };
+        button.textContent = 'Press a key...';
+        button.classList.add('waiting');
+        // Capture phase so the key isn't also handled as a game input
+        window.addEventListener('keydown', this._onCaptureKey, true);
+    }
+
+    _cancelBinding() {
+        window.removeEventListener('keydown', this._onCaptureKey, true);
+        if (this.pendingBinding) {
+            this.pendingBinding = null;
+            this._refresh();
+        }
+    }
+
+    _onCaptureKey(event) {
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        const { keySet, action } = this.pendingBinding;
+        if (event.key !== 'Escape') {
+            this.inputManager.setKeyBinding(keySet, action, event.key);
+        }
+        this._cancelBinding();
+    }
+}
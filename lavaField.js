@@ -0,0 +1,212 @@
+import { LANES, PLATFORM_DEPTH, GAME_AREA_LENGTH, JUMP_CLEARANCE_HEIGHT, NEAR_MISS_HEIGHT, NEAR_MISS_TIME } from './constants.js';
+import { LavaPatternGenerator, createRandomSeed } from './lavaPatterns.js';
+import { getObstacleType } from './obstacles.js';
+import { LevelCourse } from './levels.js';
+
+export const INITIAL_SPAWN_INTERVAL = 4.0; // Decreased from 10.0: Start spawning more frequently
+export const MIN_SPAWN_INTERVAL = 0.9; // Decreased from 2.0: Minimum interval is faster
+export const SPAWN_INTERVAL_DECREMENT = 0.25;
+export const SPAWN_DISTANCE = GAME_AREA_LENGTH * 0.9; // Generated rows appear this far ahead of the player
+
+// Spawning, movement and collision of hazards. Hazards are plain objects
+// ({ id, kind, lane, x, z, previousX, previousZ, ... }) where kind names an obstacle type
+// from obstacles.js, which decides how they spawn, move and hit; the LavaManager view
+// creates meshes for them.
+// Hazards come from the seeded pattern generator, or from a level's authored list (by distance).
+// Options: onSpawn / onDespawn callbacks and trackOffsetX for players with their own track.
+export class LavaField {
+    constructor(seed = createRandomSeed(), options = {}) {
+        this.onSpawn = options.onSpawn || (() => {});
+        this.onDespawn = options.onDespawn || (() => {});
+        this.trackOffsetX = options.trackOffsetX || 0;
+        this.lavaHazards = [];
+        this.nextHazardId = 1;
+        this.spawnTimer = 0;
+        this.spawnInterval = INITIAL_SPAWN_INTERVAL;
+        this.patternGenerator = new LavaPatternGenerator(seed); // Seeded so a course can be replayed
+        this.pendingRows = []; // Rows of the current pattern still waiting to spawn
+        this.course = null; // LevelCourse when playing a level
+        this.distance = 0; // Distance the track has moved, for level hazards
+        this.lastSpeed = null; // Track speed on the last update
+        this.speedRamp = 0; // How fast the track speeds up, per second of this track's time
+        this.lastSpawnSpeed = null; // Track speed when the last generated row spawned
+    }
+
+    // level: a parsed level (see levels.js) to play instead of generated patterns
+    reset(seed = this.patternGenerator.seed, level = null) {
+        for (const hazard of this.lavaHazards) {
+            this.onDespawn(hazard);
+        }
+        this.lavaHazards = [];
+        this.nextHazardId = 1;
+        this.spawnTimer = INITIAL_SPAWN_INTERVAL * 0.75;
+        this.spawnInterval = INITIAL_SPAWN_INTERVAL;
+        this.patternGenerator.reset(seed);
+        this.pendingRows = [];
+        this.course = level ? new LevelCourse(level) : null;
+        this.distance = 0;
+        this.lastSpeed = null;
+        this.speedRamp = 0;
+        this.lastSpawnSpeed = null;
+    }
+
+    _spawnRow(row, targetZ, currentSpeed) {
+        getObstacleType(row.kind).spawn(this, row, targetZ, currentSpeed);
+    }
+
+    // World X of a lane on this field's track
+    getLaneX(lane) {
+        return LANES[lane] + this.trackOffsetX;
+    }
+
+    // Called by obstacle types while spawning; extra props are copied onto the hazard
+    addHazard(kind, lane, targetZ, props = {}) {
+        const x = this.getLaneX(lane);
+        const hazard = {
+            id: this.nextHazardId++,
+            kind,
+            lane,
+            x,
+            z: targetZ,
+            previousX: x,
+            previousZ: targetZ,
+            ...props
+        };
+        this.lavaHazards.push(hazard);
+        this.onSpawn(hazard);
+        return hazard;
+    }
+
+    update(deltaTime, playerZ, currentSpeed) {
+        // Measured rather than taken from the difficulty: slow motion runs this track on scaled
+        // time while the speed keeps rising in real time, so here it rises faster
+        if (this.lastSpeed !== null && deltaTime > 0) {
+            this.speedRamp = Math.max(0, (currentSpeed - this.lastSpeed) / deltaTime);
+        }
+        this.lastSpeed = currentSpeed;
+
+        // --- Spawning ---
+        if (this.course) {
+            this._spawnLevelRows(playerZ, currentSpeed);
+        } else {
+            this._spawnGeneratedRows(deltaTime, playerZ, currentSpeed);
+        }
+
+        // --- Movement & Despawning ---
+        for (let i = this.lavaHazards.length - 1; i >= 0; i--) {
+            const hazard = this.lavaHazards[i];
+            hazard.previousX = hazard.x;
+            hazard.previousZ = hazard.z;
+            hazard.z += currentSpeed * deltaTime;
+            const type = getObstacleType(hazard.kind);
+            if (type.update) {
+                type.update(hazard, deltaTime);
+            }
+            // Despawn lava that has gone past the player
+            if (hazard.z > playerZ + PLATFORM_DEPTH * 2) {
+                this.lavaHazards.splice(i, 1);
+                this.onDespawn(hazard);
+            }
+        }
+        this.distance += currentSpeed * deltaTime;
+    }
+
+    _spawnGeneratedRows(deltaTime, playerZ, currentSpeed) {
+        if (this.pendingRows.length === 0) {
+            // Ask the generator for the next pattern, starting one spawn interval after the last row
+            const pattern = this.patternGenerator.nextPattern(this.spawnInterval);
+            this.pendingRows = pattern.rows.slice();
+            // Decrease spawn interval for next time, down to the minimum
+            if (this.spawnInterval > MIN_SPAWN_INTERVAL) {
+                this.spawnInterval = Math.max(MIN_SPAWN_INTERVAL, this.spawnInterval - SPAWN_INTERVAL_DECREMENT);
+            }
+        }
+        if (this.lastSpawnSpeed === null) this.lastSpawnSpeed = currentSpeed;
+        this.spawnTimer += deltaTime;
+        while (this.pendingRows.length > 0 && this.spawnTimer >= this._getSpawnDelay(this.pendingRows[0])) {
+            // Spawn new lava ahead of the player
+            const row = this.pendingRows.shift();
+            const delay = this._getSpawnDelay(row);
+            this._spawnRow(row, playerZ - SPAWN_DISTANCE, currentSpeed);
+            this.lastSpawnSpeed = currentSpeed;
+            // Carry the overshoot over so row timing doesn't drift with the frame rate
+            this.spawnTimer -= delay;
+        }
+    }
+
+    // Row delays are the gaps the generator planned between rows reaching the player. The track
+    // speeds up while a row travels down it, so each row gains on the one before: spawned a
+    // delay apart, they'd arrive closer together by the ratio of the speeds at spawn and arrival.
+    // Spawns are spread out by that ratio, taken at the earlier spawn where it is smallest, so
+    // every row arrives at least its delay after the one before.
+    _getSpawnDelay(row) {
+        const speed = this.lastSpawnSpeed;
+        const arrivalSpeed = Math.sqrt(speed * speed + 2 * this.speedRamp * SPAWN_DISTANCE);
+        return row.delay * arrivalSpeed / speed;
+    }
+
+    // Authored hazards appear at their distance along the level; they move with the track
+    // like any other, so each reaches the player exactly when the track has gone that far
+    _spawnLevelRows(playerZ, currentSpeed) {
+        for (const { ahead, row } of this.course.takeDue(this.distance, currentSpeed)) {
+            this._spawnRow(row, playerZ - ahead, currentSpeed);
+        }
+    }
+
+    // Takes a PlayerPhysics (or anything with position / isJumping / isDucking / jumpStartY)
+    checkCollision(player) {
+        const playerPosition = player.position;
+
+        // Check collision against each active hazard
+        for (const hazard of this.lavaHazards) {
+            if (hazard.absorbed) continue; // Already taken by a shield
+            const type = getObstacleType(hazard.kind);
+            // Check X: Is the player horizontally overlapping with this hazard?
+            if (Math.abs(playerPosition.x - hazard.x) >= type.halfWidth) continue;
+            // Sweep the hazard's extent over the whole step so fast hazards can't skip past the player
+            const startZ = Math.min(hazard.previousZ, hazard.z) - type.depth / 2;
+            const endZ = Math.max(hazard.previousZ, hazard.z) + type.depth / 2;
+            // Check Z, then let the type decide (jumping over it, ducking under it, ...)
+            if (playerPosition.z >= startZ && playerPosition.z <= endZ && type.collides(hazard, player)) {
+                return hazard; // Collision detected
+            }
+        }
+        return null; // No collision detected
+    }
+
+    // Close calls, for bonus points: hazards (of types with nearMiss) that were cleared with
+    // little height to spare, or dodged by leaving their lane just before they arrived.
+    // Call after checkCollision() found no hit; each hazard counts at most once.
+    findNearMisses(player) {
+        const misses = [];
+        const playerZ = player.position.z;
+        for (const hazard of this.lavaHazards) {
+            const type = getObstacleType(hazard.kind);
+            if (!type.nearMiss || hazard.nearMissed) continue;
+            const inLane = Math.abs(player.position.x - hazard.x) < type.halfWidth;
+            const frontZ = hazard.z + type.depth / 2;
+            const backZ = hazard.z - type.depth / 2;
+
+            // Jumped over: remember the lowest point above the clearance height while overhead
+            if (inLane && player.isJumping && playerZ >= backZ && playerZ <= frontZ) {
+                const margin = player.position.y - player.jumpStartY - JUMP_CLEARANCE_HEIGHT;
+                hazard.jumpMargin = Math.min(hazard.jumpMargin ?? Infinity, margin);
+            }
+            const passedThisStep = playerZ >= hazard.previousZ - type.depth / 2 && playerZ < backZ;
+            if (passedThisStep && hazard.jumpMargin < NEAR_MISS_HEIGHT) {
+                hazard.nearMissed = true;
+                misses.push({ hazard, type: 'jump' });
+                continue;
+            }
+
+            // Dodged: it reached the player's Z just after they left its lane
+            const arrivedThisStep = playerZ > hazard.previousZ + type.depth / 2 && playerZ <= frontZ;
+            if (arrivedThisStep && !inLane && player.timeSinceLaneChange <= NEAR_MISS_TIME
+                && Math.abs(this.getLaneX(player.previousLane) - hazard.x) < type.halfWidth) {
+                hazard.nearMissed = true;
+                misses.push({ hazard, type: 'dodge' });
+            }
+        }
+        return misses;
+    }
+}
@@ -1,154 +1,152 @@
 import * as THREE from 'three';
-import { LANES, LANE_WIDTH, PLATFORM_DEPTH, INITIAL_GAME_SPEED, MAX_GAME_SPEED, GAME_SPEED_INCREASE_RATE, GAME_AREA_LENGTH } from './constants.js';
+import { getObstacleView } from './obstacleViews.js';
 import { ParticleManager } from './ParticleManager.js'; // Import ParticleManager
 
-const LAVA_COLOR = 0xff0000;
-const LAVA_EMISSIVE = 0xcc0000;
-const LAVA_INTENSITY = 1.0;
-const LAVA_HEIGHT = 0.01; // Slightly above platform y=0 plane
-
-// Texture Loading
-const textureLoader = new THREE.TextureLoader();
-const lavaTexture = textureLoader.load('assets/Lava.jpg');
-lavaTexture.wrapS = THREE.RepeatWrapping;
-lavaTexture.wrapT = THREE.RepeatWrapping;
-lavaTexture.repeat.set(1, 1); // Adjust repeat as needed
-
-const LAVA_GEOMETRY = new THREE.PlaneGeometry(LANE_WIDTH * 0.9, PLATFORM_DEPTH); // Matches platform footprint
-const LAVA_MATERIAL = new THREE.MeshStandardMaterial({
-    map: lavaTexture,
-    // color: LAVA_COLOR, // Can keep or remove color tint
-    emissive: LAVA_EMISSIVE,
-    emissiveMap: lavaTexture,
-    emissiveIntensity: LAVA_INTENSITY * 0.6,
-    side: THREE.DoubleSide
-});
-
-// Rotate geometry once instead of each mesh instance
-LAVA_GEOMETRY.rotateX(-Math.PI / 2);
-
-const INITIAL_SPAWN_INTERVAL = 4.0; // Decreased from 10.0: Start spawning more frequently
-const MIN_SPAWN_INTERVAL = 0.9; // Decreased from 2.0: Minimum interval is faster
-const SPAWN_INTERVAL_DECREMENT = 0.25;
+const INITIAL_BATCH_SIZE = 32; // Instances per batch to start with; batches double when full
 
+// Draws the hazards owned by the core's LavaField: one pooled object per hazard, built by the
+// view registered for its kind (see obstacleViews.js), plus embers for kinds that want them.
+// The objects themselves are never added to the scene. They are posed like normal objects, and
+// each frame their visible meshes are copied into one InstancedMesh per geometry and material,
+// so the draw calls stay the same however many hazards are in view.
 export class LavaManager {
-    constructor(scene) {
+    constructor(scene, core) {
         this.scene = scene;
-        this.lavaHazards = [];
-        this.pool = []; // Object pool for lava meshes
-        this.spawnTimer = 0;
-        this.spawnInterval = INITIAL_SPAWN_INTERVAL; // Use constant
-        this.nextSpawnZ = -GAME_AREA_LENGTH / 2;
+        this.lavaHazards = []; // Active hazard objects, each linked to its hazard via userData.hazard
+        this.meshesByHazard = new Map();
+        this.pools = new Map(); // kind -> pooled objects for reuse
+        this.batches = new Map(); // 'geometry uuid/material uuid' -> InstancedMesh
         this.particleManager = new ParticleManager(scene); // Instantiate ParticleManager
+        core.on('hazardSpawn', hazard => this._spawnLava(hazard));
+        core.on('hazardDespawn', hazard => this._despawnLava(hazard));
     }
 
     reset() {
-        // Remove existing lava and their particles
-        this.lavaHazards.forEach(lava => {
-            if (lava.userData.particleSystem) {
-                this.particleManager.returnSystem(lava.userData.particleSystem);
-            }
-            lava.visible = false;
-            this.scene.remove(lava);
-            this.pool.push(lava);
-        });
+        // Remove existing hazards and their particles
+        this.lavaHazards.forEach(lava => this._release(lava));
         this.lavaHazards = [];
+        this.meshesByHazard.clear();
         this.particleManager.reset(); // Reset particles
-        this.spawnTimer = INITIAL_SPAWN_INTERVAL * 0.75;
-        this.nextSpawnZ = -GAME_AREA_LENGTH / 2;
-        this.spawnInterval = INITIAL_SPAWN_INTERVAL;
+        this._drawInstances();
     }
 
-    _createLavaMesh() {
-        if (this.pool.length > 0) {
-            const lava = this.pool.pop();
+    _poolFor(kind) {
+        if (!this.pools.has(kind)) {
+            this.pools.set(kind, []);
+        }
+        return this.pools.get(kind);
+    }
+
+    _createLavaMesh(kind) {
+        const pool = this._poolFor(kind);
+        if (pool.length > 0) {
+            const lava = pool.pop();
             lava.visible = true;
             return lava;
-        } else {
-            // Geometry is already rotated
-            const lava = new THREE.Mesh(LAVA_GEOMETRY, LAVA_MATERIAL);
-            return lava;
         }
+        return getObstacleView(kind).create();
     }
 
-    _spawnLava(targetZ) {
-        const lava = this._createLavaMesh();
-        const lane = Math.floor(Math.random() * 3); // Random lane 0, 1, 2
-        // Position slightly above the platform plane (Y=0)
-        lava.position.set(LANES[lane], LAVA_HEIGHT, targetZ);
-        lava.userData.lane = lane;
-        // Create and attach particle system - position it well above the lava surface
-        const particlePosition = lava.position.clone().add(new THREE.Vector3(0, 0.4, 0)); // Position particles significantly higher above lava
-        lava.userData.particleSystem = this.particleManager.getSystem(particlePosition);
-        this.scene.add(lava);
+    _spawnLava(hazard) {
+        const view = getObstacleView(hazard.kind);
+        const lava = this._createLavaMesh(hazard.kind);
+        lava.userData.hazard = hazard;
+        lava.position.set(hazard.x, view.y, hazard.z);
+        if (view.place) {
+            view.place(lava, hazard);
+        }
+        if (view.embers) {
+            // Create and attach particle system - position it well above the lava surface
+            const particlePosition = lava.position.clone().add(new THREE.Vector3(0, 0.4, 0)); // Position particles significantly higher above lava
+            lava.userData.particleSystem = this.particleManager.getSystem(particlePosition); // Null if none are left
+        }
         this.lavaHazards.push(lava);
+        this.meshesByHazard.set(hazard, lava);
     }
 
-    update(deltaTime, playerZ, currentSpeed) {
-        this.particleManager.update(deltaTime); // Update particles first
-        // --- Spawning ---
-        this.spawnTimer += deltaTime;
-        if (this.spawnTimer >= this.spawnInterval) {
-            // Spawn new lava ahead of the player
-            const spawnZ = playerZ - GAME_AREA_LENGTH * 0.9; // Spawn far ahead
-            this._spawnLava(spawnZ);
-            this.spawnTimer = 0; // Reset timer
-            // Decrease spawn interval for next time, down to the minimum
-            // Ensure we use the updated MIN_SPAWN_INTERVAL here as well
-            if (this.spawnInterval > MIN_SPAWN_INTERVAL) {
-                this.spawnInterval = Math.max(MIN_SPAWN_INTERVAL, this.spawnInterval - SPAWN_INTERVAL_DECREMENT);
-                // console.log("New Lava Spawn Interval:", this.spawnInterval.toFixed(2)); // Debugging
-            }
+    _despawnLava(hazard) {
+        const lava = this.meshesByHazard.get(hazard);
+        if (!lava) return;
+        this._release(lava);
+        this.lavaHazards.splice(this.lavaHazards.indexOf(lava), 1);
+        this.meshesByHazard.delete(hazard);
+    }
+
+    // Hides an object and returns it (and its embers) to the pools
+    _release(lava) {
+        if (lava.userData.particleSystem) {
+            this.particleManager.returnSystem(lava.userData.particleSystem);
+            lava.userData.particleSystem = null; // Clear reference
         }
-        // --- Movement & Despawning ---
-        for (let i = this.lavaHazards.length - 1; i >= 0; i--) {
-            const lava = this.lavaHazards[i];
-            // Move lava and its particles together
-            const moveZ = currentSpeed * deltaTime;
-            lava.position.z += moveZ;
+        lava.visible = false;
+        this._poolFor(lava.userData.hazard.kind).push(lava);
+    }
+
+    // Places objects between the last two simulation steps and animates particles
+    render(alpha, frameTime) {
+        for (const lava of this.lavaHazards) {
+            const hazard = lava.userData.hazard;
+            const x = hazard.previousX + (hazard.x - hazard.previousX) * alpha;
+            const z = hazard.previousZ + (hazard.z - hazard.previousZ) * alpha;
+            const moveX = x - lava.position.x;
+            const moveZ = z - lava.position.z;
+            lava.position.x = x;
+            lava.position.z = z;
             if (lava.userData.particleSystem) {
+                lava.userData.particleSystem.position.x += moveX;
                 lava.userData.particleSystem.position.z += moveZ;
             }
-            // Despawn lava that has gone past the player
-            if (lava.position.z > playerZ + PLATFORM_DEPTH * 2) {
-                if (lava.userData.particleSystem) {
-                    this.particleManager.returnSystem(lava.userData.particleSystem);
-                    lava.userData.particleSystem = null; // Clear reference
-                }
-                lava.visible = false;
-                this.scene.remove(lava);
-                this.pool.push(lava);
-                this.lavaHazards.splice(i, 1);
+            const view = getObstacleView(hazard.kind);
+            if (view.update) {
+                view.update(lava, hazard, frameTime);
             }
         }
+        this._drawInstances();
+        this.particleManager.update(frameTime);
     }
 
-    // Updated signature to accept the full player object
-    checkCollision(player) {
-        const playerPosition = player.mesh.position;
-        const playerIsJumping = player.isJumping;
-        const JUMP_CLEARANCE_HEIGHT = 0.3; // Player Y must be above this relative to ground to clear lava
-        
-        // Check collision against each active lava hazard
+    // Rewrites every batch from the hazard objects' current poses
+    _drawInstances() {
+        for (const batch of this.batches.values()) {
+            batch.count = 0;
+        }
         for (const lava of this.lavaHazards) {
-            const laneX = LANES[lava.userData.lane];
-            // Check X: Is the player horizontally overlapping with this lava's lane?
-            if (Math.abs(playerPosition.x - laneX) < LANE_WIDTH / 2 * 0.9) {
-                const lavaStartZ = lava.position.z - PLATFORM_DEPTH / 2;
-                const lavaEndZ = lava.position.z + PLATFORM_DEPTH / 2;
-                // Check Z: Does the player's Z position overlap with the lava's Z extent?
-                if (playerPosition.z >= lavaStartZ && playerPosition.z <= lavaEndZ) {
-                    // Check Y / Jump Status: Is the player jumping high enough?
-                    if (playerIsJumping && playerPosition.y > player.jumpStartY + JUMP_CLEARANCE_HEIGHT) {
-                        continue; // Check the next lava patch
-                    } else {
-                        // Player is either not jumping, or jumping but too low
-                        // console.log(`Lava collision detected: Player(x:${playerPosition.x.toFixed(1)}, y:${playerPosition.y.toFixed(1)}, z:${playerPosition.z.toFixed(1)}) Lava(lane:${lava.userData.lane}, zStart:${lavaStartZ.toFixed(1)}, zEnd:${lavaEndZ.toFixed(1)})`);
-                        return true; // Collision detected
-                    }
-                }
-            }
+            lava.updateMatrixWorld(true);
+            lava.traverseVisible(object => {
+                if (object.isMesh) this._addInstance(object);
+            });
         }
-        return false; // No collision detected
+        for (const batch of this.batches.values()) {
+            batch.instanceMatrix.needsUpdate = true;
+        }
+    }
+
+    _addInstance(mesh) {
+        const key = `${mesh.geometry.uuid}/${mesh.material.uuid}`;
+        let batch = this.batches.get(key);
+        if (!batch) {
+            batch = this._createBatch(mesh.geometry, mesh.material, INITIAL_BATCH_SIZE);
+            batch.count = 0;
+            this.batches.set(key, batch);
+        } else if (batch.count === batch.instanceMatrix.count) {
+            // Full: move the instances so far into one twice the size
+            const grown = this._createBatch(mesh.geometry, mesh.material, batch.instanceMatrix.count * 2);
+            grown.instanceMatrix.array.set(batch.instanceMatrix.array);
+            grown.count = batch.count;
+            this.scene.remove(batch);
+            batch.dispose();
+            batch = grown;
+            this.batches.set(key, batch);
+        }
+        batch.setMatrixAt(batch.count, mesh.matrixWorld);
+        batch.count++;
+    }
+
+    _createBatch(geometry, material, size) {
+        const batch = new THREE.InstancedMesh(geometry, material, size);
+        batch.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        batch.frustumCulled = false; // The geometry's bounds say nothing about where the instances are
+        this.scene.add(batch);
+        return batch;
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,257 @@
+import { PLAYER_LANE_CHANGE_COOLDOWN, PLAYER_JUMP_DURATION, PLAYER_JUMP_HEIGHT, JUMP_CLEARANCE_HEIGHT, PLAYER_DUCK_DURATION } from './constants.js';
+import { getObstacleType, getObstacleTypes } from './obstacles.js';
+
+const LANE_COUNT = 3;
+const LANE_MOVE_TIME = 0.15; // Seconds for the player to slide clear of a lane (movement is near-instant, this is padding)
+const ROW_PASS_MARGIN = 0.3; // Seconds either side of a row's arrival where the player must already be safe
+const JUMP_TIMING_MARGIN = 0.2; // Seconds of slack given to the player when timing a jump over a strip
+const MAX_PATTERN_ATTEMPTS = 12; // Candidates tried before falling back to a guaranteed single tile
+
+// --- Seeded Random ---
+// mulberry32: tiny, fast and good enough for level generation
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Turns any string (e.g. "2026-10-19") into a 32-bit seed
+export function hashSeed(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// Same seed for everyone on the same (UTC) day
+export function getDailySeed(date = new Date()) {
+    return hashSeed(date.toISOString().slice(0, 10));
+}
+
+export function createRandomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// --- Pattern Generator ---
+// Produces rows of lava in "time" rather than distance: a row's delay is how long after the
+// previous row it reaches the player. The track speeds up while rows travel down it, so
+// LavaField spaces the spawns out to keep those arrival gaps (see LavaField._getSpawnDelay).
+// A row is { delay, kind, lanes, duration, ... }: seconds after the previous row, the obstacle
+// type (see obstacles.js), the lanes it covers and, for strips and gaps, how long it keeps
+// passing under the player. Patterns and their survivability rules come from the obstacle types.
+export class LavaPatternGenerator {
+    constructor(seed, options = {}) {
+        this.setPlayerTiming(options);
+        this.setLaneChangeCooldown(options.laneChangeCooldown ?? PLAYER_LANE_CHANGE_COOLDOWN);
+
+        this.reset(seed);
+    }
+
+    // Jump and duck windows the courses are planned around. Left out, they're read from the
+    // constants as they are now, so the core calls this at the start of every run to pick up
+    // values tuned in the dev overlay.
+    setPlayerTiming({ jumpDuration, jumpHeight, jumpClearance, duckDuration } = {}) {
+        this.jumpDuration = jumpDuration ?? PLAYER_JUMP_DURATION;
+        this.duckDuration = duckDuration ?? PLAYER_DUCK_DURATION;
+
+        // The part of the jump arc where the player is above the clearance height
+        const ratio = (jumpClearance ?? JUMP_CLEARANCE_HEIGHT) / (4 * (jumpHeight ?? PLAYER_JUMP_HEIGHT));
+        // Solve progress - progress^2 = ratio; a jump that never gets above the clearance has no window
+        const edge = (1 - Math.sqrt(Math.max(0, 1 - 4 * ratio))) / 2;
+        this.jumpClearStart = edge * this.jumpDuration;
+        this.jumpClearEnd = (1 - edge) * this.jumpDuration;
+        this.maxStripDuration = this.jumpClearEnd - this.jumpClearStart - JUMP_TIMING_MARGIN * 2;
+    }
+
+    // Courses are planned around how soon the player can change lanes again (it depends on the difficulty)
+    setLaneChangeCooldown(seconds) {
+        this.laneChangeCooldown = seconds;
+        // Smallest gap that still lets the player shift one lane between two rows
+        this.shiftGap = this.laneChangeCooldown + ROW_PASS_MARGIN * 2 + LANE_MOVE_TIME;
+    }
+
+    reset(seed) {
+        this.seed = seed >>> 0;
+        this.random = createRandom(this.seed);
+        this.time = 0; // Arrival time of the last generated row
+        // Earliest time the player can start a lane change from each lane (Infinity = can't be there)
+        this.laneReadyAt = [0, 0, 0];
+        this.jumpReadyAt = 0;
+        this.duckReadyAt = 0;
+    }
+
+    nextPattern(gap) {
+        for (let attempt = 0; attempt < MAX_PATTERN_ATTEMPTS; attempt++) {
+            const pattern = this._pickPattern();
+            const rows = pattern.build(this, gap);
+            if (rows && this._tryCommit(rows)) {
+                return { name: pattern.name, rows };
+            }
+        }
+        // Fallback: a single tile can always be placed somewhere survivable
+        const rows = this._buildSafeSingle(gap);
+        this._tryCommit(rows);
+        return { name: 'single', rows };
+    }
+
+    // Every pattern of every registered obstacle type, with its weight
+    _getPatterns() {
+        const patterns = [];
+        for (const [, type] of getObstacleTypes()) {
+            for (const [name, pattern] of Object.entries(type.patterns)) {
+                patterns.push({ name, ...pattern });
+            }
+        }
+        return patterns;
+    }
+
+    _pickPattern() {
+        const patterns = this._getPatterns();
+        const total = patterns.reduce((sum, pattern) => sum + pattern.weight, 0);
+        let roll = this.random() * total;
+        for (const pattern of patterns) {
+            roll -= pattern.weight;
+            if (roll < 0) return pattern;
+        }
+        return patterns[patterns.length - 1];
+    }
+
+    randomLane() {
+        return Math.floor(this.random() * LANE_COUNT);
+    }
+
+    _buildSafeSingle(gap) {
+        const readyAt = this._advance(this.laneReadyAt, this.time, this.time + gap);
+        const start = this.randomLane();
+        for (let i = 0; i < LANE_COUNT; i++) {
+            const lane = (start + i) % LANE_COUNT;
+            const remaining = readyAt.filter((value, index) => index !== lane && value !== Infinity);
+            if (remaining.length > 0) {
+                return [{ delay: gap, kind: 'lava', lanes: [lane], duration: 0 }];
+            }
+        }
+        return [{ delay: gap, kind: 'lava', lanes: [], duration: 0 }]; // Unreachable with three lanes, kept for safety
+    }
+
+    lanesExcept(openLane) {
+        const lanes = [];
+        for (let lane = 0; lane < LANE_COUNT; lane++) {
+            if (lane !== openLane) lanes.push(lane);
+        }
+        return lanes;
+    }
+
+    // Runs the rows through the survivability model and keeps the new state only if
+    // at least one lane stays reachable after every row.
+    _tryCommit(rows) {
+        let time = this.time;
+        const state = {
+            laneReadyAt: this.laneReadyAt,
+            jumpReadyAt: this.jumpReadyAt,
+            duckReadyAt: this.duckReadyAt
+        };
+
+        for (const row of rows) {
+            const arrival = time + row.delay;
+            state.laneReadyAt = this._advance(state.laneReadyAt, time, arrival);
+            if (!getObstacleType(row.kind).survive(this, state, row, arrival)) {
+                return false;
+            }
+            if (state.laneReadyAt.every(value => value === Infinity)) {
+                return false;
+            }
+            time = arrival;
+        }
+
+        this.time = time;
+        this.laneReadyAt = state.laneReadyAt;
+        this.jumpReadyAt = state.jumpReadyAt;
+        this.duckReadyAt = state.duckReadyAt;
+        return true;
+    }
+
+    // --- Survivability rules ---
+    // Used by the obstacle types' survive(); each updates the state for a row arriving at
+    // `arrival` and returns false if the player couldn't get through it.
+
+    // The player can't be in these lanes when the row passes
+    blockLanes(state, lanes) {
+        state.laneReadyAt = state.laneReadyAt.map((value, lane) => lanes.includes(lane) ? Infinity : value);
+        return true;
+    }
+
+    // A player in this lane has to stay in it until `until` (e.g. while a gap goes by)
+    holdLane(state, lane, until) {
+        state.laneReadyAt = state.laneReadyAt.map((value, index) => index === lane && value !== Infinity ? Math.max(value, until) : value);
+        return true;
+    }
+
+    // Strip: the jump must start late enough to still be airborne when the tail passes,
+    // and the previous jump (or duck) must be over by then
+    requireJump(state, arrival, duration) {
+        const latestJumpStart = arrival - JUMP_TIMING_MARGIN - this.jumpClearStart;
+        const earliestJumpStart = arrival + duration + JUMP_TIMING_MARGIN - this.jumpClearEnd;
+        if (duration > this.maxStripDuration || earliestJumpStart > latestJumpStart || state.jumpReadyAt > latestJumpStart || state.duckReadyAt > latestJumpStart) {
+            return false;
+        }
+        state.jumpReadyAt = latestJumpStart + this.jumpDuration;
+        state.duckReadyAt = Math.max(state.duckReadyAt, state.jumpReadyAt);
+        // While airborne the player can't usefully react, so lanes only free up after landing
+        const landing = latestJumpStart + this.jumpDuration;
+        state.laneReadyAt = state.laneReadyAt.map(value => value === Infinity ? Infinity : Math.max(value, landing));
+        return true;
+    }
+
+    // The duck has to cover the row's whole pass, and can't start mid-jump or mid-duck.
+    // Lane changes are still allowed while ducking, so lanes are unaffected.
+    requireDuck(state, arrival) {
+        const latestDuckStart = arrival - ROW_PASS_MARGIN;
+        if (this.duckDuration < ROW_PASS_MARGIN * 2 || state.jumpReadyAt > latestDuckStart || state.duckReadyAt > latestDuckStart) {
+            return false;
+        }
+        state.duckReadyAt = latestDuckStart + this.duckDuration;
+        state.jumpReadyAt = Math.max(state.jumpReadyAt, state.duckReadyAt);
+        return true;
+    }
+
+    // The player must be on the ground while the row passes: an earlier forced jump has to
+    // have landed, and no jump can be needed until it's gone
+    requireGrounded(state, arrival) {
+        if (state.jumpReadyAt > arrival - ROW_PASS_MARGIN) {
+            return false;
+        }
+        state.jumpReadyAt = arrival + ROW_PASS_MARGIN;
+        return true;
+    }
+
+    // Given where the player can be when one row arrives, work out where they can be
+    // when the next row arrives, respecting the lane change cooldown.
+    _advance(laneReadyAt, fromTime, toTime) {
+        const next = [Infinity, Infinity, Infinity];
+        const mustArriveBy = toTime - ROW_PASS_MARGIN;
+
+        for (let from = 0; from < LANE_COUNT; from++) {
+            if (laneReadyAt[from] === Infinity) continue;
+            // Staying put is always allowed
+            next[from] = Math.min(next[from], laneReadyAt[from]);
+
+            const firstStart = Math.max(fromTime + ROW_PASS_MARGIN, laneReadyAt[from]);
+            for (let to = 0; to < LANE_COUNT; to++) {
+                const hops = Math.abs(to - from);
+                if (hops === 0) continue;
+                const lastStart = firstStart + (hops - 1) * this.laneChangeCooldown;
+                if (lastStart + LANE_MOVE_TIME <= mustArriveBy) {
+                    next[to] = Math.min(next[to], lastStart + this.laneChangeCooldown);
+                }
+            }
+        }
+        return next;
+    }
+}
@@ -0,0 +1,181 @@
+// Local leaderboard and run history kept in IndexedDB so it survives reloads. Boards from
+// several machines (e.g. kiosks at an event) can be exported as JSON and merged together:
+// every entry has a unique id, so importing the same file twice doesn't duplicate runs.
+// Entries written without one get an id made from their contents, which is the same every time.
+
+const DB_NAME = 'floorIsLava';
+const DB_VERSION = 1;
+const STORE_NAME = 'runs';
+export const LEADERBOARD_EXPORT_VERSION = 1;
+
+// solo: one player, versus: two players, daily: one player on the daily course
+export const LEADERBOARD_MODES = ['solo', 'versus', 'daily'];
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function createEntryId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Two entries with the same date, mode, seed, score and name are the same run
+function getContentId({ date, mode, seed, score, name }) {
+    return ['run', date, mode, seed, score, name].join('|');
+}
+
+// Checks an entry from the game or an imported file; returns a clean copy or throws
+export function normalizeEntry(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error("Leaderboard entry is not an object.");
+    }
+    const name = typeof data.name === 'string' ? data.name.trim().slice(0, 20) : '';
+    if (!name) {
+        throw new Error("Leaderboard entry has no name.");
+    }
+    for (const field of ['score', 'topSpeed', 'distance', 'jumps']) {
+        if (typeof data[field] !== 'number' || !Number.isFinite(data[field]) || data[field] < 0) {
+            throw new Error(`Leaderboard entry for ${name} has an invalid ${field}.`);
+        }
+    }
+    if (!LEADERBOARD_MODES.includes(data.mode)) {
+        throw new Error(`Leaderboard entry for ${name} has an unknown mode: ${data.mode}`);
+    }
+    const date = new Date(data.date);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Leaderboard entry for ${name} has an invalid date.`);
+    }
+    const entry = {
+        id: typeof data.id === 'string' && data.id ? data.id : null,
+        name,
+        score: Math.floor(data.score),
+        topSpeed: data.topSpeed,
+        distance: data.distance,
+        jumps: Math.floor(data.jumps),
+        inputMethod: typeof data.inputMethod === 'string' ? data.inputMethod : 'unknown',
+        mode: data.mode,
+        seed: typeof data.seed === 'number' ? data.seed >>> 0 : null,
+        date: date.toISOString()
+    };
+    if (!entry.id) entry.id = getContentId(entry);
+    return entry;
+}
+
+export class Leaderboard {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    _open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error("IndexedDB is not available, the leaderboard can't be saved."));
+                    return;
+                }
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('mode', 'mode');
+                    store.createIndex('name', 'name');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Allow a retry if opening failed
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async _store(mode) {
+        const db = await this._open();
+        return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    }
+
+    // Saves a finished run. Resolves with { entry, rank, isPersonalBest } where rank is the
+    // 1-based position within the entry's mode and isPersonalBest compares against the
+    // same name's earlier runs in that mode.
+    async addEntry(data) {
+        const entry = normalizeEntry({ id: createEntryId(), ...data, date: data.date || new Date().toISOString() });
+        const previousBest = await this.getPersonalBest(entry.name, entry.mode);
+        const store = await this._store('readwrite');
+        await requestToPromise(store.put(entry));
+        const entries = await this.getEntries({ mode: entry.mode });
+        return {
+            entry,
+            rank: entries.findIndex(other => other.id === entry.id) + 1,
+            isPersonalBest: !previousBest || entry.score > previousBest.score
+        };
+    }
+
+    // Entries sorted best first, optionally for one mode only
+    async getEntries({ mode = null, limit = Infinity } = {}) {
+        const store = await this._store('readonly');
+        const entries = mode
+            ? await requestToPromise(store.index('mode').getAll(mode))
+            : await requestToPromise(store.getAll());
+        entries.sort((a, b) => b.score - a.score || a.date.localeCompare(b.date));
+        return entries.slice(0, limit);
+    }
+
+    async getPersonalBest(name, mode) {
+        const store = await this._store('readonly');
+        const entries = await requestToPromise(store.index('name').getAll(name));
+        return entries
+            .filter(entry => entry.mode === mode)
+            .reduce((best, entry) => (!best || entry.score > best.score ? entry : best), null);
+    }
+
+    async exportJSON() {
+        return JSON.stringify({
+            version: LEADERBOARD_EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            entries: await this.getEntries()
+        }, null, 2);
+    }
+
+    // Merges another board into this one. Resolves with { added, skipped }; throws (before
+    // saving anything) if the file isn't a leaderboard export or holds a broken entry.
+    async importJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error("Leaderboard file is not valid JSON.");
+        }
+        if (!data || data.version !== LEADERBOARD_EXPORT_VERSION || !Array.isArray(data.entries)) {
+            throw new Error("This file is not a leaderboard export.");
+        }
+        const entries = data.entries.map((entry, index) => {
+            try {
+                return normalizeEntry(entry);
+            } catch (error) {
+                throw new Error(`Entry ${index + 1}: ${error.message}`);
+            }
+        });
+
+        const existing = new Set((await this.getEntries()).map(entry => entry.id));
+        const store = await this._store('readwrite');
+        let added = 0;
+        for (const entry of entries) {
+            if (existing.has(entry.id)) continue;
+            existing.add(entry.id);
+            store.put(entry);
+            added++;
+        }
+        await new Promise((resolve, reject) => {
+            store.transaction.oncomplete = resolve;
+            store.transaction.onerror = () => reject(store.transaction.error);
+        });
+        return { added, skipped: entries.length - added };
+    }
+}
@@ -0,0 +1,160 @@
+import { LEADERBOARD_MODES } from './leaderboard.js';
+
+const MODE_LABELS = {
+    solo: 'Solo',
+    versus: '2 Players',
+    daily: 'Daily'
+};
+
+const SHOWN_ENTRIES = 20;
+
+// Overlay listing the best runs with a mode filter and JSON export / import
+export class LeaderboardPanel {
+    constructor(parentElement, leaderboard) {
+        this.leaderboard = leaderboard;
+        this.highlightIds = new Set(); // Entries from the run that just finished
+
+        this.container = document.createElement('div');
+        this.container.className = 'leaderboard-panel hidden';
+        parentElement.appendChild(this.container);
+
+        const title = document.createElement('h2');
+        title.textContent = 'Leaderboard';
+        title.className = 'input-settings-title';
+        this.container.appendChild(title);
+
+        this.modeSelect = document.createElement('select');
+        this.modeSelect.className = 'leaderboard-mode';
+        [['', 'All modes'], ...LEADERBOARD_MODES.map(mode => [mode, MODE_LABELS[mode]])].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.modeSelect.appendChild(option);
+        });
+        this.modeSelect.addEventListener('change', () => this.refresh());
+        this.container.appendChild(this.modeSelect);
+
+        this.table = document.createElement('table');
+        this.table.className = 'leaderboard-table';
+        this.container.appendChild(this.table);
+
+        this.statusText = document.createElement('p');
+        this.statusText.className = 'input-settings-hint';
+        this.container.appendChild(this.statusText);
+
+        const buttonRow = document.createElement('div');
+        buttonRow.className = 'calibration-buttons';
+        this.container.appendChild(buttonRow);
+
+        const exportButton = document.createElement('button');
+        exportButton.textContent = 'Export';
+        exportButton.className = 'game-button calibration-button';
+        exportButton.addEventListener('click', () => this._export());
+        buttonRow.appendChild(exportButton);
+
+        const importButton = document.createElement('button');
+        importButton.textContent = 'Import & Merge';
+        importButton.className = 'game-button calibration-button';
+        buttonRow.appendChild(importButton);
+
+        this.importInput = document.createElement('input');
+        this.importInput.type = 'file';
+        this.importInput.accept = 'application/json,.json';
+        this.importInput.className = 'hidden';
+        this.container.appendChild(this.importInput);
+        importButton.addEventListener('click', () => {
+            this.importInput.value = '';
+            this.importInput.click();
+        });
+        this.importInput.addEventListener('change', () => this._import());
+
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'Close';
+        closeButton.className = 'game-button calibration-button';
+        closeButton.addEventListener('click', () => this.close());
+        buttonRow.appendChild(closeButton);
+    }
+
+    // highlightIds: entries to mark (e.g. the run that just ended); mode: initial filter
+    open({ highlightIds = [], mode = '' } = {}) {
+        this.highlightIds = new Set(highlightIds);
+        this.modeSelect.value = mode;
+        this.statusText.textContent = '';
+        this.container.classList.remove('hidden');
+        this.refresh();
+    }
+
+    close() {
+        this.container.classList.add('hidden');
+    }
+
+    async refresh() {
+        let entries;
+        try {
+            entries = await this.leaderboard.getEntries({ mode: this.modeSelect.value || null, limit: SHOWN_ENTRIES });
+        } catch (error) {
+            console.error("Could not load the leaderboard:", error);
+            this.statusText.textContent = error.message;
+            return;
+        }
+
+        this.table.innerHTML = '';
+        const header = this.table.insertRow();
+        ['#', 'Name', 'Score', 'Top Speed', 'Distance', 'Jumps', 'Input', 'Mode', 'Date'].forEach(text => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+        entries.forEach((entry, index) => {
+            const row = this.table.insertRow();
+            if (this.highlightIds.has(entry.id)) {
+                row.className = 'highlight';
+            }
+            [
+                index + 1,
+                entry.name,
+                entry.score,
+                entry.topSpeed.toFixed(1),
+                `${Math.floor(entry.distance)} m`,
+                entry.jumps,
+                entry.inputMethod,
+                MODE_LABELS[entry.mode],
+                new Date(entry.date).toLocaleDateString()
+            ].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+        });
+        if (entries.length === 0) {
+            this.statusText.textContent = 'No runs yet - go set a score!';
+        }
+    }
+
+    async _export() {
+        try {
+            const json = await this.leaderboard.exportJSON();
+            const blob = new Blob([json], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `lava-leaderboard-${new Date().toISOString().slice(0, 10)}.json`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error("Could not export the leaderboard:", error);
+            this.statusText.textContent = error.message;
+        }
+    }
+
+    async _import() {
+        const file = this.importInput.files[0];
+        if (!file) return;
+        try {
+            const { added, skipped } = await this.leaderboard.importJSON(await file.text());
+            this.statusText.textContent = `Imported ${added} run(s), skipped ${skipped} already on this board.`;
+            await this.refresh();
+        } catch (error) {
+            console.error("Could not import the leaderboard:", error);
+            this.statusText.textContent = `Import failed: ${error.message}`;
+        }
+    }
+}
@@ -0,0 +1,784 @@
+import * as THREE from 'three';
+import { LANES, LANE_WIDTH, PLATFORM_DEPTH } from './constants.js';
+import { getObstacleTypes } from './obstacles.js';
+import { getObstacleView } from './obstacleViews.js';
+import { THEMES, THEME_NAMES, DEFAULT_THEME } from './themes.js';
+import {
+    GOAL_TYPES, MIN_HAZARD_DISTANCE, validateLevel, parseLevel, parseLevelText,
+    toLevelData, formatLevelFile, encodeLevelForUrl, sliceLevel
+} from './levels.js';
+
+// Course editor for levels.js files. The left side is a top-down view of the lanes, drawn
+// with the game's own renderer and hazard meshes, with the distance running left to right
+// and the left lane at the top. The panel on the right holds the level's settings, the
+// selected hazard and the speed keyframes.
+//
+// The level is edited in its file form (see toLevelData) and kept as a draft in localStorage,
+// so a refresh doesn't lose work. onTestPlay(level) gets a parsed level to run with the real
+// game; onClose() is called when the editor is closed.
+
+const SNAP_DISTANCE = 5; // Placed and dragged hazards land on multiples of this (Shift: whole metres)
+const DEFAULT_VIEW_LENGTH = 150; // Metres of course visible across the grid
+const MIN_VIEW_LENGTH = 40;
+const MAX_VIEW_LENGTH = 600;
+const GRID_STEP = 10; // Metres between the faint grid lines
+const MIN_COURSE_LENGTH = 300;
+const COURSE_MARGIN = 100; // Track drawn past the goal or the last hazard
+const VIEW_HALF_HEIGHT = LANE_WIDTH * 1.5 + 0.75; // Three lanes plus a border
+const LINE_HEIGHT = 12; // Above every hazard mesh, so lines are never hidden
+const SLIDE_HINT_LENGTH = 12; // Length of the line showing where a slide comes from
+const DRAFT_STORAGE_KEY = 'floorIsLava.editorDraft';
+
+const LANE_NAMES = ['Left', 'Middle', 'Right'];
+const HAZARD_LABELS = {
+    lava: 'Lava',
+    overhead: 'Fire bar',
+    fireball: 'Fireball',
+    geyser: 'Geyser',
+    slide: 'Sliding lava',
+    gap: 'Gap'
+};
+
+function createBlankLevel() {
+    return {
+        id: 'custom-course',
+        name: 'Custom Course',
+        theme: DEFAULT_THEME,
+        goal: { type: 'distance', target: 400 },
+        speed: [{ at: 0, speed: 8 }],
+        hazards: []
+    };
+}
+
+// Metres covered by a hazard's strip of tiles (one tile unless it has a length)
+function getFootprint(hazard) {
+    return Math.max(1, Math.floor((hazard.length || 0) / PLATFORM_DEPTH)) * PLATFORM_DEPTH;
+}
+
+function getLaneAt(x) {
+    return LANES.findIndex(laneX => Math.abs(x - laneX) <= LANE_WIDTH / 2);
+}
+
+export class LevelEditor {
+    constructor(parentElement, sceneSetup, onTestPlay, onClose) {
+        this.sceneSetup = sceneSetup;
+        this.onTestPlay = onTestPlay;
+        this.onClose = onClose;
+        this.data = this._loadDraft() || createBlankLevel();
+        this.kind = getObstacleTypes()[0][0]; // Kind placed by clicking the grid
+        this.selected = null; // Selected hazard (an entry of this.data.hazards)
+        this.drag = null; // { hazard, offset } while a hazard is being dragged
+        this.viewStart = 0; // Distance at the left edge of the grid
+        this.viewLength = DEFAULT_VIEW_LENGTH;
+        this.animationId = null;
+
+        this._createScene();
+        this._createPanel(parentElement);
+        this._onKeyDown = this._onKeyDown.bind(this);
+    }
+
+    // Opens the editor, optionally on a parsed level (e.g. one from a share link)
+    open(level = null) {
+        if (level) this._setData(toLevelData(level));
+        this.container.classList.remove('hidden');
+        this.shareInput.classList.add('hidden');
+        this._refreshLevelFields();
+        this._changed();
+        document.addEventListener('keydown', this._onKeyDown);
+        if (!this.animationId) this._render();
+    }
+
+    close() {
+        this.container.classList.add('hidden');
+        document.removeEventListener('keydown', this._onKeyDown);
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        // Give the game back the whole canvas, without the editor's last frame on it
+        this.sceneSetup.updateSize();
+        this.sceneSetup.renderer.clear();
+    }
+
+    isOpen() {
+        return !this.container.classList.contains('hidden');
+    }
+
+    // --- Top-down view ---
+
+    _createScene() {
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(0x0b0b12);
+        this.scene.add(new THREE.AmbientLight(0xffffff, 1.5));
+        const light = new THREE.DirectionalLight(0xffffff, 2.0);
+        light.position.set(0, 20, 0);
+        this.scene.add(light);
+
+        // Looking straight down with "up" pointing at the left lane, so distance runs left to right.
+        // The frustum is stretched along the track: a lane stays readable however far out it's zoomed.
+        this.camera = new THREE.OrthographicCamera(-1, 1, VIEW_HALF_HEIGHT, -VIEW_HALF_HEIGHT, 0.1, 100);
+        this.camera.up.set(-1, 0, 0);
+
+        this.courseGroup = new THREE.Group();
+        this.scene.add(this.courseGroup);
+        this.floorMaterial = new THREE.MeshBasicMaterial({ color: THEMES[DEFAULT_THEME].floor });
+        this.lineMaterials = {
+            grid: new THREE.LineBasicMaterial({ color: 0x333344 }),
+            major: new THREE.LineBasicMaterial({ color: 0x77778a }),
+            lane: new THREE.LineBasicMaterial({ color: 0xcccccc }),
+            goal: new THREE.LineBasicMaterial({ color: 0x00e676 }),
+            speed: new THREE.LineBasicMaterial({ color: 0x40c4ff }),
+            slide: new THREE.LineBasicMaterial({ color: 0xffab40 }),
+            selection: new THREE.LineBasicMaterial({ color: 0xffeb3b })
+        };
+    }
+
+    _getCourseLength() {
+        let end = this.data.goal.type === 'distance' ? this.data.goal.target : 0;
+        this.data.hazards.forEach(hazard => {
+            end = Math.max(end, hazard.at + getFootprint(hazard));
+        });
+        this.data.speed.forEach(point => {
+            end = Math.max(end, point.at);
+        });
+        return Math.max(MIN_COURSE_LENGTH, end + COURSE_MARGIN);
+    }
+
+    // Segments as [fromX, fromDistance, toX, toDistance, ...] on the floor
+    _addLines(segments, material, height = LINE_HEIGHT) {
+        const positions = [];
+        for (let i = 0; i < segments.length; i += 4) {
+            positions.push(segments[i], height, -segments[i + 1], segments[i + 2], height, -segments[i + 3]);
+        }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        this.courseGroup.add(new THREE.LineSegments(geometry, material));
+    }
+
+    // Rebuilds the course from this.data; called after every edit
+    _buildCourse() {
+        // Hazard meshes share the views' geometry and materials, so only our own are disposed
+        this.courseGroup.children.forEach(object => {
+            if (object.userData.editorOwned) object.geometry.dispose();
+        });
+        this.courseGroup.clear();
+
+        const length = this._getCourseLength();
+        const left = -VIEW_HALF_HEIGHT + 0.75;
+        const right = VIEW_HALF_HEIGHT - 0.75;
+        this.floorMaterial.color.setHex((THEMES[this.data.theme] || THEMES[DEFAULT_THEME]).floor);
+        const floor = new THREE.Mesh(new THREE.PlaneGeometry(right - left, length + 10), this.floorMaterial);
+        floor.rotation.x = -Math.PI / 2;
+        floor.position.set(0, -0.05, -(length - 10) / 2);
+        this.courseGroup.add(floor);
+
+        const grid = [];
+        const major = [];
+        for (let distance = 0; distance <= length; distance += GRID_STEP) {
+            (distance % 50 === 0 ? major : grid).push(left, distance, right, distance);
+        }
+        this._addLines(grid, this.lineMaterials.grid);
+        this._addLines(major, this.lineMaterials.major);
+        const laneLines = [];
+        for (let i = 0; i <= LANES.length; i++) {
+            const x = left + i * LANE_WIDTH;
+            laneLines.push(x, -10, x, length);
+        }
+        this._addLines(laneLines, this.lineMaterials.lane);
+        if (this.data.goal.type === 'distance') {
+            this._addLines([left, this.data.goal.target, right, this.data.goal.target], this.lineMaterials.goal);
+        }
+        this._addLines(this.data.speed.flatMap(point => [left, point.at, right, point.at]), this.lineMaterials.speed);
+
+        const slideHints = [];
+        this.data.hazards.forEach(hazard => {
+            const view = getObstacleView(hazard.kind);
+            const tiles = getFootprint(hazard) / PLATFORM_DEPTH;
+            hazard.lanes.forEach(lane => {
+                for (let i = 0; i < tiles; i++) {
+                    const object = view.create();
+                    object.position.set(LANES[lane], view.y, -(hazard.at + i * PLATFORM_DEPTH));
+                    this.courseGroup.add(object);
+                }
+            });
+            if (hazard.kind === 'slide' && LANES[hazard.from] !== undefined) {
+                slideHints.push(LANES[hazard.from], hazard.at + SLIDE_HINT_LENGTH, LANES[hazard.lanes[0]], hazard.at);
+            }
+        });
+        this._addLines(slideHints, this.lineMaterials.slide);
+
+        if (this.selected) {
+            const near = this.selected.at - PLATFORM_DEPTH / 2;
+            const far = near + getFootprint(this.selected);
+            const outline = [];
+            this.selected.lanes.forEach(lane => {
+                const x0 = LANES[lane] - LANE_WIDTH / 2 + 0.1;
+                const x1 = LANES[lane] + LANE_WIDTH / 2 - 0.1;
+                outline.push(x0, near, x1, near, x1, near, x1, far, x1, far, x0, far, x0, far, x0, near);
+            });
+            this._addLines(outline, this.lineMaterials.selection, LINE_HEIGHT + 1);
+        }
+        this.courseGroup.children.forEach(object => {
+            if (object.isLineSegments || object === floor) object.userData.editorOwned = true;
+        });
+    }
+
+    _render() {
+        this.animationId = requestAnimationFrame(() => this._render());
+        const width = this.grid.clientWidth;
+        const height = this.grid.clientHeight;
+        if (width === 0 || height === 0) return;
+
+        const center = this.viewStart + this.viewLength / 2;
+        this.camera.left = -this.viewLength / 2;
+        this.camera.right = this.viewLength / 2;
+        this.camera.updateProjectionMatrix();
+        this.camera.position.set(0, 50, -center);
+        this.camera.lookAt(0, 0, -center);
+
+        const renderer = this.sceneSetup.renderer;
+        renderer.setViewport(0, renderer.domElement.clientHeight - height, width, height);
+        renderer.render(this.scene, this.camera);
+    }
+
+    _updateRuler() {
+        const step = this.viewLength <= 100 ? 10 : this.viewLength <= 300 ? 50 : 100;
+        const labels = [];
+        for (let distance = Math.ceil(this.viewStart / step) * step; distance <= this.viewStart + this.viewLength; distance += step) {
+            if (distance >= 0) labels.push([distance, `${distance} m`, '']);
+        }
+        this.data.speed.forEach(point => labels.push([point.at, `⚡${point.speed}`, 'speed']));
+        if (this.data.goal.type === 'distance') labels.push([this.data.goal.target, '🏁', 'goal']);
+
+        this.ruler.innerHTML = '';
+        labels.forEach(([distance, text, className]) => {
+            const position = (distance - this.viewStart) / this.viewLength;
+            if (position < 0 || position > 1) return;
+            const label = document.createElement('span');
+            label.className = `level-editor-mark ${className}`;
+            label.style.left = `${position * 100}%`;
+            label.textContent = text;
+            this.ruler.appendChild(label);
+        });
+        this.testHereButton.textContent = `Test from ${Math.max(0, Math.round(this.viewStart))} m`;
+    }
+
+    _setView(start, length = this.viewLength) {
+        this.viewLength = Math.min(MAX_VIEW_LENGTH, Math.max(MIN_VIEW_LENGTH, length));
+        this.viewStart = Math.min(this._getCourseLength() - this.viewLength / 2, Math.max(-10, start));
+        this._updateRuler();
+    }
+
+    // Distance and lane (-1 outside the lanes) under the pointer
+    _getPointerTarget(event) {
+        const rect = this.grid.getBoundingClientRect();
+        const x = (event.clientX - rect.left) / rect.width;
+        const y = (event.clientY - rect.top) / rect.height;
+        return {
+            distance: this.viewStart + x * this.viewLength,
+            lane: getLaneAt((y * 2 - 1) * VIEW_HALF_HEIGHT)
+        };
+    }
+
+    _findHazard(distance, lane) {
+        const tolerance = Math.max(1, this.viewLength * 0.01);
+        let found = null;
+        this.data.hazards.forEach(hazard => {
+            const near = hazard.at - PLATFORM_DEPTH / 2 - tolerance;
+            const far = hazard.at - PLATFORM_DEPTH / 2 + getFootprint(hazard) + tolerance;
+            if (hazard.lanes.includes(lane) && distance >= near && distance <= far
+                && (!found || Math.abs(distance - hazard.at) < Math.abs(distance - found.at))) {
+                found = hazard;
+            }
+        });
+        return found;
+    }
+
+    _snap(distance, event) {
+        const step = event.shiftKey ? 1 : SNAP_DISTANCE;
+        return Math.max(MIN_HAZARD_DISTANCE, Math.round(distance / step) * step);
+    }
+
+    _onPointerDown(event) {
+        const { distance, lane } = this._getPointerTarget(event);
+        if (lane === -1) return;
+        const hazard = this._findHazard(distance, lane);
+        if (event.button === 2) {
+            if (hazard) this._deleteHazard(hazard);
+            return;
+        }
+        if (event.button !== 0) return;
+
+        if (hazard) {
+            this._select(hazard);
+        } else {
+            const placed = { at: this._snap(distance, event), kind: this.kind, lanes: [lane] };
+            if (this.kind === 'slide') placed.from = lane === 0 ? 1 : lane - 1;
+            this.data.hazards.push(placed);
+            this._select(placed);
+        }
+        this.drag = { hazard: this.selected, offset: distance - this.selected.at };
+        this.grid.setPointerCapture(event.pointerId);
+    }
+
+    _onPointerMove(event) {
+        if (!this.drag) return;
+        const at = this._snap(this._getPointerTarget(event).distance - this.drag.offset, event);
+        if (at !== this.drag.hazard.at) {
+            this.drag.hazard.at = at;
+            this._changed();
+            this._renderHazardPanel();
+        }
+    }
+
+    _onPointerUp() {
+        if (!this.drag) return;
+        this.drag = null;
+        this.data.hazards.sort((a, b) => a.at - b.at);
+        this._changed();
+    }
+
+    _onWheel(event) {
+        event.preventDefault();
+        if (event.ctrlKey) {
+            // Zoom around the pointer, so the spot under it stays put
+            const { distance } = this._getPointerTarget(event);
+            const length = Math.min(MAX_VIEW_LENGTH, Math.max(MIN_VIEW_LENGTH, this.viewLength * Math.exp(event.deltaY * 0.002)));
+            this._setView(distance - (distance - this.viewStart) * length / this.viewLength, length);
+        } else {
+            const delta = Math.abs(event.deltaX) > Math.abs(event.deltaY) ? event.deltaX : event.deltaY;
+            this._setView(this.viewStart + delta * this.viewLength / 1000);
+        }
+    }
+
+    _onKeyDown(event) {
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+        if ((event.key === 'Delete' || event.key === 'Backspace') && this.selected) {
+            event.preventDefault();
+            this._deleteHazard(this.selected);
+        }
+    }
+
+    // --- Panel ---
+
+    _createPanel(parentElement) {
+        this.container = document.createElement('div');
+        this.container.className = 'level-editor hidden';
+        parentElement.appendChild(this.container);
+
+        this.grid = document.createElement('div');
+        this.grid.className = 'level-editor-grid';
+        this.container.appendChild(this.grid);
+        this.grid.addEventListener('pointerdown', event => this._onPointerDown(event));
+        this.grid.addEventListener('pointermove', event => this._onPointerMove(event));
+        this.grid.addEventListener('pointerup', () => this._onPointerUp());
+        this.grid.addEventListener('pointercancel', () => this._onPointerUp());
+        this.grid.addEventListener('wheel', event => this._onWheel(event), { passive: false });
+        this.grid.addEventListener('contextmenu', event => event.preventDefault());
+
+        this.ruler = document.createElement('div');
+        this.ruler.className = 'level-editor-ruler';
+        this.grid.appendChild(this.ruler);
+
+        const panel = document.createElement('div');
+        panel.className = 'level-editor-panel';
+        this.container.appendChild(panel);
+
+        const title = document.createElement('h2');
+        title.textContent = 'Level Editor';
+        title.className = 'input-settings-title';
+        panel.appendChild(title);
+
+        const hint = document.createElement('p');
+        hint.className = 'input-settings-hint';
+        hint.textContent = 'Click a lane to place the picked hazard (the top lane is the left one), click a hazard to select it '
+            + 'and drag to move it. Right-click or Delete removes it. Scroll to move along the course, Ctrl+scroll to zoom.';
+        panel.appendChild(hint);
+
+        // Level settings
+        this.nameInput = this._addInput(panel, 'Name', 'text', () => {
+            this.data.name = this.nameInput.value;
+            this._changed();
+        });
+        this.idInput = this._addInput(panel, 'Id', 'text', () => {
+            this.data.id = this.idInput.value.trim();
+            this._changed();
+        });
+        this.descriptionInput = this._addInput(panel, 'Description', 'text', () => {
+            if (this.descriptionInput.value) {
+                this.data.description = this.descriptionInput.value;
+            } else {
+                delete this.data.description;
+            }
+            this._changed();
+        });
+        this.themeSelect = this._addSelect(panel, 'Theme', THEME_NAMES.map(name => [name, THEMES[name].name]), () => {
+            this.data.theme = this.themeSelect.value;
+            this._changed();
+        });
+        this.goalSelect = this._addSelect(panel, 'Goal', GOAL_TYPES.map(type => [type, type === 'distance' ? 'Reach a distance' : 'Collect coins or gems']), () => {
+            this.data.goal.type = this.goalSelect.value;
+            this._changed();
+        });
+        this.goalInput = this._addInput(panel, 'Target (m or pickups)', 'number', () => {
+            this.data.goal.target = this._readNumber(this.goalInput, this.data.goal.target);
+            this._changed();
+        });
+
+        // Hazard palette
+        this._addHeading(panel, 'Place');
+        const palette = document.createElement('div');
+        palette.className = 'level-editor-palette';
+        panel.appendChild(palette);
+        this.paletteButtons = getObstacleTypes().map(([kind]) => {
+            const button = document.createElement('button');
+            button.className = 'game-button calibration-button';
+            button.textContent = HAZARD_LABELS[kind] || kind;
+            button.addEventListener('click', () => {
+                this.kind = kind;
+                this._refreshPalette();
+            });
+            palette.appendChild(button);
+            return [kind, button];
+        });
+        this._refreshPalette();
+
+        this.hazardPanel = document.createElement('div');
+        panel.appendChild(this.hazardPanel);
+
+        this._addHeading(panel, 'Speed keyframes');
+        this.speedList = document.createElement('div');
+        panel.appendChild(this.speedList);
+
+        this.statusText = document.createElement('p');
+        this.statusText.className = 'input-settings-hint level-status';
+        panel.appendChild(this.statusText);
+
+        this.shareInput = document.createElement('input');
+        this.shareInput.type = 'text';
+        this.shareInput.readOnly = true;
+        this.shareInput.className = 'level-editor-share hidden';
+        this.shareInput.addEventListener('focus', () => this.shareInput.select());
+        panel.appendChild(this.shareInput);
+
+        const buttonRow = document.createElement('div');
+        buttonRow.className = 'calibration-buttons';
+        panel.appendChild(buttonRow);
+        this._addButton(buttonRow, 'Test from Start', () => this._testPlay(0));
+        this.testHereButton = this._addButton(buttonRow, 'Test from here', () => this._testPlay(Math.max(0, Math.round(this.viewStart))));
+        this._addButton(buttonRow, 'Save File', () => this._saveFile());
+        this._addButton(buttonRow, 'Load File', () => {
+            this.fileInput.value = '';
+            this.fileInput.click();
+        });
+        this._addButton(buttonRow, 'Share Link', () => this._share());
+        this._addButton(buttonRow, 'New', () => {
+            if (!window.confirm('Start a new course? The current one is lost unless you saved it.')) return;
+            this._setData(createBlankLevel());
+            this._refreshLevelFields();
+            this._changed();
+        });
+        this._addButton(buttonRow, 'Close', () => {
+            this.close();
+            this.onClose();
+        });
+
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = 'application/json,.json';
+        this.fileInput.className = 'hidden';
+        panel.appendChild(this.fileInput);
+        this.fileInput.addEventListener('change', () => this._loadFile());
+    }
+
+    _addHeading(parent, text) {
+        const heading = document.createElement('h3');
+        heading.className = 'level-editor-heading';
+        heading.textContent = text;
+        parent.appendChild(heading);
+    }
+
+    _addButton(parent, text, onClick) {
+        const button = document.createElement('button');
+        button.className = 'game-button calibration-button';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        parent.appendChild(button);
+        return button;
+    }
+
+    _addInput(parent, labelText, type, onChange) {
+        const label = document.createElement('label');
+        label.className = 'level-editor-field';
+        label.textContent = labelText;
+        const input = document.createElement('input');
+        input.type = type;
+        if (type === 'number') input.step = 'any';
+        // Text applies as you type; numbers once they're complete
+        input.addEventListener(type === 'number' ? 'change' : 'input', onChange);
+        label.appendChild(input);
+        parent.appendChild(label);
+        return input;
+    }
+
+    _addSelect(parent, labelText, options, onChange) {
+        const label = document.createElement('label');
+        label.className = 'level-editor-field';
+        label.textContent = labelText;
+        const select = document.createElement('select');
+        options.forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+        select.addEventListener('change', onChange);
+        label.appendChild(select);
+        parent.appendChild(label);
+        return select;
+    }
+
+    // Number typed into an input, or the previous value (put back) if it isn't one
+    _readNumber(input, previous) {
+        const value = Number(input.value);
+        if (input.value.trim() === '' || !Number.isFinite(value)) {
+            input.value = previous;
+            return previous;
+        }
+        return value;
+    }
+
+    _refreshPalette() {
+        this.paletteButtons.forEach(([kind, button]) => button.classList.toggle('selected', kind === this.kind));
+    }
+
+    _refreshLevelFields() {
+        this.nameInput.value = this.data.name || '';
+        this.idInput.value = this.data.id || '';
+        this.descriptionInput.value = this.data.description || '';
+        this.themeSelect.value = this.data.theme || DEFAULT_THEME;
+        this.goalSelect.value = this.data.goal.type;
+        this.goalInput.value = this.data.goal.target;
+        this._renderHazardPanel();
+        this._renderSpeedList();
+    }
+
+    _renderHazardPanel() {
+        this.hazardPanel.innerHTML = '';
+        const hazard = this.selected;
+        if (!hazard) return;
+        this._addHeading(this.hazardPanel, `Selected: ${HAZARD_LABELS[hazard.kind] || hazard.kind}`);
+
+        const atInput = this._addInput(this.hazardPanel, 'At (m)', 'number', () => {
+            hazard.at = this._readNumber(atInput, hazard.at);
+            this.data.hazards.sort((a, b) => a.at - b.at);
+            this._changed();
+        });
+        atInput.value = hazard.at;
+
+        const lanes = document.createElement('div');
+        lanes.className = 'level-editor-field';
+        lanes.textContent = 'Lanes';
+        LANE_NAMES.forEach((name, lane) => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = hazard.lanes.includes(lane);
+            checkbox.addEventListener('change', () => {
+                const others = hazard.lanes.filter(other => other !== lane);
+                if (!checkbox.checked && others.length === 0) {
+                    checkbox.checked = true; // Keep at least one lane, or the hazard couldn't be clicked again
+                    return;
+                }
+                hazard.lanes = checkbox.checked ? [...others, lane].sort() : others;
+                this._changed();
+            });
+            label.appendChild(checkbox);
+            label.append(` ${name}`);
+            lanes.appendChild(label);
+        });
+        this.hazardPanel.appendChild(lanes);
+
+        // Optional fields are left out of the file while they're at their default
+        const setOptional = (key, value, defaultValue) => {
+            if (value === defaultValue) {
+                delete hazard[key];
+            } else {
+                hazard[key] = value;
+            }
+            this._changed();
+        };
+        const lengthInput = this._addInput(this.hazardPanel, 'Length (m, strips and gaps)', 'number', () => {
+            setOptional('length', this._readNumber(lengthInput, hazard.length || 0), 0);
+        });
+        lengthInput.value = hazard.length || 0;
+        if (hazard.kind === 'geyser') {
+            const phaseInput = this._addInput(this.hazardPanel, 'Phase (s into the eruption cycle)', 'number', () => {
+                setOptional('phase', this._readNumber(phaseInput, hazard.phase || 0), 0);
+            });
+            phaseInput.value = hazard.phase || 0;
+        }
+        if (hazard.kind === 'slide') {
+            const fromSelect = this._addSelect(this.hazardPanel, 'Slides in from', LANE_NAMES.map((name, lane) => [lane, name]), () => {
+                hazard.from = Number(fromSelect.value);
+                this._changed();
+            });
+            fromSelect.value = hazard.from;
+        }
+
+        const buttonRow = document.createElement('div');
+        buttonRow.className = 'calibration-buttons';
+        this.hazardPanel.appendChild(buttonRow);
+        this._addButton(buttonRow, 'Delete Hazard', () => this._deleteHazard(hazard));
+    }
+
+    _renderSpeedList() {
+        this.speedList.innerHTML = '';
+        this.data.speed.forEach((point, index) => {
+            const row = document.createElement('div');
+            row.className = 'level-editor-speed';
+            const atInput = this._addInput(row, 'At', 'number', () => {
+                point.at = this._readNumber(atInput, point.at);
+                this.data.speed.sort((a, b) => a.at - b.at);
+                this._renderSpeedList();
+                this._changed();
+            });
+            atInput.value = point.at;
+            const speedInput = this._addInput(row, 'Speed', 'number', () => {
+                point.speed = this._readNumber(speedInput, point.speed);
+                this._changed();
+            });
+            speedInput.value = point.speed;
+            const removeButton = this._addButton(row, '✕', () => {
+                this.data.speed.splice(index, 1);
+                this._renderSpeedList();
+                this._changed();
+            });
+            removeButton.disabled = this.data.speed.length === 1; // A level needs a speed
+            this.speedList.appendChild(row);
+        });
+        const buttonRow = document.createElement('div');
+        buttonRow.className = 'calibration-buttons';
+        this.speedList.appendChild(buttonRow);
+        this._addButton(buttonRow, 'Add Keyframe', () => {
+            const last = this.data.speed[this.data.speed.length - 1];
+            this.data.speed.push({ at: last.at + 100, speed: last.speed });
+            this._renderSpeedList();
+            this._changed();
+        });
+    }
+
+    // --- Editing ---
+
+    _setData(data) {
+        this.data = data;
+        this.selected = null;
+        this._setView(0, DEFAULT_VIEW_LENGTH);
+    }
+
+    _select(hazard) {
+        this.selected = hazard;
+        this._renderHazardPanel();
+        this._changed();
+    }
+
+    _deleteHazard(hazard) {
+        this.data.hazards = this.data.hazards.filter(other => other !== hazard);
+        if (this.selected === hazard) {
+            this.selected = null;
+            this._renderHazardPanel();
+        }
+        this._changed();
+    }
+
+    // After any edit: redraw, keep the draft and show what (if anything) is wrong with the level
+    _changed() {
+        this._buildCourse();
+        this._updateRuler();
+        this._saveDraft();
+        const problems = validateLevel(this.data);
+        this.statusText.classList.toggle('ok', problems.length === 0);
+        this.statusText.textContent = problems.length === 0
+            ? `Ready to play: ${this.data.hazards.length} hazard(s).`
+            : `${problems.length} problem(s):\n- ${problems.join('\n- ')}`;
+    }
+
+    // A parsed copy of the level, or null (with the problems shown) if it can't be played yet
+    _parse() {
+        try {
+            return parseLevel(this.data, 'Editor level');
+        } catch (error) {
+            this.statusText.classList.remove('ok');
+            this.statusText.textContent = error.message;
+            return null;
+        }
+    }
+
+    _testPlay(fromDistance) {
+        const level = this._parse();
+        if (!level) return;
+        this.close();
+        this.onTestPlay(sliceLevel(level, fromDistance));
+    }
+
+    _saveFile() {
+        const level = this._parse();
+        if (!level) return;
+        const blob = new Blob([formatLevelFile(toLevelData(level))], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${level.id}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async _loadFile() {
+        const file = this.fileInput.files[0];
+        if (!file) return;
+        try {
+            this._setData(toLevelData(parseLevelText(await file.text(), file.name)));
+        } catch (error) {
+            console.error("Could not load the level file:", error);
+            this.statusText.classList.remove('ok');
+            this.statusText.textContent = error.message;
+            return;
+        }
+        this._refreshLevelFields();
+        this._changed();
+    }
+
+    async _share() {
+        const level = this._parse();
+        if (!level) return;
+        const url = `${window.location.origin}${window.location.pathname}#level=${encodeLevelForUrl(toLevelData(level))}`;
+        this.shareInput.value = url;
+        this.shareInput.classList.remove('hidden');
+        try {
+            await navigator.clipboard.writeText(url);
+            this.statusText.textContent = 'Share link copied to the clipboard.';
+        } catch (error) {
+            // Clipboard access can be refused; the link is still there to copy by hand
+            this.statusText.textContent = 'Copy the share link below.';
+        }
+    }
+
+    _loadDraft() {
+        try {
+            const draft = JSON.parse(localStorage.getItem(DRAFT_STORAGE_KEY));
+            // Drafts may be unfinished, but they always come from the editor and have this shape
+            return draft && draft.goal && Array.isArray(draft.speed) && Array.isArray(draft.hazards) ? draft : null;
+        } catch (error) {
+            console.warn("Ignoring unreadable level editor draft:", error);
+            return null;
+        }
+    }
+
+    _saveDraft() {
+        try {
+            localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify(this.data));
+        } catch (error) {
+            console.warn("Could not save the level editor draft:", error);
+        }
+    }
+}
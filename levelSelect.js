@@ -0,0 +1,141 @@
+import { BUILT_IN_LEVELS, loadLevel, parseLevelText, describeGoal, loadLevelProgress, isLevelUnlocked } from './levels.js';
+
+// Campaign screen: the built-in levels in order with their goal, best score and lock state,
+// plus a button to play a level file from disk. onPlay(level) is called with a parsed level.
+export class LevelSelect {
+    constructor(parentElement, onPlay) {
+        this.onPlay = onPlay;
+        this.levels = null; // Built-in levels once loaded: { file, level } or { file, error }
+
+        this.container = document.createElement('div');
+        this.container.className = 'level-select hidden';
+        parentElement.appendChild(this.container);
+
+        const title = document.createElement('h2');
+        title.textContent = 'Campaign';
+        title.className = 'input-settings-title';
+        this.container.appendChild(title);
+
+        this.list = document.createElement('div');
+        this.list.className = 'level-list';
+        this.container.appendChild(this.list);
+
+        this.statusText = document.createElement('p');
+        this.statusText.className = 'input-settings-hint level-status';
+        this.container.appendChild(this.statusText);
+
+        const buttonRow = document.createElement('div');
+        buttonRow.className = 'calibration-buttons';
+        this.container.appendChild(buttonRow);
+
+        const fileButton = document.createElement('button');
+        fileButton.textContent = 'Play Level File';
+        fileButton.className = 'game-button calibration-button';
+        buttonRow.appendChild(fileButton);
+
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = 'application/json,.json';
+        this.fileInput.className = 'hidden';
+        this.container.appendChild(this.fileInput);
+        fileButton.addEventListener('click', () => {
+            this.fileInput.value = '';
+            this.fileInput.click();
+        });
+        this.fileInput.addEventListener('change', () => this._playFile());
+
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'Close';
+        closeButton.className = 'game-button calibration-button';
+        closeButton.addEventListener('click', () => this.close());
+        buttonRow.appendChild(closeButton);
+    }
+
+    open() {
+        this.statusText.textContent = '';
+        this.container.classList.remove('hidden');
+        this.refresh();
+    }
+
+    close() {
+        this.container.classList.add('hidden');
+    }
+
+    isOpen() {
+        return !this.container.classList.contains('hidden');
+    }
+
+    // The built-in level after the given one, if it's loaded (and now unlocked)
+    getNextLevel(level) {
+        if (!this.levels) return null;
+        const index = this.levels.findIndex(entry => entry.level && entry.level.id === level.id);
+        const next = index === -1 ? null : this.levels[index + 1];
+        return next && next.level ? next.level : null;
+    }
+
+    async refresh() {
+        if (!this.levels) {
+            this.list.textContent = 'Loading levels...';
+            // One broken file shouldn't hide the rest of the campaign
+            const results = await Promise.allSettled(BUILT_IN_LEVELS.map(file => loadLevel(file)));
+            this.levels = results.map((result, index) => result.status === 'fulfilled'
+                ? { file: BUILT_IN_LEVELS[index], level: result.value }
+                : { file: BUILT_IN_LEVELS[index], error: result.reason });
+            this.levels.filter(entry => entry.error).forEach(entry => console.error("Could not load level:", entry.error));
+        }
+
+        const progress = loadLevelProgress();
+        const playable = this.levels.map(entry => entry.level || { id: entry.file });
+        this.list.innerHTML = '';
+        this.levels.forEach((entry, index) => {
+            const row = document.createElement('div');
+            row.className = 'level-entry';
+            this.list.appendChild(row);
+
+            if (entry.error) {
+                row.classList.add('broken');
+                row.textContent = `⚠️ ${entry.error.message}`;
+                return;
+            }
+            const { level } = entry;
+            const unlocked = isLevelUnlocked(playable, index, progress);
+            const result = progress[level.id];
+
+            const button = document.createElement('button');
+            button.className = 'game-button calibration-button';
+            button.textContent = `${unlocked ? '' : '🔒 '}${index + 1}. ${level.name}`;
+            button.disabled = !unlocked;
+            button.addEventListener('click', () => this._play(level));
+            row.appendChild(button);
+
+            const details = document.createElement('p');
+            details.className = 'level-details';
+            const status = result && result.completed ? `✅ Best ${result.bestScore}` : unlocked ? 'Not finished yet' : 'Finish the level before to unlock';
+            details.textContent = `${describeGoal(level.goal)} - ${status}`;
+            row.appendChild(details);
+
+            if (level.description) {
+                const description = document.createElement('p');
+                description.className = 'level-details';
+                description.textContent = level.description;
+                row.appendChild(description);
+            }
+        });
+    }
+
+    _play(level) {
+        this.close();
+        this.onPlay(level);
+    }
+
+    async _playFile() {
+        const file = this.fileInput.files[0];
+        if (!file) return;
+        try {
+            this._play(parseLevelText(await file.text(), file.name));
+        } catch (error) {
+            console.error("Could not load the level file:", error);
+            this.statusText.textContent = error.message; // Lists every problem, one per line
+        }
+    }
+}
@@ -0,0 +1,353 @@
+import { LANES, MAX_GAME_SPEED, GAME_AREA_LENGTH } from './constants.js';
+import { getObstacleTypes } from './obstacles.js';
+import { THEME_NAMES, DEFAULT_THEME } from './themes.js';
+import { hashSeed } from './lavaPatterns.js';
+
+// Authored courses for campaign mode. Instead of the endless generator and speed ramp, a
+// level lists its hazards by distance and sets its own speed profile, theme and goal:
+//
+// {
+//   "id": "first-steps",              unique; used for unlocks and stored in replays
+//   "name": "First Steps",
+//   "description": "...",             optional
+//   "theme": "classic",               optional, one of themes.js
+//   "seed": 42,                       optional; seeds the pickups (default: a hash of the id)
+//   "goal": { "type": "distance", "target": 400 }      reach 400 m, or
+//           { "type": "collect", "target": 30 }        pick up 30 coins or gems
+//   "speed": [{ "at": 0, "speed": 6 }, { "at": 300, "speed": 10 }]
+//                                     speed by distance: linear between points, flat after the last
+//   "hazards": [{ "at": 40, "kind": "lava", "lanes": [1] }, ...]
+//                                     "at" is the distance at which the hazard reaches the player.
+//                                     Optional: "length" (strips and gaps), "phase" (geysers, seconds
+//                                     into their cycle) and "from" (the lane a slide starts in).
+// }
+//
+// Distances are world units, shown to players as metres. After the last hazard the track
+// stays clear (pickups keep coming), so a level should end not long after it.
+
+export const BUILT_IN_LEVELS = [
+    'levels/01-first-steps.json',
+    'levels/02-hop-skip.json',
+    'levels/03-duck-and-weave.json',
+    'levels/04-gold-rush.json',
+    'levels/05-the-gauntlet.json'
+];
+export const GOAL_TYPES = ['distance', 'collect'];
+export const MIN_HAZARD_DISTANCE = 20; // Closer to the start than this, the player has no time to react
+const SPAWN_DISTANCE = GAME_AREA_LENGTH * 0.9; // Hazards appear this far ahead, like generated ones
+const MAX_HAZARD_LENGTH = 60;
+const PROGRESS_STORAGE_KEY = 'floorIsLava.levelProgress';
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isLane(value) {
+    return Number.isInteger(value) && value >= 0 && value < LANES.length;
+}
+
+// Returns a list of problems (empty if the level is fine), each naming the field at fault
+export function validateLevel(data) {
+    const problems = [];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['The level must be a JSON object.'];
+    }
+    if (typeof data.id !== 'string' || !/^[a-z0-9-]+$/.test(data.id)) {
+        problems.push('"id" must be a string of lowercase letters, digits and dashes.');
+    }
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+        problems.push('"name" must be a non-empty string.');
+    }
+    if (data.description !== undefined && typeof data.description !== 'string') {
+        problems.push('"description" must be a string.');
+    }
+    if (data.theme !== undefined && !THEME_NAMES.includes(data.theme)) {
+        problems.push(`"theme" must be one of ${THEME_NAMES.join(', ')} (got ${JSON.stringify(data.theme)}).`);
+    }
+    if (data.seed !== undefined && !(Number.isInteger(data.seed) && data.seed >= 0)) {
+        problems.push('"seed" must be a whole number of 0 or more.');
+    }
+
+    const goal = data.goal;
+    if (!goal || typeof goal !== 'object') {
+        problems.push('"goal" is missing; use { "type": "distance", "target": 400 } or { "type": "collect", "target": 30 }.');
+    } else {
+        if (!GOAL_TYPES.includes(goal.type)) {
+            problems.push(`"goal.type" must be one of ${GOAL_TYPES.join(', ')} (got ${JSON.stringify(goal.type)}).`);
+        }
+        if (!isNumber(goal.target) || goal.target <= 0) {
+            problems.push('"goal.target" must be a number above 0.');
+        }
+    }
+
+    if (!Array.isArray(data.speed) || data.speed.length === 0) {
+        problems.push('"speed" must be a list of { "at", "speed" } points with at least one entry.');
+    } else {
+        data.speed.forEach((point, index) => {
+            const where = `speed[${index}]`;
+            if (!point || !isNumber(point.at) || point.at < 0) {
+                problems.push(`"${where}.at" must be a distance of 0 or more.`);
+            } else if (index > 0 && isNumber(data.speed[index - 1]?.at) && point.at <= data.speed[index - 1].at) {
+                problems.push(`"${where}.at" must be further than the point before it.`);
+            }
+            if (!point || !isNumber(point.speed) || point.speed <= 0 || point.speed > MAX_GAME_SPEED) {
+                problems.push(`"${where}.speed" must be above 0 and at most ${MAX_GAME_SPEED}.`);
+            }
+        });
+    }
+
+    if (!Array.isArray(data.hazards)) {
+        problems.push('"hazards" must be a list (it may be empty).');
+    } else {
+        const kinds = getObstacleTypes().map(([kind]) => kind);
+        data.hazards.forEach((hazard, index) => {
+            const where = `hazards[${index}]`;
+            if (!hazard || typeof hazard !== 'object') {
+                problems.push(`"${where}" must be an object.`);
+                return;
+            }
+            if (!isNumber(hazard.at) || hazard.at < MIN_HAZARD_DISTANCE) {
+                problems.push(`"${where}.at" must be a distance of at least ${MIN_HAZARD_DISTANCE}.`);
+            }
+            if (!kinds.includes(hazard.kind)) {
+                problems.push(`"${where}.kind" must be one of ${kinds.join(', ')} (got ${JSON.stringify(hazard.kind)}).`);
+            }
+            if (!Array.isArray(hazard.lanes) || hazard.lanes.length === 0 || !hazard.lanes.every(isLane)
+                || new Set(hazard.lanes).size !== hazard.lanes.length) {
+                problems.push(`"${where}.lanes" must list different lanes from 0 (left) to ${LANES.length - 1} (right).`);
+            }
+            if (hazard.length !== undefined && (!isNumber(hazard.length) || hazard.length < 0 || hazard.length > MAX_HAZARD_LENGTH)) {
+                problems.push(`"${where}.length" must be between 0 and ${MAX_HAZARD_LENGTH}.`);
+            }
+            if (hazard.phase !== undefined && !isNumber(hazard.phase)) {
+                problems.push(`"${where}.phase" must be a number of seconds.`);
+            }
+            if (hazard.kind === 'slide') {
+                if (!Array.isArray(hazard.lanes) || hazard.lanes.length !== 1) {
+                    problems.push(`"${where}": a slide ends in exactly one lane.`);
+                } else if (!isLane(hazard.from) || hazard.from === hazard.lanes[0]) {
+                    problems.push(`"${where}.from" must be the lane the slide starts in, different from its lane.`);
+                }
+            }
+        });
+    }
+    return problems;
+}
+
+// Checks a level and returns a normalised copy (defaults filled in, hazards sorted by
+// distance). Throws an Error listing every problem; error.problems holds them as a list.
+export function parseLevel(data, source = 'level') {
+    const problems = validateLevel(data);
+    if (problems.length > 0) {
+        const name = data && typeof data.name === 'string' ? `"${data.name}"` : source;
+        const error = new Error(`Level ${name} has ${problems.length} problem(s):\n- ${problems.join('\n- ')}`);
+        error.problems = problems;
+        throw error;
+    }
+    return {
+        id: data.id,
+        name: data.name,
+        description: data.description || '',
+        theme: data.theme || DEFAULT_THEME,
+        seed: data.seed ?? hashSeed(data.id),
+        goal: { type: data.goal.type, target: data.goal.target },
+        speed: data.speed.map(({ at, speed }) => ({ at, speed })),
+        hazards: data.hazards
+            .map(({ at, kind, lanes, length = 0, phase = 0, from = null }) => ({ at, kind, lanes: lanes.slice(), length, phase, from }))
+            .sort((a, b) => a.at - b.at)
+    };
+}
+
+// Fetches and parses a level file; errors say which file was at fault
+export async function loadLevel(url) {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        throw new Error(`Could not load ${url}: ${error.message}`);
+    }
+    if (!response.ok) {
+        throw new Error(`Could not load ${url}: ${response.status} ${response.statusText}`);
+    }
+    let data;
+    try {
+        data = await response.json();
+    } catch (error) {
+        throw new Error(`${url} is not valid JSON.`);
+    }
+    return parseLevel(data, url);
+}
+
+export function parseLevelText(text, source = 'Level file') {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${source} is not valid JSON.`);
+    }
+    return parseLevel(data, source);
+}
+
+// --- Level files and share links (used by the level editor) ---
+
+// The file form of a parsed level: whatever parseLevel() filled in by default is left out again
+export function toLevelData(level) {
+    const data = { id: level.id, name: level.name };
+    if (level.description) data.description = level.description;
+    if (level.theme !== DEFAULT_THEME) data.theme = level.theme;
+    if (level.seed !== hashSeed(level.id)) data.seed = level.seed;
+    data.goal = { type: level.goal.type, target: level.goal.target };
+    data.speed = level.speed.map(({ at, speed }) => ({ at, speed }));
+    data.hazards = level.hazards.map(({ at, kind, lanes, length = 0, phase = 0, from = null }) => {
+        const hazard = { at, kind, lanes: lanes.slice() };
+        if (length) hazard.length = length;
+        if (phase) hazard.phase = phase;
+        if (from !== null) hazard.from = from;
+        return hazard;
+    });
+    return data;
+}
+
+function formatInline(value) {
+    if (Array.isArray(value)) return `[${value.map(formatInline).join(', ')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${formatInline(item)}`).join(', ')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// JSON laid out like the files in levels/: one speed point or hazard per line
+export function formatLevelFile(data) {
+    const lines = Object.entries(data).map(([key, value]) => {
+        if (Array.isArray(value) && value.length > 0 && (key === 'speed' || key === 'hazards')) {
+            return `    ${JSON.stringify(key)}: [\n${value.map(item => `        ${formatInline(item)}`).join(',\n')}\n    ]`;
+        }
+        return `    ${JSON.stringify(key)}: ${formatInline(value)}`;
+    });
+    return `{\n${lines.join(',\n')}\n}\n`;
+}
+
+// Level data as a URL-safe string (base64url of the JSON), for share links
+export function encodeLevelForUrl(data) {
+    let binary = '';
+    new TextEncoder().encode(JSON.stringify(data)).forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function decodeLevelFromUrl(text, source = 'Shared level') {
+    let json;
+    try {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        json = new TextDecoder().decode(Uint8Array.from(binary, character => character.charCodeAt(0)));
+    } catch (error) {
+        throw new Error(`${source} link is damaged (it could not be decoded).`);
+    }
+    return parseLevelText(json, source);
+}
+
+// A parsed level that starts the given distance in, for test-playing part of a course.
+// Hazards too close to the new start to react to are dropped, like they would be in a file.
+export function sliceLevel(level, fromDistance) {
+    if (fromDistance <= 0) return level;
+    const speed = [{ at: 0, speed: getLevelSpeed(level, fromDistance) }];
+    level.speed.filter(point => point.at > fromDistance).forEach(point => {
+        speed.push({ at: point.at - fromDistance, speed: point.speed });
+    });
+    const goal = level.goal.type === 'distance'
+        ? { type: 'distance', target: Math.max(1, level.goal.target - fromDistance) }
+        : { ...level.goal };
+    return {
+        ...level,
+        name: `${level.name} (from ${Math.round(fromDistance)} m)`,
+        goal,
+        speed,
+        hazards: level.hazards
+            .filter(hazard => hazard.at - fromDistance >= MIN_HAZARD_DISTANCE)
+            .map(hazard => ({ ...hazard, lanes: hazard.lanes.slice(), at: hazard.at - fromDistance }))
+    };
+}
+
+// Speed at a distance into the level, from its speed profile
+export function getLevelSpeed(level, distance) {
+    const points = level.speed;
+    if (distance <= points[0].at) return points[0].speed;
+    for (let i = 1; i < points.length; i++) {
+        if (distance < points[i].at) {
+            const previous = points[i - 1];
+            const progress = (distance - previous.at) / (points[i].at - previous.at);
+            return previous.speed + (points[i].speed - previous.speed) * progress;
+        }
+    }
+    return points[points.length - 1].speed;
+}
+
+export function describeGoal(goal) {
+    return goal.type === 'distance' ? `Reach ${goal.target} m` : `Collect ${goal.target} coins or gems`;
+}
+
+// Hands a level's hazards to a LavaField as the player gets within spawning distance.
+// Rows are in the same form the pattern generator produces, so obstacle types spawn them as usual.
+export class LevelCourse {
+    constructor(level) {
+        this.level = level;
+        this.nextIndex = 0;
+    }
+
+    // Rows due by this distance, each with how far ahead of the player it should appear
+    takeDue(distance, currentSpeed) {
+        const due = [];
+        const hazards = this.level.hazards;
+        while (this.nextIndex < hazards.length && hazards[this.nextIndex].at - distance <= SPAWN_DISTANCE) {
+            const hazard = hazards[this.nextIndex++];
+            due.push({
+                ahead: hazard.at - distance,
+                row: {
+                    delay: 0,
+                    kind: hazard.kind,
+                    lanes: hazard.lanes,
+                    duration: hazard.length / currentSpeed, // Rows are timed; lengths are distances
+                    phase: hazard.phase,
+                    fromLane: hazard.from
+                }
+            });
+        }
+        return due;
+    }
+}
+
+// --- Campaign progress ---
+// { [levelId]: { completed, bestScore } }, kept in localStorage
+
+export function loadLevelProgress() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PROGRESS_STORAGE_KEY));
+        return stored && typeof stored === 'object' ? stored : {};
+    } catch (error) {
+        console.warn("Ignoring unreadable level progress:", error);
+        return {};
+    }
+}
+
+// Records a finished attempt and returns the updated progress
+export function saveLevelResult(levelId, score, completed) {
+    const progress = loadLevelProgress();
+    const previous = progress[levelId] || { completed: false, bestScore: 0 };
+    progress[levelId] = {
+        completed: previous.completed || completed,
+        // Only finished runs count towards a level's best score
+        bestScore: completed ? Math.max(previous.bestScore, Math.floor(score)) : previous.bestScore
+    };
+    try {
+        localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(progress));
+    } catch (error) {
+        console.warn("Could not save level progress:", error);
+    }
+    return progress;
+}
+
+// Campaign levels unlock one at a time: the first is always open, the rest once the one before is done
+export function isLevelUnlocked(levels, index, progress) {
+    return index === 0 || !!progress[levels[index - 1].id]?.completed;
+}
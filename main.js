@@ -1,6 +1,30 @@
 import * as THREE from 'three';
 import { Game } from './game.js';
 import { PoseTracker } from './poseTracker.js';
+import { CameraSource, VideoFileSource, LandmarkRecordingSource, loadPoseRecording } from './poseSources.js';
+import { PoseControlFilter } from './poseFilter.js';
+import { SeatedPoseControls } from './seatedControls.js';
+import { SwitchScanner } from './switchScanner.js';
+import { PoseLatencyOverlay } from './poseLatencyOverlay.js';
+import { DevOverlay } from './devOverlay.js';
+import { getDailySeed, hashSeed, createRandomSeed } from './lavaPatterns.js';
+import { parseReplay } from './replay.js';
+import { CalibrationScreen } from './calibration.js';
+import { GestureRecognizer } from './gestures.js';
+import { InputManager } from './inputManager.js';
+import { InputSettingsMenu } from './inputSettingsMenu.js';
+import { Leaderboard } from './leaderboard.js';
+import { LeaderboardPanel } from './leaderboardPanel.js';
+import { PauseOverlay } from './pauseOverlay.js';
+import { LevelSelect } from './levelSelect.js';
+import { LevelEditor } from './levelEditor.js';
+import { AudioManager } from './audioManager.js';
+import { AudioSettingsMenu } from './audioSettingsMenu.js';
+import { Settings } from './settings.js';
+import { SettingsMenu } from './settingsMenu.js';
+import { saveLevelResult, describeGoal, decodeLevelFromUrl } from './levels.js';
+import { CHARACTERS, CHARACTER_IDS, loadCharacterChoice, saveCharacterChoice } from './characters.js';
+import { PoseProfile, loadLastProfile, getLastUserName, saveProfile } from './poseProfile.js';
 
 // Get the render target
 const renderDiv = document.getElementById('renderDiv');
@@ -27,8 +51,18 @@ startInstructions.innerHTML = `
     📸 Allow webcam access<br/>
     🧍 Stand back<br/>
     🤸 Move left/right or jump!<br/>
+    🦆 Squat to duck under fire bars<br/>
+    🙌 Raise both arms for a super jump<br/>
     ♨️ Avoid the lava<br/>
-    🏎️ The game gets faster as you go on
+    🪙 Grab coins and gems, near misses build your combo<br/>
+    🛡️ Run into shields, slow-mo and magnets; with a full combo raise your arms (Q / Ctrl) for a random one<br/>
+    ☄️ Don't jump into fireballs, dodge erupting geysers, find the safe lane past gaps<br/>
+    👯 2 Players: stand side by side (keyboard: WASD vs arrows)<br/>
+    ⏸️ P or Esc pauses, so does stepping out of view<br/>
+    🏎️ The game gets faster as you go on<br/>
+    🗺️ New here? The campaign's short levels teach you each hazard<br/>
+    🛠️ Build your own courses in the level editor and share them as a link<br/>
+    ♿ Settings has seated play, one-switch input, reduced motion and high contrast
 `;
 startScreenContainer.appendChild(startInstructions);
 
@@ -43,6 +77,70 @@ startButton.className = 'game-button start-button';
 startButton.disabled = true;
 startScreenContainer.appendChild(startButton);
 
+// Campaign: authored levels that unlock one after another
+const campaignButton = document.createElement('button');
+campaignButton.textContent = 'Campaign';
+campaignButton.className = 'game-button mode-button';
+campaignButton.disabled = true;
+startScreenContainer.appendChild(campaignButton);
+
+// Level editor, plus playing or editing a level opened from a share link (#level=...)
+const editorButton = document.createElement('button');
+editorButton.textContent = 'Level Editor';
+editorButton.className = 'game-button mode-button';
+startScreenContainer.appendChild(editorButton);
+
+const sharedLevelButton = document.createElement('button');
+sharedLevelButton.className = 'game-button mode-button hidden';
+sharedLevelButton.disabled = true;
+startScreenContainer.appendChild(sharedLevelButton);
+
+const editSharedLevelButton = document.createElement('button');
+editSharedLevelButton.textContent = 'Edit Shared Level';
+editSharedLevelButton.className = 'game-button mode-button hidden';
+startScreenContainer.appendChild(editSharedLevelButton);
+
+const sharedLevelStatus = document.createElement('p');
+sharedLevelStatus.className = 'start-status level-status hidden';
+startScreenContainer.appendChild(sharedLevelStatus);
+
+// 1 player, or 2 players side by side (each on their own track)
+const playerCountButton = document.createElement('button');
+playerCountButton.className = 'game-button mode-button';
+startScreenContainer.appendChild(playerCountButton);
+
+// Character picker: cycles through the 3D characters and the 2D sprite
+const characterButton = document.createElement('button');
+characterButton.className = 'game-button mode-button';
+startScreenContainer.appendChild(characterButton);
+
+// Names (or initials) shown on the leaderboard; the second only in 2 player mode
+const PLAYER_NAME_STORAGE_KEY = 'floorIsLava.playerNames';
+const playerNameInputs = [0, 1].map(index => {
+    const label = document.createElement('label');
+    label.className = 'player-name';
+    label.textContent = `Player ${index + 1} name `;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.maxLength = 20;
+    input.placeholder = `Player ${index + 1}`;
+    label.appendChild(input);
+    startScreenContainer.appendChild(label);
+    return input;
+});
+
+// Replays don't need the camera, so this is usable straight away
+const replayButton = document.createElement('button');
+replayButton.textContent = 'Watch Replay';
+replayButton.className = 'game-button replay-button';
+startScreenContainer.appendChild(replayButton);
+
+const replayFileInput = document.createElement('input');
+replayFileInput.type = 'file';
+replayFileInput.accept = 'application/json,.json';
+replayFileInput.className = 'hidden';
+startScreenContainer.appendChild(replayFileInput);
+
 // Game Over Screen container (initially hidden)
 const gameOverContainer = document.createElement('div');
 gameOverContainer.className = 'game-over-screen';
@@ -57,11 +155,86 @@ const finalScoreText = document.createElement('p');
 finalScoreText.className = 'final-score';
 gameOverContainer.appendChild(finalScoreText);
 
+const seedText = document.createElement('p');
+seedText.className = 'seed-text';
+gameOverContainer.appendChild(seedText);
+
+const replayStatusText = document.createElement('p');
+replayStatusText.className = 'seed-text';
+gameOverContainer.appendChild(replayStatusText);
+
+// How the final score was earned (survival, pickups, near misses)
+const scoreBreakdownText = document.createElement('p');
+scoreBreakdownText.className = 'seed-text score-breakdown';
+gameOverContainer.appendChild(scoreBreakdownText);
+
+const personalBestText = document.createElement('p');
+personalBestText.className = 'personal-best hidden';
+gameOverContainer.appendChild(personalBestText);
+
+const restartHintText = document.createElement('p');
+restartHintText.textContent = '👏 Clap to restart';
+restartHintText.className = 'seed-text';
+gameOverContainer.appendChild(restartHintText);
+
 const restartButton = document.createElement('button');
 restartButton.textContent = 'Restart';
 restartButton.className = 'game-button restart-button';
 gameOverContainer.appendChild(restartButton);
 
+// Only shown after finishing a campaign level
+const nextLevelButton = document.createElement('button');
+nextLevelButton.textContent = 'Next Level';
+nextLevelButton.className = 'game-button restart-button hidden';
+gameOverContainer.appendChild(nextLevelButton);
+
+const gameOverLevelsButton = document.createElement('button');
+gameOverLevelsButton.textContent = 'Levels';
+gameOverLevelsButton.className = 'game-button mode-button';
+gameOverContainer.appendChild(gameOverLevelsButton);
+
+// Only shown after a test run from the level editor
+const backToEditorButton = document.createElement('button');
+backToEditorButton.textContent = 'Back to Editor';
+backToEditorButton.className = 'game-button restart-button hidden';
+gameOverContainer.appendChild(backToEditorButton);
+
+const downloadReplayButton = document.createElement('button');
+downloadReplayButton.textContent = 'Download Replay';
+downloadReplayButton.className = 'game-button replay-button';
+gameOverContainer.appendChild(downloadReplayButton);
+
+// Controls and settings menus, reachable from the start and game over screens
+const startControlsButton = document.createElement('button');
+startControlsButton.textContent = 'Controls';
+startControlsButton.className = 'game-button mode-button';
+startScreenContainer.appendChild(startControlsButton);
+
+const gameOverControlsButton = document.createElement('button');
+gameOverControlsButton.textContent = 'Controls';
+gameOverControlsButton.className = 'game-button mode-button';
+gameOverContainer.appendChild(gameOverControlsButton);
+
+const startSettingsButton = document.createElement('button');
+startSettingsButton.textContent = 'Settings';
+startSettingsButton.className = 'game-button mode-button';
+startScreenContainer.appendChild(startSettingsButton);
+
+const gameOverSettingsButton = document.createElement('button');
+gameOverSettingsButton.textContent = 'Settings';
+gameOverSettingsButton.className = 'game-button mode-button';
+gameOverContainer.appendChild(gameOverSettingsButton);
+
+const startLeaderboardButton = document.createElement('button');
+startLeaderboardButton.textContent = 'Leaderboard';
+startLeaderboardButton.className = 'game-button mode-button';
+startScreenContainer.appendChild(startLeaderboardButton);
+
+const gameOverLeaderboardButton = document.createElement('button');
+gameOverLeaderboardButton.textContent = 'Leaderboard';
+gameOverLeaderboardButton.className = 'game-button mode-button';
+gameOverContainer.appendChild(gameOverLeaderboardButton);
+
 const scoreElement = document.createElement('span');
 scoreElement.textContent = 'Score: 0';
 scoreElement.className = 'score-element';
@@ -78,100 +251,751 @@ scoreContainer.className = 'score-container hidden'; // Start hidden
 renderDiv.appendChild(scoreContainer);
 scoreContainer.appendChild(scoreElement);
 
+// Read out by screen readers: the start and end of a run, and the score every so often
+const announcer = document.createElement('div');
+announcer.className = 'sr-only';
+announcer.setAttribute('role', 'status');
+announcer.setAttribute('aria-live', 'polite');
+renderDiv.appendChild(announcer);
+const SCORE_ANNOUNCE_STEP = 250; // Points between score announcements
+let lastAnnouncedScore = 0;
+
+function announce(text) {
+    // Cleared first so the same words twice in a row are still read out
+    announcer.textContent = '';
+    setTimeout(() => {
+        announcer.textContent = text;
+    }, 50);
+}
+
+// Short-lived "+25 Near miss!" message under the score
+const bonusElement = document.createElement('div');
+bonusElement.className = 'bonus-popup';
+scoreContainer.appendChild(bonusElement);
+let bonusHideTimer = null;
+const BONUS_POPUP_TIME = 1200; // ms
+
+// --- Calibration Screen ---
+const calibrationScreen = new CalibrationScreen(renderDiv);
+
+// --- Gestures ---
+// Squat, arms-up, lateral hop and clap drive player actions.
+// One recognizer per player, since each keeps its own standing baseline.
+function createGestureRecognizer(playerIndex) {
+    const recognizer = new GestureRecognizer();
+    
+    recognizer.on('squat', () => {
+        if (game && game.isRunning()) game.duck(playerIndex);
+    });
+    
+    // Arms up cashes in a full combo meter for a power-up, otherwise it's a super jump
+    recognizer.on('armsUp', () => {
+        if (!game || !game.isRunning()) return;
+        if (game.canUsePowerUp(playerIndex)) {
+            game.usePowerUp(playerIndex);
+        } else {
+            game.superJump(playerIndex);
+        }
+    });
+    
+    // A quick sideways hop changes lane before the hips reach the next lane boundary. It goes
+    // through the pose filter, which sets the absolute lane, so the two never disagree.
+    recognizer.on('lateralHop', ({ direction, timestamp }) => {
+        if (game && game.isRunning()) poseControls[playerIndex].hop(direction, timestamp);
+    });
+    
+    recognizer.on('clap', () => {
+        if (gameOverContainer.classList.contains('visible') && !restartButton.disabled) {
+            restartButton.click();
+        }
+    });
+    return recognizer;
+}
+
+const gestureRecognizers = [createGestureRecognizer(0), createGestureRecognizer(1)];
+
 // --- Initialization ---
 let game = null;
 let poseTracker = null;
+let poseTrackingReady = false; // False if the camera or pose model failed; keyboard still works
+let poseProfile = loadLastProfile() || new PoseProfile(); // Lane and jump thresholds for the current player
+let playerCount = 1;
+
+// Debug panels, toggled together with the ` key (or open from the start with ?debug)
+const poseLatencyOverlay = new PoseLatencyOverlay(renderDiv, () => poseTracker);
+const devOverlay = new DevOverlay(renderDiv, uiContainer, () => game, () => poseTracker, playPoseSource);
+document.addEventListener('keydown', event => {
+    if (event.code === 'Backquote' && !event.repeat) {
+        if (devOverlay.isOpen()) {
+            devOverlay.close();
+            poseLatencyOverlay.close();
+        } else {
+            devOverlay.open();
+            poseLatencyOverlay.open();
+        }
+    }
+});
+if (new URLSearchParams(window.location.search).has('debug')) {
+    devOverlay.open();
+    poseLatencyOverlay.open();
+}
+
+// Smoothed pose signals turned into lane changes and jumps, per player. Standing play uses the
+// hips and shoulder height; seated play (an accessibility setting) the lean and arms or mouth.
+function createPoseControls(playerIndex, controls = new PoseControlFilter()) {
+    controls.on('lane', ({ lane, timestamp, changed }) => {
+        game.setTargetLane(lane, playerIndex, { fromPose: true });
+        if (changed) poseLatencyOverlay.recordAction('lane', performance.now() - timestamp);
+    });
+    controls.on('jump', ({ timestamp }) => {
+        game.jump(playerIndex);
+        poseLatencyOverlay.recordAction('jump', performance.now() - timestamp);
+    });
+    return controls;
+}
+
+const poseControls = [createPoseControls(0), createPoseControls(1)];
+const seatedControls = [createPoseControls(0, new SeatedPoseControls()), createPoseControls(1, new SeatedPoseControls())];
+
+function isSeated() {
+    return settings.get('poseControlMode') === 'seated';
+}
+
+// --- Settings ---
+// Saved options, applied as soon as they change (difficulty from the next run)
+const settings = new Settings();
+const GAME_SETTINGS = ['difficulty', 'graphicsQuality', 'cameraFollowSpeed', 'reducedMotion', 'highContrast'];
+
+function applySetting(key, value) {
+    switch (key) {
+        case 'difficulty':
+            if (game) game.setDifficulty(value);
+            break;
+        case 'graphicsQuality':
+            if (game) game.setGraphicsQuality(value);
+            break;
+        case 'cameraFollowSpeed':
+            if (game) game.setCameraFollowSpeed(value);
+            break;
+        case 'cameraMirrored':
+            // The preview is normally flipped to act as a mirror; a mirrored camera doesn't need it
+            videoElement.classList.toggle('unflipped', value);
+            if (poseTracker) poseTracker.setMirrored(value);
+            break;
+        case 'showVideo':
+            videoElement.classList.toggle('hidden', !value);
+            break;
+        case 'reducedMotion':
+            renderDiv.classList.toggle('reduced-motion', value); // Stops the menu transitions too
+            if (game) game.setReducedMotion(value);
+            break;
+        case 'highContrast':
+            if (game) game.setHighContrast(value);
+            break;
+        case 'oneSwitch':
+            inputManager.setOneSwitch(value);
+            switchScanner.setEnabled(value);
+            break;
+        case 'scanInterval':
+            switchScanner.setScanInterval(value);
+            break;
+        // poseSensitivity, poseJumpCooldown, poseControlMode and seatedJumpGesture are read on every pose update
+    }
+}
+settings.on('change', ({ key, value }) => applySetting(key, value));
+applySetting('cameraMirrored', settings.get('cameraMirrored'));
+applySetting('showVideo', settings.get('showVideo'));
+applySetting('reducedMotion', settings.get('reducedMotion'));
 
-// Variables for pose-based jump detection
-let restingShoulderY = null;
-const JUMP_DETECTION_THRESHOLD = 0.06;
-let poseJumpCooldownTimer = 0;
-const POSE_JUMP_COOLDOWN = 0.7;
+// The Game is created on first use (start, replay or editor), with the audio hooked up to it
+function ensureGame() {
+    if (!game) {
+        game = new Game(renderDiv, updateScoreDisplay, showGameOverScreen, showBonus, showPowerUp);
+        audioManager.attach(game);
+        GAME_SETTINGS.forEach(key => applySetting(key, settings.get(key)));
+    }
+}
+
+function updatePlayerCountButton() {
+    playerCountButton.textContent = playerCount === 1 ? 'Mode: 1 Player' : 'Mode: 2 Players';
+    playerNameInputs[1].parentElement.classList.toggle('hidden', playerCount === 1);
+}
+updatePlayerCountButton();
+
+playerCountButton.addEventListener('click', () => {
+    playerCount = playerCount === 1 ? 2 : 1;
+    updatePlayerCountButton();
+});
+
+let characterId = loadCharacterChoice();
+
+function updateCharacterButton() {
+    const character = CHARACTERS[characterId];
+    characterButton.textContent = `Character: ${character.name}${character.type === 'sprite' ? ' (2D)' : ''}`;
+}
+updateCharacterButton();
+
+characterButton.addEventListener('click', () => {
+    characterId = CHARACTER_IDS[(CHARACTER_IDS.indexOf(characterId) + 1) % CHARACTER_IDS.length];
+    saveCharacterChoice(characterId);
+    updateCharacterButton();
+});
+
+// Course seed: ?daily gives everyone the same course today, ?seed=<number or text> reproduces a run
+const urlParams = new URLSearchParams(window.location.search);
+
+function getCourseSeed() {
+    if (urlParams.has('daily')) {
+        return getDailySeed();
+    }
+    const seedParam = urlParams.get('seed');
+    if (seedParam) {
+        return /^\d+$/.test(seedParam) ? Number(seedParam) >>> 0 : hashSeed(seedParam);
+    }
+    return createRandomSeed();
+}
+
+// ?poseVideo=<url> runs a clip through pose detection in place of the camera, and
+// ?poseRecording=<url> plays back landmarks recorded from the dev overlay, for tests and for
+// demos on machines without a camera
+async function createPoseSource() {
+    if (urlParams.has('poseRecording')) {
+        return new LandmarkRecordingSource(await loadPoseRecording(urlParams.get('poseRecording')));
+    }
+    if (urlParams.has('poseVideo')) {
+        return new VideoFileSource(urlParams.get('poseVideo'));
+    }
+    return new CameraSource();
+}
+
+// A source picked in the dev overlay replaces whatever was running (or the camera that failed)
+async function playPoseSource(source) {
+    if (!poseTracker) return;
+    await poseTracker.setSource(source);
+    poseTrackingReady = true;
+}
 
 async function initializeGame() {
     try {
         startStatusText.textContent = 'Setting up camera and pose detection... Allow camera access.';
-        poseTracker = new PoseTracker(videoElement, handlePoseUpdate);
+        poseTracker = new PoseTracker(videoElement, handlePoseUpdate, 1, await createPoseSource());
+        poseTracker.setProfile(poseProfile);
+        poseTracker.setMirrored(settings.get('cameraMirrored'));
         await poseTracker.initialize();
+        poseTrackingReady = true;
         
         startStatusText.textContent = 'Ready!';
         startButton.disabled = false;
+        campaignButton.disabled = false;
+        sharedLevelButton.disabled = false;
     } catch (error) {
         console.error("Initialization failed:", error);
-        startStatusText.textContent = `Error: ${error.message}. Please refresh.`;
-        startButton.disabled = true;
-        startButton.textContent = 'Error';
+        // The game can still be played (and tested) with the other input devices
+        startStatusText.textContent = `Error: ${error.message}. Keyboard, gamepad or touch only (refresh to retry).`;
+        startButton.disabled = false;
+        campaignButton.disabled = false;
+        sharedLevelButton.disabled = false;
+        startButton.textContent = 'Start without Camera';
         if (game) game.stop();
     }
 }
 
-// --- Keyboard Controls ---
-function handleKeyDown(event) {
-    if (game && game.isRunning()) {
-        switch(event.key) {
-            case 'ArrowLeft':
-            case 'a':
-                const currentLaneLeft = game.getPlayer().targetLane;
-                game.getPlayer().setTargetLane(currentLaneLeft - 1);
-                break;
-            case 'ArrowRight':
-            case 'd':
-                const currentLaneRight = game.getPlayer().targetLane;
-                game.getPlayer().setTargetLane(currentLaneRight + 1);
-                break;
-        }
+// --- Keyboard, Gamepad and Touch Controls ---
+// The input manager turns every device into the same actions; pose input is handled below
+const inputManager = new InputManager(renderDiv);
+const inputSettingsMenu = new InputSettingsMenu(renderDiv, inputManager);
+
+inputManager.on('action', ({ action, player, device }) => applyAction(action, player, device));
+
+function applyAction(action, player, device) {
+    if (!game || !game.isRunning()) return;
+    if (action === 'pause') {
+        togglePause();
+        return;
+    }
+    runInputDevices[player].add(device);
+    switch(action) {
+        case 'left':
+            game.moveLane(-1, player);
+            break;
+        case 'right':
+            game.moveLane(1, player);
+            break;
+        case 'jump':
+            game.jump(player);
+            break;
+        case 'duck':
+            game.duck(player);
+            break;
+        case 'superJump':
+            game.superJump(player);
+            break;
+        case 'powerUp':
+            game.usePowerUp(player);
+            break;
     }
 }
 
-function handlePoseUpdate(normX, normShoulderY) {
-    if (game && game.isRunning()) {
-        const player = game.getPlayer();
-        if (!player) return;
-        
-        // --- Horizontal Lane Switching ---
-        const mirroredNormX = 1.0 - normX;
-        if (mirroredNormX < 0.35) {
-            player.setTargetLane(0);
-        } else if (mirroredNormX > 0.65) {
-            player.setTargetLane(2);
-        } else {
-            player.setTargetLane(1);
+// One-switch input: during a run the switch picks the highlighted action; otherwise it
+// presses the button that gets to the next run
+const switchScanner = new SwitchScanner(renderDiv, action => applyAction(action, 0, 'switch'),
+    () => !!game && game.isRunning() && !game.isPaused());
+
+inputManager.on('switch', () => {
+    if (switchScanner.press()) return;
+    if (game && game.isRunning()) return; // Paused: the pause key or the overlay's button resumes
+    if ([settingsMenu, inputSettingsMenu, audioSettingsMenu].some(menu => menu.isOpen())) return;
+    if (gameOverContainer.classList.contains('visible')) {
+        if (!restartButton.disabled) restartButton.click();
+    } else if (!startScreenContainer.classList.contains('hidden') && !startButton.disabled) {
+        startButton.click();
+    }
+});
+applySetting('oneSwitch', settings.get('oneSwitch'));
+applySetting('scanInterval', settings.get('scanInterval'));
+
+startControlsButton.addEventListener('click', () => inputSettingsMenu.open());
+gameOverControlsButton.addEventListener('click', () => inputSettingsMenu.open());
+
+// --- Audio ---
+// Browsers keep audio locked until the page is clicked or a key is pressed
+const audioManager = new AudioManager();
+const audioSettingsMenu = new AudioSettingsMenu(renderDiv, audioManager);
+
+function unlockAudio() {
+    audioManager.unlock();
+    document.removeEventListener('pointerdown', unlockAudio);
+    document.removeEventListener('keydown', unlockAudio);
+}
+document.addEventListener('pointerdown', unlockAudio);
+document.addEventListener('keydown', unlockAudio);
+
+// The settings menu also leads to the controls and sound menus
+const settingsMenu = new SettingsMenu(renderDiv, settings, inputSettingsMenu, audioSettingsMenu);
+startSettingsButton.addEventListener('click', () => settingsMenu.open());
+gameOverSettingsButton.addEventListener('click', () => settingsMenu.open());
+
+// --- Pause ---
+// Pausing freezes the run; resuming counts down 3-2-1 so players can get back into place.
+// The game also pauses itself when the tab is hidden or nobody has been in view for a while.
+const pauseOverlay = new PauseOverlay(renderDiv, () => {
+    pauseReason = null;
+    if (game) game.resume();
+}, () => settingsMenu.open());
+let pauseReason = null; // 'manual', 'hidden' or 'pose' while paused
+let poseInUse = false; // True while the current run is controlled by the camera
+const POSE_WATCHDOG_INTERVAL = 250; // ms
+
+const PAUSE_MESSAGES = {
+    manual: 'Press pause again or click Resume to carry on.',
+    hidden: 'Paused while the game was in the background.',
+    pose: "Can't see anyone - step back into view to carry on."
+};
+
+function pauseGame(reason) {
+    if (!game || !game.isRunning()) return;
+    // Pausing again during the countdown stops it and stays paused
+    if (game.isPaused() || game.pause()) {
+        pauseReason = reason;
+        pauseOverlay.show(PAUSE_MESSAGES[reason]);
+    }
+}
+
+function togglePause() {
+    if (game.isPaused() && !pauseOverlay.isCountingDown()) {
+        pauseOverlay.startCountdown();
+    } else {
+        pauseGame('manual');
+    }
+}
+
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) pauseGame('hidden');
+});
+
+// Pose loss is checked on a timer rather than per frame: no poses means no callbacks
+setInterval(() => {
+    if (poseInUse && game && game.isRunning()) {
+        game.recordPoseInferenceTime(poseTracker.getInferenceTime());
+    }
+    if (!poseInUse || !game || !game.isRunning() || game.isReplaying()) return;
+    const timeout = inputManager.getPoseLossTimeout();
+    if (timeout <= 0) return;
+    const poseMissing = poseTracker.getTimeSinceLastPose() > timeout * 1000;
+    if (poseMissing && (!game.isPaused() || pauseOverlay.isCountingDown())) {
+        pauseGame('pose');
+    } else if (!poseMissing && game.isPaused() && pauseReason === 'pose' && !pauseOverlay.isCountingDown()) {
+        // Back in view: resume without anyone having to reach for a button
+        pauseOverlay.startCountdown();
+    }
+}, POSE_WATCHDOG_INTERVAL);
+
+// --- Leaderboard ---
+const leaderboard = new Leaderboard();
+const leaderboardPanel = new LeaderboardPanel(renderDiv, leaderboard);
+let lastRunEntries = []; // Leaderboard entries saved for the run that just ended
+let runInputDevices = [new Set(), new Set()]; // Devices each player used this run
+
+startLeaderboardButton.addEventListener('click', () => leaderboardPanel.open());
+gameOverLeaderboardButton.addEventListener('click', () => leaderboardPanel.open({
+    highlightIds: lastRunEntries.map(entry => entry.id),
+    mode: lastRunEntries.length > 0 ? lastRunEntries[0].mode : ''
+}));
+
+// --- Campaign ---
+// A picked level is played like a normal run; Restart plays the same level again
+let currentLevel = null; // Parsed level of the current run, null on the endless course
+const levelSelect = new LevelSelect(renderDiv, level => {
+    currentLevel = level;
+    if (startScreenContainer.classList.contains('hidden')) {
+        restartGame(); // Picked from the game over screen
+    } else {
+        startGame();
+    }
+});
+
+campaignButton.addEventListener('click', () => levelSelect.open());
+gameOverLevelsButton.addEventListener('click', () => levelSelect.open());
+nextLevelButton.addEventListener('click', () => {
+    const nextLevel = currentLevel && levelSelect.getNextLevel(currentLevel);
+    if (!nextLevel) return;
+    currentLevel = nextLevel;
+    restartGame();
+});
+
+// --- Level Editor ---
+// Test runs are played like levels, but nothing is saved and game over leads back to the editor
+let levelEditor = null; // Created on first use: it draws with the game's renderer
+let editorTestLevel = null; // Parsed level of the latest test run
+
+function openLevelEditor(level = null) {
+    ensureGame();
+    game.stop();
+    if (!levelEditor) {
+        levelEditor = new LevelEditor(renderDiv, game.sceneSetup, playTestLevel, () => {
+            startScreenContainer.classList.remove('hidden');
+        });
+    }
+    startScreenContainer.classList.add('hidden');
+    gameOverContainer.classList.add('hidden');
+    gameOverContainer.classList.remove('visible');
+    levelEditor.open(level);
+}
+
+async function playTestLevel(level) {
+    currentLevel = editorTestLevel = level;
+    poseInUse = poseTrackingReady && inputManager.isEnabled('pose');
+    if (poseInUse) {
+        await poseTracker.setNumPoses(playerCount);
+    }
+    game.setCharacter(characterId);
+    resetGameSession();
+    beginRun();
+    hideGameOverScreen();
+}
+
+function isEditorTestRun() {
+    return !!currentLevel && currentLevel === editorTestLevel;
+}
+
+editorButton.addEventListener('click', () => openLevelEditor());
+backToEditorButton.addEventListener('click', () => openLevelEditor());
+
+let sharedLevel = null;
+const sharedLevelParam = new URLSearchParams(window.location.hash.slice(1)).get('level');
+if (sharedLevelParam) {
+    try {
+        sharedLevel = decodeLevelFromUrl(sharedLevelParam);
+        sharedLevelButton.textContent = `Play Shared Level: ${sharedLevel.name}`;
+        sharedLevelButton.classList.remove('hidden');
+        editSharedLevelButton.classList.remove('hidden');
+    } catch (error) {
+        console.error("Could not open the shared level:", error);
+        sharedLevelStatus.textContent = error.message;
+        sharedLevelStatus.classList.remove('hidden');
+    }
+}
+
+sharedLevelButton.addEventListener('click', () => {
+    currentLevel = sharedLevel;
+    startGame();
+});
+editSharedLevelButton.addEventListener('click', () => openLevelEditor(sharedLevel));
+
+// Starts the endless course or the current level
+function beginRun() {
+    inputManager.setPlayerCount(playerCount);
+    if (currentLevel) {
+        game.startLevel(currentLevel, playerCount);
+        announce(`${currentLevel.name} started.`);
+    } else {
+        game.start(getCourseSeed(), playerCount);
+        announce('Game started.');
+    }
+}
+
+function loadPlayerNames() {
+    try {
+        const names = JSON.parse(localStorage.getItem(PLAYER_NAME_STORAGE_KEY));
+        if (Array.isArray(names)) {
+            names.slice(0, playerNameInputs.length).forEach((name, index) => {
+                if (typeof name === 'string') playerNameInputs[index].value = name;
+            });
         }
-        
-        // --- Vertical Jump Detection ---
-        if (poseJumpCooldownTimer > 0) {
-            poseJumpCooldownTimer -= 1 / 60;
+    } catch (error) {
+        console.warn("Ignoring unreadable player names:", error);
+    }
+    if (!playerNameInputs[0].value) {
+        playerNameInputs[0].value = getLastUserName() || '';
+    }
+}
+loadPlayerNames();
+
+function getPlayerName(playerIndex) {
+    return playerNameInputs[playerIndex].value.trim() || `Player ${playerIndex + 1}`;
+}
+
+function savePlayerNames() {
+    try {
+        localStorage.setItem(PLAYER_NAME_STORAGE_KEY, JSON.stringify(playerNameInputs.map(input => input.value.trim())));
+    } catch (error) {
+        console.warn("Could not save player names:", error);
+    }
+}
+
+function getLeaderboardMode() {
+    if (playerCount > 1) return 'versus';
+    return urlParams.has('daily') ? 'daily' : 'solo';
+}
+
+// Saves each player's run and shows a personal best / rank line on the game over screen
+async function recordRuns(scores, stats) {
+    const mode = getLeaderboardMode();
+    const messages = [];
+    lastRunEntries = [];
+    for (let index = 0; index < scores.length; index++) {
+        const devices = [...runInputDevices[index]];
+        try {
+            const { entry, rank, isPersonalBest } = await leaderboard.addEntry({
+                name: getPlayerName(index),
+                score: scores[index],
+                topSpeed: stats[index].topSpeed,
+                distance: stats[index].distance,
+                jumps: stats[index].jumps,
+                inputMethod: devices.length > 0 ? devices.sort().join('+') : 'none',
+                mode,
+                seed: game.seed
+            });
+            lastRunEntries.push(entry);
+            const prefix = scores.length > 1 ? `${entry.name}: ` : '';
+            messages.push(isPersonalBest ? `${prefix}🏆 New personal best! (#${rank})` : `${prefix}Rank #${rank}`);
+        } catch (error) {
+            console.error("Could not save the run to the leaderboard:", error);
+            messages.push(`Leaderboard unavailable: ${error.message}`);
+            break;
         }
-        
-        if (restingShoulderY === null && normShoulderY > 0 && normShoulderY < 1) {
-            restingShoulderY = normShoulderY;
-            console.log("Resting shoulder Y established:", restingShoulderY.toFixed(2));
+    }
+    personalBestText.textContent = messages.join(' - ');
+    personalBestText.classList.toggle('hidden', messages.length === 0);
+}
+
+function handlePoseUpdate(normX, normShoulderY, landmarks, playerIndex = 0, timestamp = performance.now()) {
+    devOverlay.drawPose(landmarks, playerIndex, timestamp);
+    if (calibrationScreen.isActive()) {
+        if (playerIndex === 0) {
+            calibrationScreen.handlePose(normX, normShoulderY, landmarks);
         }
+        return;
+    }
+    if (!inputManager.isEnabled('pose')) return;
+    const seated = isSeated();
+    if (!seated) {
+        gestureRecognizers[playerIndex].update(landmarks, timestamp); // Squats and hops don't work sitting down
+    }
+    if (game && game.isRunning() && playerIndex < game.playerCount && game.isPlayerAlive(playerIndex)) {
+        const player = game.getPlayer(playerIndex);
+        if (!player) return;
+        runInputDevices[playerIndex].add('pose');
         
-        if (restingShoulderY !== null && poseJumpCooldownTimer <= 0) {
-            const yDifference = restingShoulderY - normShoulderY;
-            if (yDifference > JUMP_DETECTION_THRESHOLD) {
-                player.jump();
-                poseJumpCooldownTimer = POSE_JUMP_COOLDOWN;
-                restingShoulderY = normShoulderY + JUMP_DETECTION_THRESHOLD * 0.5;
-            } else if (normShoulderY > restingShoulderY + JUMP_DETECTION_THRESHOLD * 0.5 && !player.isJumping) {
-                restingShoulderY = restingShoulderY * 0.99 + normShoulderY * 0.01;
-            }
+        // Lane changes and jumps come out of the filter as events (see createPoseControls)
+        if (seated) {
+            seatedControls[playerIndex].update(landmarks, timestamp, {
+                jumpGesture: settings.get('seatedJumpGesture'),
+                jumpCooldown: settings.get('poseJumpCooldown')
+            });
+            return;
         }
+        const profile = getPoseProfile(playerIndex);
+        poseControls[playerIndex].update(getPlayerPoseX(1.0 - normX, playerIndex), normShoulderY, timestamp, {
+            laneBoundaries: profile.getLaneBoundaries(),
+            jumpThreshold: profile.jumpThreshold / settings.get('poseSensitivity'), // Higher sensitivity, smaller rise
+            jumpCooldown: settings.get('poseJumpCooldown'),
+            airborne: player.isJumping,
+            now: performance.now()
+        });
     }
 }
 
-function updateScoreDisplay(score) {
-    scoreElement.innerHTML = `Score:<br>${score}`;
+// Calibration is single-player; in 2 player mode both players use the default thresholds
+const DEFAULT_POSE_PROFILE = new PoseProfile();
+
+function getPoseProfile(playerIndex) {
+    return playerCount === 1 ? poseProfile : DEFAULT_POSE_PROFILE;
 }
 
-function showGameOverScreen(finalScore) {
-    finalScoreText.textContent = `Final Score: ${Math.floor(finalScore)}`;
+// In 2 player mode each player has their own half of the frame, split into three lanes;
+// this gives the X within it, to compare with the player's profile
+function getPlayerPoseX(mirroredX, playerIndex) {
+    if (playerCount === 1) {
+        return mirroredX;
+    }
+    return (mirroredX - playerIndex / playerCount) * playerCount;
+}
+
+function getSuperJumpText(playerIndex) {
+    const charge = game ? game.getPlayer(playerIndex).getSuperJumpCharge() : 1;
+    return charge >= 1 ? 'Ready' : `${Math.floor(charge * 100)}%`;
+}
+
+// Pickups, near misses and the combo multiplier, e.g. "🪙 12 💎 1 ⚡ 3 ×2"
+function getBonusText(playerIndex) {
+    if (!game) return '';
+    const { breakdown, multiplier } = game.getScoreDetails(playerIndex);
+    const comboText = multiplier > 1 ? ` ×${multiplier}` : '';
+    return `🪙 ${breakdown.counts.coin} 💎 ${breakdown.counts.gem} ⚡ ${breakdown.counts.nearMiss}${comboText}`;
+}
+
+const POWER_UP_ICONS = {
+    shield: '🛡️',
+    slowMo: '🐢',
+    magnet: '🧲'
+};
+
+// Seconds left on active power-ups, e.g. "🛡️ 7s 🧲 3s", plus a hint when the combo can buy one
+function getPowerUpText(playerIndex) {
+    if (!game) return '';
+    const timers = Object.entries(game.getPowerUps(playerIndex))
+        .map(([kind, remaining]) => `${POWER_UP_ICONS[kind]} ${Math.ceil(remaining)}s`);
+    if (game.canUsePowerUp(playerIndex)) {
+        timers.push('✨ Power-up ready!');
+    }
+    return timers.join(' ');
+}
+
+// Goal progress on a level, e.g. "🏁 120 / 400 m"
+function getLevelText(playerIndex) {
+    const progress = game && game.getLevelProgress(playerIndex);
+    if (!progress) return '';
+    return progress.type === 'distance'
+        ? `🏁 ${Math.floor(progress.current)} / ${progress.target} m`
+        : `🏁 ${progress.current} / ${progress.target} 🪙`;
+}
+
+function updateScoreDisplay(score, scores = [score]) {
+    if (score >= lastAnnouncedScore + SCORE_ANNOUNCE_STEP) {
+        lastAnnouncedScore = score - score % SCORE_ANNOUNCE_STEP;
+        announce(scores.length > 1 ? scores.map((playerScore, index) => `Player ${index + 1}: ${playerScore}`).join(', ') : `Score ${score}`);
+    }
+    if (scores.length > 1) {
+        scoreElement.innerHTML = scores
+            .map((playerScore, index) => `P${index + 1}: ${playerScore} <small>🙌 ${getSuperJumpText(index)} ${getBonusText(index)} ${getPowerUpText(index)} ${getLevelText(index)}</small>`)
+            .join('<br>');
+        return;
+    }
+    const extraLines = [getPowerUpText(0), getLevelText(0)].filter(text => text);
+    scoreElement.innerHTML = `Score:<br>${score}<br><small>🙌 ${getSuperJumpText(0)}</small><br><small>${getBonusText(0)}</small>`
+        + extraLines.map(text => `<br><small>${text}</small>`).join('');
+}
+
+const BONUS_LABELS = {
+    coin: 'Coin',
+    gem: 'Gem!',
+    nearMiss: 'Near miss!'
+};
+
+const POWER_UP_LABELS = {
+    shield: 'Shield!',
+    slowMo: 'Slow motion!',
+    magnet: 'Magnet!'
+};
+
+function showPopup(player, text) {
+    const prefix = game && game.playerCount > 1 ? `P${player + 1}: ` : '';
+    bonusElement.textContent = prefix + text;
+    bonusElement.classList.add('visible');
+    clearTimeout(bonusHideTimer);
+    bonusHideTimer = setTimeout(() => bonusElement.classList.remove('visible'), BONUS_POPUP_TIME);
+}
+
+function showBonus({ player, source, points, multiplier }) {
+    const comboText = multiplier > 1 ? ` (×${multiplier})` : '';
+    showPopup(player, `+${points} ${BONUS_LABELS[source]}${comboText}`);
+}
+
+function showPowerUp({ player, kind, refreshed = false, broken = false }) {
+    if (broken) {
+        showPopup(player, '🛡️ Shield broken!');
+        return;
+    }
+    showPopup(player, `${POWER_UP_ICONS[kind]} ${POWER_UP_LABELS[kind]}${refreshed ? ' (refreshed)' : ''}`);
+}
+
+function formatBreakdown({ survival, coin, gem, nearMiss, counts, bestCombo }) {
+    return `Survival ${Math.floor(survival)} + Coins ${coin} (${counts.coin}) + Gems ${gem} (${counts.gem})`
+        + ` + Near misses ${nearMiss} (${counts.nearMiss}) - best combo ${bestCombo}`;
+}
+
+function showGameOverScreen(finalScore, replayResult = null, { scores = [finalScore], stats = null, breakdowns = null, winner = null, level = null, levelComplete = false } = {}) {
+    const playedLevel = game.getLevel();
+    if (playedLevel) {
+        gameOverText.textContent = levelComplete ? `${playedLevel.name} complete!` : `${playedLevel.name} failed`;
+    } else {
+        gameOverText.textContent = 'Game Over!';
+    }
+    if (scores.length > 1) {
+        const scoreList = scores.map((playerScore, index) => `P${index + 1}: ${Math.floor(playerScore)}`).join(' - ');
+        finalScoreText.textContent = winner === null ? `Draw! ${scoreList}` : `Player ${winner + 1} wins! ${scoreList}`;
+    } else {
+        finalScoreText.textContent = `Final Score: ${Math.floor(finalScore)}`;
+    }
+    if (breakdowns) {
+        scoreBreakdownText.innerHTML = breakdowns
+            .map((breakdown, index) => (breakdowns.length > 1 ? `P${index + 1}: ` : '') + formatBreakdown(breakdown))
+            .join('<br>');
+    } else {
+        scoreBreakdownText.textContent = '';
+    }
+    seedText.textContent = playedLevel ? `Level: ${playedLevel.name} (${describeGoal(playedLevel.goal)})` : `Course seed: ${game.seed}`;
+    if (replayResult) {
+        replayStatusText.textContent = replayResult.matched
+            ? 'Replay finished - matches the recorded run.'
+            : 'Replay finished - does NOT match the recorded run (see console).';
+    } else {
+        replayStatusText.textContent = game.getLastReplay() ? '' : 'No replay: constants were tuned in the dev overlay.';
+    }
+    downloadReplayButton.classList.toggle('hidden', !game.getLastReplay() || !!replayResult);
+    // Replays and editor test runs don't go on the leaderboard, and level runs count towards the campaign instead
+    personalBestText.classList.add('hidden');
+    lastRunEntries = [];
+    const testRun = isEditorTestRun();
+    const nextLevel = playedLevel && levelComplete && !replayResult && !testRun ? levelSelect.getNextLevel(playedLevel) : null;
+    nextLevelButton.classList.toggle('hidden', !nextLevel);
+    backToEditorButton.classList.toggle('hidden', !testRun);
+    const countsRun = !replayResult && !testRun;
+    if (countsRun && level) {
+        const progress = saveLevelResult(level, finalScore, levelComplete);
+        personalBestText.textContent = levelComplete ? `🏁 Level complete! Best: ${progress[level].bestScore}` : '';
+        personalBestText.classList.toggle('hidden', !levelComplete);
+    } else if (countsRun && stats) {
+        recordRuns(scores, stats);
+    }
     gameOverContainer.classList.remove('hidden');
     gameOverContainer.classList.add('visible');
     uiContainer.classList.add('hidden');
     scoreContainer.classList.add('hidden');
     
+    announce(`${gameOverText.textContent} ${finalScoreText.textContent}`);
+    
     console.log("Game over screen shown with score:", Math.floor(finalScore));
 }
 
@@ -183,9 +1007,14 @@ function hideGameOverScreen() {
 }
 
 function resetGameSession() {
-    // Reset pose tracking variables
-    restingShoulderY = null;
-    poseJumpCooldownTimer = 0;
+    // Reset pose tracking variables (start from the calibrated resting height if there is one)
+    poseControls.forEach((controls, index) => controls.reset(getPoseProfile(index).restingShoulderY));
+    seatedControls.forEach(controls => controls.reset());
+    lastAnnouncedScore = 0;
+    runInputDevices = [new Set(), new Set()];
+    pauseReason = null;
+    pauseOverlay.hide();
+    bonusElement.classList.remove('visible');
     
     // Reset score display to 0 immediately
     updateScoreDisplay(0);
@@ -194,8 +1023,10 @@ function resetGameSession() {
 }
 
 // Restart Button Logic
-restartButton.addEventListener('click', () => {
-    console.log("Restart button clicked");
+restartButton.addEventListener('click', () => restartGame());
+
+function restartGame() {
+    console.log("Restarting game");
     
     if (game) {
         // Disable restart button temporarily to prevent double-clicks
@@ -214,7 +1045,7 @@ restartButton.addEventListener('click', () => {
             resetGameSession();
             
             // Start new game
-            game.start();
+            beginRun();
             
             // Re-enable restart button
             restartButton.disabled = false;
@@ -223,27 +1054,96 @@ restartButton.addEventListener('click', () => {
             console.log("Game restarted successfully");
         }, 100); // Short delay to ensure cleanup
     }
+}
+
+// Replay Buttons
+downloadReplayButton.addEventListener('click', () => {
+    const replay = game && game.getLastReplay();
+    if (!replay) return;
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `lava-replay-${replay.seed}-${Math.floor(replay.result.score)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+});
+
+replayButton.addEventListener('click', () => {
+    replayFileInput.value = '';
+    replayFileInput.click();
+});
+
+replayFileInput.addEventListener('change', async () => {
+    const file = replayFileInput.files[0];
+    if (!file) return;
+    
+    ensureGame();
+    
+    try {
+        const replayPlayer = parseReplay(await file.text());
+        currentLevel = null; // Restarting after a replay goes back to the endless course
+        game.setCharacter(characterId);
+        resetGameSession();
+        game.startReplay(replayPlayer);
+    } catch (error) {
+        console.error("Could not load replay:", error);
+        startStatusText.textContent = `Error: ${error.message}`;
+        return;
+    }
+    
+    startScreenContainer.classList.add('hidden');
+    scoreContainer.classList.remove('hidden');
+    hideGameOverScreen();
 });
 
 // Start Button Logic
 startButton.addEventListener('click', () => {
-    console.log("Start button clicked");
+    currentLevel = null;
+    startGame();
+});
+
+async function startGame() {
+    console.log("Starting game from the start screen");
+    savePlayerNames();
     
     startScreenContainer.classList.add('hidden');
     uiContainer.classList.remove('hidden');
+    
+    const usePose = poseTrackingReady && inputManager.isEnabled('pose');
+    poseInUse = usePose;
+    if (usePose) {
+        await poseTracker.setNumPoses(playerCount);
+    }
+    if (usePose && playerCount === 1 && !isSeated()) {
+        // Calibrate before the first frame; measure with no tilt correction applied
+        const savedProfile = loadLastProfile();
+        poseTracker.setProfile(new PoseProfile());
+        poseProfile = await calibrationScreen.run(savedProfile, getPlayerName(0));
+        if (poseProfile.calibrated) {
+            saveProfile(poseProfile);
+        }
+        playerNameInputs[0].value = poseProfile.name; // The name given during calibration goes on the leaderboard
+        poseTracker.setProfile(poseProfile);
+        console.log("Using pose profile:", poseProfile.name, poseProfile.calibrated ? "(calibrated)" : "(defaults)");
+    } else if (usePose) {
+        poseTracker.setProfile(DEFAULT_POSE_PROFILE);
+    }
+    
     scoreContainer.classList.remove('hidden');
     
-    // Create new game instance
-    game = new Game(renderDiv, updateScoreDisplay, showGameOverScreen);
+    // Create new game instance (a replay may already have created one)
+    ensureGame();
     
     // Reset session and start game
+    game.setCharacter(characterId);
     resetGameSession();
-    game.start();
+    beginRun();
     hideGameOverScreen();
-});
+}
 
 // Start initialization
 initializeGame();
 
-// Add keyboard listener
-window.addEventListener('keydown', handleKeyDown);
\ No newline at end of file
+// Start listening for keyboard, gamepad and touch input
+inputManager.start();
\ No newline at end of file
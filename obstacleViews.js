@@ -0,0 +1,195 @@
+import * as THREE from 'three';
+import { LANE_WIDTH, PLATFORM_DEPTH, OVERHEAD_HAZARD_HEIGHT, FIREBALL_HEIGHT } from './constants.js';
+import { PLAYER_GROUND_Y } from './playerPhysics.js';
+
+// Meshes for the obstacle types in obstacles.js, keyed by the same hazard kind. The
+// LavaManager pools whatever create() returns per kind and moves it with its hazard, then
+// draws its visible meshes as instances of one InstancedMesh per geometry and material. So
+// views should share geometries and materials between objects, and only transforms and
+// visibility are drawn per hazard (a material change would show on every hazard using it).
+//
+// A view is an object with:
+//   create()                     required; returns a new Object3D (reused between hazards)
+//   y                            height the object sits at (default: on the floor)
+//   embers                       true to attach a rising ember particle system
+//   place(object, hazard)        optional; set up a pooled object for a newly spawned hazard
+//   update(object, hazard, frameTime)
+//                                optional; per-frame animation on top of the interpolated position
+
+const LAVA_EMISSIVE = 0xcc0000;
+const LAVA_INTENSITY = 1.0;
+const LAVA_HEIGHT = 0.01; // Slightly above platform y=0 plane
+
+// Texture Loading
+const textureLoader = new THREE.TextureLoader();
+const lavaTexture = textureLoader.load('assets/Lava.jpg');
+lavaTexture.wrapS = THREE.RepeatWrapping;
+lavaTexture.wrapT = THREE.RepeatWrapping;
+lavaTexture.repeat.set(1, 1); // Adjust repeat as needed
+
+const LAVA_GEOMETRY = new THREE.PlaneGeometry(LANE_WIDTH * 0.9, PLATFORM_DEPTH); // Matches platform footprint
+const LAVA_MATERIAL = new THREE.MeshStandardMaterial({
+    map: lavaTexture,
+    emissive: LAVA_EMISSIVE,
+    emissiveMap: lavaTexture,
+    emissiveIntensity: LAVA_INTENSITY * 0.6,
+    side: THREE.DoubleSide
+});
+
+// Rotate geometry once instead of each mesh instance
+LAVA_GEOMETRY.rotateX(-Math.PI / 2);
+
+// Overhead fire bars: a glowing beam across the lane at head height
+const OVERHEAD_THICKNESS = 0.4;
+const OVERHEAD_GEOMETRY = new THREE.BoxGeometry(LANE_WIDTH, OVERHEAD_THICKNESS, PLATFORM_DEPTH * 0.3);
+// Bottom edge sits at the clearance height (measured from the player's base like the sprite)
+OVERHEAD_GEOMETRY.translate(0, OVERHEAD_THICKNESS / 2, 0);
+const OVERHEAD_MATERIAL = new THREE.MeshStandardMaterial({
+    map: lavaTexture,
+    emissive: 0xff6600,
+    emissiveMap: lavaTexture,
+    emissiveIntensity: LAVA_INTENSITY
+});
+
+// Fireballs: a bright ball floating just above head height
+const FIREBALL_RADIUS = 0.6;
+const FIREBALL_GEOMETRY = new THREE.SphereGeometry(FIREBALL_RADIUS, 16, 12);
+const FIREBALL_MATERIAL = new THREE.MeshStandardMaterial({
+    map: lavaTexture,
+    emissive: 0xff8800,
+    emissiveMap: lavaTexture,
+    emissiveIntensity: LAVA_INTENSITY * 1.2
+});
+
+// Geysers: a dark vent that bubbles, and a lava column shown while it erupts
+const GEYSER_COLUMN_HEIGHT = 8; // Taller than any jump
+const GEYSER_VENT_GEOMETRY = new THREE.CircleGeometry(LANE_WIDTH * 0.35, 20);
+GEYSER_VENT_GEOMETRY.rotateX(-Math.PI / 2);
+const GEYSER_VENT_MATERIAL = new THREE.MeshStandardMaterial({
+    color: 0x331100,
+    emissive: 0x661100,
+    emissiveIntensity: 0.6
+});
+const GEYSER_COLUMN_GEOMETRY = new THREE.CylinderGeometry(LANE_WIDTH * 0.3, LANE_WIDTH * 0.4, GEYSER_COLUMN_HEIGHT, 16, 1, true);
+GEYSER_COLUMN_GEOMETRY.translate(0, GEYSER_COLUMN_HEIGHT / 2, 0);
+const GEYSER_COLUMN_MATERIAL = new THREE.MeshStandardMaterial({
+    map: lavaTexture,
+    emissive: 0xff4400,
+    emissiveMap: lavaTexture,
+    emissiveIntensity: LAVA_INTENSITY,
+    side: THREE.DoubleSide
+});
+const GEYSER_RISE_SPEED = 6; // Column height fraction per second when erupting / collapsing
+
+// Gaps: a dark hole in the floor
+const GAP_GEOMETRY = new THREE.PlaneGeometry(LANE_WIDTH * 0.95, PLATFORM_DEPTH);
+GAP_GEOMETRY.rotateX(-Math.PI / 2);
+const GAP_MATERIAL = new THREE.MeshBasicMaterial({ color: 0x050505 });
+
+// High contrast: flat, fully lit colours in place of the lava texture. The materials are
+// shared by every hazard, so changing them recolours all of them at once.
+const HIGH_CONTRAST_COLORS = new Map([
+    [LAVA_MATERIAL, 0xff2200],
+    [OVERHEAD_MATERIAL, 0xffdd00],
+    [FIREBALL_MATERIAL, 0xffdd00],
+    [GEYSER_VENT_MATERIAL, 0xff00ff],
+    [GEYSER_COLUMN_MATERIAL, 0xff2200],
+    [GAP_MATERIAL, 0x9900ff] // A hole in the floor, which would vanish into the dark floor otherwise
+]);
+const normalLooks = new Map(); // material -> what it had before high contrast
+
+export function setObstacleHighContrast(highContrast) {
+    HIGH_CONTRAST_COLORS.forEach((color, material) => {
+        if (!normalLooks.has(material)) {
+            normalLooks.set(material, {
+                color: material.color.getHex(),
+                map: material.map,
+                emissive: material.emissive ? material.emissive.getHex() : null,
+                emissiveMap: material.emissiveMap || null,
+                emissiveIntensity: material.emissiveIntensity
+            });
+        }
+        const look = highContrast
+            ? { color, map: null, emissive: color, emissiveMap: null, emissiveIntensity: 1 }
+            : normalLooks.get(material);
+        material.color.setHex(look.color);
+        material.map = look.map;
+        if (material.emissive) {
+            material.emissive.setHex(look.emissive);
+            material.emissiveMap = look.emissiveMap;
+            material.emissiveIntensity = look.emissiveIntensity;
+        }
+        material.needsUpdate = true; // Maps added or removed change the shader
+    });
+}
+
+const obstacleViews = new Map();
+
+export function registerObstacleView(kind, view) {
+    if (!view || typeof view.create !== 'function') {
+        throw new Error(`Obstacle view "${kind}" needs a create() function.`);
+    }
+    obstacleViews.set(kind, { y: LAVA_HEIGHT, embers: false, place: null, update: null, ...view });
+}
+
+export function getObstacleView(kind) {
+    const view = obstacleViews.get(kind);
+    if (!view) {
+        throw new Error(`No view registered for obstacle type: ${kind}`);
+    }
+    return view;
+}
+
+// --- Built-in views ---
+
+registerObstacleView('lava', {
+    create: () => new THREE.Mesh(LAVA_GEOMETRY, LAVA_MATERIAL), // Geometry is already rotated
+    embers: true
+});
+
+registerObstacleView('slide', {
+    create: () => new THREE.Mesh(LAVA_GEOMETRY, LAVA_MATERIAL),
+    embers: true
+});
+
+registerObstacleView('overhead', {
+    create: () => new THREE.Mesh(OVERHEAD_GEOMETRY, OVERHEAD_MATERIAL),
+    y: PLAYER_GROUND_Y + OVERHEAD_HAZARD_HEIGHT
+});
+
+registerObstacleView('fireball', {
+    create: () => new THREE.Mesh(FIREBALL_GEOMETRY, FIREBALL_MATERIAL),
+    y: PLAYER_GROUND_Y + FIREBALL_HEIGHT + FIREBALL_RADIUS,
+    update: (ball, hazard, frameTime) => {
+        ball.rotation.y += frameTime * 3; // Slow spin so the texture churns
+    }
+});
+
+registerObstacleView('geyser', {
+    create: () => {
+        const group = new THREE.Group();
+        group.add(new THREE.Mesh(GEYSER_VENT_GEOMETRY, GEYSER_VENT_MATERIAL));
+        const column = new THREE.Mesh(GEYSER_COLUMN_GEOMETRY, GEYSER_COLUMN_MATERIAL);
+        group.userData.column = column;
+        group.add(column);
+        return group;
+    },
+    embers: true,
+    place: (group, hazard) => {
+        group.userData.height = hazard.erupting ? 1 : 0;
+    },
+    update: (group, hazard, frameTime) => {
+        // Shoot up fast when the core says it's erupting, drop back down when it stops
+        const target = hazard.erupting ? 1 : 0;
+        const step = GEYSER_RISE_SPEED * frameTime;
+        const height = group.userData.height + Math.max(-step, Math.min(step, target - group.userData.height));
+        group.userData.height = height;
+        group.userData.column.visible = height > 0.01;
+        group.userData.column.scale.y = Math.max(0.01, height);
+    }
+});
+
+registerObstacleView('gap', {
+    create: () => new THREE.Mesh(GAP_GEOMETRY, GAP_MATERIAL),
+    y: LAVA_HEIGHT * 2 // Above the lava so overlapping tiles don't flicker
+});
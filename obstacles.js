@@ -0,0 +1,222 @@
+import {
+    LANES, LANE_WIDTH, PLATFORM_DEPTH, JUMP_CLEARANCE_HEIGHT,
+    GEYSER_PERIOD, GEYSER_ERUPTION_TIME, SLIDE_TRAVEL_DISTANCE
+} from './constants.js';
+
+// Registry of obstacle types, keyed by hazard kind. This is the headless half: how a
+// pattern row becomes hazards, how they move and what counts as a hit. It runs inside the
+// core (and replays), so it must stay deterministic - any randomness comes from the row,
+// which the seeded pattern generator builds. Meshes are registered separately with
+// registerObstacleView() in obstacleViews.js.
+//
+// A type is an object with:
+//   collides(hazard, player)       required; true if a player inside the footprint is hit
+//   halfWidth, depth               footprint around (hazard.x, hazard.z); defaults to one lane tile
+//   nearMiss                       true if clearing or dodging it at the last moment earns a bonus
+//   spawn(field, row, z, speed)    places the row's hazards with field.addHazard(); defaults to
+//                                  one tile per lane, repeated along the track for row.duration
+//   update(hazard, deltaTime)      extra movement or state after the hazard has scrolled
+//   patterns                       { name: { weight, build(generator, gap) } } rows the course
+//                                  generator may pick; build returns [{ delay, kind, lanes, duration, ... }]
+//   survive(generator, state, row, arrival)
+//                                  applies the row to the generator's survivability state using
+//                                  its blockLanes / requireJump / requireDuck / ... helpers;
+//                                  returns false if the row can't be survived
+
+const DEFAULT_HALF_WIDTH = LANE_WIDTH / 2 * 0.9;
+
+const obstacleTypes = new Map();
+
+export function registerObstacleType(kind, type) {
+    if (!type || typeof type.collides !== 'function' || typeof type.survive !== 'function') {
+        throw new Error(`Obstacle type "${kind}" needs collides() and survive() functions.`);
+    }
+    obstacleTypes.set(kind, {
+        halfWidth: DEFAULT_HALF_WIDTH,
+        depth: PLATFORM_DEPTH,
+        spawn: spawnTiles,
+        update: null,
+        nearMiss: false,
+        patterns: {},
+        ...type
+    });
+}
+
+export function getObstacleType(kind) {
+    const type = obstacleTypes.get(kind);
+    if (!type) {
+        throw new Error(`Unknown obstacle type: ${kind}`);
+    }
+    return type;
+}
+
+// [kind, type] pairs in registration order (the generator relies on a stable order)
+export function getObstacleTypes() {
+    return [...obstacleTypes.entries()];
+}
+
+// One hazard per lane; rows with a duration become strips of tiles trailing away from the player
+export function spawnTiles(field, row, z, speed) {
+    const tileCount = row.duration > 0 ? Math.max(1, Math.floor(row.duration * speed / PLATFORM_DEPTH)) : 1;
+    for (const lane of row.lanes) {
+        for (let i = 0; i < tileCount; i++) {
+            field.addHazard(row.kind, lane, z - i * PLATFORM_DEPTH);
+        }
+    }
+}
+
+// Airborne above the clearance height (i.e. clear of the floor)
+export function isAirborne(player) {
+    return player.isJumping && player.position.y > player.jumpStartY + JUMP_CLEARANCE_HEIGHT;
+}
+
+// --- Built-in types ---
+
+// Floor lava: jump it or step around it
+registerObstacleType('lava', {
+    collides: (hazard, player) => !isAirborne(player),
+    nearMiss: true,
+    patterns: {
+        single: {
+            weight: 4,
+            build: (generator, gap) => [{ delay: gap, kind: 'lava', lanes: [generator.randomLane()], duration: 0 }]
+        },
+        wall: {
+            weight: 3,
+            build: (generator, gap) => [{ delay: gap, kind: 'lava', lanes: generator.lanesExcept(generator.randomLane()), duration: 0 }]
+        },
+        zigzag: {
+            // Walls whose open lane steps across the track one lane at a time
+            weight: 2,
+            build: (generator, gap) => {
+                const length = 3 + Math.floor(generator.random() * 2);
+                let openLane = generator.randomLane();
+                let direction = generator.random() < 0.5 ? -1 : 1;
+                const rows = [];
+                for (let i = 0; i < length; i++) {
+                    rows.push({ delay: i === 0 ? gap : Math.max(gap, generator.shiftGap), kind: 'lava', lanes: generator.lanesExcept(openLane), duration: 0 });
+                    if (openLane + direction < 0 || openLane + direction >= LANES.length) {
+                        direction = -direction;
+                    }
+                    openLane += direction;
+                }
+                return rows;
+            }
+        },
+        strip: {
+            // Lava across every lane, too long to step around - must be jumped
+            weight: 1,
+            build: (generator, gap) => {
+                const duration = generator.maxStripDuration * (0.5 + generator.random() * 0.5);
+                return [{ delay: gap, kind: 'lava', lanes: [0, 1, 2], duration }];
+            }
+        }
+    },
+    survive: (generator, state, row, arrival) => row.duration > 0
+        ? generator.requireJump(state, arrival, row.duration)
+        : generator.blockLanes(state, row.lanes)
+});
+
+// Fire bar across the lanes at head height: duck under it (jumping takes you into it)
+registerObstacleType('overhead', {
+    depth: PLATFORM_DEPTH * 0.3,
+    collides: (hazard, player) => !player.isDucking,
+    patterns: {
+        overhead: {
+            weight: 1,
+            build: (generator, gap) => [{ delay: gap, kind: 'overhead', lanes: [0, 1, 2], duration: 0 }]
+        }
+    },
+    survive: (generator, state, row, arrival) => generator.requireDuck(state, arrival)
+});
+
+// Fireballs floating above one or two lanes: harmless to walk under, deadly to jump into
+registerObstacleType('fireball', {
+    depth: PLATFORM_DEPTH * 0.5,
+    collides: (hazard, player) => isAirborne(player),
+    patterns: {
+        fireballs: {
+            weight: 1,
+            build: (generator, gap) => {
+                const lanes = generator.random() < 0.5 ? [generator.randomLane()] : generator.lanesExcept(generator.randomLane());
+                return [{ delay: gap, kind: 'fireball', lanes, duration: 0 }];
+            }
+        }
+    },
+    survive: (generator, state, row, arrival) => generator.requireGrounded(state, arrival)
+});
+
+// Lava vents that erupt on a timer. Only the eruption hurts and it's too tall to jump, but
+// the generator can't know which phase a vent will be in when it arrives, so its lane
+// counts as blocked.
+registerObstacleType('geyser', {
+    collides: hazard => hazard.erupting,
+    spawn: (field, row, z) => {
+        for (const lane of row.lanes) {
+            field.addHazard('geyser', lane, z, { age: 0, phase: row.phase, erupting: false });
+        }
+    },
+    update: (hazard, deltaTime) => {
+        hazard.age += deltaTime;
+        hazard.erupting = (hazard.age + hazard.phase) % GEYSER_PERIOD >= GEYSER_PERIOD - GEYSER_ERUPTION_TIME;
+    },
+    patterns: {
+        geyser: {
+            weight: 1,
+            build: (generator, gap) => {
+                const lanes = generator.random() < 0.5 ? [generator.randomLane()] : generator.lanesExcept(generator.randomLane());
+                return [{ delay: gap, kind: 'geyser', lanes, duration: 0, phase: generator.random() * GEYSER_PERIOD }];
+            }
+        }
+    },
+    survive: (generator, state, row) => generator.blockLanes(state, row.lanes)
+});
+
+// Floor lava that slides sideways from one lane into another while it's still far ahead,
+// then carries on in its final lane like a normal tile
+registerObstacleType('slide', {
+    collides: (hazard, player) => !isAirborne(player),
+    nearMiss: true,
+    spawn: (field, row, z) => {
+        const lane = row.lanes[0];
+        const fromX = field.getLaneX(row.fromLane);
+        // Starts in the lane it slides out of
+        field.addHazard('slide', lane, z, { x: fromX, previousX: fromX, fromX, toX: field.getLaneX(lane), startZ: z });
+    },
+    update: hazard => {
+        const progress = Math.min(1, (hazard.z - hazard.startZ) / SLIDE_TRAVEL_DISTANCE);
+        const eased = progress * progress * (3 - 2 * progress);
+        hazard.x = hazard.fromX + (hazard.toX - hazard.fromX) * eased;
+    },
+    patterns: {
+        slide: {
+            weight: 1,
+            build: (generator, gap) => {
+                const fromLane = generator.randomLane();
+                const others = generator.lanesExcept(fromLane);
+                const lane = others[Math.floor(generator.random() * others.length)];
+                return [{ delay: gap, kind: 'slide', lanes: [lane], fromLane, duration: 0 }];
+            }
+        }
+    },
+    survive: (generator, state, row) => generator.blockLanes(state, row.lanes)
+});
+
+// Holes in the floor across every lane but one, too long to jump: get into the safe lane
+// and stay there until the gap has passed
+registerObstacleType('gap', {
+    collides: (hazard, player) => !isAirborne(player),
+    nearMiss: true,
+    patterns: {
+        gap: {
+            weight: 1,
+            build: (generator, gap) => {
+                const safeLane = generator.randomLane();
+                const duration = generator.maxStripDuration * (2 + generator.random());
+                return [{ delay: gap, kind: 'gap', lanes: generator.lanesExcept(safeLane), safeLane, duration }];
+            }
+        }
+    },
+    survive: (generator, state, row, arrival) => generator.blockLanes(state, row.lanes)
+        && generator.holdLane(state, row.safeLane, arrival + row.duration)
+});
@@ -0,0 +1,87 @@
+const COUNTDOWN_SECONDS = 3;
+
+// "Paused" overlay with a Resume button. Resuming counts down 3-2-1 first so the player
+// has time to get back into position; onResume is called when the countdown finishes.
+// With onSettings there is also a Settings button.
+export class PauseOverlay {
+    constructor(parentElement, onResume, onSettings = null) {
+        this.onResume = onResume;
+        this.countdownTimer = null;
+
+        this.container = document.createElement('div');
+        this.container.className = 'pause-overlay hidden';
+        parentElement.appendChild(this.container);
+
+        this.titleText = document.createElement('h2');
+        this.titleText.className = 'pause-title';
+        this.container.appendChild(this.titleText);
+
+        this.messageText = document.createElement('p');
+        this.messageText.className = 'pause-message';
+        this.container.appendChild(this.messageText);
+
+        this.resumeButton = document.createElement('button');
+        this.resumeButton.textContent = 'Resume';
+        this.resumeButton.className = 'game-button restart-button';
+        this.resumeButton.addEventListener('click', () => this.startCountdown());
+        this.container.appendChild(this.resumeButton);
+
+        this.settingsButton = null;
+        if (onSettings) {
+            this.settingsButton = document.createElement('button');
+            this.settingsButton.textContent = 'Settings';
+            this.settingsButton.className = 'game-button mode-button';
+            this.settingsButton.addEventListener('click', onSettings);
+            this.container.appendChild(this.settingsButton);
+        }
+    }
+
+    show(message = '') {
+        this.cancelCountdown();
+        this.titleText.textContent = 'Paused';
+        this.messageText.textContent = message;
+        this.resumeButton.classList.remove('hidden');
+        if (this.settingsButton) this.settingsButton.classList.remove('hidden');
+        this.container.classList.remove('hidden');
+    }
+
+    hide() {
+        this.cancelCountdown();
+        this.container.classList.add('hidden');
+    }
+
+    isVisible() {
+        return !this.container.classList.contains('hidden');
+    }
+
+    isCountingDown() {
+        return this.countdownTimer !== null;
+    }
+
+    startCountdown() {
+        if (this.isCountingDown()) return;
+        this.resumeButton.classList.add('hidden');
+        if (this.settingsButton) this.settingsButton.classList.add('hidden');
+        this.messageText.textContent = 'Get ready!';
+        let remaining = COUNTDOWN_SECONDS;
+        const tick = () => {
+            if (remaining === 0) {
+                this.countdownTimer = null;
+                this.container.classList.add('hidden');
+                this.onResume();
+                return;
+            }
+            this.titleText.textContent = String(remaining);
+            remaining--;
+            this.countdownTimer = setTimeout(tick, 1000);
+        };
+        tick();
+    }
+
+    cancelCountdown() {
+        if (this.countdownTimer !== null) {
+            clearTimeout(this.countdownTimer);
+            this.countdownTimer = null;
+        }
+    }
+}
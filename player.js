@@ -1,29 +1,103 @@
 import * as THREE from 'three';
-import { LANES, LANE_WIDTH, PLAYER_START_Z, PLAYER_LANE_CHANGE_COOLDOWN } from './constants.js';
+import { PLAYER_HEIGHT, PLAYER_WIDTH, PLAYER_DUCK_SCALE } from './constants.js'; // Player dimensions for 2D sprite
+import { CHARACTERS, DEFAULT_CHARACTER, FALLBACK_CHARACTER, createCharacterModel } from './characters.js';
 
-// Player dimensions for 2D sprite
-const PLAYER_HEIGHT = 3.5; // Height of the sprite plane
-const PLAYER_WIDTH = 2.5; // Width of the sprite plane
+// Tint per player so two players can tell themselves apart
+const PLAYER_TINTS = [0xffffff, 0x80d8ff];
+const OUT_OPACITY = 0.3;
+const ANIMATION_FADE_TIME = 0.2; // Seconds to blend between clips
+const ONE_SHOT_ROLES = ['jump', 'land', 'death']; // Clips that play once instead of looping
 
+// Power-up effects around the character: a bubble for the shield, a violet haze for slow
+// motion and a spinning ring at the feet for the magnet. Geometry is shared, materials are
+// per player so fading one player's effects doesn't touch the other's.
+const SHIELD_GEOMETRY = new THREE.SphereGeometry(PLAYER_HEIGHT * 0.6, 24, 16);
+const SLOW_MO_GEOMETRY = new THREE.CylinderGeometry(PLAYER_WIDTH * 0.55, PLAYER_WIDTH * 0.55, PLAYER_HEIGHT, 24, 1, true);
+const MAGNET_GEOMETRY = new THREE.TorusGeometry(PLAYER_WIDTH * 0.5, 0.08, 8, 32);
+MAGNET_GEOMETRY.rotateX(-Math.PI / 2);
+const EFFECT_STYLES = {
+    shield: { geometry: SHIELD_GEOMETRY, color: 0x66ffcc, opacity: 0.25, y: PLAYER_HEIGHT / 2 },
+    slowMo: { geometry: SLOW_MO_GEOMETRY, color: 0xb388ff, opacity: 0.2, y: PLAYER_HEIGHT / 2 },
+    magnet: { geometry: MAGNET_GEOMETRY, color: 0xff5252, opacity: 0.8, y: 0.1 }
+};
+const POWER_UP_WARNING_TIME = 2; // Effects blink for the last seconds of a power-up
+const EFFECT_BLINK_RATE = 8; // Blinks per second
+const SHIELD_BREAK_TIME = 0.4; // Seconds the broken bubble takes to burst
+
+// Draws a PlayerPhysics from the game core. Movement and jumping live in the core;
+// this class only owns the mesh (a sprite or an animated glTF character) and reacts to
+// the core's events for its player index.
 export class Player {
-    constructor() {
-        this.mesh = new THREE.Group(); // Use a Group to hold the sprite
+    constructor(physics, core, index = 0, characterId = DEFAULT_CHARACTER) {
+        this.physics = physics;
+        this.index = index;
+        this.characterId = characterId;
+        this.mesh = new THREE.Group(); // Holds the sprite or the character model
         this.modelLoaded = false; // Flag to track loading
-        this.mixer = null; // Not used for 2D sprites
-        this.runAction = null; // Not used for 2D sprites
-        this.jumpAction = null; // Not used for 2D sprites
-        this.animations = null; // Not used for 2D sprites
-        this.currentAnimation = null; // Not used for 2D sprites
+        this.mixer = null; // AnimationMixer for glTF characters (sprites have none)
+        this.actions = {}; // Clip actions by role: idle, run, jump, land, death
+        this.currentAction = null;
+        this.isOut = false;
+        this.disposed = false;
+        this.core = core;
+        this.effectTime = 0;
+        this.shieldBreakTimer = 0; // Counts down while the shield bubble bursts
+        this.castShadow = false; // Set by the graphics quality; also applied to models that load later
+        this.reducedMotion = false; // No running bounce, pulsing, spinning or blinking
+        this.effects = this._createEffects();
+        
+        const character = CHARACTERS[characterId] || CHARACTERS[FALLBACK_CHARACTER];
+        if (character.type === 'gltf') {
+            this._loadModel(character);
+        } else {
+            this._loadSprite(character);
+        }
+        
+        const isMine = event => event.player === this.index;
+        this.unsubscribers = [
+            core.on('jump', event => isMine(event) && this.playJumpAnimation(event.superJump)),
+            core.on('land', event => isMine(event) && this.playLandAnimation()),
+            core.on('duck', event => isMine(event) && this.playDuckAnimation()),
+            core.on('playerOut', event => isMine(event) && this.playOutAnimation()),
+            core.on('shieldBreak', event => isMine(event) && this.playShieldBreak())
+        ];
         
+        this.reset(); // Initial reset for the Group position
+    }
+    
+    // One mesh per power-up kind, hidden until the core says it's active
+    _createEffects() {
+        const effects = {};
+        for (const [kind, style] of Object.entries(EFFECT_STYLES)) {
+            const material = new THREE.MeshBasicMaterial({
+                color: style.color,
+                transparent: true,
+                opacity: style.opacity,
+                side: THREE.DoubleSide,
+                depthWrite: false // Don't hide the character behind the effect
+            });
+            const effect = new THREE.Mesh(style.geometry, material);
+            effect.position.y = style.y;
+            effect.visible = false;
+            effect.userData.isEffect = true; // Left alone by _setOpacity()
+            this.mesh.add(effect);
+            effects[kind] = effect;
+        }
+        return effects;
+    }
+    
+    _loadSprite(character) {
         // Load 2D sprite texture
         const textureLoader = new THREE.TextureLoader();
-        textureLoader.load('assets/character-ash.png', (texture) => {
+        textureLoader.load(character.texture, (texture) => {
+            if (this.disposed) return;
             // Create a plane geometry for the sprite
             const geometry = new THREE.PlaneGeometry(PLAYER_WIDTH, PLAYER_HEIGHT);
             
             // Create material with the character texture
             const material = new THREE.MeshBasicMaterial({
                 map: texture,
+                color: PLAYER_TINTS[this.index % PLAYER_TINTS.length],
                 transparent: true,
                 side: THREE.DoubleSide, // Visible from both sides
                 alphaTest: 0.1 // Helps with transparency
@@ -36,9 +110,10 @@ export class Player {
             
             this.mesh.add(sprite);
             this.modelLoaded = true;
+            this.setCastShadow(this.castShadow);
+            this._setOpacity(this.isOut ? OUT_OPACITY : 1);
             
-            console.log('2D Character "Ash" loaded successfully!');
-            this.reset();
+            console.log(`2D Character "${character.name}" loaded successfully!`);
         }, undefined, (error) => {
             console.error('An error happened loading the character sprite:', error);
             // Fallback to a simple rectangle if loading fails
@@ -52,136 +127,212 @@ export class Player {
             this.mesh.add(fallbackMesh);
             this.modelLoaded = true;
             console.log('Fallback character sprite created');
-            this.reset();
         });
-        
-        this.targetLane = 1; // Start in the middle lane (0, 1, 2)
-        this.currentLane = 1;
-        this.isOnCooldown = false;
-        this.cooldownTimer = 0;
-        
-        // Jump state
-        this.isJumping = false;
-        this.jumpStartY = PLAYER_HEIGHT / 2; // Base Y position for sprite
-        this.jumpApexY = this.jumpStartY + 2.8;
-        this.jumpDuration = 1.2;
-        this.jumpTimer = 0;
-        
-        // Bounce animation for running effect
-        this.bounceTimer = 0;
-        this.bounceSpeed = 8; // Speed of bounce animation
-        this.bounceHeight = 0.1; // Height of bounce
-        
-        this.reset(); // Initial reset for the Group position
     }
     
-    setTargetLane(laneIndex) {
-        const newLane = Math.max(0, Math.min(2, laneIndex)); // Clamp to 0, 1, 2
-        // Only allow change if not on cooldown AND the target lane is actually different
-        if (!this.isOnCooldown && newLane !== this.targetLane) {
-            this.targetLane = newLane;
-            this.isOnCooldown = true;
-            this.cooldownTimer = PLAYER_LANE_CHANGE_COOLDOWN;
-            // console.log(`Changing to lane ${this.targetLane}, Cooldown started.`); // Debugging
+    _loadModel(character) {
+        createCharacterModel(character).then(({ model, animations }) => {
+            if (this.disposed) return;
+            const tint = new THREE.Color(PLAYER_TINTS[this.index % PLAYER_TINTS.length]);
+            model.traverse(child => {
+                if (child.material && child.material.color) {
+                    child.material.color.multiply(tint);
+                }
+            });
+            this.mesh.add(model);
+            this.setCastShadow(this.castShadow);
+            
+            this.mixer = new THREE.AnimationMixer(model);
+            for (const [role, clipName] of Object.entries(character.clips)) {
+                const clip = clipName && THREE.AnimationClip.findByName(animations, clipName);
+                if (!clip) continue;
+                const action = this.mixer.clipAction(clip);
+                if (ONE_SHOT_ROLES.includes(role)) {
+                    action.setLoop(THREE.LoopOnce, 1);
+                    action.clampWhenFinished = true; // Hold the last frame (e.g. lying down after death)
+                }
+                this.actions[role] = action;
+            }
+            // A landing clip hands back to the run once it's done
+            this.mixer.addEventListener('finished', ({ action }) => {
+                if (action === this.actions.land && !this.isOut) {
+                    this.startRunAnimation();
+                }
+            });
+            this.modelLoaded = true;
+            this._playAnimation(this.isOut ? 'death' : 'run', 0);
+            
+            console.log(`3D Character "${character.name}" loaded with clips:`, Object.keys(this.actions).join(', '));
+        }).catch(error => {
+            if (this.disposed) return;
+            console.error(`Could not load character "${character.name}", using the sprite instead:`, error);
+            this._loadSprite(CHARACTERS[FALLBACK_CHARACTER]);
+        });
+    }
+    
+    // Cross-fades from the current clip to the clip for a role. Returns false if the
+    // character has no clip for that role (sprites have none at all).
+    _playAnimation(role, fadeTime = ANIMATION_FADE_TIME) {
+        const action = this.actions[role];
+        if (!action) return false;
+        const previous = this.currentAction;
+        action.reset();
+        action.setEffectiveTimeScale(1);
+        action.setEffectiveWeight(1);
+        action.play();
+        if (previous && previous !== action) {
+            if (fadeTime > 0) {
+                action.crossFadeFrom(previous, fadeTime, false);
+            } else {
+                previous.stop();
+            }
         }
+        this.currentAction = action;
+        return true;
     }
     
-    jump() {
-        // Can only jump if not already jumping
-        if (!this.isJumping) {
-            this.isJumping = true;
-            this.jumpTimer = 0;
-            this.playJumpAnimation();
-            // console.log("Jump started!"); // Debugging
+    playJumpAnimation(superJump = false) {
+        // Stretch the clip over the whole jump so the character lands when the physics does
+        if (this._playAnimation('jump')) {
+            const action = this.actions.jump;
+            action.setEffectiveTimeScale(action.getClip().duration / this.physics.jumpDuration);
         }
+        console.log(superJump ? "Super jump started!" : "Jump started!");
     }
     
-    playJumpAnimation() {
-        // No animation needed for 2D sprite - visual handled by position change
-        console.log("Jump started!");
+    playLandAnimation() {
+        if (this.isOut) return;
+        if (!this._playAnimation('land')) {
+            this.startRunAnimation();
+        }
+    }
+    
+    playOutAnimation() {
+        this.isOut = true;
+        // Models play their death clip; sprites (or models without one) fade out instead
+        if (!this._playAnimation('death')) {
+            this._setOpacity(OUT_OPACITY);
+        }
+    }
+    
+    playDuckAnimation() {
+        // No duck clip: the visual is handled by squashing in render()
+        console.log("Ducking!");
+    }
+    
+    playShieldBreak() {
+        this.shieldBreakTimer = SHIELD_BREAK_TIME;
     }
     
     startRunAnimation() {
-        // No animation needed for 2D sprite - visual handled by bounce effect
-        console.log("Running!");
+        this._playAnimation('run');
     }
     
     stopRunAnimation() {
-        // No animation to stop for 2D sprite
-        console.log("Stopped running");
+        this._playAnimation('idle');
     }
     
-    reset() {
-        this.currentLane = 1;
-        this.targetLane = 1;
-        this.isOnCooldown = false;
-        this.cooldownTimer = 0;
-        this.isJumping = false; // Reset jump state
-        this.jumpTimer = 0;
-        this.bounceTimer = 0;
+    // Advances the character's animation; frame time in seconds (0 while paused)
+    update(deltaTime) {
+        if (this.mixer) {
+            this.mixer.update(deltaTime);
+        }
+        this._updateEffects(deltaTime);
+    }
+    
+    _updateEffects(deltaTime) {
+        this.effectTime += deltaTime;
+        const active = this.isOut ? {} : this.core.getPowerUps(this.index);
+        const blinkOn = this.reducedMotion || Math.floor(this.effectTime * EFFECT_BLINK_RATE) % 2 === 0;
+        for (const [kind, effect] of Object.entries(this.effects)) {
+            const remaining = active[kind] || 0;
+            effect.visible = remaining > POWER_UP_WARNING_TIME || (remaining > 0 && blinkOn);
+        }
         
+        const shield = this.effects.shield;
+        if (this.shieldBreakTimer > 0) {
+            // Burst: the bubble swells and fades out
+            this.shieldBreakTimer = Math.max(0, this.shieldBreakTimer - deltaTime);
+            const progress = 1 - this.shieldBreakTimer / SHIELD_BREAK_TIME;
+            shield.visible = this.shieldBreakTimer > 0;
+            shield.scale.setScalar(1 + progress * 0.6);
+            shield.material.opacity = EFFECT_STYLES.shield.opacity * 2 * (1 - progress);
+        } else {
+            shield.scale.setScalar(this.reducedMotion ? 1 : 1 + Math.sin(this.effectTime * 4) * 0.04); // Gentle pulse
+            shield.material.opacity = EFFECT_STYLES.shield.opacity;
+        }
+        if (!this.reducedMotion) {
+            this.effects.magnet.rotation.y = this.effectTime * 3;
+            this.effects.slowMo.rotation.y = -this.effectTime;
+        }
+    }
+    
+    reset() {
         // Position the main group (this.mesh)
-        this.mesh.position.set(LANES[this.currentLane], this.jumpStartY, PLAYER_START_Z);
+        this.render(1);
         this.mesh.rotation.set(0, 0, 0); // Reset group rotation
         this.mesh.visible = true;
+        this.isOut = false;
+        this.shieldBreakTimer = 0;
+        this._setOpacity(1);
+        if (this.mixer) {
+            this.mixer.stopAllAction();
+            this.currentAction = null;
+            this._playAnimation('run', 0);
+        }
         
-        console.log("Player reset - Character: Ash");
+        console.log("Player reset - Character:", this.characterId);
     }
     
-    update(deltaTime) {
-        // No animation mixer for 2D sprites
-        
-        // --- Bounce Animation for Running Effect ---
-        if (!this.isJumping) {
-            this.bounceTimer += deltaTime * this.bounceSpeed;
-            const bounceOffset = Math.sin(this.bounceTimer) * this.bounceHeight;
-            this.mesh.position.y = this.jumpStartY + Math.abs(bounceOffset);
-        }
-        
-        // --- Cooldown Timer ---
-        if (this.isOnCooldown) {
-            this.cooldownTimer -= deltaTime;
-            if (this.cooldownTimer <= 0) {
-                this.isOnCooldown = false;
-                this.cooldownTimer = 0;
-            }
-        }
-        
-        // --- Jump Physics ---
-        if (this.isJumping) {
-            this.jumpTimer += deltaTime;
-            const jumpProgress = Math.min(1, this.jumpTimer / this.jumpDuration); // 0 to 1
-            // Simple parabolic arc: y = startY + 4 * apexDelta * (progress - progress^2)
-            const apexDelta = this.jumpApexY - this.jumpStartY;
-            this.mesh.position.y = this.jumpStartY + 4 * apexDelta * (jumpProgress - jumpProgress * jumpProgress);
-            
-            // End jump
-            if (this.jumpTimer >= this.jumpDuration) {
-                this.isJumping = false;
-                this.mesh.position.y = this.jumpStartY; // Snap back to ground
-                this.bounceTimer = 0; // Reset bounce
-            }
+    // Stops listening to the core (used when the number of players changes)
+    dispose() {
+        this.disposed = true;
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        if (this.mixer) {
+            this.mixer.stopAllAction();
         }
-        
-        // --- Lane Movement ---
-        const targetX = LANES[this.targetLane];
-        const moveSpeed = 25.0; // Increased from 15.0 for faster lane switching
-        const difference = targetX - this.mesh.position.x;
-        
-        if (Math.abs(difference) > 0.01) {
-            const moveDistance = difference * moveSpeed * deltaTime;
-            // Prevent overshooting
-            if (Math.abs(moveDistance) > Math.abs(difference)) {
-                this.mesh.position.x = targetX;
-            } else {
-                this.mesh.position.x += moveDistance;
+        // Materials belong to this player (models are cloned per player, effects are made per player); geometry is shared
+        this.mesh.traverse(child => {
+            if (child.material) child.material.dispose();
+        });
+    }
+    
+    setReducedMotion(reducedMotion) {
+        this.reducedMotion = reducedMotion;
+    }
+    
+    setCastShadow(castShadow) {
+        this.castShadow = castShadow;
+        this.mesh.traverse(child => {
+            if (child.isMesh && !child.userData.isEffect) child.castShadow = castShadow;
+        });
+    }
+    
+    _setOpacity(opacity) {
+        this.mesh.traverse(child => {
+            if (child.material && !child.userData.isEffect) {
+                child.material.transparent = true;
+                child.material.opacity = opacity;
             }
-        } else {
-            this.mesh.position.x = targetX; // Snap to exact position
-            this.currentLane = this.targetLane;
-        }
-        
-        // Keep player at constant Z (game moves towards player)
-        this.mesh.position.z = PLAYER_START_Z;
+        });
+    }
+    
+    // Places the mesh between the last two simulation steps (alpha 0..1)
+    render(alpha) {
+        const previous = this.physics.previousPosition;
+        const current = this.physics.position;
+        // The running bounce is only for show (hazards test the jump, not the height), so
+        // reduced motion can leave it out
+        const y = this.reducedMotion && !this.physics.isJumping
+            ? this.physics.jumpStartY
+            : previous.y + (current.y - previous.y) * alpha;
+        this.mesh.position.set(
+            previous.x + (current.x - previous.x) * alpha,
+            y,
+            previous.z + (current.z - previous.z) * alpha
+        );
+        // Squash the sprite towards its feet while ducking
+        this.mesh.scale.y = this.physics.isDucking ? PLAYER_DUCK_SCALE : 1;
     }
 }
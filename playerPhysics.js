@@ -0,0 +1,204 @@
+import {
+    LANES, PLAYER_START_Z, PLAYER_HEIGHT, PLAYER_LANE_CHANGE_COOLDOWN, PLAYER_JUMP_DURATION, PLAYER_JUMP_HEIGHT,
+    PLAYER_DUCK_DURATION, SUPER_JUMP_HEIGHT_MULTIPLIER, SUPER_JUMP_DURATION_MULTIPLIER, SUPER_JUMP_RECHARGE
+} from './constants.js';
+
+// Y of the player's base while standing on the floor (matches the sprite's half height)
+export const PLAYER_GROUND_Y = PLAYER_HEIGHT / 2;
+
+// Lane movement, jump arc, ducking and running bounce for one player. No rendering here:
+// the Player view reads `position` / `previousPosition` to draw the character.
+// trackOffsetX shifts the whole track sideways when several players have their own track.
+export class PlayerPhysics {
+    constructor(trackOffsetX = 0) {
+        this.trackOffsetX = trackOffsetX;
+        this.position = { x: 0, y: 0, z: 0 };
+        this.previousPosition = { x: 0, y: 0, z: 0 };
+
+        this.targetLane = 1; // Start in the middle lane (0, 1, 2)
+        this.currentLane = 1;
+        this.laneChangeCooldown = PLAYER_LANE_CHANGE_COOLDOWN; // Set by the core from the difficulty
+        this.isOnCooldown = false;
+        this.cooldownTimer = 0;
+        this.previousLane = 1; // Lane the player was in before the last lane change
+        this.timeSinceLaneChange = Infinity;
+
+        // Jump state
+        this.isJumping = false;
+        this.jumpStartY = PLAYER_GROUND_Y; // Base Y position for sprite
+        this.jumpApexY = this.jumpStartY + PLAYER_JUMP_HEIGHT;
+        this.jumpDuration = PLAYER_JUMP_DURATION;
+        this.jumpTimer = 0;
+        this.isSuperJump = false;
+        this.superJumpRecharge = 0; // Seconds until the next super jump is available
+
+        // Duck state
+        this.isDucking = false;
+        this.duckTimer = 0;
+
+        // Bounce animation for running effect
+        this.bounceTimer = 0;
+        this.bounceSpeed = 8; // Speed of bounce animation
+        this.bounceHeight = 0.1; // Height of bounce
+
+        this.reset();
+    }
+
+    // Returns true if the lane change was accepted
+    setTargetLane(laneIndex) {
+        const newLane = Math.max(0, Math.min(2, laneIndex)); // Clamp to 0, 1, 2
+        // Only allow change if not on cooldown AND the target lane is actually different
+        if (!this.isOnCooldown && newLane !== this.targetLane) {
+            this.previousLane = this.targetLane;
+            this.timeSinceLaneChange = 0;
+            this.targetLane = newLane;
+            this.isOnCooldown = true;
+            this.cooldownTimer = this.laneChangeCooldown;
+            return true;
+        }
+        return false;
+    }
+
+    // Returns true if a jump was started
+    jump() {
+        return this._startJump(1, 1);
+    }
+
+    // Higher, longer jump that has to recharge between uses. Returns true if it was started.
+    superJump() {
+        if (this.superJumpRecharge > 0) return false;
+        if (!this._startJump(SUPER_JUMP_HEIGHT_MULTIPLIER, SUPER_JUMP_DURATION_MULTIPLIER)) return false;
+        this.isSuperJump = true;
+        this.superJumpRecharge = SUPER_JUMP_RECHARGE;
+        return true;
+    }
+
+    // 0..1, how far the super jump has recharged
+    getSuperJumpCharge() {
+        return 1 - this.superJumpRecharge / SUPER_JUMP_RECHARGE;
+    }
+
+    // Crouch under overhead hazards for a fixed time. Returns true if the duck was started.
+    duck() {
+        // Can't duck in the air, and ducking again doesn't extend it
+        if (this.isJumping || this.isDucking) return false;
+        this.isDucking = true;
+        this.duckTimer = PLAYER_DUCK_DURATION;
+        return true;
+    }
+
+    _startJump(heightMultiplier, durationMultiplier) {
+        // Can only jump if not already jumping, and not from a crouch
+        if (this.isJumping || this.isDucking) return false;
+        this.isJumping = true;
+        this.isSuperJump = false;
+        this.jumpTimer = 0;
+        this.jumpApexY = this.jumpStartY + PLAYER_JUMP_HEIGHT * heightMultiplier;
+        this.jumpDuration = PLAYER_JUMP_DURATION * durationMultiplier;
+        return true;
+    }
+
+    reset() {
+        this.currentLane = 1;
+        this.targetLane = 1;
+        this.isOnCooldown = false;
+        this.cooldownTimer = 0;
+        this.previousLane = 1;
+        this.timeSinceLaneChange = Infinity;
+        this.isJumping = false; // Reset jump state
+        this.jumpTimer = 0;
+        this.isSuperJump = false;
+        this.superJumpRecharge = 0;
+        this.isDucking = false;
+        this.duckTimer = 0;
+        this.bounceTimer = 0;
+
+        this.position.x = LANES[this.currentLane] + this.trackOffsetX;
+        this.position.y = this.jumpStartY;
+        this.position.z = PLAYER_START_Z;
+        this._storePreviousPosition();
+    }
+
+    // Returns true on the tick the player lands
+    update(deltaTime) {
+        this._storePreviousPosition();
+        let landed = false;
+
+        // --- Bounce Animation for Running Effect ---
+        if (!this.isJumping) {
+            this.bounceTimer += deltaTime * this.bounceSpeed;
+            const bounceOffset = Math.sin(this.bounceTimer) * this.bounceHeight;
+            this.position.y = this.jumpStartY + Math.abs(bounceOffset);
+        }
+
+        // --- Cooldown Timer ---
+        this.timeSinceLaneChange += deltaTime;
+        if (this.isOnCooldown) {
+            this.cooldownTimer -= deltaTime;
+            if (this.cooldownTimer <= 0) {
+                this.isOnCooldown = false;
+                this.cooldownTimer = 0;
+            }
+        }
+
+        // --- Super Jump Recharge ---
+        if (this.superJumpRecharge > 0) {
+            this.superJumpRecharge = Math.max(0, this.superJumpRecharge - deltaTime);
+        }
+
+        // --- Duck Timer ---
+        if (this.isDucking) {
+            this.duckTimer -= deltaTime;
+            if (this.duckTimer <= 0) {
+                this.isDucking = false;
+                this.duckTimer = 0;
+            }
+        }
+
+        // --- Jump Physics ---
+        if (this.isJumping) {
+            this.jumpTimer += deltaTime;
+            const jumpProgress = Math.min(1, this.jumpTimer / this.jumpDuration); // 0 to 1
+            // Simple parabolic arc: y = startY + 4 * apexDelta * (progress - progress^2)
+            const apexDelta = this.jumpApexY - this.jumpStartY;
+            this.position.y = this.jumpStartY + 4 * apexDelta * (jumpProgress - jumpProgress * jumpProgress);
+
+            // End jump
+            if (this.jumpTimer >= this.jumpDuration) {
+                this.isJumping = false;
+                this.isSuperJump = false;
+                this.position.y = this.jumpStartY; // Snap back to ground
+                this.bounceTimer = 0; // Reset bounce
+                landed = true;
+            }
+        }
+
+        // --- Lane Movement ---
+        const targetX = LANES[this.targetLane] + this.trackOffsetX;
+        const moveSpeed = 25.0; // Increased from 15.0 for faster lane switching
+        const difference = targetX - this.position.x;
+
+        if (Math.abs(difference) > 0.01) {
+            const moveDistance = difference * moveSpeed * deltaTime;
+            // Prevent overshooting
+            if (Math.abs(moveDistance) > Math.abs(difference)) {
+                this.position.x = targetX;
+            } else {
+                this.position.x += moveDistance;
+            }
+        } else {
+            this.position.x = targetX; // Snap to exact position
+            this.currentLane = this.targetLane;
+        }
+
+        // Keep player at constant Z (game moves towards player)
+        this.position.z = PLAYER_START_Z;
+        return landed;
+    }
+
+    _storePreviousPosition() {
+        this.previousPosition.x = this.position.x;
+        this.previousPosition.y = this.position.y;
+        this.previousPosition.z = this.position.z;
+    }
+}
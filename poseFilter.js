@@ -0,0 +1,161 @@
+import { EventEmitter } from './eventEmitter.js';
+
+// Signal filtering between PoseTracker and the game. Pose updates arrive whenever inference
+// finishes, are jittery, and are already some tens of ms old; this smooths them, looks ahead
+// by their age, and turns them into lane changes and jumps.
+
+const X_FILTER = { minCutoff: 1.5, beta: 2.0 }; // Hip X, in frame widths
+const Y_FILTER = { minCutoff: 2.0, beta: 4.0, derivativeCutoff: 4.0 }; // Shoulder Y, in frame heights; quicker, jumps are short
+const DERIVATIVE_CUTOFF = 1.0; // Hz
+const MAX_GAP = 500; // ms without poses after which the filters start over
+const MAX_PREDICTION = 0.1; // Seconds the signal is extrapolated ahead to make up for its age
+const LANE_HYSTERESIS = 0.03; // Frame widths past a lane boundary before the lane changes
+const HOP_HOLD_TIME = 400; // ms a hop's lane is kept while the hips catch up with it
+const JUMP_RISE_TIME = 0.25; // A jump rises by its threshold at least this quickly (seconds)
+const REARM_FRACTION = 0.5; // Shoulders must come back below this share of the threshold before the next jump
+const BASELINE_TIME = 2.0; // Seconds for the resting shoulder height to follow someone standing still
+
+function smoothingFactor(dt, cutoff) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+}
+
+// One-Euro filter (Casiez et al.): a low-pass filter whose cutoff rises with speed, so it
+// is smooth when still and quick to follow deliberate movement
+export class OneEuroFilter {
+    constructor({ minCutoff = 1.0, beta = 0.0, derivativeCutoff = DERIVATIVE_CUTOFF } = {}) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.derivativeCutoff = derivativeCutoff;
+        this.reset();
+    }
+
+    reset() {
+        this.value = null;
+        this.speed = 0; // Filtered derivative, units per second
+        this.lastTime = null;
+    }
+
+    // timestamp in ms; returns the filtered value
+    filter(value, timestamp) {
+        if (this.value === null) {
+            this.value = value;
+            this.lastTime = timestamp;
+            return value;
+        }
+        const dt = (timestamp - this.lastTime) / 1000;
+        if (dt <= 0) return this.value;
+        this.lastTime = timestamp;
+        const rawSpeed = (value - this.value) / dt;
+        this.speed += smoothingFactor(dt, this.derivativeCutoff) * (rawSpeed - this.speed);
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.speed);
+        this.value += smoothingFactor(dt, cutoff) * (value - this.value);
+        return this.value;
+    }
+}
+
+// Per-player pose controls. Feed it every pose with update(); it emits
+//   'lane' { lane, timestamp, changed }   with every pose, the lane (0..2) the player stands in;
+//                                       changed is true when they have just moved into it
+//   'jump' { timestamp }         when the shoulders rise fast and far enough
+// timestamp being the capture time of the pose that caused it.
+export class PoseControlFilter extends EventEmitter {
+    constructor() {
+        super();
+        this.xFilter = new OneEuroFilter(X_FILTER);
+        this.yFilter = new OneEuroFilter(Y_FILTER);
+        this.reset();
+    }
+
+    // restingShoulderY: where the shoulders sit when standing (null to measure it from the first pose)
+    reset(restingShoulderY = null) {
+        this.xFilter.reset();
+        this.yFilter.reset();
+        this.lastTimestamp = null;
+        this.lane = null; // Reported after the first pose
+        this.hopUntil = -Infinity;
+        this.restingShoulderY = restingShoulderY;
+        this.lastJumpTime = -Infinity;
+        this.jumpArmed = true;
+    }
+
+    // x: mirrored hip X in the player's own part of the frame; shoulderY: normalized shoulder height.
+    // options:
+    //   laneBoundaries   [left, right] X between the lanes
+    //   jumpThreshold    shoulder rise that counts as a jump
+    //   jumpCooldown     seconds before another jump
+    //   airborne         true while the player is mid-jump (the resting height is left alone)
+    //   now              current time (ms, same clock as timestamp), to work out how old the pose is
+    update(x, shoulderY, timestamp, { laneBoundaries, jumpThreshold, jumpCooldown, airborne = false, now = timestamp }) {
+        if (this.lastTimestamp !== null && timestamp - this.lastTimestamp > MAX_GAP) {
+            this.xFilter.reset();
+            this.yFilter.reset();
+        }
+        if (this.lastTimestamp !== null && timestamp <= this.lastTimestamp) return;
+        const dt = this.lastTimestamp === null ? 0 : (timestamp - this.lastTimestamp) / 1000;
+        this.lastTimestamp = timestamp;
+
+        const lookAhead = Math.min(MAX_PREDICTION, Math.max(0, (now - timestamp) / 1000));
+        const smoothX = this.xFilter.filter(x, timestamp) + this.xFilter.speed * lookAhead;
+        const smoothY = this.yFilter.filter(shoulderY, timestamp);
+        this._updateLane(smoothX, laneBoundaries, timestamp);
+        this._updateJump(smoothY, lookAhead, dt, timestamp, jumpThreshold, jumpCooldown, airborne);
+    }
+
+    // A quick sideways hop (-1 left, 1 right, from GestureRecognizer) moves on a lane before the
+    // hips cross the boundary. The hips get a moment to follow; if they don't, poses set it back.
+    hop(direction, timestamp) {
+        if (this.lane === null) return;
+        const lane = Math.max(0, Math.min(2, this.lane + direction));
+        if (lane === this.lane) return;
+        this.lane = lane;
+        this.hopUntil = timestamp + HOP_HOLD_TIME;
+        this.emit('lane', { lane, timestamp, changed: true });
+    }
+
+    _updateLane(x, [leftBoundary, rightBoundary], timestamp) {
+        let lane;
+        if (timestamp < this.hopUntil) {
+            lane = this.lane;
+        } else if (this.lane === null) {
+            lane = x < leftBoundary ? 0 : x > rightBoundary ? 2 : 1;
+        } else {
+            // Boundaries move away from the current lane, so standing on one doesn't flicker
+            const left = leftBoundary + (this.lane === 0 ? LANE_HYSTERESIS : -LANE_HYSTERESIS);
+            const right = rightBoundary + (this.lane === 2 ? -LANE_HYSTERESIS : LANE_HYSTERESIS);
+            lane = x < left ? 0 : x > right ? 2 : 1;
+        }
+        // Sent every time, as a lane change asked for during the game's lane change cooldown is dropped
+        const changed = lane !== this.lane;
+        this.lane = lane;
+        this.emit('lane', { lane, timestamp, changed });
+    }
+
+    _updateJump(shoulderY, lookAhead, dt, timestamp, jumpThreshold, jumpCooldown, airborne) {
+        if (this.restingShoulderY === null) {
+            if (shoulderY > 0 && shoulderY < 1) this.restingShoulderY = shoulderY;
+            return;
+        }
+        const riseSpeed = -this.yFilter.speed; // Y grows downwards
+        const rise = this.restingShoulderY - shoulderY;
+        const predictedRise = rise + Math.max(0, riseSpeed) * lookAhead;
+
+        if (rise < jumpThreshold * REARM_FRACTION) {
+            this.jumpArmed = true;
+        }
+        if (this.jumpArmed
+            && predictedRise > jumpThreshold
+            && riseSpeed > jumpThreshold / JUMP_RISE_TIME
+            && timestamp - this.lastJumpTime >= jumpCooldown * 1000) {
+            this.lastJumpTime = timestamp;
+            this.jumpArmed = false;
+            this.emit('jump', { timestamp });
+            return;
+        }
+
+        // Follow slow drift (leaning, stepping back) while standing still on the ground
+        if (!airborne && Math.abs(riseSpeed) < jumpThreshold && dt > 0) {
+            this.restingShoulderY += (shoulderY - this.restingShoulderY) * (1 - Math.exp(-dt / BASELINE_TIME));
+        }
+    }
+}
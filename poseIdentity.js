@@ -0,0 +1,100 @@
+// Keeps each detected pose attached to the same player from frame to frame. MediaPipe
+// returns poses in no particular order, so every frame the detections are matched to the
+// player slots by where each player is expected to be (last hip X plus their sideways
+// velocity) and by body size, which keeps identities stable even when players cross.
+
+const LOST_TIMEOUT = 1500; // ms without a detection before a slot is free to be re-assigned
+const VELOCITY_BLEND = 0.5; // How quickly the velocity estimate follows new movement
+const SIZE_WEIGHT = 0.5; // Cost of a torso length mismatch relative to a hip X mismatch
+const MAX_MATCH_DISTANCE = 0.35; // Detections further than this from every slot start a new identity
+
+export class PoseIdentityTracker {
+    constructor(slotCount = 1) {
+        this.slotCount = slotCount;
+        this.reset();
+    }
+
+    reset() {
+        this.slots = []; // Per player: { x, velocity, torsoLength, lastSeen } or null
+        for (let i = 0; i < this.slotCount; i++) {
+            this.slots.push(null);
+        }
+    }
+
+    // detections: [{ x, torsoLength }] in image coordinates. Returns the player index for
+    // each detection (-1 if there are more detections than players).
+    assign(detections, timestamp) {
+        const assignment = detections.map(() => -1);
+        if (detections.length === 0) return assignment;
+
+        const liveSlots = [];
+        const freeSlots = [];
+        this.slots.forEach((slot, index) => {
+            if (slot && timestamp - slot.lastSeen <= LOST_TIMEOUT) {
+                liveSlots.push(index);
+            } else {
+                freeSlots.push(index);
+            }
+        });
+
+        // Match against players we are already tracking, cheapest combination first
+        const unmatched = new Set(detections.keys());
+        const pairs = [];
+        for (const slotIndex of liveSlots) {
+            const slot = this.slots[slotIndex];
+            const predictedX = slot.x + slot.velocity * (timestamp - slot.lastSeen);
+            detections.forEach((detection, detectionIndex) => {
+                const distance = Math.abs(detection.x - predictedX);
+                if (distance > MAX_MATCH_DISTANCE) return;
+                const sizeDifference = slot.torsoLength && detection.torsoLength
+                    ? Math.abs(detection.torsoLength - slot.torsoLength)
+                    : 0;
+                pairs.push({ slotIndex, detectionIndex, cost: distance + sizeDifference * SIZE_WEIGHT });
+            });
+        }
+        pairs.sort((a, b) => a.cost - b.cost);
+        const matchedSlots = new Set();
+        for (const { slotIndex, detectionIndex } of pairs) {
+            if (matchedSlots.has(slotIndex) || !unmatched.has(detectionIndex)) continue;
+            matchedSlots.add(slotIndex);
+            unmatched.delete(detectionIndex);
+            assignment[detectionIndex] = slotIndex;
+        }
+
+        // New people: the one furthest to the players' left (largest image X, as the view
+        // is mirrored) takes the lowest free slot, so Player 1 is on the left
+        const newcomers = [...unmatched].sort((a, b) => detections[b].x - detections[a].x);
+        for (const detectionIndex of newcomers) {
+            const slotIndex = freeSlots.shift();
+            if (slotIndex === undefined) break;
+            assignment[detectionIndex] = slotIndex;
+        }
+
+        assignment.forEach((slotIndex, detectionIndex) => {
+            if (slotIndex >= 0) {
+                this._updateSlot(slotIndex, detections[detectionIndex], timestamp);
+            }
+        });
+        return assignment;
+    }
+
+    _updateSlot(slotIndex, detection, timestamp) {
+        const slot = this.slots[slotIndex];
+        if (!slot || timestamp - slot.lastSeen > LOST_TIMEOUT) {
+            this.slots[slotIndex] = { x: detection.x, velocity: 0, torsoLength: detection.torsoLength, lastSeen: timestamp };
+            return;
+        }
+        const elapsed = timestamp - slot.lastSeen;
+        if (elapsed > 0) {
+            const velocity = (detection.x - slot.x) / elapsed;
+            slot.velocity += (velocity - slot.velocity) * VELOCITY_BLEND;
+        }
+        slot.x = detection.x;
+        if (detection.torsoLength) {
+            slot.torsoLength = slot.torsoLength
+                ? slot.torsoLength + (detection.torsoLength - slot.torsoLength) * 0.1
+                : detection.torsoLength;
+        }
+        slot.lastSeen = timestamp;
+    }
+}
@@ -0,0 +1,60 @@
+const REFRESH_INTERVAL = 250; // ms
+const AVERAGE_BLEND = 0.1; // Weight of each new action in the running averages
+
+// Debug panel with pose timings, measured from when the camera captured each frame. Action
+// times run up to the moment the input reaches the game, which acts on it at its next tick.
+export class PoseLatencyOverlay {
+    constructor(parentElement, getPoseTracker) {
+        this.getPoseTracker = getPoseTracker;
+        this.actions = {}; // kind -> { last, average } in ms
+        this.refreshTimer = null;
+
+        this.container = document.createElement('div');
+        this.container.className = 'pose-latency-overlay hidden';
+        parentElement.appendChild(this.container);
+    }
+
+    // kind: 'lane' or 'jump'
+    recordAction(kind, latency) {
+        const stats = this.actions[kind];
+        if (stats) {
+            stats.last = latency;
+            stats.average += (latency - stats.average) * AVERAGE_BLEND;
+        } else {
+            this.actions[kind] = { last: latency, average: latency };
+        }
+    }
+
+    open() {
+        this.container.classList.remove('hidden');
+        this._refresh();
+        this.refreshTimer = setInterval(() => this._refresh(), REFRESH_INTERVAL);
+    }
+
+    close() {
+        this.container.classList.add('hidden');
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
+    isOpen() {
+        return !this.container.classList.contains('hidden');
+    }
+
+    _refresh() {
+        const tracker = this.getPoseTracker();
+        const formatTime = ms => `${Math.round(ms)} ms`;
+        const formatAction = kind => {
+            const stats = this.actions[kind];
+            return stats ? `${formatTime(stats.last)} (avg ${formatTime(stats.average)})` : '-';
+        };
+        const lines = tracker ? [
+            `Detection: ${tracker.isUsingWorker() ? 'worker' : 'main thread'}`,
+            `Inference: ${formatTime(tracker.getInferenceTime())}`,
+            `Capture → pose: ${formatTime(tracker.getLatency())}`
+        ] : ['No camera'];
+        lines.push(`Capture → lane change: ${formatAction('lane')}`);
+        lines.push(`Capture → jump: ${formatAction('jump')}`);
+        this.container.textContent = lines.join('\n');
+    }
+}
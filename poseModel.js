@@ -0,0 +1,21 @@
+import { PoseLandmarker, FilesetResolver } from 'https://esm.sh/@mediapipe/tasks-vision@0.10.14';
+
+// Loads the MediaPipe pose model. Shared by the pose worker and PoseTracker's main thread
+// fallback, so both run the same model with the same options.
+
+const WASM_URL = "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14/wasm";
+const MODEL_URL = "https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task";
+
+// canvas: an OffscreenCanvas for the GPU delegate to draw with when there's no document (workers)
+export async function createPoseLandmarker(numPoses, canvas = undefined) {
+    const vision = await FilesetResolver.forVisionTasks(WASM_URL);
+    return PoseLandmarker.createFromOptions(vision, {
+        baseOptions: {
+            modelAssetPath: MODEL_URL,
+            delegate: "GPU" // Use GPU if available
+        },
+        canvas,
+        runningMode: "VIDEO",
+        numPoses // One person per player
+    });
+}
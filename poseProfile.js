@@ -0,0 +1,149 @@
+// Per-user pose calibration: where this person stands for each lane, how high their
+// shoulders sit at rest, how far they rise in a jump and how tilted the camera is.
+// Stored in localStorage so returning players can skip calibration.
+
+const STORAGE_KEY = 'floorIsLava.poseProfiles';
+export const PROFILE_VERSION = 1;
+
+// Used until someone calibrates (matches the original hard-coded thresholds)
+const DEFAULT_LANE_CENTERS = [0.2, 0.5, 0.8]; // Mirrored hip X for left, center, right
+const DEFAULT_JUMP_THRESHOLD = 0.06; // Shoulder rise (normalized Y) that counts as a jump
+const MIN_JUMP_THRESHOLD = 0.03;
+const MAX_JUMP_THRESHOLD = 0.15;
+const JUMP_THRESHOLD_FRACTION = 0.5; // Share of the test jump's rise needed to trigger a jump
+
+export class PoseProfile {
+    constructor(data = {}) {
+        this.name = data.name || 'Player 1';
+        this.laneCenters = Array.isArray(data.laneCenters) && data.laneCenters.length === 3
+            ? data.laneCenters.slice().sort((a, b) => a - b)
+            : DEFAULT_LANE_CENTERS.slice();
+        this.restingShoulderY = typeof data.restingShoulderY === 'number' ? data.restingShoulderY : null;
+        this.torsoLength = typeof data.torsoLength === 'number' ? data.torsoLength : null;
+        this.tilt = typeof data.tilt === 'number' ? data.tilt : 0; // Camera roll in radians
+        this.jumpRise = typeof data.jumpRise === 'number' ? data.jumpRise : null;
+        this.jumpThreshold = typeof data.jumpThreshold === 'number' ? data.jumpThreshold : DEFAULT_JUMP_THRESHOLD;
+        this.calibrated = !!data.calibrated;
+        this.createdAt = data.createdAt || null;
+    }
+
+    // Builds a profile from the measurements taken by the calibration screen
+    static fromMeasurements(name, measurements) {
+        const { restingShoulderY, torsoLength, tilt, laneCenters, jumpRise } = measurements;
+        const jumpThreshold = Math.min(MAX_JUMP_THRESHOLD, Math.max(MIN_JUMP_THRESHOLD, jumpRise * JUMP_THRESHOLD_FRACTION));
+        return new PoseProfile({
+            name,
+            laneCenters,
+            restingShoulderY,
+            torsoLength,
+            tilt,
+            jumpRise,
+            jumpThreshold,
+            calibrated: true,
+            createdAt: new Date().toISOString()
+        });
+    }
+
+    // Lane boundaries sit half way between the measured lane positions
+    getLaneBoundaries() {
+        const [left, center, right] = this.laneCenters;
+        return [(left + center) / 2, (center + right) / 2];
+    }
+
+    // mirroredX: hip X as the player sees it (0 = their left edge of the frame)
+    laneForX(mirroredX) {
+        const [leftBoundary, rightBoundary] = this.getLaneBoundaries();
+        if (mirroredX < leftBoundary) return 0;
+        if (mirroredX > rightBoundary) return 2;
+        return 1;
+    }
+
+    toJSON() {
+        return {
+            version: PROFILE_VERSION,
+            name: this.name,
+            laneCenters: this.laneCenters,
+            restingShoulderY: this.restingShoulderY,
+            torsoLength: this.torsoLength,
+            tilt: this.tilt,
+            jumpRise: this.jumpRise,
+            jumpThreshold: this.jumpThreshold,
+            calibrated: this.calibrated,
+            createdAt: this.createdAt
+        };
+    }
+}
+
+// --- Storage ---
+
+function readStore() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (stored && typeof stored.profiles === 'object') {
+            return stored;
+        }
+    } catch (error) {
+        console.warn("Ignoring unreadable pose profiles:", error);
+    }
+    return { lastUser: null, profiles: {} };
+}
+
+function writeStore(store) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+    } catch (error) {
+        console.warn("Could not save pose profiles:", error);
+    }
+}
+
+export function loadProfile(name) {
+    const store = readStore();
+    const data = store.profiles[name];
+    return data && data.version === PROFILE_VERSION ? new PoseProfile(data) : null;
+}
+
+export function loadLastProfile() {
+    const store = readStore();
+    return store.lastUser ? loadProfile(store.lastUser) : null;
+}
+
+export function getLastUserName() {
+    return readStore().lastUser;
+}
+
+export function saveProfile(profile) {
+    const store = readStore();
+    store.profiles[profile.name] = profile.toJSON();
+    store.lastUser = profile.name;
+    writeStore(store);
+}
+
+// --- Tilt Correction ---
+
+// Rotates landmarks around the frame center to undo camera roll. Normalized
+// coordinates are scaled by the frame aspect so the rotation isn't skewed.
+export function correctTilt(landmarks, tilt, aspect = 4 / 3) {
+    if (!tilt) return landmarks;
+    const cos = Math.cos(-tilt);
+    const sin = Math.sin(-tilt);
+    return landmarks.map(landmark => {
+        const x = (landmark.x - 0.5) * aspect;
+        const y = landmark.y - 0.5;
+        return {
+            ...landmark,
+            x: (x * cos - y * sin) / aspect + 0.5,
+            y: x * sin + y * cos + 0.5
+        };
+    });
+}
+
+// Camera roll from the shoulder line of someone standing straight
+export function measureTilt(leftShoulder, rightShoulder, aspect = 4 / 3) {
+    const dx = (rightShoulder.x - leftShoulder.x) * aspect;
+    const dy = rightShoulder.y - leftShoulder.y;
+    let angle = Math.atan2(dy, dx);
+    // MediaPipe's "left" shoulder is on the right of the image, so the line points the other way
+    if (angle > Math.PI / 2) angle -= Math.PI;
+    if (angle < -Math.PI / 2) angle += Math.PI;
+    return angle;
+}
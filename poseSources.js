@@ -0,0 +1,257 @@
+// Where PoseTracker's poses come from. A source either plays video into the tracker's video
+// element, which then goes through pose detection like a camera would (detectsPoses true), or
+// hands over landmarks itself and skips detection (detectsPoses false). Either way the poses
+// go through the same tilt correction, mirroring and player assignment.
+//
+//   CameraSource             the webcam (the default)
+//   VideoFileSource          a video file or URL, e.g. a clip of someone playing, looped
+//   LandmarkRecordingSource  landmarks recorded earlier with PoseRecorder, no model needed
+
+export const POSE_RECORDING_VERSION = 1;
+const LANDMARK_PRECISION = 10000; // Recorded coordinates are rounded to 4 decimals
+
+// Sources that fill the video element report its shape, for the tilt correction
+function videoAspect(videoElement) {
+    return videoElement.videoWidth / videoElement.videoHeight || 4 / 3;
+}
+
+export class CameraSource {
+    constructor(constraints = { video: { width: 640, height: 480 } }) {
+        this.constraints = constraints;
+        this.detectsPoses = true;
+    }
+
+    async start(videoElement) {
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia(this.constraints);
+            videoElement.srcObject = stream;
+            console.log("Webcam access granted and stream started.");
+        } catch (err) {
+            console.error("getUserMedia error:", err);
+            throw new Error("Webcam access denied or failed. Please allow camera access.");
+        }
+    }
+
+    getAspect(videoElement) {
+        return videoAspect(videoElement);
+    }
+
+    stop(videoElement) {
+        const stream = videoElement.srcObject;
+        if (stream) {
+            stream.getTracks().forEach(track => track.stop());
+            videoElement.srcObject = null;
+        }
+    }
+}
+
+// file: a URL, or a File / Blob (from a file input)
+export class VideoFileSource {
+    constructor(file, { loop = true } = {}) {
+        this.file = file;
+        this.loop = loop;
+        this.objectUrl = null;
+        this.detectsPoses = true;
+    }
+
+    async start(videoElement) {
+        if (typeof this.file === 'string') {
+            videoElement.src = this.file;
+        } else {
+            this.objectUrl = URL.createObjectURL(this.file);
+            videoElement.src = this.objectUrl;
+        }
+        videoElement.muted = true; // Autoplay is only allowed without sound
+        videoElement.loop = this.loop;
+        try {
+            await videoElement.play();
+            console.log("Playing pose video.");
+        } catch (error) {
+            console.error("Pose video error:", error);
+            throw new Error("Could not play the pose video.");
+        }
+    }
+
+    getAspect(videoElement) {
+        return videoAspect(videoElement);
+    }
+
+    stop(videoElement) {
+        videoElement.pause();
+        videoElement.removeAttribute('src');
+        videoElement.load(); // Lets go of the file
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+    }
+}
+
+// Plays a recording back in real time from start(), or, with realtime off, only when update()
+// is called, which lets tests step through it on their own clock.
+export class LandmarkRecordingSource {
+    constructor(recording, { loop = true, realtime = true } = {}) {
+        this.recording = recording;
+        this.loop = loop;
+        this.realtime = realtime;
+        this.detectsPoses = false;
+        this.mirrored = recording.mirrored; // As it was when recorded, whatever the setting says now
+        this.onLandmarks = null;
+        this.startTime = null;
+        this.frameIndex = 0;
+        this.animationFrame = null;
+        this._tick = this._tick.bind(this);
+    }
+
+    // onLandmarks(landmarksList, timestamp) gets each frame, timestamp mapped onto the
+    // performance.now() clock (or the one passed to update())
+    start(videoElement, onLandmarks) {
+        this.onLandmarks = onLandmarks;
+        this.startTime = null;
+        this.frameIndex = 0;
+        if (this.realtime) {
+            this.animationFrame = window.requestAnimationFrame(this._tick);
+        }
+    }
+
+    getAspect() {
+        return this.recording.aspect;
+    }
+
+    _tick(now) {
+        this.update(now);
+        this.animationFrame = window.requestAnimationFrame(this._tick);
+    }
+
+    // Hands over every frame recorded up to now; returns false once a recording without
+    // looping has run out
+    update(now) {
+        if (!this.onLandmarks) return false;
+        const { frames, duration } = this.recording;
+        if (this.startTime === null) this.startTime = now;
+        while (true) {
+            if (this.frameIndex >= frames.length) {
+                if (!this.loop || duration <= 0) return false;
+                this.startTime += duration;
+                this.frameIndex = 0;
+            }
+            const frame = frames[this.frameIndex];
+            if (this.startTime + frame.time > now) return true;
+            this.frameIndex++;
+            this.onLandmarks(frame.poses, this.startTime + frame.time);
+        }
+    }
+
+    stop() {
+        if (this.animationFrame !== null) {
+            window.cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+        this.onLandmarks = null;
+    }
+}
+
+// Collects the landmarks PoseTracker receives, before any correction, for
+// LandmarkRecordingSource to play back
+export class PoseRecorder {
+    constructor(aspect, mirrored) {
+        this.aspect = aspect;
+        this.mirrored = mirrored;
+        this.startTime = null;
+        this.frames = [];
+    }
+
+    record(landmarksList, timestamp) {
+        if (this.startTime === null) this.startTime = timestamp;
+        const round = value => Math.round(value * LANDMARK_PRECISION) / LANDMARK_PRECISION;
+        this.frames.push([
+            Math.round(timestamp - this.startTime),
+            landmarksList.map(landmarks => landmarks.map(point => [
+                round(point.x), round(point.y), round(point.z || 0), round(point.visibility === undefined ? 1 : point.visibility)
+            ]))
+        ]);
+    }
+
+    toJSON() {
+        const last = this.frames[this.frames.length - 1];
+        return {
+            version: POSE_RECORDING_VERSION,
+            aspect: this.aspect,
+            mirrored: this.mirrored,
+            // Playback loops with the average frame gap after the last frame
+            duration: last ? Math.round(last[0] + last[0] / Math.max(1, this.frames.length - 1)) : 0,
+            // [ms since the first frame, [[x, y, z, visibility] per landmark] per person]
+            frames: this.frames
+        };
+    }
+}
+
+// Checks a recording's JSON and turns it into the form LandmarkRecordingSource plays
+export function parsePoseRecording(data, source = 'Pose recording') {
+    if (!data || data.version !== POSE_RECORDING_VERSION) {
+        throw new Error(`${source} has an unsupported version: ${data ? data.version : 'none'}`);
+    }
+    if (!Array.isArray(data.frames)) {
+        throw new Error(`${source} has no frames.`);
+    }
+    if (!(data.aspect > 0) || !(data.duration >= 0)) {
+        throw new Error(`${source} is missing its aspect ratio or duration.`);
+    }
+    let lastTime = -Infinity;
+    const frames = data.frames.map((frame, index) => {
+        const [time, poses] = Array.isArray(frame) ? frame : [];
+        if (!(time >= lastTime) || !Array.isArray(poses)) {
+            throw new Error(`${source} has a bad frame at index ${index}.`);
+        }
+        lastTime = time;
+        return {
+            time,
+            poses: poses.map(landmarks => landmarks.map(([x, y, z, visibility]) => ({ x, y, z, visibility })))
+        };
+    });
+    return {
+        aspect: data.aspect,
+        mirrored: !!data.mirrored,
+        duration: Math.max(data.duration, lastTime),
+        frames
+    };
+}
+
+export function parsePoseRecordingText(text, source = 'Pose recording') {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${source} is not valid JSON.`);
+    }
+    return parsePoseRecording(data, source);
+}
+
+// A source for a file picked by the user: videos are detected, anything else is taken to
+// be a landmark recording
+export async function createPoseSourceFromFile(file) {
+    if (file.type.startsWith('video/')) {
+        return new VideoFileSource(file);
+    }
+    return new LandmarkRecordingSource(parsePoseRecordingText(await file.text(), file.name));
+}
+
+// Fetches and parses a recording; errors say which file was at fault
+export async function loadPoseRecording(url) {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        throw new Error(`Could not load ${url}: ${error.message}`);
+    }
+    if (!response.ok) {
+        throw new Error(`Could not load ${url}: ${response.status} ${response.statusText}`);
+    }
+    let data;
+    try {
+        data = await response.json();
+    } catch (error) {
+        throw new Error(`${url} is not valid JSON.`);
+    }
+    return parsePoseRecording(data, url);
+}
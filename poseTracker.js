@@ -1,130 +1,357 @@
-import { PoseLandmarker, FilesetResolver } from 'https://esm.sh/@mediapipe/tasks-vision@0.10.14';
+import { createPoseLandmarker } from './poseModel.js';
+import { PoseProfile, correctTilt } from './poseProfile.js';
+import { PoseIdentityTracker } from './poseIdentity.js';
+import { CameraSource, PoseRecorder } from './poseSources.js';
 
+// Workers need OffscreenCanvas for the GPU delegate, and a way to hand them video frames
+function canUsePoseWorker() {
+    return typeof Worker !== 'undefined'
+        && typeof OffscreenCanvas !== 'undefined'
+        && (typeof VideoFrame !== 'undefined' || typeof createImageBitmap !== 'undefined');
+}
+
+// Calls onPoseUpdateCallback(midHipX, midShoulderY, landmarks, playerIndex, timestamp) for every
+// tracked person each frame, timestamp being when the camera frame was captured
+// (performance.now() time). With numPoses > 1 each person keeps the same playerIndex across frames.
+//
+// Detection runs in poseWorker.js where the browser allows it, one frame at a time (frames that
+// arrive while it is busy are skipped rather than queued). Otherwise it runs here on the main
+// thread, once per animation frame.
+//
+// The frames come from the webcam unless another source is given (see poseSources.js): a video
+// file goes through detection the same way, a landmark recording skips it.
 export class PoseTracker {
-    constructor(videoElement, onPoseUpdateCallback) {
+    constructor(videoElement, onPoseUpdateCallback, numPoses = 1, source = new CameraSource()) {
         this.videoElement = videoElement;
         this.onPoseUpdateCallback = onPoseUpdateCallback;
-        this.poseLandmarker = null;
+        this.numPoses = numPoses;
+        this.source = source;
+        this.recorder = null; // PoseRecorder while recording
+        this.identityTracker = new PoseIdentityTracker(numPoses);
+        this.poseLandmarker = null; // Main thread detection, when there's no worker
+        this.worker = null;
+        this.frameInFlight = false; // A frame is with the worker
         this.lastVideoTime = -1;
-        this.runningMode = "VIDEO";
-        this.webcamRunning = false;
+        this.sourceRunning = false;
+        this.frameRequest = null; // { id, videoFrame } of the scheduled _predictWebcam call, if any
+        this.lastPoseTime = null; // performance.now() of the last frame with anyone in it
+        this.inferenceTime = 0; // ms per detection, smoothed; 0 until the first frame
+        this.latency = 0; // ms from capture to landmarks, smoothed
+        this.profile = new PoseProfile(); // Calibration in use (camera tilt correction)
+        this.mirrored = false; // True if the camera already mirrors its image (flipped back here)
         this._predictWebcam = this._predictWebcam.bind(this);
+        this._startPredicting = this._startPredicting.bind(this);
+    }
+
+    setProfile(profile) {
+        this.profile = profile;
+    }
+
+    // Everything downstream expects an unmirrored image, as a plain webcam gives
+    setMirrored(mirrored) {
+        this.mirrored = mirrored;
+    }
+
+    // Recordings say whether their camera was mirrored; other sources go by the setting
+    _isMirrored() {
+        return this.source.mirrored !== undefined ? this.source.mirrored : this.mirrored;
+    }
+
+    // Landmarks from here on are kept, untouched, for LandmarkRecordingSource to play back
+    startRecording() {
+        this.recorder = new PoseRecorder(this.source.getAspect(this.videoElement), this._isMirrored());
+    }
+
+    // Returns the recording as JSON data, or null if there wasn't one
+    stopRecording() {
+        const recording = this.recorder ? this.recorder.toJSON() : null;
+        this.recorder = null;
+        return recording;
+    }
+
+    isRecording() {
+        return this.recorder !== null;
+    }
+
+    // ms since anyone was last seen (0 if the source isn't running)
+    getTimeSinceLastPose(now = performance.now()) {
+        return this.sourceRunning && this.lastPoseTime !== null ? now - this.lastPoseTime : 0;
+    }
+
+    // How long detection takes, for the graphics governor (it shares the GPU with rendering)
+    getInferenceTime() {
+        return this.sourceRunning ? this.inferenceTime : 0;
+    }
+
+    // How old poses are when they arrive
+    getLatency() {
+        return this.sourceRunning ? this.latency : 0;
+    }
+
+    isUsingWorker() {
+        return this.worker !== null;
+    }
+
+    // Switches between single and multi-person tracking
+    async setNumPoses(numPoses) {
+        if (numPoses === this.numPoses) return;
+        this.numPoses = numPoses;
+        this.identityTracker = new PoseIdentityTracker(numPoses);
+        if (this.worker) {
+            this.worker.postMessage({ type: 'setNumPoses', numPoses });
+        } else if (this.poseLandmarker) {
+            await this.poseLandmarker.setOptions({ numPoses });
+        }
     }
 
     async initialize() {
         console.log("Initializing PoseTracker...");
         
         try {
-            const vision = await FilesetResolver.forVisionTasks(
-                "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14/wasm"
-            );
-            
-            this.poseLandmarker = await PoseLandmarker.createFromOptions(vision, {
-                baseOptions: {
-                    modelAssetPath: "https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task",
-                    delegate: "GPU" // Use GPU if available
-                },
-                runningMode: this.runningMode,
-                numPoses: 1 // Only detect one person
-            });
-            
-            console.log("PoseLandmarker created successfully.");
-            await this.enableCam();
+            if (this.source.detectsPoses && canUsePoseWorker()) {
+                try {
+                    await this._startWorker();
+                    console.log("Pose detection running in a worker.");
+                } catch (error) {
+                    console.warn("Pose worker failed, detecting on the main thread instead:", error);
+                    this._stopWorker();
+                }
+            }
+            if (this.source.detectsPoses && !this.worker) {
+                this.poseLandmarker = await createPoseLandmarker(this.numPoses);
+                console.log("PoseLandmarker created successfully.");
+            }
+            await this.startSource();
         } catch (error) {
             console.error("Failed to initialize PoseLandmarker:", error);
             throw new Error("Could not initialize pose detection. Check console for details.");
         }
     }
 
-    async enableCam() {
-        if (!this.poseLandmarker) {
+    // Resolves once the worker has loaded the model
+    _startWorker() {
+        return new Promise((resolve, reject) => {
+            this.worker = new Worker(new URL('./poseWorker.js', import.meta.url)); // Classic; see poseWorker.js
+            this.worker.onmessage = ({ data }) => {
+                if (data.type === 'ready') {
+                    this.worker.onmessage = message => this._onWorkerMessage(message.data);
+                    this.worker.onerror = event => this._onWorkerFailed(event);
+                    resolve();
+                } else if (data.type === 'error') {
+                    reject(new Error(data.message));
+                }
+            };
+            this.worker.onerror = event => {
+                event.preventDefault();
+                reject(new Error(event.message || "Pose worker could not start."));
+            };
+            this.worker.postMessage({ type: 'init', numPoses: this.numPoses });
+        });
+    }
+
+    _stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.frameInFlight = false;
+    }
+
+    // A worker that breaks mid-game hands detection back to the main thread
+    async _onWorkerFailed(event) {
+        event.preventDefault();
+        console.error("Pose worker stopped, detecting on the main thread instead:", event.message);
+        this._stopWorker();
+        try {
+            this.poseLandmarker = await createPoseLandmarker(this.numPoses);
+        } catch (error) {
+            console.error("Failed to initialize PoseLandmarker:", error);
+        }
+    }
+
+    _onWorkerMessage(data) {
+        if (data.type !== 'result') return;
+        this.frameInFlight = false;
+        this._recordTiming(data.inferenceTime, data.timestamp);
+        this._handleLandmarks(data.landmarks, data.timestamp);
+    }
+
+    // Swaps in another source, loading the model first if the new one needs detection
+    async setSource(source) {
+        this._stopSource();
+        this.source = source;
+        this.lastVideoTime = -1;
+        if (source.detectsPoses && !this.worker && !this.poseLandmarker) {
+            this.poseLandmarker = await createPoseLandmarker(this.numPoses);
+        }
+        await this.startSource();
+    }
+
+    async startSource() {
+        if (this.source.detectsPoses && !this.poseLandmarker && !this.worker) {
             console.log("Wait! poseLandmarker not loaded yet.");
             return;
         }
         
-        if (this.webcamRunning) {
-            console.log("Webcam already running.");
+        if (this.sourceRunning) {
+            console.log("Pose source already running.");
             return;
         }
         
-        console.log("Attempting to access webcam...");
-        
-        const constraints = {
-            video: {
-                width: 640,
-                height: 480
-            }
-        };
-        
+        console.log("Starting pose source...");
+        this.sourceRunning = true;
         try {
-            const stream = await navigator.mediaDevices.getUserMedia(constraints);
-            this.videoElement.srcObject = stream;
-            this.videoElement.addEventListener("loadeddata", this._predictWebcam);
-            this.webcamRunning = true;
-            console.log("Webcam access granted and stream started.");
-        } catch (err) {
-            console.error("getUserMedia error:", err);
-            throw new Error("Webcam access denied or failed. Please allow camera access.");
+            if (this.source.detectsPoses) {
+                this.videoElement.addEventListener("loadeddata", this._startPredicting);
+                await this.source.start(this.videoElement);
+            } else {
+                await this.source.start(this.videoElement, (landmarksList, timestamp) => this._handleLandmarks(landmarksList, timestamp));
+            }
+        } catch (error) {
+            this.sourceRunning = false;
+            this.videoElement.removeEventListener("loadeddata", this._startPredicting);
+            throw error;
         }
+        this.lastPoseTime = performance.now(); // Count "nobody in view" from when the source starts
     }
 
-    _predictWebcam() {
-        if (!this.webcamRunning) return;
-        
-        const startTimeMs = performance.now();
+    // loadeddata fires again when a video loops or gets a new source; only one loop may run
+    _startPredicting() {
+        if (this.frameRequest === null) this._predictWebcam();
+    }
+
+    _predictWebcam(now, videoFrameMetadata) {
+        this.frameRequest = null;
+        if (!this.sourceRunning) return;
         
-        if (this.lastVideoTime !== this.videoElement.currentTime) {
+        if (this.worker) {
+            this._sendFrame(videoFrameMetadata);
+        } else if (this.poseLandmarker && this.lastVideoTime !== this.videoElement.currentTime) {
             this.lastVideoTime = this.videoElement.currentTime;
             
+            const startTimeMs = performance.now();
             this.poseLandmarker.detectForVideo(this.videoElement, startTimeMs, (result) => {
-                if (result.landmarks && result.landmarks.length > 0) {
-                    const landmarks = result.landmarks[0];
-                    
-                    // Hip landmarks for horizontal movement
-                    const leftHip = landmarks[23];
-                    const rightHip = landmarks[24];
-                    
-                    // Shoulder landmarks for vertical movement (potential jump)
-                    const leftShoulder = landmarks[11];
-                    const rightShoulder = landmarks[12];
-                    
-                    let midHipX = 0.5; // Default to center
-                    let midShoulderY = 0.5; // Default to center
-                    
-                    if (leftHip && rightHip) {
-                        midHipX = (leftHip.x + rightHip.x) / 2;
-                    }
-                    
-                    if (leftShoulder && rightShoulder) {
-                        // Normalized Y: 0 is top, 1 is bottom of frame
-                        midShoulderY = (leftShoulder.y + rightShoulder.y) / 2;
-                    }
-                    
-                    // Pass both horizontal and vertical metrics
-                    this.onPoseUpdateCallback(midHipX, midShoulderY);
-                }
+                this._recordTiming(performance.now() - startTimeMs, startTimeMs);
+                this._handleLandmarks(result.landmarks || [], startTimeMs);
             });
         }
         
-        // Call this function again to keep predicting when the browser is ready
-        window.requestAnimationFrame(this._predictWebcam);
+        // Call this function again to keep predicting when the browser is ready. The worker
+        // is fed once per new camera frame where the browser can say when those arrive.
+        if (this.worker && this.videoElement.requestVideoFrameCallback) {
+            this.frameRequest = { id: this.videoElement.requestVideoFrameCallback(this._predictWebcam), videoFrame: true };
+        } else {
+            this.frameRequest = { id: window.requestAnimationFrame(this._predictWebcam), videoFrame: false };
+        }
     }
 
-    stop() {
-        if (this.webcamRunning) {
-            console.log("Stopping webcam stream.");
-            this.webcamRunning = false;
-            
-            const stream = this.videoElement.srcObject;
-            if (stream) {
-                const tracks = stream.getTracks();
-                tracks.forEach(track => track.stop());
-                this.videoElement.srcObject = null;
+    _cancelPrediction() {
+        if (this.frameRequest === null) return;
+        if (this.frameRequest.videoFrame) {
+            this.videoElement.cancelVideoFrameCallback(this.frameRequest.id);
+        } else {
+            window.cancelAnimationFrame(this.frameRequest.id);
+        }
+        this.frameRequest = null;
+    }
+
+    // Copies the current video frame over to the worker, unless it's still busy with the last one
+    async _sendFrame(videoFrameMetadata) {
+        if (this.frameInFlight || this.lastVideoTime === this.videoElement.currentTime) return;
+        this.lastVideoTime = this.videoElement.currentTime;
+        const timestamp = videoFrameMetadata && videoFrameMetadata.captureTime !== undefined
+            ? videoFrameMetadata.captureTime
+            : performance.now();
+        this.frameInFlight = true;
+        try {
+            const frame = typeof VideoFrame !== 'undefined'
+                ? new VideoFrame(this.videoElement, { timestamp: Math.round(timestamp * 1000) })
+                : await createImageBitmap(this.videoElement);
+            if (!this.worker) {
+                frame.close(); // Fell back to the main thread meanwhile
+                return;
             }
-            
-            this.videoElement.removeEventListener("loadeddata", this._predictWebcam);
+            this.worker.postMessage({ type: 'frame', frame, timestamp }, [frame]);
+        } catch (error) {
+            console.warn("Could not capture a video frame:", error);
+            this.frameInFlight = false;
+        }
+    }
+
+    _recordTiming(inferenceTime, timestamp) {
+        const latency = performance.now() - timestamp;
+        this.inferenceTime = this.inferenceTime > 0 ? this.inferenceTime * 0.9 + inferenceTime * 0.1 : inferenceTime;
+        this.latency = this.latency > 0 ? this.latency * 0.9 + latency * 0.1 : latency;
+    }
+
+    _handleLandmarks(landmarksList, timestamp) {
+        if (this.recorder) this.recorder.record(landmarksList, timestamp);
+        if (landmarksList.length === 0) return;
+        this.lastPoseTime = timestamp;
+        
+        // Undo camera roll measured during calibration
+        const aspect = this.source.getAspect(this.videoElement);
+        const mirrored = this._isMirrored();
+        const poses = landmarksList.map(landmarks => {
+            const corrected = correctTilt(landmarks, this.profile.tilt, aspect);
+            return this._measurePose(mirrored ? corrected.map(point => ({ ...point, x: 1 - point.x })) : corrected);
+        });
+        
+        // Work out who is who (trivial with a single person)
+        const playerIndices = this.numPoses > 1
+            ? this.identityTracker.assign(poses.map(pose => ({ x: pose.midHipX, torsoLength: pose.torsoLength })), timestamp)
+            : [0];
+        
+        poses.forEach((pose, index) => {
+            if (playerIndices[index] === undefined || playerIndices[index] < 0) return;
+            // Pass both horizontal and vertical metrics, plus the full skeleton
+            this.onPoseUpdateCallback(pose.midHipX, pose.midShoulderY, pose.landmarks, playerIndices[index], timestamp);
+        });
+    }
+
+    // Reduces one skeleton to the metrics the game uses
+    _measurePose(landmarks) {
+        // Hip landmarks for horizontal movement
+        const leftHip = landmarks[23];
+        const rightHip = landmarks[24];
+        
+        // Shoulder landmarks for vertical movement (potential jump)
+        const leftShoulder = landmarks[11];
+        const rightShoulder = landmarks[12];
+        
+        let midHipX = 0.5; // Default to center
+        let midShoulderY = 0.5; // Default to center
+        let torsoLength = null;
+        
+        if (leftHip && rightHip) {
+            midHipX = (leftHip.x + rightHip.x) / 2;
+        }
+        
+        if (leftShoulder && rightShoulder) {
+            // Normalized Y: 0 is top, 1 is bottom of frame
+            midShoulderY = (leftShoulder.y + rightShoulder.y) / 2;
         }
         
+        if (leftHip && rightHip && leftShoulder && rightShoulder) {
+            torsoLength = (leftHip.y + rightHip.y) / 2 - midShoulderY;
+        }
+        
+        return { landmarks, midHipX, midShoulderY, torsoLength };
+    }
+
+    _stopSource() {
+        if (this.sourceRunning) {
+            console.log("Stopping pose source.");
+            this.sourceRunning = false;
+            this.source.stop(this.videoElement);
+            this.videoElement.removeEventListener("loadeddata", this._startPredicting);
+            this._cancelPrediction();
+        }
+    }
+
+    stop() {
+        this._stopSource();
+        this._stopWorker();
         if (this.poseLandmarker) {
             console.log("PoseLandmarker resources will be garbage collected.");
             this.poseLandmarker = null;
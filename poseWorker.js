@@ -0,0 +1,69 @@
+// Runs pose detection off the main thread, so a slow inference delays the next pose rather
+// than the next game frame. PoseTracker sends it video frames and it answers each with the
+// landmarks found, tagged with the frame's capture time.
+//
+// Messages in:
+//   { type: 'init', numPoses }
+//   { type: 'frame', frame, timestamp }   frame is an ImageBitmap or VideoFrame (transferred,
+//                                         closed here); timestamp is the capture time in ms
+//   { type: 'setNumPoses', numPoses }
+// Messages out:
+//   { type: 'ready' } or { type: 'error', message } after init
+//   { type: 'result', landmarks, timestamp, inferenceTime } for every frame
+//
+// This is a classic worker, not a module one: MediaPipe loads its WASM glue with importScripts(),
+// which module workers don't allow. The model code is pulled in with import() instead.
+
+let poseLandmarker = null;
+let lastTimestamp = -1;
+
+async function initialize(numPoses) {
+    try {
+        const { createPoseLandmarker } = await import('./poseModel.js');
+        poseLandmarker = await createPoseLandmarker(numPoses, new OffscreenCanvas(1, 1));
+        self.postMessage({ type: 'ready' });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message || String(error) });
+    }
+}
+
+function detect(frame, timestamp) {
+    try {
+        // MediaPipe needs strictly increasing timestamps
+        const detectTime = Math.max(timestamp, lastTimestamp + 1);
+        lastTimestamp = detectTime;
+        const startTime = performance.now();
+        const result = poseLandmarker.detectForVideo(frame, detectTime);
+        self.postMessage({
+            type: 'result',
+            landmarks: result.landmarks || [],
+            timestamp,
+            inferenceTime: performance.now() - startTime
+        });
+    } catch (error) {
+        console.error("Pose detection failed in worker:", error);
+        self.postMessage({ type: 'result', landmarks: [], timestamp, inferenceTime: 0 });
+    } finally {
+        frame.close();
+    }
+}
+
+self.onmessage = ({ data }) => {
+    switch (data.type) {
+        case 'init':
+            initialize(data.numPoses);
+            break;
+        case 'frame':
+            if (poseLandmarker) {
+                detect(data.frame, data.timestamp);
+            } else {
+                // Still answer, so the tracker sends the next frame
+                data.frame.close();
+                self.postMessage({ type: 'result', landmarks: [], timestamp: data.timestamp, inferenceTime: 0 });
+            }
+            break;
+        case 'setNumPoses':
+            if (poseLandmarker) poseLandmarker.setOptions({ numPoses: data.numPoses });
+            break;
+    }
+};
@@ -0,0 +1,70 @@
+// Timed power-ups for one player. Picking up a power-up that is already running refreshes it
+// to its full duration (no stacking of the same kind); different kinds run side by side.
+//   shield: absorbs one hit, then gives a moment of grace so the same hazard can't hit again
+//   slowMo: the player's track (hazards, pickups and the player) runs at a fraction of real time
+//   magnet: pulls coins and gems across lanes towards the player
+
+export const POWER_UP_TYPES = {
+    shield: { duration: 10 },
+    slowMo: { duration: 5, timeScale: 0.6 },
+    magnet: { duration: 8 }
+};
+export const POWER_UP_KINDS = Object.keys(POWER_UP_TYPES);
+export const SHIELD_GRACE_TIME = 0.75; // Seconds of invulnerability after the shield breaks
+
+export class PowerUpState {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.remaining = {}; // kind -> seconds left, only for active power-ups
+        this.graceTimer = 0;
+    }
+
+    // Returns true if the power-up was already running (and has been refreshed)
+    activate(kind) {
+        const refreshed = this.isActive(kind);
+        this.remaining[kind] = POWER_UP_TYPES[kind].duration;
+        return refreshed;
+    }
+
+    isActive(kind) {
+        return this.remaining[kind] > 0;
+    }
+
+    getRemaining(kind) {
+        return this.remaining[kind] || 0;
+    }
+
+    isInvulnerable() {
+        return this.graceTimer > 0;
+    }
+
+    // Uses up the shield if there is one; returns true if a hit was absorbed
+    absorbHit() {
+        if (!this.isActive('shield')) return false;
+        delete this.remaining.shield;
+        this.graceTimer = SHIELD_GRACE_TIME;
+        return true;
+    }
+
+    // How fast the player's track runs (below 1 during slow motion)
+    getTimeScale() {
+        return this.isActive('slowMo') ? POWER_UP_TYPES.slowMo.timeScale : 1;
+    }
+
+    // Counts down in real time; returns the kinds that ran out this step
+    update(deltaTime) {
+        this.graceTimer = Math.max(0, this.graceTimer - deltaTime);
+        const expired = [];
+        for (const kind of Object.keys(this.remaining)) {
+            this.remaining[kind] -= deltaTime;
+            if (this.remaining[kind] <= 0) {
+                delete this.remaining[kind];
+                expired.push(kind);
+            }
+        }
+        return expired;
+    }
+}
@@ -0,0 +1,118 @@
+import { parseLevel } from './levels.js';
+import { DIFFICULTY_NAMES, DEFAULT_DIFFICULTY } from './difficulty.js';
+import { MAX_PLAYERS } from './constants.js';
+
+// Replays store the course seed, the tick rate, the number of players and every input the
+// game applied with the tick it was applied on. The simulation runs on a fixed tick, so
+// playing them back gives exactly the same run (same scores, same death tick) on any display.
+// Level runs carry the whole level, so they replay even if it was a file the viewer doesn't have.
+// The difficulty preset is stored by name, since it changes the rules of the run.
+export const REPLAY_VERSION = 9;
+
+export class ReplayRecorder {
+    constructor(seed, tickRate, playerCount = 1, level = null, difficulty = DEFAULT_DIFFICULTY) {
+        this.seed = seed;
+        this.tickRate = tickRate;
+        this.playerCount = playerCount;
+        this.level = level;
+        this.difficulty = difficulty;
+        this.ticks = 0;
+        // [tick, player, 'lane', laneIndex], or [tick, player, type] for 'jump', 'superJump', 'duck' and 'powerUp'
+        this.inputs = [];
+        this.result = null;
+    }
+
+    recordTick() {
+        this.ticks++;
+    }
+
+    recordInput(tick, player, type, value) {
+        this.inputs.push(value === undefined ? [tick, player, type] : [tick, player, type, value]);
+    }
+
+    finish(score, deathTick, scores) {
+        this.result = { score, deathTick, scores };
+    }
+
+    toJSON() {
+        return {
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            tickRate: this.tickRate,
+            players: this.playerCount,
+            level: this.level,
+            difficulty: this.difficulty,
+            ticks: this.ticks,
+            inputs: this.inputs,
+            result: this.result
+        };
+    }
+}
+
+export class ReplayPlayer {
+    constructor(replay) {
+        if (!replay || replay.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version: ${replay ? replay.version : 'none'}`);
+        }
+        if (!Number.isInteger(replay.ticks) || !Array.isArray(replay.inputs)) {
+            throw new Error("Replay file is missing tick or input data.");
+        }
+        if (!Number.isInteger(replay.players) || replay.players < 1) {
+            throw new Error("Replay file is missing the number of players.");
+        }
+        if (replay.players > MAX_PLAYERS) {
+            throw new Error(`Replay file has ${replay.players} players; at most ${MAX_PLAYERS} can play.`);
+        }
+        if (!DIFFICULTY_NAMES.includes(replay.difficulty)) {
+            throw new Error(`Replay file has an unknown difficulty: ${replay.difficulty}`);
+        }
+        this.replay = replay;
+        this.seed = replay.seed >>> 0;
+        this.tickRate = replay.tickRate;
+        this.playerCount = replay.players;
+        this.level = replay.level ? parseLevel(replay.level, 'level in the replay') : null;
+        this.difficulty = replay.difficulty;
+        this.inputIndex = 0;
+    }
+
+    hasTick(tick) {
+        return tick < this.replay.ticks;
+    }
+
+    // Returns the inputs recorded for this tick, in the order they were applied
+    takeInputs(tick) {
+        const inputs = [];
+        const recorded = this.replay.inputs;
+        while (this.inputIndex < recorded.length && recorded[this.inputIndex][0] <= tick) {
+            inputs.push(recorded[this.inputIndex]);
+            this.inputIndex++;
+        }
+        return inputs;
+    }
+
+    // Compares a finished playback against what was recorded
+    verify(score, deathTick, scores) {
+        const expected = this.replay.result;
+        const actual = { score, deathTick, scores };
+        if (!expected) {
+            return { matched: false, expected: null, actual };
+        }
+        const scoresMatch = Array.isArray(expected.scores) && expected.scores.length === scores.length &&
+            expected.scores.every((expectedScore, index) => expectedScore === scores[index]);
+        return {
+            matched: expected.score === score && expected.deathTick === deathTick && scoresMatch,
+            expected,
+            actual
+        };
+    }
+}
+
+export function parseReplay(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error("Replay file is not valid JSON.");
+    }
+    return new ReplayPlayer(data);
+}
@@ -1,5 +1,18 @@
 import * as THREE from 'three';
+import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
 import { GAME_AREA_LENGTH, LANE_WIDTH } from './constants.js'; // Ensure LANE_WIDTH is imported here
+import { THEMES, DEFAULT_THEME, HIGH_CONTRAST_THEME } from './themes.js';
+import { QUALITY_TIERS } from './graphicsQuality.js';
+
+const SHADOW_MAP_SIZE = 1024;
+const SHADOW_AREA = 10; // Half size of the shadowed area around the player
+// Bloom only picks out the brightest parts of the scene (the lava)
+const BLOOM_STRENGTH = 0.6;
+const BLOOM_RADIUS = 0.4;
+const BLOOM_THRESHOLD = 0.8;
 
 export class SceneSetup {
     constructor(renderDiv) {
@@ -11,17 +24,14 @@ export class SceneSetup {
         // Fog is removed
         
         // Camera
+        this.trackCount = 1; // Number of side-by-side tracks (one per player)
         this.camera = new THREE.PerspectiveCamera(75, this.renderDiv.clientWidth / this.renderDiv.clientHeight, 0.1, 100);
         this.resetCamera();
         
-        // Renderer
-        this.renderer = new THREE.WebGLRenderer({
-            antialias: true
-        });
-        this.renderer.setSize(this.renderDiv.clientWidth, this.renderDiv.clientHeight);
-        this.renderer.setPixelRatio(window.devicePixelRatio);
-        this.renderer.setClearColor(0x000000, 0); // Set clear color to black with 0 alpha (transparent)
-        this.renderDiv.appendChild(this.renderer.domElement);
+        // Renderer, set up for a quality tier by setQuality()
+        this.quality = null;
+        this.renderer = null;
+        this.composer = null; // Post effects chain, only while the tier has post effects
         
         // Lighting
         const ambientLight = new THREE.AmbientLight(0xffffff, 0);
@@ -29,38 +39,157 @@ export class SceneSetup {
         
         this.directionalLight = new THREE.DirectionalLight(0xffffff, 3.0); // Increased intensity from 3.0
         this.directionalLight.position.set(0, 6, -7); // Keep initial position for now
+        const shadowCamera = this.directionalLight.shadow.camera;
+        shadowCamera.left = shadowCamera.bottom = -SHADOW_AREA;
+        shadowCamera.right = shadowCamera.top = SHADOW_AREA;
+        shadowCamera.far = 40;
+        this.directionalLight.shadow.mapSize.set(SHADOW_MAP_SIZE, SHADOW_MAP_SIZE);
         this.scene.add(this.directionalLight);
         
         // Add the light's target object to the scene so it can be updated
         this.scene.add(this.directionalLight.target);
         
-        // Floor
+        // Floor and lane markers, one set per track
+        this.themeName = DEFAULT_THEME;
+        this.highContrast = false;
+        this.theme = THEMES[DEFAULT_THEME];
+        this.trackObjects = [];
+        this.setTracks([0]);
+        
+        this.setQuality(QUALITY_TIERS.high);
+    }
+
+    // Applies a tier from QUALITY_TIERS. Antialiasing can only be chosen when a WebGL context is
+    // created, so changing it swaps in a new renderer (and canvas); look it up as sceneSetup.renderer.
+    setQuality(quality) {
+        const previous = this.quality;
+        this.quality = quality;
+        if (!previous || previous.antialias !== quality.antialias) {
+            this._createRenderer(quality.antialias);
+        }
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, quality.maxPixelRatio));
+        
+        this.renderer.shadowMap.enabled = quality.shadows;
+        this.directionalLight.castShadow = quality.shadows;
+        if (previous && previous.shadows !== quality.shadows) {
+            // Lit materials are compiled with or without shadow support
+            this.scene.traverse(object => {
+                if (object.material) object.material.needsUpdate = true;
+            });
+        }
+        
+        if (this.composer) {
+            this.composer.dispose();
+            this.composer = null;
+        }
+        if (quality.postEffects) {
+            this.composer = this._createComposer(quality.antialias);
+        }
+    }
+
+    _createRenderer(antialias) {
+        const oldRenderer = this.renderer;
+        this.renderer = new THREE.WebGLRenderer({ antialias });
+        this.renderer.setSize(this.renderDiv.clientWidth, this.renderDiv.clientHeight);
+        this.renderer.setClearColor(0x000000, 0); // Set clear color to black with 0 alpha (transparent)
+        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        if (oldRenderer) {
+            this.renderDiv.replaceChild(this.renderer.domElement, oldRenderer.domElement);
+            oldRenderer.dispose();
+            oldRenderer.forceContextLoss(); // Browsers only allow a handful of live contexts
+        } else {
+            this.renderDiv.appendChild(this.renderer.domElement);
+        }
+    }
+
+    _createComposer(antialias) {
+        const width = this.renderDiv.clientWidth;
+        const height = this.renderDiv.clientHeight;
+        // The composer renders off screen, where the canvas's own antialiasing doesn't reach
+        const renderTarget = new THREE.WebGLRenderTarget(width, height, {
+            type: THREE.HalfFloatType,
+            samples: antialias ? 4 : 0
+        });
+        const composer = new EffectComposer(this.renderer, renderTarget);
+        composer.setPixelRatio(this.renderer.getPixelRatio());
+        composer.setSize(width, height);
+        composer.addPass(new RenderPass(this.scene, this.camera));
+        composer.addPass(new UnrealBloomPass(new THREE.Vector2(width, height), BLOOM_STRENGTH, BLOOM_RADIUS, BLOOM_THRESHOLD));
+        composer.addPass(new OutputPass());
+        return composer;
+    }
+
+    // Draws the scene, through the post effects if the tier has them
+    render() {
+        if (this.composer) {
+            this.composer.render();
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+
+    // Recolours the tracks and light for a level theme (see themes.js)
+    setTheme(themeName = DEFAULT_THEME) {
+        this.themeName = themeName;
+        this.theme = this.highContrast ? HIGH_CONTRAST_THEME : THEMES[themeName] || THEMES[DEFAULT_THEME];
+        this.directionalLight.color.setHex(this.theme.light);
+        this.directionalLight.intensity = this.theme.lightIntensity;
+        this.trackObjects.forEach(object => {
+            object.material.color.setHex(object.userData.isFloor ? this.theme.floor : this.theme.laneMarker);
+        });
+    }
+
+    // Overrides the level's theme with HIGH_CONTRAST_THEME while on
+    setHighContrast(highContrast) {
+        this.highContrast = highContrast;
+        this.setTheme(this.themeName);
+    }
+
+    // Builds a floor with lane markers centered on each X offset (one per player)
+    setTracks(offsets) {
+        this.trackObjects.forEach(object => {
+            this.scene.remove(object);
+            object.geometry.dispose();
+            object.material.dispose();
+        });
+        this.trackObjects = [];
+        this.trackCount = offsets.length;
+        offsets.forEach((offsetX, index) => {
+            const floor = this._createFloor(offsetX);
+            if (index === 0) {
+                this.floor = floor; // Reference floor for heights and Z extent
+            }
+            this._createLaneMarkers(floor, offsetX);
+        });
+    }
+
+    _createFloor(offsetX) {
         const floorGeometry = new THREE.PlaneGeometry(8, GAME_AREA_LENGTH * 1.5, 32, 32); // Size it relative to game area
         const floorMaterial = new THREE.MeshStandardMaterial({
-            color: 0x1C1B47,
+            color: this.theme.floor,
             roughness: 0.5,
             metalness: 0.5,
             transparent: true,
             opacity: 0.90
         });
-        this.floor = new THREE.Mesh(floorGeometry, floorMaterial);
-        this.floor.rotation.x = -Math.PI / 2; // Rotate to be flat
-        this.floor.position.y = 0; // Position it below the player/lava level
-        this.floor.position.z = -(GAME_AREA_LENGTH * 1.5) / 2 + 10; // Center it along the Z axis, adjust offset as needed
-        this.scene.add(this.floor);
-        
-        // Lane Markers
-        this._createLaneMarkers();
+        const floor = new THREE.Mesh(floorGeometry, floorMaterial);
+        floor.rotation.x = -Math.PI / 2; // Rotate to be flat
+        floor.userData.isFloor = true;
+        floor.receiveShadow = true; // Only drawn while the quality tier has shadows
+        floor.position.set(offsetX, 0, -(GAME_AREA_LENGTH * 1.5) / 2 + 10); // Below the player/lava level, centered along the Z axis
+        this.scene.add(floor);
+        this.trackObjects.push(floor);
+        return floor;
     }
 
-    _createLaneMarkers() {
+    _createLaneMarkers(floor, offsetX) {
         const markerHeight = 0.05; // Slightly above water
         const markerWidth = 0.1;
         const markerLength = GAME_AREA_LENGTH * 1.5; // Match water floor length
         
         const markerGeometry = new THREE.BoxGeometry(markerWidth, markerHeight, markerLength);
         const markerMaterial = new THREE.MeshBasicMaterial({
-            color: 0x111111,
+            color: this.theme.laneMarker,
             emissive: 0x111111,
             emissiveIntensity: 0.3 // Slightly reduce intensity for white
         });
@@ -75,18 +204,20 @@ export class SceneSetup {
         laneBoundaries.forEach(xPos => {
             const marker = new THREE.Mesh(markerGeometry, markerMaterial);
             marker.position.set(
-                xPos,
-                this.floor.position.y + markerHeight / 2 + 0.01,
-                this.floor.position.z // Align with water floor center Z
+                offsetX + xPos,
+                floor.position.y + markerHeight / 2 + 0.01,
+                floor.position.z // Align with water floor center Z
             );
             this.scene.add(marker);
-            // We don't store these markers explicitly as they are static scene elements
+            this.trackObjects.push(marker); // Kept so the tracks can be rebuilt for a different player count
         });
     }
 
     resetCamera() {
         // Increased Y position significantly and moved Z back slightly
-        this.camera.position.set(0, 6.5, 10); // Higher Y, slightly further back Z
+        // With several tracks the camera pulls back so every track stays in view
+        const extraDistance = (this.trackCount - 1) * 4;
+        this.camera.position.set(0, 6.5, 10 + extraDistance); // Higher Y, slightly further back Z
         this.camera.lookAt(0, 6.5, 0); // Look slightly further down the path
     }
 
@@ -102,5 +233,8 @@ export class SceneSetup {
         this.camera.aspect = this.renderDiv.clientWidth / this.renderDiv.clientHeight;
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(this.renderDiv.clientWidth, this.renderDiv.clientHeight);
+        if (this.composer) {
+            this.composer.setSize(this.renderDiv.clientWidth, this.renderDiv.clientHeight);
+        }
     }
 }
\ No newline at end of file
@@ -0,0 +1,102 @@
+// Score for one player: points for surviving plus bonus events (pickups and near misses).
+// Bonus events build a combo; every COMBO_STEP events in a row raise the multiplier applied
+// to bonus points. The combo ends if nothing happens for COMBO_WINDOW seconds, or on a hit.
+
+export const SCORE_RATE = 10; // Points per second survived
+export const BONUS_POINTS = {
+    coin: 5,
+    gem: 50,
+    nearMiss: 25
+};
+export const COMBO_STEP = 10; // Bonus events per multiplier step
+export const MAX_MULTIPLIER = 4;
+export const COMBO_WINDOW = 4.0; // Seconds a combo survives without another bonus event
+
+export class ScoreKeeper {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.total = 0;
+        this.combo = 0;
+        this.comboTimer = 0;
+        this.bestCombo = 0;
+        // Points earned per source, and how often each bonus happened
+        this.breakdown = {
+            survival: 0,
+            coin: 0,
+            gem: 0,
+            nearMiss: 0,
+            counts: { coin: 0, gem: 0, nearMiss: 0 }
+        };
+    }
+
+    get multiplier() {
+        return Math.min(MAX_MULTIPLIER, 1 + Math.floor(this.combo / COMBO_STEP));
+    }
+
+    // 0..1 progress towards the next multiplier step (1 once the multiplier is maxed)
+    getComboProgress() {
+        if (this.multiplier >= MAX_MULTIPLIER) return 1;
+        return (this.combo % COMBO_STEP) / COMBO_STEP;
+    }
+
+    // A maxed-out multiplier can be cashed in for a power-up (see GameCore.usePowerUp)
+    isComboFull() {
+        return this.multiplier >= MAX_MULTIPLIER;
+    }
+
+    spendCombo() {
+        this.combo = 0;
+        this.comboTimer = 0;
+    }
+
+    // Survival points and the combo timeout; returns true if the combo just ran out
+    update(deltaTime) {
+        const points = deltaTime * SCORE_RATE;
+        this.total += points;
+        this.breakdown.survival += points;
+        if (this.combo > 0) {
+            this.comboTimer -= deltaTime;
+            if (this.comboTimer <= 0) {
+                this.combo = 0;
+                this.comboTimer = 0;
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Adds a bonus event (one of BONUS_POINTS' keys) and returns { points, multiplier, combo }
+    award(source) {
+        // The event that completes a step already counts at the new multiplier
+        this.combo++;
+        this.bestCombo = Math.max(this.bestCombo, this.combo);
+        this.comboTimer = COMBO_WINDOW;
+        const multiplier = this.multiplier;
+        const points = BONUS_POINTS[source] * multiplier;
+        this.total += points;
+        this.breakdown[source] += points;
+        this.breakdown.counts[source]++;
+        return { points, multiplier, combo: this.combo };
+    }
+
+    // Getting hit ends the combo
+    hit() {
+        this.combo = 0;
+        this.comboTimer = 0;
+    }
+
+    // Plain copy for events and the game over screen
+    getBreakdown() {
+        return {
+            survival: this.breakdown.survival,
+            coin: this.breakdown.coin,
+            gem: this.breakdown.gem,
+            nearMiss: this.breakdown.nearMiss,
+            counts: { ...this.breakdown.counts },
+            bestCombo: this.bestCombo
+        };
+    }
+}
@@ -0,0 +1,137 @@
+import { EventEmitter } from './eventEmitter.js';
+import { OneEuroFilter } from './poseFilter.js';
+
+// Landmark indices (MediaPipe Pose)
+const NOSE = 0;
+const MOUTH_LEFT = 9;
+const MOUTH_RIGHT = 10;
+const LEFT_SHOULDER = 11;
+const RIGHT_SHOULDER = 12;
+const LEFT_WRIST = 15;
+const RIGHT_WRIST = 16;
+
+const MIN_VISIBILITY = 0.5; // Landmarks less visible than this are ignored
+const LEAN_FILTER = { minCutoff: 1.5, beta: 2.0 };
+const LEAN_THRESHOLD = 0.25; // Shoulder widths the head and shoulders move sideways to reach an outer lane
+const LEAN_HYSTERESIS = 0.06; // Shoulder widths past a boundary before the lane changes
+const SETTLE_TIME = 3.0; // Seconds for the upright position to follow someone settling into their seat
+const ARM_RAISE = 0.15; // Shoulder widths a wrist has to be above the nose
+const MOUTH_OPEN_RISE = 0.2; // Mouth corners this fraction further below the nose than at rest
+const MOUTH_HOLD_TIME = 150; // ms the mouth has to stay open, so talking doesn't jump
+
+export const SEATED_JUMP_GESTURES = ['arm', 'mouth'];
+
+function isVisible(landmark) {
+    return landmark && (landmark.visibility === undefined || landmark.visibility >= MIN_VISIBILITY);
+}
+
+// Pose controls for playing seated, from the upper body alone. Leaning the head and shoulders
+// to one side moves to that side's lane, sitting upright comes back to the middle one. A jump
+// is a raised arm (either one) or an open mouth. The pose model only knows the corners of the
+// mouth, which drop a little as the jaw opens, so the mouth is measured against how it sits at
+// rest and needs a deliberate, wide opening.
+//
+// Emits the same events as PoseControlFilter:
+//   'lane' { lane, timestamp, changed }   with every pose, the lane (0..2) the player leans into
+//   'jump' { timestamp }         when the jump gesture starts
+export class SeatedPoseControls extends EventEmitter {
+    constructor() {
+        super();
+        this.leanFilter = new OneEuroFilter(LEAN_FILTER);
+        this.reset();
+    }
+
+    reset() {
+        this.leanFilter.reset();
+        this.lastTimestamp = null;
+        this.lane = null; // Reported after the first pose
+        this.centerX = null; // Upright position, measured from the first pose
+        this.restingMouth = null;
+        this.mouthOpenSince = null;
+        this.lastJumpTime = -Infinity;
+        this.jumpArmed = true;
+    }
+
+    // landmarks: tilt-corrected landmarks from PoseTracker; timestamp in ms.
+    // options:
+    //   jumpGesture   'arm' or 'mouth'
+    //   jumpCooldown  seconds before another jump
+    update(landmarks, timestamp, { jumpGesture = 'arm', jumpCooldown = 0.7 } = {}) {
+        if (!landmarks) return;
+        const nose = landmarks[NOSE];
+        const leftShoulder = landmarks[LEFT_SHOULDER];
+        const rightShoulder = landmarks[RIGHT_SHOULDER];
+        if (![nose, leftShoulder, rightShoulder].every(isVisible)) return;
+        const shoulderWidth = Math.abs(leftShoulder.x - rightShoulder.x);
+        if (shoulderWidth <= 0) return;
+        if (this.lastTimestamp !== null && timestamp <= this.lastTimestamp) return;
+        const dt = this.lastTimestamp === null ? 0 : (timestamp - this.lastTimestamp) / 1000;
+        this.lastTimestamp = timestamp;
+
+        // Mirrored like the standing controls, so leaning to your left moves left
+        const headX = (nose.x + (leftShoulder.x + rightShoulder.x) / 2) / 2;
+        this._updateLane(this.leanFilter.filter(1 - headX, timestamp), shoulderWidth, dt, timestamp);
+
+        const jumping = jumpGesture === 'mouth'
+            ? this._isMouthOpen(landmarks, nose, shoulderWidth, dt, timestamp)
+            : this._isArmRaised(landmarks, nose, shoulderWidth);
+        this._updateJump(jumping, timestamp, jumpCooldown);
+    }
+
+    _updateLane(x, shoulderWidth, dt, timestamp) {
+        if (this.centerX === null) this.centerX = x;
+        const offset = (x - this.centerX) / shoulderWidth;
+        // Boundaries move away from the current lane, so holding a lean on one doesn't flicker
+        let left = -LEAN_THRESHOLD;
+        let right = LEAN_THRESHOLD;
+        if (this.lane !== null) {
+            left += this.lane === 0 ? LEAN_HYSTERESIS : -LEAN_HYSTERESIS;
+            right += this.lane === 2 ? -LEAN_HYSTERESIS : LEAN_HYSTERESIS;
+        }
+        const lane = offset < left ? 0 : offset > right ? 2 : 1;
+        const changed = lane !== this.lane;
+        this.lane = lane;
+        this.emit('lane', { lane, timestamp, changed });
+
+        // Follow slow shifts in the seat while sitting upright
+        if (lane === 1 && Math.abs(offset) < LEAN_THRESHOLD / 2 && dt > 0) {
+            this.centerX += (x - this.centerX) * (1 - Math.exp(-dt / SETTLE_TIME));
+        }
+    }
+
+    _isArmRaised(landmarks, nose, shoulderWidth) {
+        return [landmarks[LEFT_WRIST], landmarks[RIGHT_WRIST]]
+            .some(wrist => isVisible(wrist) && wrist.y < nose.y - ARM_RAISE * shoulderWidth);
+    }
+
+    _isMouthOpen(landmarks, nose, shoulderWidth, dt, timestamp) {
+        const mouthLeft = landmarks[MOUTH_LEFT];
+        const mouthRight = landmarks[MOUTH_RIGHT];
+        if (![mouthLeft, mouthRight].every(isVisible)) return false;
+        // Relative to the shoulders so leaning towards the camera doesn't open the mouth
+        const drop = ((mouthLeft.y + mouthRight.y) / 2 - nose.y) / shoulderWidth;
+        if (this.restingMouth === null) this.restingMouth = drop;
+        if (drop <= this.restingMouth * (1 + MOUTH_OPEN_RISE)) {
+            this.mouthOpenSince = null;
+            if (dt > 0) {
+                this.restingMouth += (drop - this.restingMouth) * (1 - Math.exp(-dt / SETTLE_TIME));
+            }
+            return false;
+        }
+        if (this.mouthOpenSince === null) this.mouthOpenSince = timestamp;
+        return timestamp - this.mouthOpenSince >= MOUTH_HOLD_TIME;
+    }
+
+    // Fires once per gesture, when it starts
+    _updateJump(jumping, timestamp, jumpCooldown) {
+        if (!jumping) {
+            this.jumpArmed = true;
+            return;
+        }
+        if (!this.jumpArmed) return;
+        this.jumpArmed = false;
+        if (timestamp - this.lastJumpTime < jumpCooldown * 1000) return;
+        this.lastJumpTime = timestamp;
+        this.emit('jump', { timestamp });
+    }
+}
@@ -0,0 +1,157 @@
+import { EventEmitter } from './eventEmitter.js';
+import { DIFFICULTY_NAMES, DEFAULT_DIFFICULTY } from './difficulty.js';
+import { GRAPHICS_QUALITIES, AUTO_QUALITY } from './graphicsQuality.js';
+import { SEATED_JUMP_GESTURES } from './seatedControls.js';
+
+// Player-facing options, kept in localStorage. Every option is described by SETTINGS_SCHEMA,
+// which the settings menu builds its controls from and which validates stored and new values.
+// Whoever applies an option listens for 'change' ({ key, value }), so changes take effect
+// straight away. Key bindings, input devices and volumes have their own stores
+// (inputManager.js, audioManager.js); the settings menu links to their menus.
+
+const STORAGE_KEY = 'floorIsLava.settings';
+
+// Reduced motion starts on for anyone who asked their system for it
+function prefersReducedMotion() {
+    return typeof window !== 'undefined' && !!window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+//   type          'choice' (one of options), 'number' (min..max, in steps of step) or 'boolean'
+//   label, hint   shown in the settings menu
+export const SETTINGS_SCHEMA = {
+    difficulty: {
+        type: 'choice', options: DIFFICULTY_NAMES, default: DEFAULT_DIFFICULTY,
+        label: 'Difficulty', hint: 'Speed ramp and lane change cooldown. Applies from the next run.'
+    },
+    poseSensitivity: {
+        type: 'number', min: 0.5, max: 2, step: 0.1, default: 1,
+        label: 'Jump sensitivity', hint: 'Higher needs a smaller hop to jump (scales the calibrated threshold).'
+    },
+    poseJumpCooldown: {
+        type: 'number', min: 0.3, max: 1.5, step: 0.05, default: 0.7,
+        label: 'Jump repeat delay (s)', hint: 'How soon another hop can trigger a jump.'
+    },
+    cameraMirrored: {
+        type: 'boolean', default: false,
+        label: 'Camera image is already mirrored', hint: 'Turn on if moving left steers you right.'
+    },
+    showVideo: {
+        type: 'boolean', default: true,
+        label: 'Show camera preview'
+    },
+    graphicsQuality: {
+        type: 'choice', options: GRAPHICS_QUALITIES, default: AUTO_QUALITY,
+        label: 'Graphics quality', hint: 'Auto lowers the detail when the game or pose detection falls behind, and raises it again when there is room.'
+    },
+    cameraFollowSpeed: {
+        type: 'number', min: 0.05, max: 1, step: 0.05, default: 0.4,
+        label: 'Camera follow speed', hint: 'How quickly the view swings to your lane.'
+    },
+    // Accessibility
+    poseControlMode: {
+        type: 'choice', options: ['standing', 'seated'], default: 'standing',
+        label: 'Pose controls', hint: 'Seated: lean your head and shoulders to change lane. Skips the standing calibration.'
+    },
+    seatedJumpGesture: {
+        type: 'choice', options: SEATED_JUMP_GESTURES, default: 'arm',
+        label: 'Seated jump', hint: 'Raise either arm above your head, or open your mouth wide for a moment.'
+    },
+    oneSwitch: {
+        type: 'boolean', default: false,
+        label: 'One-switch input', hint: 'Actions are highlighted in turn; any key, tap, click or gamepad button picks the highlighted one.'
+    },
+    scanInterval: {
+        type: 'number', min: 0.5, max: 3, step: 0.1, default: 1.2,
+        label: 'Scan speed (s per action)'
+    },
+    reducedMotion: {
+        type: 'boolean', default: prefersReducedMotion(),
+        label: 'Reduced motion', hint: 'Keeps the camera still and stops the running bounce and effect animations.'
+    },
+    highContrast: {
+        type: 'boolean', default: false,
+        label: 'High contrast', hint: 'Bright flat hazards and white lane lines on a dark floor.'
+    }
+};
+export const SETTING_KEYS = Object.keys(SETTINGS_SCHEMA);
+
+export function isValidSetting(key, value) {
+    const schema = SETTINGS_SCHEMA[key];
+    if (!schema) return false;
+    switch (schema.type) {
+        case 'choice':
+            return schema.options.includes(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value) && value >= schema.min && value <= schema.max;
+        case 'boolean':
+            return typeof value === 'boolean';
+        default:
+            return false;
+    }
+}
+
+export function createDefaultSettings() {
+    const settings = {};
+    for (const key of SETTING_KEYS) {
+        settings[key] = SETTINGS_SCHEMA[key].default;
+    }
+    return settings;
+}
+
+// Stored values that are missing or no longer valid fall back to their defaults one by one
+export function loadSettings() {
+    const settings = createDefaultSettings();
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (stored && typeof stored === 'object') {
+            for (const key of SETTING_KEYS) {
+                if (isValidSetting(key, stored[key])) {
+                    settings[key] = stored[key];
+                }
+            }
+        }
+    } catch (error) {
+        console.warn("Ignoring unreadable settings:", error);
+    }
+    return settings;
+}
+
+export function saveSettings(settings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.warn("Could not save settings:", error);
+    }
+}
+
+export class Settings extends EventEmitter {
+    constructor(values = loadSettings()) {
+        super();
+        this.values = values;
+    }
+
+    get(key) {
+        if (!(key in SETTINGS_SCHEMA)) {
+            throw new Error(`Unknown setting: ${key}`);
+        }
+        return this.values[key];
+    }
+
+    // Throws for an unknown key or a value the schema doesn't allow
+    set(key, value) {
+        if (!isValidSetting(key, value)) {
+            throw new Error(`Invalid value for setting ${key}: ${JSON.stringify(value)}`);
+        }
+        if (this.values[key] === value) return;
+        this.values[key] = value;
+        saveSettings(this.values);
+        this.emit('change', { key, value });
+    }
+
+    reset() {
+        const defaults = createDefaultSettings();
+        for (const key of SETTING_KEYS) {
+            this.set(key, defaults[key]);
+        }
+    }
+}
@@ -0,0 +1,134 @@
+import { SETTINGS_SCHEMA, SETTING_KEYS } from './settings.js';
+import { DIFFICULTIES } from './difficulty.js';
+
+const OPTION_LABELS = {
+    difficulty: name => DIFFICULTIES[name].name,
+    graphicsQuality: quality => quality[0].toUpperCase() + quality.slice(1),
+    poseControlMode: mode => mode[0].toUpperCase() + mode.slice(1),
+    seatedJumpGesture: gesture => ({ arm: 'Raised arm', mouth: 'Open mouth' })[gesture]
+};
+
+// Overlay with a control per option in SETTINGS_SCHEMA, plus links to the controls and sound
+// menus. Changes go through Settings.set(), which saves them and lets the game apply them.
+export class SettingsMenu {
+    constructor(parentElement, settings, controlsMenu, soundMenu) {
+        this.settings = settings;
+        this.controls = {}; // key -> { input, valueText }
+
+        this.container = document.createElement('div');
+        this.container.className = 'input-settings hidden';
+        parentElement.appendChild(this.container);
+
+        const title = document.createElement('h2');
+        title.textContent = 'Settings';
+        title.className = 'input-settings-title';
+        this.container.appendChild(title);
+
+        for (const key of SETTING_KEYS) {
+            this._addControl(key, SETTINGS_SCHEMA[key]);
+        }
+
+        const buttonRow = document.createElement('div');
+        buttonRow.className = 'calibration-buttons';
+        this.container.appendChild(buttonRow);
+
+        // The other menus open in place of this one
+        const addButton = (text, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.className = 'game-button calibration-button';
+            button.addEventListener('click', onClick);
+            buttonRow.appendChild(button);
+        };
+        addButton('Controls', () => {
+            this.close();
+            controlsMenu.open();
+        });
+        addButton('Sound', () => {
+            this.close();
+            soundMenu.open();
+        });
+        addButton('Reset to Defaults', () => {
+            this.settings.reset();
+            this._refresh();
+        });
+        addButton('Done', () => this.close());
+    }
+
+    _addControl(key, schema) {
+        const row = document.createElement('label');
+        row.className = 'settings-row';
+        this.container.appendChild(row);
+
+        const labelText = document.createElement('span');
+        labelText.className = 'settings-label';
+        labelText.textContent = schema.label;
+        row.appendChild(labelText);
+
+        let input;
+        let valueText = null;
+        if (schema.type === 'choice') {
+            input = document.createElement('select');
+            const describe = OPTION_LABELS[key] || (option => option);
+            schema.options.forEach(option => {
+                const element = document.createElement('option');
+                element.value = option;
+                element.textContent = describe(option);
+                input.appendChild(element);
+            });
+            input.addEventListener('change', () => this.settings.set(key, input.value));
+        } else if (schema.type === 'number') {
+            input = document.createElement('input');
+            input.type = 'range';
+            input.min = String(schema.min);
+            input.max = String(schema.max);
+            input.step = String(schema.step);
+            valueText = document.createElement('span');
+            valueText.className = 'settings-value';
+            input.addEventListener('input', () => {
+                this.settings.set(key, Number(input.value));
+                valueText.textContent = input.value;
+            });
+        } else {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.addEventListener('change', () => this.settings.set(key, input.checked));
+        }
+        row.appendChild(input);
+        if (valueText) row.appendChild(valueText);
+
+        if (schema.hint) {
+            const hint = document.createElement('p');
+            hint.className = 'input-settings-hint settings-hint';
+            hint.textContent = schema.hint;
+            this.container.appendChild(hint);
+        }
+        this.controls[key] = { input, valueText };
+    }
+
+    open() {
+        this._refresh();
+        this.container.classList.remove('hidden');
+    }
+
+    close() {
+        this.container.classList.add('hidden');
+    }
+
+    isOpen() {
+        return !this.container.classList.contains('hidden');
+    }
+
+    _refresh() {
+        for (const key of SETTING_KEYS) {
+            const { input, valueText } = this.controls[key];
+            const value = this.settings.get(key);
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = String(value);
+            }
+            if (valueText) valueText.textContent = String(value);
+        }
+    }
+}
@@ -0,0 +1,78 @@
+// Actions offered in turn. After each pick the scan starts over from the top, so jump, which
+// is needed most often, is always the quickest to reach.
+const SCAN_ITEMS = [
+    { action: 'jump', label: 'Jump' },
+    { action: 'left', label: '◀ Left' },
+    { action: 'right', label: 'Right ▶' },
+    { action: 'duck', label: 'Duck' }
+];
+
+// One-switch scanning: while a run is on (isActive()), the actions above are highlighted one
+// after another and press() picks the highlighted one, calling onSelect(action). InputManager
+// turns any key, tap, click or gamepad button into a press while one-switch input is on.
+export class SwitchScanner {
+    constructor(parentElement, onSelect, isActive) {
+        this.onSelect = onSelect;
+        this.isActive = isActive;
+        this.enabled = false;
+        this.interval = 1.2; // Seconds per item
+        this.index = 0;
+        this.timer = null;
+        this._step = this._step.bind(this);
+
+        this.container = document.createElement('div');
+        this.container.className = 'switch-scanner hidden';
+        this.container.setAttribute('aria-hidden', 'true'); // Changes every interval, too often to read out
+        parentElement.appendChild(this.container);
+
+        this.items = SCAN_ITEMS.map(({ label }) => {
+            const item = document.createElement('span');
+            item.className = 'switch-scanner-item';
+            item.textContent = label;
+            this.container.appendChild(item);
+            return item;
+        });
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this._restart();
+    }
+
+    setScanInterval(seconds) {
+        this.interval = seconds;
+        this._restart();
+    }
+
+    // Returns true if the press picked an action (false while no run is on)
+    press() {
+        if (!this.enabled || !this.isActive()) return false;
+        this.onSelect(SCAN_ITEMS[this.index].action);
+        this._restart();
+        return true;
+    }
+
+    // Back to the first item, with a full interval on it
+    _restart() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.index = 0;
+        if (this.enabled) {
+            this.timer = setInterval(this._step, this.interval * 1000);
+        }
+        this._render();
+    }
+
+    _step() {
+        if (this.isActive()) {
+            this.index = this.container.classList.contains('hidden') ? 0 : (this.index + 1) % SCAN_ITEMS.length;
+        }
+        this._render();
+    }
+
+    _render() {
+        const visible = this.enabled && this.isActive();
+        this.container.classList.toggle('hidden', !visible);
+        this.items.forEach((item, index) => item.classList.toggle('active', index === this.index));
+    }
+}
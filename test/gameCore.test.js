@@ -0,0 +1,367 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameCore, TICK_RATE } from '../gameCore.js';
+import { ReplayPlayer } from '../replay.js';
+import { parseLevel } from '../levels.js';
+import { SCORE_RATE, BONUS_POINTS, COMBO_STEP, COMBO_WINDOW } from '../scoring.js';
+import { SHIELD_GRACE_TIME } from '../powerUps.js';
+import { PLAYER_START_Z, PLAYER_JUMP_HEIGHT, setConstant } from '../constants.js';
+
+// Headless rules, run in Node. The tests own the clock: time only passes through advance(),
+// one display frame at a time. Courses are small levels with hazards at known distances and
+// a constant speed, and the random pickups are switched off so only the ones a test places
+// are on the track. Run with `node --test` from the repository root.
+
+const SPEED = 10; // Units per second
+const FRAME = 1 / 60;
+
+function createLevel(hazards, target = 1000) {
+    return parseLevel({
+        id: 'test-course',
+        name: 'Test course',
+        seed: 1,
+        goal: { type: 'distance', target },
+        speed: [{ at: 0, speed: SPEED }],
+        hazards
+    });
+}
+
+function startLevel(hazards, playerCount = 1) {
+    const core = new GameCore();
+    core.startLevel(createLevel(hazards), playerCount);
+    core.collectibleFields.forEach(field => {
+        field._spawnGroup = () => {};
+    });
+    return core;
+}
+
+// Advances the fake clock until the time is up or the run ends
+function runFor(core, seconds, frameTime = FRAME) {
+    for (let time = 0; time < seconds - 1e-9 && core.isRunning(); time += frameTime) {
+        core.advance(frameTime);
+    }
+}
+
+// Advances until check() is true (checked before every frame); fails if it never is
+function runUntil(core, check, maxSeconds = 30) {
+    for (let time = 0; time < maxSeconds; time += FRAME) {
+        if (check()) return;
+        core.advance(FRAME);
+    }
+    assert.fail('condition not reached');
+}
+
+function record(core, eventName) {
+    const events = [];
+    core.on(eventName, payload => events.push(payload));
+    return events;
+}
+
+// Distance from the player to the front edge of the first hazard still ahead of them
+function distanceToHazard(core, playerIndex = 0) {
+    const ahead = core.lavaFields[playerIndex].lavaHazards.filter(hazard => hazard.z + 1 < PLAYER_START_Z);
+    return ahead.length > 0 ? PLAYER_START_Z - (Math.max(...ahead.map(hazard => hazard.z)) + 1) : Infinity;
+}
+
+// A pickup on the player's track, the given distance ahead of them
+function placePickup(core, kind, lane, distance, playerIndex = 0) {
+    core.collectibleFields[playerIndex]._addItem(kind, lane, PLAYER_START_Z - distance);
+}
+
+test('running into lava ends a single-player run', () => {
+    const core = startLevel([{ at: 40, kind: 'lava', lanes: [1] }]);
+    const outs = record(core, 'playerOut');
+    const gameOvers = record(core, 'gameOver');
+
+    runFor(core, 10);
+
+    assert.equal(outs.length, 1);
+    assert.equal(gameOvers.length, 1);
+    assert.equal(gameOvers[0].hazard.kind, 'lava');
+    assert.equal(gameOvers[0].levelComplete, false);
+    // Survival points until the lava's front edge (half a tile ahead of its centre) arrived
+    const expected = (40 - 1) / SPEED * SCORE_RATE;
+    assert.ok(Math.abs(gameOvers[0].score - expected) < 0.5, `score ${gameOvers[0].score}`);
+});
+
+test('changing lane or jumping gets past lava', () => {
+    const dodged = startLevel([{ at: 40, kind: 'lava', lanes: [1] }]);
+    dodged.setTargetLane(0);
+    runFor(dodged, 6);
+    assert.ok(dodged.isPlayerAlive(0));
+
+    const jumped = startLevel([{ at: 40, kind: 'lava', lanes: [0, 1, 2] }]);
+    const jumps = record(jumped, 'jump');
+    runUntil(jumped, () => distanceToHazard(jumped) <= SPEED * 0.3);
+    jumped.jump();
+    runFor(jumped, 3);
+    assert.equal(jumps.length, 1);
+    assert.ok(jumped.isPlayerAlive(0));
+
+    const late = startLevel([{ at: 40, kind: 'lava', lanes: [0, 1, 2] }]);
+    runUntil(late, () => distanceToHazard(late) <= SPEED * 0.02);
+    late.jump(); // Still too low when the lava reaches the player
+    runFor(late, 3);
+    assert.equal(late.isPlayerAlive(0), false);
+});
+
+test('ducking gets under an overhead fire bar; jumping takes the player into it', () => {
+    const ducked = startLevel([{ at: 40, kind: 'overhead', lanes: [0, 1, 2] }]);
+    const ducks = record(ducked, 'duck');
+    runUntil(ducked, () => distanceToHazard(ducked) <= SPEED * 0.2);
+    ducked.duck();
+    runFor(ducked, 3);
+    assert.equal(ducks.length, 1);
+    assert.ok(ducked.isPlayerAlive(0));
+
+    const jumped = startLevel([{ at: 40, kind: 'overhead', lanes: [0, 1, 2] }]);
+    const outs = record(jumped, 'playerOut');
+    runUntil(jumped, () => distanceToHazard(jumped) <= SPEED * 0.3);
+    jumped.jump();
+    runFor(jumped, 3);
+    assert.equal(outs.length, 1);
+    assert.equal(outs[0].hazard.kind, 'overhead');
+});
+
+test('a lane change only takes once the cooldown is over', () => {
+    const core = startLevel([]);
+    const changes = record(core, 'laneChange');
+
+    core.setTargetLane(0);
+    runFor(core, 0.1);
+    core.setTargetLane(2);
+    runFor(core, 0.1);
+    assert.deepEqual(changes, [{ player: 0, lane: 0 }]);
+
+    runFor(core, 1);
+    core.moveLane(1);
+    runFor(core, 0.1);
+    assert.deepEqual(changes, [{ player: 0, lane: 0 }, { player: 0, lane: 1 }]);
+});
+
+test('pose updates during the cooldown are dropped; key presses are still recorded', () => {
+    const core = startLevel([{ at: 40, kind: 'lava', lanes: [1] }]);
+    const gameOvers = record(core, 'gameOver');
+    core.setTargetLane(0);
+    runFor(core, 0.1);
+    // The pose filter resends its lane every frame; a key press lands once
+    for (let frame = 0; frame < 6; frame++) {
+        core.setTargetLane(2, 0, { fromPose: true });
+        runFor(core, FRAME);
+    }
+    core.moveLane(1);
+    runFor(core, 1);
+    core.setTargetLane(1);
+    runFor(core, 10);
+
+    const lanes = core.getLastReplay().inputs.filter(([, , type]) => type === 'lane').map(([, , , lane]) => lane);
+    assert.deepEqual(lanes, [0, 1, 1]);
+    const playback = new GameCore();
+    const results = record(playback, 'gameOver');
+    playback.startReplay(new ReplayPlayer(core.getLastReplay()));
+    runFor(playback, 10);
+    assert.equal(results[0].replayResult.matched, true);
+    assert.equal(results[0].tick, gameOvers[0].tick);
+});
+
+test('each player has one life; the run ends when the last one is out', () => {
+    const core = startLevel([{ at: 40, kind: 'lava', lanes: [1] }, { at: 80, kind: 'lava', lanes: [0] }], 2);
+    const outs = record(core, 'playerOut');
+    const gameOvers = record(core, 'gameOver');
+
+    core.setTargetLane(0, 0); // Player 1 steps aside, player 2 stays in the lava's lane
+    runFor(core, 6);
+    assert.deepEqual(outs.map(out => out.player), [1]);
+    assert.ok(core.isRunning());
+    const scoreWhenOut = core.scores[1];
+
+    runFor(core, 10); // The second row comes down player 1's lane
+    assert.deepEqual(outs.map(out => out.player), [1, 0]);
+    assert.equal(gameOvers.length, 1);
+    assert.equal(core.scores[1], scoreWhenOut, 'a player who is out stops scoring');
+    assert.ok(gameOvers[0].scores[0] > gameOvers[0].scores[1]);
+    assert.equal(gameOvers[0].winner, 0);
+});
+
+test('a shield takes one hit, then gives a moment of grace', () => {
+    const graceDistance = SHIELD_GRACE_TIME * SPEED;
+    const core = startLevel([
+        { at: 40, kind: 'lava', lanes: [1] },
+        { at: 40 + graceDistance / 2, kind: 'lava', lanes: [1] }, // Arrives during the grace time
+        { at: 60, kind: 'lava', lanes: [1] } // Arrives long after it
+    ]);
+    const powerUps = record(core, 'powerUp');
+    const breaks = record(core, 'shieldBreak');
+    const outs = record(core, 'playerOut');
+
+    placePickup(core, 'shield', 1, 5);
+    runFor(core, 1);
+    assert.deepEqual(powerUps.map(({ kind, source }) => ({ kind, source })), [{ kind: 'shield', source: 'pickup' }]);
+    assert.ok(core.getPowerUps(0).shield > 0);
+
+    runFor(core, 3.5);
+    assert.equal(breaks.length, 1);
+    assert.equal(breaks[0].hazard.absorbed, true);
+    assert.ok(core.isPlayerAlive(0));
+    assert.equal(core.getPowerUps(0).shield, undefined);
+
+    runFor(core, 1); // The second row arrives while the player is still invulnerable
+    assert.ok(core.isPlayerAlive(0));
+    assert.equal(breaks.length, 1);
+
+    runFor(core, 2); // No shield and no grace left for the third
+    assert.equal(outs.length, 1);
+    assert.notEqual(outs[0].hazard, breaks[0].hazard);
+});
+
+test('pickups award their bonus points', () => {
+    const core = startLevel([]);
+    const bonuses = record(core, 'bonus');
+
+    placePickup(core, 'coin', 1, 5);
+    placePickup(core, 'gem', 1, 10);
+    placePickup(core, 'coin', 0, 15); // Not in the player's lane
+    runFor(core, 2);
+
+    assert.deepEqual(bonuses.map(({ source, points }) => ({ source, points })), [
+        { source: 'coin', points: BONUS_POINTS.coin },
+        { source: 'gem', points: BONUS_POINTS.gem }
+    ]);
+    const { breakdown } = core.getScoreDetails(0);
+    assert.equal(breakdown.coin, BONUS_POINTS.coin);
+    assert.equal(breakdown.gem, BONUS_POINTS.gem);
+    assert.deepEqual(breakdown.counts, { coin: 1, gem: 1, nearMiss: 0 });
+    assert.ok(Math.abs(core.scores[0] - (breakdown.survival + BONUS_POINTS.coin + BONUS_POINTS.gem)) < 1e-9);
+});
+
+test('leaving a lane just before lava arrives is a near miss', () => {
+    const core = startLevel([{ at: 40, kind: 'lava', lanes: [1] }]);
+    const bonuses = record(core, 'bonus');
+
+    runUntil(core, () => distanceToHazard(core) <= SPEED * 0.15);
+    core.setTargetLane(2);
+    runFor(core, 2);
+
+    assert.ok(core.isPlayerAlive(0));
+    assert.deepEqual(bonuses.map(({ source, nearMiss, points }) => ({ source, nearMiss, points })), [
+        { source: 'nearMiss', nearMiss: 'dodge', points: BONUS_POINTS.nearMiss }
+    ]);
+});
+
+test('clearing lava with little height to spare is a near miss; a high jump is not', () => {
+    const close = startLevel([{ at: 40, kind: 'lava', lanes: [0, 1, 2] }]);
+    const closeBonuses = record(close, 'bonus');
+    // Comes down over the lava near the end of the 1.2 s jump
+    runUntil(close, () => distanceToHazard(close) <= SPEED * 0.93);
+    close.jump();
+    runFor(close, 3);
+    assert.ok(close.isPlayerAlive(0));
+    assert.deepEqual(closeBonuses.map(({ nearMiss }) => nearMiss), ['jump']);
+
+    const high = startLevel([{ at: 40, kind: 'lava', lanes: [0, 1, 2] }]);
+    const highBonuses = record(high, 'bonus');
+    // Over the lava at the top of the jump
+    runUntil(high, () => distanceToHazard(high) <= SPEED * 0.5);
+    high.jump();
+    runFor(high, 3);
+    assert.ok(high.isPlayerAlive(0));
+    assert.equal(highBonuses.length, 0);
+});
+
+test('bonuses in a row raise the multiplier until the combo times out', () => {
+    const core = startLevel([]);
+    const bonuses = record(core, 'bonus');
+    const combos = record(core, 'combo');
+
+    for (let i = 0; i < COMBO_STEP; i++) {
+        placePickup(core, 'coin', 1, 5 + i * 2.5);
+    }
+    runFor(core, 4);
+
+    assert.equal(bonuses.length, COMBO_STEP);
+    assert.deepEqual(bonuses.slice(0, COMBO_STEP - 1).map(bonus => bonus.multiplier), new Array(COMBO_STEP - 1).fill(1));
+    // The bonus that completes a step already counts at the new multiplier
+    assert.equal(bonuses[COMBO_STEP - 1].multiplier, 2);
+    assert.equal(bonuses[COMBO_STEP - 1].points, BONUS_POINTS.coin * 2);
+    assert.equal(core.getScoreDetails(0).multiplier, 2);
+
+    // Nothing else happens: the combo runs out COMBO_WINDOW seconds after the last coin
+    combos.length = 0;
+    runFor(core, COMBO_WINDOW + 0.5);
+    assert.deepEqual(combos, [{ player: 0, combo: 0, multiplier: 1 }]);
+    assert.equal(core.getScoreDetails(0).multiplier, 1);
+    assert.equal(core.getScoreDetails(0).breakdown.bestCombo, COMBO_STEP);
+});
+
+test('getting hit ends the combo', () => {
+    const core = startLevel([{ at: 40, kind: 'lava', lanes: [1] }]);
+    placePickup(core, 'shield', 1, 5);
+    placePickup(core, 'coin', 1, 10);
+    placePickup(core, 'coin', 1, 12.5);
+    runFor(core, 2);
+    assert.equal(core.getScoreDetails(0).combo, 2);
+
+    runFor(core, 2.5); // The shield takes the hit, the combo goes with it
+    assert.ok(core.isPlayerAlive(0));
+    assert.equal(core.getScoreDetails(0).combo, 0);
+});
+
+test('a replay re-runs to the same result at any frame rate', () => {
+    const core = new GameCore();
+    const gameOvers = record(core, 'gameOver');
+    core.start(20240611, 2);
+    // Scripted inputs on the fake clock: both players weave and hop until they are out
+    for (let frame = 0; core.isRunning() && frame < 60 * 120; frame++) {
+        if (frame % 45 === 0) core.setTargetLane((frame / 45) % 3, 0);
+        if (frame % 70 === 0) core.moveLane(frame % 140 === 0 ? 1 : -1, 1);
+        if (frame % 50 === 0) core.jump(0);
+        if (frame % 80 === 0) core.duck(1);
+        core.advance(FRAME);
+    }
+    assert.equal(gameOvers.length, 1, 'the scripted run should end');
+    const recorded = gameOvers[0];
+    const replay = JSON.parse(JSON.stringify(core.getLastReplay()));
+    assert.equal(replay.tickRate, TICK_RATE);
+    assert.ok(replay.inputs.length > 0);
+    assert.throws(() => new ReplayPlayer({ ...replay, players: 3 }), /at most 2/);
+
+    for (const frameTime of [1 / 144, 1 / 30]) {
+        const playback = new GameCore();
+        const results = record(playback, 'gameOver');
+        playback.startReplay(new ReplayPlayer(replay));
+        runFor(playback, 600, frameTime);
+        assert.equal(results.length, 1);
+        assert.equal(results[0].replayResult.matched, true, `playback at ${1 / frameTime} fps`);
+        assert.equal(results[0].tick, recorded.tick);
+        assert.deepEqual(results[0].scores, recorded.scores);
+        assert.deepEqual(results[0].breakdowns, recorded.breakdowns);
+    }
+});
+
+test('runs with tuned constants leave no replay, and replays wait for the defaults', () => {
+    const recorded = startLevel([{ at: 40, kind: 'lava', lanes: [1] }]);
+    runFor(recorded, 10);
+    const replay = recorded.getLastReplay();
+    assert.ok(replay);
+
+    const defaultHeight = PLAYER_JUMP_HEIGHT;
+    try {
+        setConstant('PLAYER_JUMP_HEIGHT', defaultHeight * 2);
+        const tuned = startLevel([{ at: 40, kind: 'lava', lanes: [1] }]);
+        runFor(tuned, 10);
+        assert.equal(tuned.isRunning(), false);
+        assert.equal(tuned.getLastReplay(), null);
+        assert.throws(() => new GameCore().startReplay(new ReplayPlayer(replay)), /tuned/);
+
+        // Tuned halfway through: the recording is dropped too
+        setConstant('PLAYER_JUMP_HEIGHT', defaultHeight);
+        const midRun = startLevel([{ at: 40, kind: 'lava', lanes: [1] }]);
+        runFor(midRun, 1);
+        setConstant('PLAYER_JUMP_HEIGHT', defaultHeight * 2);
+        runFor(midRun, 10);
+        assert.equal(midRun.isRunning(), false);
+        assert.equal(midRun.getLastReplay(), null);
+    } finally {
+        setConstant('PLAYER_JUMP_HEIGHT', defaultHeight);
+    }
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LavaField, SPAWN_DISTANCE } from '../lavaField.js';
+import { LavaPatternGenerator } from '../lavaPatterns.js';
+import { DIFFICULTY_NAMES, getDifficulty } from '../difficulty.js';
+import { GameCore } from '../gameCore.js';
+import { FIXED_TIMESTEP, PLAYER_START_Z, PLAYER_JUMP_DURATION, PLAYER_DUCK_DURATION, setConstant } from '../constants.js';
+
+const SEEDS = [1, 20240611, 0xdeadbeef];
+const RUN_TIME = 180; // Seconds, far enough up the speed ramp that it stops mattering
+
+// Runs a generated course on the difficulty's speed ramp, the way GameCore does, and returns
+// every row with the time it actually reached the player
+function runCourse(seed, rules) {
+    const field = new LavaField(seed);
+    field.patternGenerator.setLaneChangeCooldown(rules.laneChangeCooldown);
+    const rows = [];
+    const inFlight = [];
+    const spawnRow = field._spawnRow.bind(field);
+    field._spawnRow = (row, targetZ, currentSpeed) => {
+        inFlight.push({ row, spawnDistance: field.distance });
+        spawnRow(row, targetZ, currentSpeed);
+    };
+
+    let speed = rules.initialSpeed;
+    let time = 0;
+    while (time < RUN_TIME) {
+        speed = Math.min(rules.maxSpeed, speed + rules.speedIncreaseRate * FIXED_TIMESTEP);
+        const distanceBefore = field.distance;
+        field.update(FIXED_TIMESTEP, PLAYER_START_Z, speed);
+        // A row arrives once the track has carried it the whole spawn distance
+        while (inFlight.length > 0 && field.distance >= inFlight[0].spawnDistance + SPAWN_DISTANCE) {
+            const { row, spawnDistance } = inFlight.shift();
+            const travelled = spawnDistance + SPAWN_DISTANCE - distanceBefore;
+            rows.push({ row, arrival: time + Math.max(0, travelled) / speed });
+        }
+        time += FIXED_TIMESTEP;
+    }
+    return rows;
+}
+
+test('rows reach the player at least as far apart as they were planned, as the track speeds up', () => {
+    for (const name of DIFFICULTY_NAMES) {
+        for (const seed of SEEDS) {
+            const rows = runCourse(seed, getDifficulty(name));
+            assert.ok(rows.length > 100, `${name}, seed ${seed}: only ${rows.length} rows`);
+            for (let i = 1; i < rows.length; i++) {
+                const gap = rows[i].arrival - rows[i - 1].arrival;
+                // Spawns land on ticks, so a gap can come out up to a tick short
+                assert.ok(gap >= rows[i].row.delay - FIXED_TIMESTEP,
+                    `${name}, seed ${seed}, row ${i}: planned ${rows[i].row.delay.toFixed(3)} s apart, arrived ${gap.toFixed(3)} s apart`);
+            }
+        }
+    }
+});
+
+test('the gaps rows actually arrive with leaves time to change lane, jump and duck', () => {
+    for (const name of DIFFICULTY_NAMES) {
+        const rules = getDifficulty(name);
+        for (const seed of SEEDS) {
+            const rows = runCourse(seed, rules);
+            // Feed the rows, spaced as they arrived, through a fresh copy of the survivability
+            // model: it checks every gap against the lane change cooldown and the jump and duck times
+            const model = new LavaPatternGenerator(seed);
+            model.setLaneChangeCooldown(rules.laneChangeCooldown);
+            rows.forEach(({ row, arrival }, i) => {
+                const gap = i === 0 ? row.delay : arrival - rows[i - 1].arrival + FIXED_TIMESTEP;
+                assert.ok(model._tryCommit([{ ...row, delay: gap }]),
+                    `${name}, seed ${seed}, row ${i} (${row.kind} in lanes ${row.lanes}) can't be survived ${gap.toFixed(3)} s after the one before`);
+            });
+        }
+    }
+});
+
+test('a run plans its course around the jump and duck times tuned before it started', () => {
+    const defaults = { jumpDuration: PLAYER_JUMP_DURATION, duckDuration: PLAYER_DUCK_DURATION };
+    const core = new GameCore();
+    core.start(1);
+    const planned = core.lavaField.patternGenerator;
+    const clearWindow = planned.jumpClearEnd - planned.jumpClearStart;
+    try {
+        setConstant('PLAYER_JUMP_DURATION', defaults.jumpDuration * 2);
+        setConstant('PLAYER_DUCK_DURATION', defaults.duckDuration / 2);
+        core.start(1);
+        assert.equal(planned.jumpDuration, defaults.jumpDuration * 2);
+        assert.equal(planned.duckDuration, defaults.duckDuration / 2);
+        assert.ok(Math.abs(planned.jumpClearEnd - planned.jumpClearStart - clearWindow * 2) < 1e-9);
+    } finally {
+        setConstant('PLAYER_JUMP_DURATION', defaults.jumpDuration);
+        setConstant('PLAYER_DUCK_DURATION', defaults.duckDuration);
+    }
+});
@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeEntry } from '../leaderboard.js';
+
+const RUN = { name: 'Ada', score: 1234.5, topSpeed: 21, distance: 800, jumps: 12, mode: 'solo', seed: 7, date: '2024-06-11T10:00:00.000Z' };
+
+test('an entry without an id gets the same one every time it is imported', () => {
+    const first = normalizeEntry({ ...RUN });
+    const again = normalizeEntry(JSON.parse(JSON.stringify(RUN)));
+    assert.equal(first.id, again.id);
+    assert.notEqual(normalizeEntry({ ...RUN, score: 99 }).id, first.id);
+    assert.notEqual(normalizeEntry({ ...RUN, name: 'Grace' }).id, first.id);
+});
+
+test('an entry keeps the id it was exported with', () => {
+    assert.equal(normalizeEntry({ ...RUN, id: 'kiosk-1' }).id, 'kiosk-1');
+});
@@ -0,0 +1,17 @@
+// Looks a level can pick with its "theme" field. Plain data so levels can be validated
+// without Three.js; SceneSetup.setTheme() applies them.
+//   floor / laneMarker    track colours
+//   light / lightIntensity  the main directional light
+
+export const THEMES = {
+    classic: { name: 'Classic', floor: 0x1C1B47, laneMarker: 0x111111, light: 0xffffff, lightIntensity: 3.0 },
+    dusk: { name: 'Dusk', floor: 0x3a1f3d, laneMarker: 0x1a0a1a, light: 0xffb38a, lightIntensity: 2.6 },
+    caldera: { name: 'Caldera', floor: 0x2b1a12, laneMarker: 0x0d0603, light: 0xff8a50, lightIntensity: 3.2 },
+    obsidian: { name: 'Obsidian', floor: 0x0f1014, laneMarker: 0x3a3d4a, light: 0xc8d6ff, lightIntensity: 2.4 }
+};
+export const THEME_NAMES = Object.keys(THEMES);
+export const DEFAULT_THEME = 'classic';
+
+// Replaces the level's theme while the high contrast option is on: white lane lines on a
+// near-black floor, against which the flat-coloured hazards stand out (see obstacleViews.js)
+export const HIGH_CONTRAST_THEME = { name: 'High contrast', floor: 0x0a0a0a, laneMarker: 0xffffff, light: 0xffffff, lightIntensity: 3.0 };